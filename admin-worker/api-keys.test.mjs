@@ -0,0 +1,85 @@
+import assert from "node:assert/strict";
+import { authenticate, canAccess, keysCreate, keysRevoke, routeGroup } from "./src/routes/api-keys.js";
+
+function memoryKv() {
+  const m = new Map();
+  return {
+    async get(k, o) {
+      const v = m.get(k);
+      return v === undefined ? null : o?.type === "json" ? JSON.parse(v) : v;
+    },
+    async put(k, v) {
+      m.set(k, v);
+    },
+    async list({ prefix }) {
+      return { keys: [...m.keys()].filter((k) => k.startsWith(prefix)).map((name) => ({ name })), list_complete: true };
+    },
+  };
+}
+
+assert.equal(routeGroup("/v1/admin/pricing/reviews/approve"), "pricing_approve");
+assert.equal(routeGroup("/v1/admin/members/list"), "read");
+assert.equal(canAccess({ role: "viewer" }, "read"), true);
+assert.equal(canAccess({ role: "viewer" }, "members"), false);
+assert.equal(canAccess({ role: "pricing_approver" }, "pricing_approve"), true);
+assert.equal(canAccess({ role: "operator" }, "pricing_approve"), false);
+assert.equal(canAccess({ role: "finance" }, "keys"), false);
+assert.equal(canAccess({ role: "system" }, "keys"), true);
+assert.equal(canAccess(null, "read"), false);
+
+const env = { ADMIN_KEYS_KV: memoryKv(), ADMIN_BEARER: "adm", CONFIRM_KEY: "ck" };
+const post = (body) => new Request("https://a/x", { method: "POST", body: JSON.stringify(body) });
+const withAuth = (headers) => new Request("https://a/x", { headers });
+
+const created = await (await keysCreate(post({ name: "Per", role: "pricing_approver" }), env, { actor: "admin_bearer" })).json();
+assert.equal(created.ok, true);
+assert.match(created.token, /^mmdk_[a-f0-9]{12}_[a-f0-9]{48}$/);
+assert.equal(created.key.name, "per");
+assert.equal(created.key.hash, undefined);
+assert.ok(!JSON.stringify(await env.ADMIN_KEYS_KV.get(`apikey:${created.key.key_id}`)).includes(created.token));
+
+assert.equal((await keysCreate(post({ name: "per", role: "viewer" }), env, null)).status, 409);
+assert.equal((await keysCreate(post({ name: "x2", role: "root" }), env, null)).status, 400);
+assert.equal((await keysCreate(post({ name: "confirm_key", role: "viewer" }), env, null)).status, 400);
+
+const id = await authenticate(withAuth({ Authorization: `Bearer ${created.token}` }), env);
+assert.deepEqual(id, { actor: "per", role: "pricing_approver", key_id: created.key.key_id, named: true, via: "bearer" });
+assert.equal((await authenticate(withAuth({ "X-Confirm-Key": created.token }), env)).via, "confirm_key");
+const tampered = created.token.slice(0, -1) + (created.token.endsWith("0") ? "1" : "0");
+assert.equal(await authenticate(withAuth({ Authorization: `Bearer ${tampered}` }), env), null);
+
+assert.equal((await authenticate(withAuth({ Authorization: "Bearer adm" }), env)).role, "system");
+assert.equal(await authenticate(withAuth({ Authorization: "Bearer adm" }), { ...env, ADMIN_LEGACY_AUTH: "false" }), null);
+
+await keysRevoke(post({ key_id: created.key.key_id }), env, { actor: "admin_bearer" });
+assert.equal(await authenticate(withAuth({ Authorization: `Bearer ${created.token}` }), env), null);
+assert.equal((await keysRevoke(post({ key_id: "nope" }), env, null)).status, 404);
+
+// create and revoke leave an audit row: key id, role, groups and who did it, never the hash
+const auditEnv = { ...env, AIRTABLE_API_KEY: "k", AIRTABLE_BASE_ID: "app" };
+const audit = { actor: "admin_bearer", route: "/v1/admin/keys/create", request_id: "r1" };
+const rows = [];
+const realFetch = globalThis.fetch;
+globalThis.fetch = async (url, init) => {
+  rows.push(JSON.parse(init.body).records[0].fields);
+  return new Response(JSON.stringify({ records: [{ id: "recA" }] }), { status: 200 });
+};
+try {
+  const mint = await (await keysCreate(post({ name: "mint", role: "finance" }), auditEnv, { actor: "admin_bearer" }, audit)).json();
+  await keysRevoke(post({ key_id: mint.key.key_id }), auditEnv, { actor: "admin_bearer" }, audit);
+  await keysRevoke(post({ key_id: mint.key.key_id }), auditEnv, { actor: "admin_bearer" }, audit);
+  assert.deepEqual(rows.map((r) => [r.table, r.record_id, r.action, r.actor]), [
+    ["admin_keys", mint.key.key_id, "create", "admin_bearer"],
+    ["admin_keys", mint.key.key_id, "revoke", "admin_bearer"],
+  ]);
+  const diff = JSON.parse(rows[0].diff_json);
+  assert.equal(diff.role.to, "finance");
+  assert.equal(diff.groups.to, "read,promotions,jobs");
+  assert.equal(diff.created_by.to, "admin_bearer");
+  assert.equal(JSON.parse(rows[1].diff_json).revoked_by.to, "admin_bearer");
+  assert.ok(!rows.some((r) => r.diff_json.includes("hash") || r.diff_json.includes(mint.token)));
+} finally {
+  globalThis.fetch = realFetch;
+}
+
+console.log("api keys tests passed");
@@ -0,0 +1,76 @@
+import assert from "node:assert/strict";
+import { auditContext, fieldDiff } from "./src/routes/audit.js";
+import { chatHumanModeRelease } from "./src/routes/chat-handoff.js";
+import { promotionsCreate, promotionsDisable } from "./src/routes/promotions.js";
+
+assert.deepEqual(fieldDiff({ tier: "standard", name: "Ton" }, { tier: "vip", name: "Ton" }), {
+  tier: { from: "standard", to: "vip" },
+});
+assert.deepEqual(fieldDiff({}, { nickname: "T" }, ["nickname", "tier"]), { nickname: { from: null, to: "T" } });
+assert.deepEqual(fieldDiff({ tags: ["a"] }, { tags: ["a"] }), {});
+assert.deepEqual(fieldDiff({ note: "x" }, {}, ["note"]), { note: { from: "x", to: null } });
+assert.deepEqual(fieldDiff({}, { google_map_url: "" }), {});
+
+const req = new Request("https://admin.example/v1/admin/members/update", {
+  method: "POST",
+  headers: { "cf-ray": "8f00abc-SIN" },
+});
+assert.deepEqual(auditContext(req, { actor: "per", role: "pricing_approver" }), {
+  actor: "per",
+  route: "/v1/admin/members/update",
+  request_id: "8f00abc-SIN",
+});
+assert.equal(auditContext(req, null).actor, "unknown");
+
+// routes write an audit row with the caller as actor; the body cannot name who created or disabled a code
+const env = { AIRTABLE_API_KEY: "k", AIRTABLE_BASE_ID: "app", CHAT_WORKER_BASE_URL: "https://chat.example", INTERNAL_TOKEN: "it" };
+const audit = { actor: "mint", route: "/v1/admin/promotions/create", request_id: "r1" };
+const rows = [];
+const sent = [];
+const promos = [];
+const realFetch = globalThis.fetch;
+globalThis.fetch = async (url, init = {}) => {
+  const u = String(url);
+  const body = init.body ? JSON.parse(init.body) : null;
+  const reply = (data) => new Response(JSON.stringify(data), { status: 200 });
+  if (u.includes("/audit_log")) {
+    rows.push(body.records[0].fields);
+    return reply({ records: [{ id: "recA" }] });
+  }
+  if (u.startsWith("https://chat.example")) {
+    sent.push(body);
+    return reply({ ok: true, released: true, previous: { category: "safety" } });
+  }
+  // promotions table
+  if (init.method === "POST") {
+    promos.push({ id: "recP", fields: body.fields });
+    return reply(promos[0]);
+  }
+  if (init.method === "PATCH") return reply({ id: "recP", fields: { ...promos[0].fields, ...body.fields } });
+  return reply({ records: promos });
+};
+const postBody = (body) => new Request("https://admin.example/x", { method: "POST", body: JSON.stringify(body) });
+try {
+  const created = await (await promotionsCreate(postBody({ code: "x10", type: "percent", value: 10, created_by: "someone_else" }), env, audit)).json();
+  assert.equal(created.ok, true, JSON.stringify(created));
+  assert.equal(rows[0].actor, "mint");
+  assert.equal(rows[0].action, "create");
+  assert.equal(rows[0].record_id, "recP");
+  assert.equal(JSON.parse(rows[0].diff_json).created_by.to, "mint");
+
+  const disabled = await (await promotionsDisable(postBody({ code: "X10", disabled_by: "someone_else" }), env, audit)).json();
+  assert.equal(disabled.ok, true, JSON.stringify(disabled));
+  assert.equal(rows[1].action, "disable");
+  assert.deepEqual(JSON.parse(rows[1].diff_json).active, { from: true, to: false });
+  assert.equal(JSON.parse(rows[1].diff_json).disabled_by.to, "mint");
+
+  await chatHumanModeRelease(postBody({ member_id: "mem_1", released_by: "someone_else" }), env, audit);
+  assert.equal(sent[0].released_by, "mint");
+  assert.equal(rows[2].table, "chat_human_mode");
+  assert.equal(rows[2].record_id, "mem_1");
+  assert.equal(rows[2].changed_fields, "human_mode");
+} finally {
+  globalThis.fetch = realFetch;
+}
+
+console.log("audit tests passed");
@@ -9,9 +9,17 @@
 // CORE SYSTEM
 //   - admin ping / stats
 //   - members list / update
+//   - session / payment / pending lookups (Telegram operator commands)
 //   - models list / upsert
 //   - telegram internal DM
-//   - job creation -> payments-worker confirm link mint
+//   - promotions (promo codes + redemption ledger read)
+//   - chat-worker human mode release (after a chat handoff)
+//   - pricing quote / backtest (rate cards + surcharge rules)
+//   - pricing review SLA ladder (cron) + Telegram approve/edit/reject buttons
+//   - Telegram callbacks (pricing, payment verify / slip reject, handoff assign) from telegram-worker
+//   - job creation -> payments-worker confirm link mint (mode "approval": LINE dialogue drafts wait in the console inbox)
+//   - audit trail of the above mutations (GET /v1/admin/audit)
+//   - named API keys + roles (/v1/admin/keys/*)
 //
 // IMMIGRATION / MIGRATION LAYER
 //   - console inbox writer
@@ -24,11 +32,56 @@
 //   - immigration layer must not be confused with canonical core contracts
 // ==========================================================
 
+import { authenticate, canAccess, keysCreate, keysList, keysRevoke, routeGroup } from "./src/routes/api-keys.js";
+import { auditContext, auditList, writeAudit } from "./src/routes/audit.js";
+import { chatHumanModeRelease } from "./src/routes/chat-handoff.js";
 import { demoLinksCreate, demoLinksGet } from "./src/routes/demo-links.js";
+import {
+  listTable,
+  MEMBER_LIST_FILTERS,
+  MEMBER_LIST_SORTS,
+  MODEL_LIST_FILTERS,
+  MODEL_LIST_SORTS,
+} from "./src/routes/listing.js";
+import { confidentCandidate, MATCH_THRESHOLD, rankModelCandidates, scoreName } from "./src/routes/model-match.js";
+import { opsPending, paymentGet, sessionGet, sessionsToday } from "./src/routes/ops-lookup.js";
+import { pricingBacktest, pricingQuote, quotePrice } from "./src/routes/pricing-engine.js";
+import {
+  buildProvisionalCustomerCopy,
+  markFirstResponse,
+  pricingDecisionError,
+  pricingSlaGet,
+  runPricingSlaQueue,
+  slaStepMinutes,
+  startPricingReviewSla,
+} from "./src/routes/pricing-sla.js";
+import {
+  promotionsCreate,
+  promotionsDisable,
+  promotionsList,
+  promotionsRedemptions,
+} from "./src/routes/promotions.js";
+import { refreshStatsSnapshots, snapshotDays, statsGet } from "./src/routes/stats.js";
+import { telegramBotApi } from "./src/telegram.js";
+import { handleTelegramCallback } from "./src/telegramCallbacks.js";
 
 const LOCK = "admin-worker-v2026-03-11-full";
+const STATS_CRON = "*/15 * * * *";
 const AIRTABLE_API = "https://api.airtable.com/v0";
 const MODEL_SAFE_SEARCH_FIELDS = ["name", "nickname", "telegram_username", "telegram_id", "unique_key"];
+// fields read for fuzzy name matching (MODEL_MATCH_FIELDS overrides); the safe set when Airtable rejects one
+const MODEL_MATCH_FIELDS = [
+  "working_name",
+  "display_name",
+  "model_name",
+  "name",
+  "nickname",
+  "unique_key",
+  "aliases",
+  "alias",
+  "legacy_tags",
+];
+const MODEL_SAFE_MATCH_FIELDS = ["name", "nickname", "unique_key"];
 const MODEL_SEARCH_FIELDS = [
   "name",
   "Name",
@@ -121,12 +174,15 @@ export default {
         return withCors(json({ ok: false, error: "origin_not_allowed" }, 403), cors);
       }
 
+      // named key (ADMIN_KEYS_KV) or legacy shared secret; null = unauthenticated
+      const identity = await authenticate(req, env);
+
       // ====================================================
       // IMMIGRATION / WRITER ENDPOINTS
-      // STRICT: X-Confirm-Key only
+      // STRICT: X-Confirm-Key only (CONFIRM_KEY or a named system key)
       // ====================================================
       if (method === "POST" && path === "/v1/admin/console/inbox") {
-        if (!isConfirmKeyAuthed(req, env)) {
+        if (!isWriterAuthed(identity)) {
           return withCors(json({ ok: false, error: "unauthorized" }, 401), cors);
         }
 
@@ -162,12 +218,9 @@ export default {
         if (body.linked_payment) fields.linked_payment = [str(body.linked_payment)];
 
         try {
-          const rec = await airtableCreate({
-            baseId: env.AIRTABLE_BASE_ID,
-            tableId: env.AIRTABLE_TABLE_CONSOLE_INBOX_ID || "tblFHmfpB2TTrzO2e",
-            apiKey: env.AIRTABLE_API_KEY,
-            fields,
-          });
+          const tableId = env.AIRTABLE_TABLE_CONSOLE_INBOX_ID || "tblFHmfpB2TTrzO2e";
+          const rec = await airtableCreate({ baseId: env.AIRTABLE_BASE_ID, tableId, apiKey: env.AIRTABLE_API_KEY, fields });
+          await auditCreate(env, tableId, rec, auditContext(req, identity));
 
           return withCors(
             json({
@@ -183,7 +236,7 @@ export default {
       }
 
       if (method === "POST" && path === "/v1/admin/sigil/handoff") {
-        if (!isConfirmKeyAuthed(req, env)) {
+        if (!isWriterAuthed(identity)) {
           return withCors(json({ ok: false, error: "unauthorized" }, 401), cors);
         }
 
@@ -242,12 +295,9 @@ export default {
         if (body.linked_payment) fields.linked_payment = [str(body.linked_payment)];
 
         try {
-          const rec = await airtableCreate({
-            baseId: env.AIRTABLE_BASE_ID,
-            tableId: env.AIRTABLE_TABLE_CONSOLE_INBOX_ID || "tblFHmfpB2TTrzO2e",
-            apiKey: env.AIRTABLE_API_KEY,
-            fields,
-          });
+          const tableId = env.AIRTABLE_TABLE_CONSOLE_INBOX_ID || "tblFHmfpB2TTrzO2e";
+          const rec = await airtableCreate({ baseId: env.AIRTABLE_BASE_ID, tableId, apiKey: env.AIRTABLE_API_KEY, fields });
+          await auditCreate(env, tableId, rec, auditContext(req, identity));
 
           const notify = await notifySigilHandoff(env, {
             handoff_id: handoffId,
@@ -280,7 +330,7 @@ export default {
       }
 
       if (method === "POST" && path === "/v1/admin/payment/proof") {
-        if (!isConfirmKeyAuthed(req, env)) {
+        if (!isWriterAuthed(identity)) {
           return withCors(json({ ok: false, error: "unauthorized" }, 401), cors);
         }
 
@@ -309,12 +359,9 @@ export default {
         if (body.payment) fields.payment = [str(body.payment)];
 
         try {
-          const rec = await airtableCreate({
-            baseId: env.AIRTABLE_BASE_ID,
-            tableId: env.AIRTABLE_TABLE_PAYMENT_PROOFS_ID || "tblfJfM4Sqag9zrLi",
-            apiKey: env.AIRTABLE_API_KEY,
-            fields,
-          });
+          const tableId = env.AIRTABLE_TABLE_PAYMENT_PROOFS_ID || "tblfJfM4Sqag9zrLi";
+          const rec = await airtableCreate({ baseId: env.AIRTABLE_BASE_ID, tableId, apiKey: env.AIRTABLE_API_KEY, fields });
+          await auditCreate(env, tableId, rec, auditContext(req, identity));
 
           return withCors(
             json({
@@ -331,12 +378,17 @@ export default {
 
       // ====================================================
       // CORE ADMIN AUTH
-      // Bearer OR Confirm-Key
+      // Bearer OR Confirm-Key, then role scope per route group
       // ====================================================
-      if (!isAuthed(req, env)) {
+      if (!identity) {
         return withCors(json({ ok: false, error: "unauthorized" }, 401), cors);
       }
 
+      const group = routeGroup(path);
+      if (!canAccess(identity, group)) {
+        return withCors(json({ ok: false, error: "forbidden", role: identity.role, route_group: group }, 403), cors);
+      }
+
       // ----------------------------------------------------
       // Core ping
       // ----------------------------------------------------
@@ -357,54 +409,46 @@ export default {
       // Stats
       // ----------------------------------------------------
       if (method === "GET" && path === "/v1/admin/stats") {
-        const labels = buildLastNDays(7);
-
-        return withCors(
-          json({
-            ok: true,
-            layer: "core",
-            summary: {
-              total_members: 0,
-              total_models: 0,
-              revenue_30d_thb: 0,
-            },
-            trends: {
-              labels,
-              members_new: labels.map(() => 0),
-              revenue_thb: labels.map(() => 0),
-              payments_count: labels.map(() => 0),
-              points_issued: labels.map(() => 0),
-            },
-          }),
-          cors
-        );
+        return withCors(await statsGet(req, env), cors);
       }
 
       // ----------------------------------------------------
       // Members list
       // ----------------------------------------------------
       if (method === "GET" && path === "/v1/admin/members/list") {
-        const q = str(url.searchParams.get("q") || "");
-        const limit = clampInt(url.searchParams.get("limit"), 1, 200, 50);
-
         const tableName = env.AIRTABLE_TABLE_MEMBERS || "members";
 
-        const items = await airtableList(env, tableName, {
-          q,
-          limit,
-          matchFields: ["name", "nickname", "memberstack_id", "telegram_username", "telegram_id", "mmd_client_name"],
-        });
-
         return withCors(
-          json({
-            ok: true,
+          await listTable(req, env, {
+            table: tableName,
             layer: inferLayerFromTable(tableName),
-            items,
+            matchFields: ["name", "nickname", "memberstack_id", "telegram_username", "telegram_id", "mmd_client_name"],
+            filters: MEMBER_LIST_FILTERS,
+            sorts: MEMBER_LIST_SORTS,
           }),
           cors
         );
       }
 
+      // ----------------------------------------------------
+      // Operator lookups (Telegram bot commands)
+      // ----------------------------------------------------
+      if (method === "GET" && path === "/v1/admin/sessions/get") {
+        return withCors(await sessionGet(req, env), cors);
+      }
+
+      if (method === "GET" && path === "/v1/admin/sessions/today") {
+        return withCors(await sessionsToday(req, env), cors);
+      }
+
+      if (method === "GET" && path === "/v1/admin/payments/get") {
+        return withCors(await paymentGet(req, env), cors);
+      }
+
+      if (method === "GET" && path === "/v1/admin/ops/pending") {
+        return withCors(await opsPending(req, env, { pricingTable: pricingReviewTable(env) }), cors);
+      }
+
       // ----------------------------------------------------
       // Members update
       // ----------------------------------------------------
@@ -423,7 +467,8 @@ export default {
             idField: "id",
             lookupField: "memberstack_id",
             patchField: "patch",
-          }
+          },
+          auditContext(req, identity)
         );
 
         return withCors(
@@ -442,6 +487,15 @@ export default {
       if (method === "POST" && path === "/v1/admin/telegram/dm") {
         const body = await safeJson(req);
         const r = await telegramInternalSend(env, body);
+        if (r.ok) {
+          // nothing is stored here; the row records who messaged which chat
+          await writeAudit(env, auditContext(req, identity), {
+            table: "telegram",
+            record_id: str(body.chat_id),
+            action: "send",
+            after: { chat_id: str(body.chat_id), message_thread_id: body.message_thread_id, text: body.text },
+          });
+        }
 
         return withCors(
           json(
@@ -456,13 +510,39 @@ export default {
         );
       }
 
+      // ----------------------------------------------------
+      // Promotions
+      // ----------------------------------------------------
+      if (method === "GET" && path === "/v1/admin/promotions/list") {
+        return withCors(await promotionsList(req, env), cors);
+      }
+
+      if (method === "POST" && path === "/v1/admin/promotions/create") {
+        return withCors(await promotionsCreate(req, env, auditContext(req, identity)), cors);
+      }
+
+      if (method === "POST" && path === "/v1/admin/promotions/disable") {
+        return withCors(await promotionsDisable(req, env, auditContext(req, identity)), cors);
+      }
+
+      if (method === "GET" && path === "/v1/admin/promotions/redemptions") {
+        return withCors(await promotionsRedemptions(req, env), cors);
+      }
+
+      // ----------------------------------------------------
+      // chat-worker handoff (console inbox source "chat_worker")
+      // ----------------------------------------------------
+      if (method === "POST" && path === "/v1/admin/chat/human-mode/release") {
+        return withCors(await chatHumanModeRelease(req, env, auditContext(req, identity)), cors);
+      }
+
       // ----------------------------------------------------
       // Pricing review flow
       // ----------------------------------------------------
       if (method === "POST" && path === "/v1/admin/pricing/reviews/create") {
         const body = await safeJson(req);
         try {
-          const out = await createPricingReview(env, body);
+          const out = await createPricingReview(env, body, auditContext(req, identity));
           return withCors(json(out, out.ok ? 200 : 500), cors);
         } catch (e) {
           return withCors(json({ ok: false, error: String(e?.message || e || "pricing_review_create_failed") }, 500), cors);
@@ -472,18 +552,47 @@ export default {
       if (method === "POST" && path === "/v1/admin/pricing/reviews/approve") {
         const body = await safeJson(req);
         try {
-          const out = await approvePricingReview(env, body);
-          return withCors(json(out, out.ok ? 200 : 400), cors);
+          const out = await approvePricingReview(env, body, auditContext(req, identity), identity);
+          return withCors(json(out, out.ok ? 200 : out.error === "pricing_review_closed" ? 409 : 400), cors);
         } catch (e) {
           return withCors(json({ ok: false, error: String(e?.message || e || "pricing_review_approve_failed") }, 500), cors);
         }
       }
 
+      if (method === "POST" && path === "/v1/admin/pricing/quote") {
+        return withCors(await pricingQuote(req, env), cors);
+      }
+
+      if (method === "POST" && path === "/v1/admin/pricing/backtest") {
+        return withCors(await pricingBacktest(req, env, { table: pricingReviewTable(env) }), cors);
+      }
+
+      if (method === "GET" && path === "/v1/admin/pricing/sla") {
+        return withCors(await pricingSlaGet(req, env, { table: pricingReviewTable(env) }), cors);
+      }
+
+      if (method === "POST" && path === "/v1/admin/telegram/callback") {
+        const body = await safeJson(req);
+        const callbackQuery = body?.callback_query || body;
+        const out = await handleTelegramCallback(env, callbackQuery, {
+          table: pricingReviewTable(env),
+          approvePricingReview,
+          inboxTable: env.AIRTABLE_TABLE_CONSOLE_INBOX_ID || "tblFHmfpB2TTrzO2e",
+          getRecord: airtableGetById,
+          patchRecord: airtablePatchAudited,
+        });
+        return withCors(json(out), cors);
+      }
+
+      // manual run of the SLA ladder (the cron runs it every minute)
       if (method === "POST" && path === "/v1/admin/pricing/review-timeout-check") {
         const body = await safeJson(req);
         try {
-          const out = await runPricingReviewTimeoutCheck(env, body);
-          return withCors(json(out), cors);
+          const out = await runPricingSlaQueue(env, {
+            ...pricingSlaDeps(env),
+            limit: clampInt(body.limit || 20, 1, 100, 20),
+          });
+          return withCors(json(out, out.ok ? 200 : 500), cors);
         } catch (e) {
           return withCors(json({ ok: false, error: String(e?.message || e || "pricing_review_timeout_failed") }, 500), cors);
         }
@@ -493,23 +602,16 @@ export default {
       // Models list
       // ----------------------------------------------------
       if (method === "GET" && path === "/v1/admin/models/list") {
-        const q = str(url.searchParams.get("q") || "");
-        const limit = clampInt(url.searchParams.get("limit"), 1, 200, 50);
-
         const tableName = env.AIRTABLE_TABLE_MODELS || "models";
 
-        const items = await airtableList(env, tableName, {
-          q,
-          limit,
-          matchFields: getModelSearchFields(env),
-          fallbackMatchFields: MODEL_SAFE_SEARCH_FIELDS,
-        });
-
         return withCors(
-          json({
-            ok: true,
+          await listTable(req, env, {
+            table: tableName,
             layer: inferLayerFromTable(tableName),
-            items,
+            matchFields: getModelSearchFields(env),
+            fallbackMatchFields: MODEL_SAFE_SEARCH_FIELDS,
+            filters: MODEL_LIST_FILTERS,
+            sorts: MODEL_LIST_SORTS,
           }),
           cors
         );
@@ -540,7 +642,7 @@ export default {
         const body = await safeJson(req);
 
         try {
-          const payload = await stageModelFromSource(env, body || {});
+          const payload = await stageModelFromSource(env, body || {}, auditContext(req, identity));
           return withCors(json(payload, payload.ok ? 200 : 400), cors);
         } catch (e) {
           return withCors(json({ ok: false, error: String(e?.message || e) }, 400), cors);
@@ -557,10 +659,15 @@ export default {
         const rawFields = body?.fields && typeof body.fields === "object" ? body.fields : {};
         const fields = pickAllowedFields(rawFields, getAllowedModelFields(env));
 
-        const out = await airtableUpsertModel(env, tableName, {
-          ...body,
-          fields,
-        });
+        const out = await airtableUpsertModel(
+          env,
+          tableName,
+          {
+            ...body,
+            fields,
+          },
+          auditContext(req, identity)
+        );
 
         return withCors(
           json({
@@ -573,13 +680,16 @@ export default {
       }
 
       // ----------------------------------------------------
-      // Admin job create
+      // Admin job create (mode "approval": park a draft for an admin instead of minting links)
       // ----------------------------------------------------
       if (method === "POST" && path === "/v1/admin/job/create") {
         const body = await safeJson(req);
 
         try {
-          const out = await createAdminJob(env, body);
+          const out =
+            body?.mode === "approval"
+              ? await createJobDraft(env, body, auditContext(req, identity))
+              : await createAdminJob(env, body, auditContext(req, identity));
           return withCors(
             json({
               ok: true,
@@ -589,15 +699,53 @@ export default {
             cors
           );
         } catch (e) {
-          return withCors(json({ ok: false, error: String(e?.message || e || "job_create_failed") }, 500), cors);
+          const error = String(e?.message || e || "job_create_failed");
+          return withCors(json({ ok: false, error }, JOB_DRAFT_ERROR_STATUS[error] || 500), cors);
         }
       }
 
+      // ----------------------------------------------------
+      // Audit trail (read only)
+      // ----------------------------------------------------
+      if (method === "GET" && path === "/v1/admin/audit") {
+        return withCors(await auditList(req, env), cors);
+      }
+
+      // ----------------------------------------------------
+      // API keys (system role)
+      // ----------------------------------------------------
+      if (method === "GET" && path === "/v1/admin/keys/list") {
+        return withCors(await keysList(req, env), cors);
+      }
+
+      if (method === "POST" && path === "/v1/admin/keys/create") {
+        return withCors(await keysCreate(req, env, identity, auditContext(req, identity)), cors);
+      }
+
+      if (method === "POST" && path === "/v1/admin/keys/revoke") {
+        return withCors(await keysRevoke(req, env, identity, auditContext(req, identity)), cors);
+      }
+
       return withCors(json({ ok: false, error: "not_found" }, 404), cors);
     }
 
     return withCors(json({ ok: false, error: "not_found" }, 404), cors);
   },
+
+  // Cron: "*/15 * * * *" refreshes the dashboard stats snapshots (ADMIN_STATS_KV),
+  // every other schedule runs the pricing review SLA ladder.
+  async scheduled(event, env, ctx) {
+    if (!env.AIRTABLE_API_KEY || !env.AIRTABLE_BASE_ID) return;
+    if (event.cron === STATS_CRON) {
+      ctx.waitUntil(
+        refreshStatsSnapshots(env, snapshotDays(env)).catch((e) => console.error("stats_refresh_failed", String(e?.message || e)))
+      );
+      return;
+    }
+    ctx.waitUntil(
+      runPricingSlaQueue(env, pricingSlaDeps(env)).catch((e) => console.error("pricing_sla_failed", String(e?.message || e)))
+    );
+  },
 };
 
 /* =========================
@@ -650,21 +798,8 @@ function withCors(res, cors) {
 /* =========================
    Auth
 ========================= */
-function isAuthed(req, env) {
-  const auth = req.headers.get("Authorization") || "";
-  const bearer = auth.startsWith("Bearer ") ? auth.slice(7).trim() : "";
-  if (env.ADMIN_BEARER && bearer && bearer === env.ADMIN_BEARER) return true;
-  if (env.INTERNAL_TOKEN && bearer && bearer === env.INTERNAL_TOKEN) return true;
-
-  const ck = str(req.headers.get("X-Confirm-Key") || "");
-  if (env.CONFIRM_KEY && ck && ck === env.CONFIRM_KEY) return true;
-
-  return false;
-}
-
-function isConfirmKeyAuthed(req, env) {
-  const ck = str(req.headers.get("X-Confirm-Key") || "");
-  return Boolean(env.CONFIRM_KEY && ck && ck === env.CONFIRM_KEY);
+function isWriterAuthed(identity) {
+  return Boolean(identity && identity.via === "confirm_key" && canAccess(identity, "writer"));
 }
 
 /* =========================
@@ -702,17 +837,6 @@ function clampInt(v, min, max, fallback) {
   return Math.max(min, Math.min(max, Math.floor(n)));
 }
 
-function buildLastNDays(n) {
-  const out = [];
-  const now = new Date();
-  for (let i = n - 1; i >= 0; i--) {
-    const d = new Date(now);
-    d.setDate(now.getDate() - i);
-    out.push(d.toISOString().slice(0, 10));
-  }
-  return out;
-}
-
 function absoluteUrl(value, base) {
   const raw = str(value);
   if (!raw) return base;
@@ -1088,7 +1212,12 @@ async function searchR2ByConfiguredCategories(env, { q, sourceOwner, categoryPat
 
     for (const [folderName, objectCount] of folderCounts.entries()) {
       const folderToken = normalizeLooseToken(folderName);
-      if (folderToken === queryToken || folderToken.includes(queryToken) || queryToken.includes(folderToken)) {
+      if (
+        folderToken === queryToken ||
+        folderToken.includes(queryToken) ||
+        queryToken.includes(folderToken) ||
+        scoreName(q, folderName).confidence >= MATCH_THRESHOLD
+      ) {
         const matchedPrefix = joinR2Path(basePrefix, folderName);
         return {
           matched_name: folderName,
@@ -1152,6 +1281,45 @@ async function searchR2ModelSource(env, { q, sourceOwner, categoryPath }) {
   return searchR2ByConfiguredCategories(env, { q, sourceOwner: owner, categoryPath });
 }
 
+// Name fields of every model (up to MODEL_MATCH_MAX_RECORDS, default 500) for fuzzy matching.
+// Kept in memory per isolate for MODEL_MATCH_CACHE_SECONDS (default 300): every substring miss on a
+// LINE message would otherwise page through the whole table.
+let modelsForMatchingCache = null;
+
+async function listModelsForMatching(env, { now = Date.now() } = {}) {
+  const tableName = env.AIRTABLE_TABLE_MODELS || "models";
+  const max = Math.max(1, Math.min(Number(env.MODEL_MATCH_MAX_RECORDS) || 500, 2000));
+  const ttlMs = Math.max(0, Number(env.MODEL_MATCH_CACHE_SECONDS ?? 300) || 0) * 1000;
+  const configured = parseCsv(env.MODEL_MATCH_FIELDS || "");
+  const cacheKey = [env.AIRTABLE_BASE_ID, tableName, max, configured.join(",")].join("|");
+
+  const cached = modelsForMatchingCache;
+  if (ttlMs && cached && cached.key === cacheKey && now - cached.at < ttlMs) return cached.records;
+
+  let out = await fetchModelsForMatching(env, tableName, max, configured.length ? configured : MODEL_MATCH_FIELDS);
+  if (out.status === 422) {
+    console.log(JSON.stringify({ event: "model_match_fields_rejected", table: tableName, message: str(out.data?.error?.message) }));
+    out = await fetchModelsForMatching(env, tableName, max, MODEL_SAFE_MATCH_FIELDS);
+  }
+  if (out.ok) modelsForMatchingCache = { key: cacheKey, at: now, records: out.records };
+  return out.records;
+}
+
+async function fetchModelsForMatching(env, tableName, max, fields) {
+  const records = [];
+  let offset = "";
+  do {
+    const params = new URLSearchParams({ pageSize: "100" });
+    if (offset) params.set("offset", offset);
+    fields.forEach((f) => params.append("fields[]", f));
+    const r = await airtableFetch(env, `/${encodeURIComponent(tableName)}?${params.toString()}`);
+    if (!r.ok) return { ok: false, status: r.status, data: r.data, records };
+    for (const rec of r.data?.records || []) records.push({ id: rec.id, fields: rec.fields || {} });
+    offset = str(r.data?.offset);
+  } while (offset && records.length < max);
+  return { ok: true, records: records.slice(0, max) };
+}
+
 async function resolveModelSource(env, { q, sourceOwner = "", categoryPath = "" } = {}) {
   const query = str(q);
   if (!query) throw new Error("missing_q");
@@ -1163,15 +1331,23 @@ async function resolveModelSource(env, { q, sourceOwner = "", categoryPath = ""
     fallbackMatchFields: MODEL_SAFE_SEARCH_FIELDS,
   });
 
-  if (airtableItems.length) {
-    const fields = airtableItems[0]?.fields || {};
+  // substring hits first; otherwise rank the whole table (transliterations, typos, aliases)
+  const ranked = rankModelCandidates(query, airtableItems.length ? airtableItems : await listModelsForMatching(env));
+  const best = confidentCandidate(ranked);
+  const candidates = ranked.map(({ model, ...candidate }) => candidate);
+
+  if (airtableItems.length || best) {
+    const fields = (best?.model || airtableItems[0])?.fields || {};
     return {
       ok: true,
       found: true,
       source: "airtable",
       query,
       source_owner: owner,
-      matched_name: str(fields.working_name || fields["Working Name"] || fields.model_name || fields["Model Name"] || fields.name || fields.nickname || query),
+      matched_name: str(best?.name || fields.working_name || fields["Working Name"] || fields.model_name || fields["Model Name"] || fields.name || fields.nickname || query),
+      match_type: best?.match_type || "substring",
+      confidence: best?.confidence ?? null,
+      candidates,
       matched_prefix: "",
       matched_prefix_redacted: "",
       category_path: "",
@@ -1190,6 +1366,7 @@ async function resolveModelSource(env, { q, sourceOwner = "", categoryPath = ""
       query,
       source_owner: owner,
       matched_name: r2Match.matched_name || query,
+      candidates,
       matched_prefix: r2Match.matched_prefix,
       matched_prefix_redacted: redactedPrefix(r2Match.matched_prefix),
       category_path: displayCategoryPath(r2Match.category_path || categoryPath),
@@ -1211,6 +1388,7 @@ async function resolveModelSource(env, { q, sourceOwner = "", categoryPath = ""
     query,
     source_owner: owner,
     matched_name: "",
+    candidates,
     matched_prefix: "",
     matched_prefix_redacted: "",
     category_path: displayCategoryPath(categoryPath),
@@ -1220,7 +1398,7 @@ async function resolveModelSource(env, { q, sourceOwner = "", categoryPath = ""
   };
 }
 
-async function stageModelFromSource(env, body = {}) {
+async function stageModelFromSource(env, body = {}, audit = null) {
   const modelName = str(body.model_name || body.name || body.q);
   const sourceOwner = getModelSourceOwner(env, body.source_owner);
   const categoryPath = normalizeCategoryPath(body.category_path);
@@ -1252,7 +1430,7 @@ async function stageModelFromSource(env, body = {}) {
   const out = await airtableUpsertModel(env, env.AIRTABLE_TABLE_MODELS || "models", {
     unique_key: fields.unique_key,
     fields,
-  });
+  }, audit);
   return {
     ok: Boolean(out?.ok),
     staged: Boolean(out?.ok),
@@ -1399,25 +1577,49 @@ async function airtablePatchById(env, tableName, id, patch) {
   return { ok: true, id: r.data?.id, fields: r.data?.fields || {} };
 }
 
-async function airtableUpdateByIdOrField(env, tableName, body, { idField, lookupField, patchField }) {
+async function airtableGetById(env, tableName, id) {
+  const r = await airtableFetch(env, `/${encodeURIComponent(tableName)}/${encodeURIComponent(id)}`);
+  if (!r.ok) return null;
+  return { id: r.data?.id, fields: r.data?.fields || {} };
+}
+
+// Patch + audit row. before = fields prior to the patch (only read when auditing).
+async function airtablePatchAudited(env, tableName, id, patch, audit, before = null) {
+  const prev = audit ? before || (await airtableGetById(env, tableName, id))?.fields || {} : null;
+  const out = await airtablePatchById(env, tableName, id, patch);
+  if (out.ok && audit) {
+    await writeAudit(env, audit, {
+      table: tableName,
+      record_id: out.id || id,
+      action: "update",
+      before: prev,
+      after: out.fields,
+      keys: Object.keys(patch || {}),
+    });
+  }
+  return out;
+}
+
+async function airtableUpdateByIdOrField(env, tableName, body, { idField, lookupField, patchField }, audit = null) {
   if (!env.AIRTABLE_API_KEY || !env.AIRTABLE_BASE_ID) {
     return { ok: false, error: "missing_airtable_env" };
   }
 
   const patch = body?.[patchField] && typeof body[patchField] === "object" ? body[patchField] : {};
   let id = body?.[idField] || null;
+  let found = null;
 
   if (!id && body?.[lookupField]) {
     const safe = String(body[lookupField]).replace(/"/g, '\\"');
-    const found = await airtableFindOne(env, tableName, `{${lookupField}}="${safe}"`);
+    found = await airtableFindOne(env, tableName, `{${lookupField}}="${safe}"`);
     id = found?.id || null;
   }
 
   if (!id) return { ok: false, error: "missing_record_id" };
-  return await airtablePatchById(env, tableName, id, patch);
+  return await airtablePatchAudited(env, tableName, id, patch, audit, found?.fields);
 }
 
-async function airtableUpsertModel(env, tableName, body) {
+async function airtableUpsertModel(env, tableName, body, audit = null) {
   if (!env.AIRTABLE_API_KEY || !env.AIRTABLE_BASE_ID) {
     return { ok: false, error: "missing_airtable_env" };
   }
@@ -1426,7 +1628,7 @@ async function airtableUpsertModel(env, tableName, body) {
   const id = body?.id || null;
 
   if (id) {
-    return await airtablePatchById(env, tableName, id, fields);
+    return await airtablePatchAudited(env, tableName, id, fields, audit);
   }
 
   if (body?.unique_key) {
@@ -1434,7 +1636,7 @@ async function airtableUpsertModel(env, tableName, body) {
     const found = await airtableFindOne(env, tableName, `{unique_key}="${safe}"`);
 
     if (found?.id) {
-      return await airtablePatchById(env, tableName, found.id, fields);
+      return await airtablePatchAudited(env, tableName, found.id, fields, audit, found.fields);
     }
 
     const r = await airtableFetch(env, `/${encodeURIComponent(tableName)}`, {
@@ -1447,6 +1649,7 @@ async function airtableUpsertModel(env, tableName, body) {
 
     if (!r.ok) return { ok: false, error: "airtable_create_failed", detail: r };
     const rec = r.data?.records?.[0];
+    await auditCreate(env, tableName, rec, audit);
     return { ok: true, id: rec?.id, fields: rec?.fields || {} };
   }
 
@@ -1460,9 +1663,15 @@ async function airtableUpsertModel(env, tableName, body) {
 
   if (!r.ok) return { ok: false, error: "airtable_create_failed", detail: r };
   const rec = r.data?.records?.[0];
+  await auditCreate(env, tableName, rec, audit);
   return { ok: true, id: rec?.id, fields: rec?.fields || {} };
 }
 
+async function auditCreate(env, tableName, rec, audit) {
+  if (!audit || !rec?.id) return;
+  await writeAudit(env, audit, { table: tableName, record_id: rec.id, action: "create", before: {}, after: rec.fields || {} });
+}
+
 async function airtableCreate({ baseId, tableId, apiKey, fields }) {
   const r = await fetch(`${AIRTABLE_API}/${baseId}/${encodeURIComponent(tableId)}`, {
     method: "POST",
@@ -1484,6 +1693,8 @@ async function airtableCreate({ baseId, tableId, apiKey, fields }) {
 /* =========================
    Telegram internal
 ========================= */
+// telegram-worker queues the message in its outbox (dedupe, retry_after, backoff, dead letters);
+// ok here means "accepted", not "delivered".
 async function telegramInternalSend(env, payload) {
   const url = env.TELEGRAM_INTERNAL_SEND_URL;
   const token = env.INTERNAL_TOKEN;
@@ -1498,6 +1709,8 @@ async function telegramInternalSend(env, payload) {
     text: payload.text,
     parse_mode: payload.parse_mode || "HTML",
     disable_web_page_preview: payload.disable_web_page_preview ?? true,
+    reply_markup: payload.reply_markup,
+    dedupe_key: payload.dedupe_key,
   };
 
   const res = await fetch(url, {
@@ -1521,10 +1734,6 @@ async function telegramInternalSend(env, payload) {
 }
 
 async function notifySigilHandoff(env, data) {
-  if (!env.TELEGRAM_INTERNAL_SEND_URL || !env.INTERNAL_TOKEN) {
-    return { ok: false, error: "missing_telegram_internal_env" };
-  }
-
   const threadId = env.TG_THREAD_CONFIRM || 61;
   const lines = [
     "🖤 <b>SIGIL HANDOFF</b>",
@@ -1545,13 +1754,30 @@ async function notifySigilHandoff(env, data) {
     lines.push(`<i>${escHtml(data.admin_note)}</i>`);
   }
 
-  return await telegramInternalSend(env, {
+  const message = {
     chat_id: env.TELEGRAM_CHAT_ID || "-1003546439681",
     message_thread_id: threadId,
     text: lines.join("\n"),
     parse_mode: "HTML",
     disable_web_page_preview: true,
-  });
+    dedupe_key: data.handoff_id ? `handoff:${data.handoff_id}` : undefined,
+  };
+  if (/^rec[A-Za-z0-9]{14}$/.test(data.airtable_record_id || "")) {
+    message.reply_markup = {
+      inline_keyboard: [[{ text: "🙋 Assign to me", callback_data: `ho:m:${data.airtable_record_id}` }]],
+    };
+  }
+
+  if (env.TELEGRAM_INTERNAL_SEND_URL && env.INTERNAL_TOKEN) {
+    return await telegramInternalSend(env, message);
+  }
+
+  // no outbox configured: direct Bot API send, single attempt
+  if (env.TELEGRAM_BOT_TOKEN) {
+    const { dedupe_key: _, ...direct } = message;
+    return await telegramBotApi(env, "sendMessage", direct);
+  }
+  return { ok: false, error: "missing_telegram_internal_env" };
 }
 
 /* =========================
@@ -1561,10 +1787,6 @@ function pricingReviewTable(env) {
   return env.AIRTABLE_TABLE_CONSOLE_INBOX_ID || "tblFHmfpB2TTrzO2e";
 }
 
-function pricingTimeoutMinutes(env) {
-  return clampInt(env.PRICING_TIMEOUT_MINUTES || 10, 1, 1440, 10);
-}
-
 function safeShort(value, max = 240) {
   const text = str(value).replace(/\s+/g, " ");
   return text.length > max ? `${text.slice(0, max - 1)}…` : text;
@@ -1585,7 +1807,7 @@ function firstField(fields, names) {
   return "";
 }
 
-async function createPricingReview(env, body) {
+async function createPricingReview(env, body, audit = null) {
   if (!env.AIRTABLE_API_KEY || !env.AIRTABLE_BASE_ID) {
     return { ok: false, error: "missing_airtable_env" };
   }
@@ -1614,9 +1836,33 @@ async function createPricingReview(env, body) {
     context,
     memberContext,
     adContext,
-    timeoutMinutes: pricingTimeoutMinutes(env),
+    timeoutMinutes: slaStepMinutes(env, "timeout_provisional_ready"),
   });
 
+  const payload = {
+    pricing_review_id: reviewId,
+    source: str(body.source || "line_oa"),
+    status: "waiting_human",
+    created_at: now,
+    line_user_id: lineUserId,
+    line_display_name: displayName,
+    message_text: safeShort(messageText, 500),
+    image_message_id: imageMessageId,
+    image_present: Boolean(imageMessageId),
+    parsed_request: parsedRequest,
+    member_context: memberContext,
+    ad_context: adContext,
+    ad_context_unknown: Boolean(adContext.ad_context_unknown),
+    needs_per_ad_match: Boolean(adContext.needs_per_ad_match),
+    review_reason: str(body.review_reason || "inbound_pricing_from_ad_or_unknown_creative"),
+    recommended_reply_strategy: str(body.recommended_reply_strategy || memberContext.recommended_reply_strategy || choosePricingReplyStrategy(adContext)),
+    raw_event_ref: str(body.raw_event_ref),
+    customer_context: context,
+    timeout_minutes: slaStepMinutes(env, "timeout_provisional_ready"),
+    final_price_thb: null,
+    provisional_range: null,
+  };
+
   const rec = await airtableCreate({
     baseId: env.AIRTABLE_BASE_ID,
     tableId: pricingReviewTable(env),
@@ -1631,39 +1877,31 @@ async function createPricingReview(env, body) {
       line_id: str(body.raw_event_ref || imageMessageId),
       legacy_tags: "line_webhook, intent:pricing_review, waiting_human",
       admin_note: brief.safeSummary,
-      payload_json: JSON.stringify({
-        pricing_review_id: reviewId,
-        source: str(body.source || "line_oa"),
-        status: "waiting_human",
-        created_at: now,
-        line_user_id: lineUserId,
-        line_display_name: displayName,
-        message_text: safeShort(messageText, 500),
-        image_message_id: imageMessageId,
-        image_present: Boolean(imageMessageId),
-        parsed_request: parsedRequest,
-        member_context: memberContext,
-        ad_context: adContext,
-        ad_context_unknown: Boolean(adContext.ad_context_unknown),
-        needs_per_ad_match: Boolean(adContext.needs_per_ad_match),
-        review_reason: str(body.review_reason || "inbound_pricing_from_ad_or_unknown_creative"),
-        recommended_reply_strategy: str(body.recommended_reply_strategy || memberContext.recommended_reply_strategy || choosePricingReplyStrategy(adContext)),
-        raw_event_ref: str(body.raw_event_ref),
-        customer_context: context,
-        timeout_minutes: pricingTimeoutMinutes(env),
-        final_price_thb: null,
-        provisional_range: null,
-      }),
+      payload_json: JSON.stringify(payload),
       status: "new",
     },
   });
-
-  const telegram = await sendPricingReviewTelegram(env, brief.telegramText);
+  await auditCreate(env, pricingReviewTable(env), rec, audit);
+
+  // assign an approver + suggested price, first alert with approve/edit/reject buttons
+  const sla = rec?.id
+    ? await startPricingReviewSla(env, {
+        table: pricingReviewTable(env),
+        recordId: rec.id,
+        payload,
+        text: brief.telegramText,
+        enqueue: telegramInternalSend,
+        sendFallback: sendPricingReviewTelegram,
+      })
+    : null;
+  const telegram = sla?.telegram || (await sendPricingReviewTelegram(env, brief.telegramText));
   return {
     ok: true,
     pricing_review_id: reviewId,
     record_id: rec?.id || "",
     status: "waiting_human",
+    assigned_to: sla?.assigned_to || "",
+    suggested_price_thb: sla?.suggested_price_thb || null,
     telegram_sent: Boolean(telegram.ok),
     telegram,
   };
@@ -1951,127 +2189,66 @@ async function sendPricingReviewTelegram(env, text) {
   return { ok: results.some((result) => result.ok), results };
 }
 
-function calculateProvisionalPricing(input = {}) {
-  const previous = Array.isArray(input.previous_prices_thb) ? input.previous_prices_thb.filter((v) => Number(v) > 0).map(Number) : [];
-  const hasRisk = Boolean(input.risk_flag);
-  const uncertainAbility = Boolean(input.unknown_ability || input.sensitive_behavior_unclear);
-  const modelIdentityUncertain = Boolean(input.model_identity_uncertain);
-  let min = 3000;
-  let max = 9000;
-  let confidence = "low";
-  if (previous.length) {
-    const low = Math.min(...previous);
-    const high = Math.max(...previous);
-    min = Math.max(1000, Math.round(low * 0.85));
-    max = Math.round(high * 1.25);
-    confidence = previous.length >= 3 ? "medium" : "low";
-  }
-  if (/vip|private|premium/i.test(str(input.model_lane_type))) {
-    min = Math.round(min * 1.2);
-    max = Math.round(max * 1.35);
-  }
-  if (/urgent|today|tonight|คืนนี้|วันนี้/i.test(str(input.urgency))) {
-    min = Math.round(min * 1.1);
-    max = Math.round(max * 1.2);
-  }
-  if (Number(input.duration_hours) > 3) max = Math.round(max * 1.25);
-  const manualOnly = hasRisk || uncertainAbility || modelIdentityUncertain;
-  return {
-    min_price_thb: min,
-    max_price_thb: Math.max(max, min + 1000),
-    confidence,
-    manual_review_required: manualOnly,
-    can_auto_send_to_customer: !manualOnly,
-    final_price_confirmed: false,
-    guardrails: {
-      risk_blocks_auto_send: hasRisk,
-      unknown_ability_blocks_claims: uncertainAbility,
-      model_identity_uncertain_blocks_final: modelIdentityUncertain,
-    },
-  };
+// Rate cards + surcharge rules live in src/routes/pricing-engine.js; without a config this is the
+// built-in default card and rules (the original 3000–9000 heuristics).
+function calculateProvisionalPricing(input = {}, config = undefined) {
+  return quotePrice(input, config);
 }
 
-async function approvePricingReview(env, body) {
+const PRICING_APPROVAL_AUDIT_KEYS = ["status", "approved_by", "final_price_thb", "customer_message", "approved_at"];
+
+async function approvePricingReview(env, body, audit = null, identity = null) {
   const reviewId = strReq(body.pricing_review_id, "pricing_review_id");
-  const approvedBy = strReq(body.approved_by, "approved_by");
+  // a named key is the operator; approved_by is only trusted from the legacy shared secrets
+  const approvedBy = identity?.named ? identity.actor : strReq(body.approved_by, "approved_by");
   const finalPrice = numReq(body.final_price_thb, "final_price_thb");
   const customerMessage = str(body.customer_message || `เรทที่ Per/Ewvon ตรวจสอบให้คือ ${money(finalPrice)} ครับ ราคานี้ยังไม่ใช่การยืนยันคิวหรือความพร้อมของนายแบบจนกว่าจะล็อกงานในระบบครับ`);
   const found = await findPricingReview(env, reviewId);
   if (!found?.id) return { ok: false, error: "pricing_review_not_found" };
   const payload = parsePayloadJson(found.fields?.payload_json);
+  const closed = pricingDecisionError(found.fields?.status, payload.status);
+  if (closed) return { ok: false, error: closed, pricing_review_id: reviewId, status: str(found.fields?.status || payload.status) };
+  const before = { ...payload, status: found.fields?.status ?? payload.status };
   payload.status = "human_approved";
   payload.approved_by = approvedBy;
+  payload.approved_by_key_id = identity?.key_id || "";
   payload.final_price_thb = finalPrice;
   payload.customer_message = customerMessage;
   payload.approved_at = new Date().toISOString();
+  payload.sla = markFirstResponse(payload.sla, approvedBy, payload.approved_at);
   const patched = await airtablePatchById(env, pricingReviewTable(env), found.id, {
     status: "human_approved",
     admin_note: `[Pricing Review Approved]\nApproved by: ${approvedBy}\nFinal price: ${money(finalPrice)}\nNo booking/availability confirmation sent automatically.`,
     payload_json: JSON.stringify(payload),
   });
+  if (patched.ok) {
+    // diff the approval itself, not the whole payload_json blob
+    await writeAudit(env, audit, {
+      table: pricingReviewTable(env),
+      record_id: found.id,
+      action: "approve",
+      before,
+      after: payload,
+      keys: PRICING_APPROVAL_AUDIT_KEYS,
+    });
+  }
   const linePush = await maybePushLinePricingMessage(env, payload.line_user_id, customerMessage);
   return {
     ok: Boolean(patched.ok),
     pricing_review_id: reviewId,
     status: "human_approved",
     line_push_sent: Boolean(linePush.ok),
-    line_push,
+    line_push: linePush,
   };
 }
 
-async function runPricingReviewTimeoutCheck(env, body = {}) {
-  const timeoutMinutes = clampInt(body.timeout_minutes || env.PRICING_TIMEOUT_MINUTES || 10, 1, 1440, 10);
-  const cutoff = new Date(Date.now() - timeoutMinutes * 60 * 1000).toISOString();
-  const records = await findWaitingPricingReviews(env, cutoff, clampInt(body.limit || 20, 1, 100, 20));
-  const processed = [];
-  for (const rec of records) {
-    const payload = parsePayloadJson(rec.fields?.payload_json);
-    const context = payload.customer_context || {};
-    const provisional = calculateProvisionalPricing({
-      previous_prices_thb: context.last_paid_amounts || [],
-      risk_flag: context.risk_issue === "yes" || (payload.member_context?.risk_flags || []).length > 0,
-      unknown_ability: true,
-      model_identity_uncertain: Boolean(payload.ad_context_unknown || payload.needs_per_ad_match),
-      duration_hours: Number(payload.parsed_request?.duration || 0),
-    });
-    payload.status = "timeout_provisional_ready";
-    payload.timeout_checked_at = new Date().toISOString();
-    payload.provisional_range = provisional;
-    await airtablePatchById(env, pricingReviewTable(env), rec.id, {
-      status: "timeout_provisional_ready",
-      admin_note: `[Pricing Review Timeout]\n10 minutes passed. Provisional range ready only, not final.\nRange: ${money(provisional.min_price_thb)}–${money(provisional.max_price_thb)}\nConfidence: ${provisional.confidence}`,
-      payload_json: JSON.stringify(payload),
-    });
-    const telegram = await sendPricingReviewTelegram(
-      env,
-      [
-        "⏱️ <b>Pricing Review Timeout</b>",
-        `Review: <code>${escHtml(payload.pricing_review_id || rec.fields?.inbox_id || rec.id)}</code>`,
-        "10 minutes passed. Provisional range is ready.",
-        `Range: <b>${escHtml(money(provisional.min_price_thb))}–${escHtml(money(provisional.max_price_thb))}</b>`,
-        `Confidence: <b>${escHtml(provisional.confidence)}</b>`,
-        "This is not final. Per/Ewvon please approve/edit before final customer price.",
-      ].join("\n"),
-    );
-    let linePush = { ok: false, skipped: true, reason: "PRICING_TIMEOUT_SEND_TO_CUSTOMER_false" };
-    if (String(env.PRICING_TIMEOUT_SEND_TO_CUSTOMER || "false").toLowerCase() === "true" && provisional.can_auto_send_to_customer) {
-      linePush = await maybePushLinePricingMessage(env, payload.line_user_id, buildProvisionalCustomerCopy(provisional));
-    }
-    processed.push({
-      pricing_review_id: payload.pricing_review_id || rec.fields?.inbox_id || rec.id,
-      status: "timeout_provisional_ready",
-      provisional,
-      telegram_sent: Boolean(telegram.ok),
-      line_push_sent: Boolean(linePush.ok),
-    });
-  }
-  return { ok: true, timeout_minutes: timeoutMinutes, processed_count: processed.length, processed };
-}
-
-function buildProvisionalCustomerCopy(provisional) {
-  return `ผมประเมินเบื้องต้นให้ก่อนจากประเภทนายแบบและรายละเอียดที่แจ้งมานะครับ เรทอาจอยู่ในช่วงประมาณ ${money(provisional.min_price_thb)}–${money(provisional.max_price_thb)} บาท ขึ้นอยู่กับวัน เวลา โซน ระยะเวลา และเงื่อนไขของนายแบบคนนั้น
-
-ราคานี้ยังเป็นช่วงประเมินเบื้องต้นครับ Per/Ewvon จะตรวจสอบและยืนยันราคาสุดท้ายอีกครั้งก่อนชำระเงินครับ`;
+function pricingSlaDeps(env) {
+  return {
+    table: pricingReviewTable(env),
+    pushLine: maybePushLinePricingMessage,
+    enqueue: telegramInternalSend,
+    sendFallback: sendPricingReviewTelegram,
+  };
 }
 
 async function findPricingReview(env, reviewId) {
@@ -2079,21 +2256,6 @@ async function findPricingReview(env, reviewId) {
   return await airtableFindOne(env, pricingReviewTable(env), `OR({inbox_id}="${safe}",RECORD_ID()="${safe}")`);
 }
 
-async function findWaitingPricingReviews(env, cutoffIso, limit) {
-  const params = new URLSearchParams();
-  params.set("pageSize", String(limit));
-  params.set("filterByFormula", `AND({intent}="pricing_review",{status}="waiting_human",IS_BEFORE({created_at},"${cutoffIso}"))`);
-  let result = await airtableFetch(env, `/${encodeURIComponent(pricingReviewTable(env))}?${params.toString()}`);
-  if (!result.ok) {
-    params.set("filterByFormula", `AND({intent}="pricing_review",{status}="waiting_human")`);
-    result = await airtableFetch(env, `/${encodeURIComponent(pricingReviewTable(env))}?${params.toString()}`);
-  }
-  const rows = result.ok ? result.data?.records || [] : [];
-  return rows
-    .map((rec) => ({ id: rec.id, fields: rec.fields || {}, createdTime: rec.createdTime }))
-    .filter((rec) => new Date(rec.createdTime || 0).toISOString() <= cutoffIso);
-}
-
 function parsePayloadJson(value) {
   try {
     const parsed = JSON.parse(str(value) || "{}");
@@ -2123,16 +2285,19 @@ async function maybePushLinePricingMessage(env, lineUserId, text) {
 }
 
 export {
+  approvePricingReview,
   buildProvisionalCustomerCopy,
   calculateProvisionalPricing,
   choosePricingReplyStrategy,
+  listModelsForMatching,
+  loadOpenJobDraft,
   parseAdContextSignals,
 };
 
 /* =========================
    Job create
 ========================= */
-async function createAdminJob(env, body) {
+async function createAdminJob(env, body, audit = null) {
   const client_name = strReq(body.client_name, "client_name");
   const model_name = strReq(body.model_name, "model_name");
   const job_type = strReq(body.job_type, "job_type");
@@ -2168,6 +2333,8 @@ async function createAdminJob(env, body) {
     model_confirm_page,
   };
 
+  const openDraft = body.draft_record_id ? await loadOpenJobDraft(env, body.draft_record_id) : null;
+
   const minted = await callPaymentsCreateLink(env, payload);
 
   const session_id = minted.session_id || minted.sessionId || "";
@@ -2187,6 +2354,17 @@ async function createAdminJob(env, body) {
   if (!customer_confirmation_url) throw new Error("missing_customer_confirmation_url");
   if (!model_confirmation_url) throw new Error("missing_model_confirmation_url");
 
+  // the record lives in payments-worker; the minted confirmation URLs (signed tokens) stay out of the row
+  await writeAudit(env, audit, {
+    table: "sessions",
+    record_id: session_id || payment_ref,
+    action: "create",
+    before: {},
+    after: { ...payload, session_id, payment_ref },
+  });
+
+  const draft = openDraft ? await closeJobDraft(env, openDraft, { session_id, payment_ref }, audit) : null;
+
   await notifyJobCreated(env, {
     session_id,
     payment_ref,
@@ -2207,10 +2385,156 @@ async function createAdminJob(env, body) {
     payment_ref,
     customer_confirmation_url,
     model_confirmation_url,
+    job_draft: draft,
     raw: minted,
   };
 }
 
+/* =========================
+   Job drafts (LINE booking dialogue hand-off)
+========================= */
+const JOB_DRAFT_ERROR_STATUS = { job_draft_not_found: 404, not_a_job_draft: 400, job_draft_closed: 409 };
+
+function jobDraftTable(env) {
+  return env.AIRTABLE_TABLE_CONSOLE_INBOX_ID || "tblFHmfpB2TTrzO2e";
+}
+
+// Nothing is minted: the draft waits in the console inbox until an admin adds job_type + amount_thb and calls
+// job/create again with draft_record_id (closeJobDraft marks it approved).
+async function createJobDraft(env, body, audit = null) {
+  const model_name = strReq(body.model_name, "model_name");
+  const job_date = strReq(body.job_date, "job_date");
+  const start_time = strReq(body.start_time, "start_time");
+  const location_name = strReq(body.location_name, "location_name");
+
+  const now = new Date().toISOString();
+  const jobDraftId = str(body.job_draft_id || `jobdraft_${crypto.randomUUID()}`);
+  const lineUserId = str(body.line_user_id);
+  const draft = {
+    client_name: str(body.client_name),
+    model_name,
+    job_type: str(body.job_type),
+    job_date,
+    start_time,
+    end_time: str(body.end_time),
+    start_at: str(body.start_at),
+    end_at: str(body.end_at),
+    duration_minutes: Number(body.duration_minutes) || 0,
+    overnight: Boolean(body.overnight),
+    location_name,
+    budget_thb: Number(body.budget_thb) || 0,
+    head_count: Number(body.head_count) || 0,
+    note: str(body.note),
+  };
+  const payload = {
+    job_draft_id: jobDraftId,
+    source: str(body.source || "line_dialog"),
+    status: "waiting_approval",
+    created_at: now,
+    line_user_id: lineUserId,
+    draft,
+    conversation: Array.isArray(body.conversation) ? body.conversation.slice(-20).map((t) => safeShort(t, 300)) : [],
+  };
+
+  const rec = await airtableCreate({
+    baseId: env.AIRTABLE_BASE_ID,
+    tableId: jobDraftTable(env),
+    apiKey: env.AIRTABLE_API_KEY,
+    fields: {
+      inbox_id: jobDraftId,
+      created_by: "admin-worker-job-draft",
+      source: "line",
+      intent: "create_session",
+      member_name: draft.client_name,
+      line_user_id: lineUserId,
+      legacy_tags: "line_dialog, intent:job_draft, waiting_approval",
+      admin_note: safeShort(`${model_name} | ${job_date} ${start_time}${draft.end_time ? `-${draft.end_time}` : ""} | ${location_name}`),
+      payload_json: JSON.stringify(payload),
+      status: "new",
+    },
+  });
+
+  await writeAudit(env, audit, {
+    table: jobDraftTable(env),
+    record_id: rec?.id || jobDraftId,
+    action: "create",
+    before: {},
+    after: payload,
+  });
+
+  const telegram = await notifyJobDraft(env, { ...draft, job_draft_id: jobDraftId, record_id: rec?.id || "" });
+  return {
+    job_draft_id: jobDraftId,
+    record_id: rec?.id || "",
+    status: "waiting_approval",
+    telegram_sent: Boolean(telegram?.ok),
+  };
+}
+
+// draft_record_id must be a job draft made by createJobDraft that is still waiting for approval; checked
+// before anything is minted so a wrong or reused id never closes an unrelated console inbox record.
+async function loadOpenJobDraft(env, recordId) {
+  const rec = await airtableGetById(env, jobDraftTable(env), str(recordId));
+  if (!rec?.id) throw new Error("job_draft_not_found");
+
+  let payload = {};
+  try {
+    payload = JSON.parse(rec.fields?.payload_json || "{}") || {};
+  } catch (_) {
+    payload = {};
+  }
+  if (rec.fields?.created_by !== "admin-worker-job-draft" || !payload.job_draft_id) throw new Error("not_a_job_draft");
+  if (payload.status !== "waiting_approval") throw new Error("job_draft_closed");
+  return { rec, payload };
+}
+
+async function closeJobDraft(env, { rec, payload }, { session_id, payment_ref }, audit = null) {
+  const next = {
+    ...payload,
+    status: "approved",
+    approval: { approved_by: str(audit?.actor), approved_at: new Date().toISOString(), session_id, payment_ref },
+  };
+
+  return await airtablePatchAudited(
+    env,
+    jobDraftTable(env),
+    rec.id,
+    { status: "done", payload_json: JSON.stringify(next) },
+    audit,
+    rec.fields
+  );
+}
+
+async function notifyJobDraft(env, data) {
+  if (!env.TELEGRAM_INTERNAL_SEND_URL || !env.INTERNAL_TOKEN) return { ok: false, skipped: true };
+
+  const lines = [
+    "📝 <b>JOB DRAFT — WAITING APPROVAL</b>",
+    `Draft: <code>${escHtml(data.job_draft_id)}</code>`,
+    `Inbox Record: <code>${escHtml(data.record_id || "-")}</code>`,
+  ];
+  if (data.client_name) lines.push(`Client: <b>${escHtml(data.client_name)}</b>`);
+  lines.push(`Model: <b>${escHtml(data.model_name)}</b>`);
+  lines.push(`Date: <b>${escHtml(data.job_date)}</b>`);
+  lines.push(
+    `Time: <b>${escHtml(data.start_time)}${data.end_time ? ` - ${escHtml(data.end_time)}` : ""}</b>${data.overnight ? " (overnight)" : ""}`
+  );
+  lines.push(`Location: <b>${escHtml(data.location_name)}</b>`);
+  if (data.budget_thb) lines.push(`Budget: <b>${Number(data.budget_thb).toLocaleString("en-US")} THB</b>`);
+  if (data.head_count) lines.push(`Guests: <b>${Number(data.head_count)}</b>`);
+  lines.push("");
+  lines.push("<i>Set job type + price, then create the job from the inbox record.</i>");
+
+  return await telegramInternalSend(env, {
+    chat_id: env.TELEGRAM_CHAT_ID || "-1003546439681",
+    message_thread_id: env.TG_THREAD_CONFIRM || 61,
+    text: lines.join("\n"),
+    parse_mode: "HTML",
+    disable_web_page_preview: true,
+    dedupe_key: `jobdraft:${data.job_draft_id}`,
+  });
+}
+
 async function callPaymentsCreateLink(env, payload) {
   const base = str(env.PAYMENTS_WORKER_BASE_URL || "").replace(/\/+$/, "");
   if (!base) throw new Error("missing_PAYMENTS_WORKER_BASE_URL");
@@ -0,0 +1,31 @@
+import assert from "node:assert/strict";
+import { loadOpenJobDraft } from "./index.js";
+
+const env = { AIRTABLE_API_KEY: "k", AIRTABLE_BASE_ID: "app" };
+const records = {
+  recDraft: { created_by: "admin-worker-job-draft", payload_json: JSON.stringify({ job_draft_id: "dlg_1", status: "waiting_approval" }) },
+  recDone: { created_by: "admin-worker-job-draft", payload_json: JSON.stringify({ job_draft_id: "dlg_2", status: "approved" }) },
+  recLine: { created_by: "netlify-line-dialog", payload_json: JSON.stringify({ dialog_id: "dlg_3", status: "handed_off" }) },
+};
+
+const realFetch = globalThis.fetch;
+globalThis.fetch = async (url) => {
+  const id = decodeURIComponent(String(url).split("/").pop());
+  if (!records[id]) return new Response(JSON.stringify({ error: "NOT_FOUND" }), { status: 404 });
+  return new Response(JSON.stringify({ id, fields: records[id] }), { status: 200 });
+};
+
+try {
+  const open = await loadOpenJobDraft(env, "recDraft");
+  assert.equal(open.rec.id, "recDraft");
+  assert.equal(open.payload.job_draft_id, "dlg_1");
+
+  // only an open draft made by job/create (mode approval) can be closed by a created job
+  await assert.rejects(loadOpenJobDraft(env, "recDone"), /job_draft_closed/);
+  await assert.rejects(loadOpenJobDraft(env, "recLine"), /not_a_job_draft/);
+  await assert.rejects(loadOpenJobDraft(env, "recMissing"), /job_draft_not_found/);
+} finally {
+  globalThis.fetch = realFetch;
+}
+
+console.log("job draft tests passed");
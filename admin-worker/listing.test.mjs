@@ -0,0 +1,30 @@
+import assert from "node:assert/strict";
+import { buildFilterFormula, MEMBER_LIST_FILTERS, MEMBER_LIST_SORTS, parseListQuery } from "./src/routes/listing.js";
+
+const spec = { filters: MEMBER_LIST_FILTERS, sorts: MEMBER_LIST_SORTS };
+const parse = (qs) => parseListQuery(new URLSearchParams(qs), spec);
+
+const basic = parse("q=Ton&limit=500&tier=VIP,svip&has_line=true&has_telegram=false&sort=-created_at,name&fields=name,tier");
+assert.equal(basic.ok, true);
+assert.equal(basic.query.pageSize, 100);
+assert.deepEqual(basic.query.sort, [{ field: "created_at", direction: "desc" }, { field: "name", direction: "asc" }]);
+assert.deepEqual(basic.query.fields, ["name", "tier"]);
+assert.deepEqual(basic.query.formulaParts, [
+  'OR(LOWER({tier})="vip",LOWER({tier})="svip")',
+  'NOT(OR({telegram_id}!="",{telegram_username}!=""))',
+  'OR({line_user_id}!="",{line_id}!="")',
+]);
+
+assert.equal(
+  buildFilterFormula({ q: 'a"b', matchFields: ["name", "nickname"], formulaParts: ['LOWER({status})="active"'] }),
+  'AND(LOWER({status})="active",OR(FIND(LOWER("a\\"b"), LOWER({name}&"")),FIND(LOWER("a\\"b"), LOWER({nickname}&""))))'
+);
+assert.equal(buildFilterFormula({ q: "", matchFields: ["name"] }), "");
+
+assert.equal(parse("").query.pageSize, 50);
+assert.equal(parse("sort=password").error, "invalid_sort");
+assert.equal(parse("has_line=yes").error, "invalid_filter");
+assert.equal(parse("fields={x}").error, "invalid_fields");
+assert.equal(parse("cursor=%%%").error, "invalid_cursor");
+
+console.log("listing tests passed");
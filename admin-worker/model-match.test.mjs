@@ -0,0 +1,134 @@
+import assert from "node:assert/strict";
+import { listModelsForMatching } from "./index.js";
+import {
+  bestModelMatch,
+  confidentCandidate,
+  editDistance,
+  modelNameVariants,
+  phoneticKey,
+  rankModelCandidates,
+  romanizeThai,
+  scoreName,
+} from "./src/routes/model-match.js";
+
+assert.equal(romanizeThai("เคนจิ"), "khenji");
+assert.equal(romanizeThai("โนอาห์"), "noah");
+assert.equal(romanizeThai("แม็กซ์"), "maeks");
+assert.equal(romanizeThai("เพลง"), "phleng");
+assert.equal(romanizeThai("เหม่ง"), "meng");
+assert.equal(romanizeThai("Kenji ๒"), "Kenji 2");
+
+// Thai and Latin spellings of one name land on one key
+for (const [thai, latin] of [
+  ["เคนจิ", "Kenji"],
+  ["ไมค์", "Mike"],
+  ["โนอาห์", "Noah"],
+  ["เกรซ", "Grace"],
+  ["จิมมี่", "Jimmy"],
+  ["มาร์ค", "Mark"],
+  ["ฟิล", "Phil"],
+  ["แม็กซ์", "Max"],
+]) {
+  assert.equal(phoneticKey(thai), phoneticKey(latin), `${thai} / ${latin}`);
+}
+assert.equal(phoneticKey("Jimmie", { keepVowels: true }), phoneticKey("Jimmy", { keepVowels: true }));
+assert.notEqual(phoneticKey("Tom", { keepVowels: true }), phoneticKey("Tim", { keepVowels: true }));
+
+assert.equal(editDistance("kenij", "kenji"), 1);
+assert.equal(editDistance("", "abc"), 3);
+
+assert.deepEqual(scoreName("KENJI!", "Kenji"), { confidence: 1, match_type: "exact" });
+assert.deepEqual(scoreName("เคนจิ", "Kenji"), { confidence: 0.9, match_type: "transliteration" });
+assert.deepEqual(scoreName("เจมส์", "James"), { confidence: 0.65, match_type: "transliteration" });
+// consonants alone are a candidate, never a match: "ต้น" is Ton, not Tony
+assert.deepEqual(scoreName("ต้น", "Tony"), { confidence: 0.65, match_type: "transliteration" });
+assert.equal(bestModelMatch("ต้น", [{ id: "recT", fields: { name: "Tony" } }]), null);
+assert.equal(rankModelCandidates("ต้น", [{ id: "recT", fields: { name: "Tony" } }])[0].record_id, "recT");
+assert.deepEqual(scoreName("Jimmie", "Jimmy"), { confidence: 0.9, match_type: "phonetic" });
+assert.deepEqual(scoreName("Kenij", "Kenji"), { confidence: 0.72, match_type: "fuzzy" });
+assert.equal(scoreName("Ken", "Kenji").match_type, "prefix");
+assert.equal(scoreName("Tom", "Tim").confidence, 0);
+assert.equal(scoreName("น้องเคนจิ", "Kenji").confidence, 0.9);
+
+const models = [
+  { id: "rec1", fields: { working_name: "Kenji", aliases: "เคน, KJ" } },
+  { id: "rec2", fields: { name: "Ken", legacy_tags: "public, alias: เคนนี่" } },
+  { id: "rec3", fields: { nickname: "Tawan", legacy_tags: "premium" } },
+  { id: "rec4", fields: { "Working Name": "Tim" } },
+];
+
+assert.deepEqual(
+  modelNameVariants(models[1]).map((v) => [v.value, v.kind]),
+  [["Ken", "name"], ["เคนนี่", "alias"]],
+);
+// plain legacy tags are not aliases
+assert.equal(rankModelCandidates("premium", models).length, 0);
+
+let ranked = rankModelCandidates("เคนจิ", models);
+assert.equal(ranked[0].record_id, "rec1");
+assert.equal(ranked[0].name, "Kenji");
+assert.equal(ranked[0].match_type, "transliteration");
+
+ranked = rankModelCandidates("เคน", models);
+assert.deepEqual(ranked.slice(0, 2).map((c) => [c.record_id, c.match_type, c.confidence]), [
+  ["rec1", "alias", 0.98],
+  ["rec2", "transliteration", 0.9],
+]);
+
+assert.equal(bestModelMatch("Kenij", models).record_id, "rec1");
+assert.equal(bestModelMatch("น้องตะวัน พรุ่งนี้ 20.00 สุขุมวิท", models).name, "Tawan");
+assert.equal(bestModelMatch("ขอดูน้องเคนนี่หน่อยครับ", models).record_id, "rec2");
+assert.equal(bestModelMatch("Tom", models), null);
+
+// too close to call => no single match
+assert.equal(
+  confidentCandidate([
+    { record_id: "a", confidence: 0.85 },
+    { record_id: "b", confidence: 0.84 },
+  ]),
+  null,
+);
+assert.equal(confidentCandidate([{ record_id: "a", confidence: 0.65 }]), null);
+
+// the list for fuzzy matching: name/alias fields only, cached, safe fields when Airtable rejects one
+const realFetch = globalThis.fetch;
+const reads = [];
+try {
+  let rejectFields = false;
+  globalThis.fetch = async (url) => {
+    const params = new URL(url).searchParams;
+    reads.push(params.getAll("fields[]"));
+    if (rejectFields && params.getAll("fields[]").includes("aliases")) {
+      return new Response(JSON.stringify({ error: { type: "UNKNOWN_FIELD_NAME", message: 'Unknown field name: "aliases"' } }), { status: 422 });
+    }
+    const page = params.get("offset") ? [{ id: "rec2", fields: { name: "Tawan" } }] : [{ id: "rec1", fields: { name: "Kenji" } }];
+    return new Response(JSON.stringify({ records: page, ...(params.get("offset") ? {} : { offset: "p2" }) }), { status: 200 });
+  };
+
+  const env = { AIRTABLE_API_KEY: "k", AIRTABLE_BASE_ID: "appModels" };
+  const now = Date.parse("2026-10-19T00:00:00Z");
+  const list = await listModelsForMatching(env, { now });
+  assert.deepEqual(list.map((m) => m.id), ["rec1", "rec2"]);
+  assert.equal(reads.length, 2);
+  assert.ok(reads[0].includes("working_name") && reads[0].includes("aliases") && reads[0].includes("legacy_tags"));
+  assert.ok(!reads[0].includes("notes"));
+
+  assert.equal(await listModelsForMatching(env, { now: now + 60_000 }), list);
+  assert.equal(reads.length, 2);
+  await listModelsForMatching(env, { now: now + 301_000 });
+  assert.equal(reads.length, 4);
+
+  reads.length = 0;
+  rejectFields = true;
+  const safe = await listModelsForMatching({ ...env, MODEL_MATCH_CACHE_SECONDS: "0" }, { now });
+  assert.equal(safe.length, 2);
+  assert.deepEqual(reads.slice(1), [["name", "nickname", "unique_key"], ["name", "nickname", "unique_key"]]);
+
+  reads.length = 0;
+  await listModelsForMatching({ ...env, MODEL_MATCH_FIELDS: "name, aliases_th" }, { now });
+  assert.deepEqual(reads[0], ["name", "aliases_th"]);
+} finally {
+  globalThis.fetch = realFetch;
+}
+
+console.log("model match tests passed");
@@ -0,0 +1,83 @@
+import assert from "node:assert/strict";
+import { bangkokDate, buildSessionTimeline, sessionGet } from "./src/routes/ops-lookup.js";
+
+// 17:30 UTC is already the next day in Bangkok
+assert.equal(bangkokDate(Date.parse("2026-10-19T17:30:00Z")), "2026-10-20");
+assert.equal(bangkokDate(Date.parse("2026-10-19T16:59:00Z")), "2026-10-19");
+
+const timeline = buildSessionTimeline(
+  { id: "recS", createdTime: "2026-10-01T01:00:00.000Z", fields: { job_type: "dinner", deposit_paid_at: "2026-10-01T03:00:00Z", final_paid_at: "" } },
+  [
+    {
+      id: "recP1",
+      fields: { payment_ref: "pay_1", payment_type: "deposit", amount_thb: 3000, "Created At": "2026-10-01T02:00:00Z", verified_at: "2026-10-01T03:00:00Z", verified_by: "mint" },
+    },
+    { id: "recP2", fields: { payment_ref: "refund_1", payment_type: "refund", amount_thb: -1000, "Created At": "2026-10-02T00:00:00Z" } },
+    { id: "recP3", fields: { payment_ref: "pay_2", payment_type: "final", amount_thb: 5000, "Created At": "bogus" } },
+  ],
+  [{ fields: { created_at: "2026-10-01T01:30:00Z", action: "create", actor: "admin_bearer", route: "/v1/admin/job/create" } }]
+);
+
+assert.deepEqual(
+  timeline.map((e) => e.event),
+  ["session_created", "audit_create", "payment_intent", "deposit_paid", "payment_verified", "refund"]
+);
+assert.equal(timeline[0].detail, "dinner");
+assert.equal(timeline[2].detail, "pay_1 deposit 3000 THB");
+assert.equal(timeline[4].detail, "pay_1 by mint");
+assert.equal(timeline[1].at, "2026-10-01T01:30:00.000Z");
+
+// events-worker transitions replace the session record's stage timestamps
+const session = { id: "recS", createdTime: "2026-10-01T01:00:00.000Z", fields: { session_id: "S1", deposit_paid_at: "2026-10-01T03:00:00Z" } };
+const stateEvents = [
+  { ts: "2026-10-02T10:00:00Z", event: "en_route", type: "transition", from: "confirmed", to: "en_route", by: "model", role: "model", reason: null },
+  { ts: "2026-10-02T09:00:00Z", event: "final_payment_confirmed", type: "marker", state: "confirmed", by: "mint", reason: "slip ok" },
+];
+const merged = buildSessionTimeline(session, [], [], stateEvents);
+assert.deepEqual(
+  merged.map((e) => [e.event, e.detail]),
+  [
+    ["session_created", ""],
+    ["final_payment_confirmed", "by mint · slip ok"],
+    ["en_route", "confirmed → en_route · by model"],
+  ]
+);
+
+// GET /v1/admin/sessions/get reads the state timeline from events-worker
+const realFetch = globalThis.fetch;
+const env = { AIRTABLE_API_KEY: "k", AIRTABLE_BASE_ID: "app", EVENTS_WORKER_BASE_URL: "https://events.example/", CONFIRM_KEY: "ck" };
+const seen = [];
+try {
+  let eventsStatus = 200;
+  globalThis.fetch = async (url, init = {}) => {
+    const u = String(url);
+    seen.push({ url: u, headers: init.headers || {} });
+    if (u.startsWith("https://events.example")) {
+      if (eventsStatus !== 200) return new Response(JSON.stringify({ ok: false, error: "session_not_found" }), { status: eventsStatus });
+      return new Response(JSON.stringify({ ok: true, session_id: "S1", status: "en_route", allowed_next: ["arrived"], last_update_at: null, timeline: stateEvents }), { status: 200 });
+    }
+    const table = decodeURIComponent(new URL(u).pathname.split("/").pop());
+    return new Response(JSON.stringify({ records: table === "Sessions" ? [session] : [] }), { status: 200 });
+  };
+
+  const res = await sessionGet(new Request("https://admin.example/v1/admin/sessions/get?session_id=S1"), env);
+  const body = await res.json();
+  assert.equal(res.status, 200);
+  assert.equal(body.timeline_source, "events-worker");
+  assert.deepEqual(body.state, { status: "en_route", allowed_next: ["arrived"], last_update_at: null });
+  assert.deepEqual(body.timeline.map((e) => e.event), ["session_created", "final_payment_confirmed", "en_route"]);
+  const call = seen.find((c) => c.url.startsWith("https://events.example"));
+  assert.equal(call.url, "https://events.example/v1/sessions/S1/timeline");
+  assert.equal(call.headers["X-Confirm-Key"], "ck");
+
+  // no job in events-worker yet: the session record's stage timestamps
+  eventsStatus = 404;
+  const fallback = await (await sessionGet(new Request("https://admin.example/v1/admin/sessions/get?session_id=S1"), env)).json();
+  assert.equal(fallback.timeline_source, "session_record");
+  assert.equal(fallback.state, null);
+  assert.deepEqual(fallback.timeline.map((e) => e.event), ["session_created", "deposit_paid"]);
+} finally {
+  globalThis.fetch = realFetch;
+}
+
+console.log("ops lookup tests passed");
@@ -0,0 +1,124 @@
+import assert from "node:assert/strict";
+import {
+  DEFAULT_PRICING_RULES,
+  backtestReviews,
+  pricingInputFromReview,
+  pricingQuote,
+  quotePrice,
+  selectRateCard,
+} from "./src/routes/pricing-engine.js";
+
+const cards = [
+  { card_id: "default", min_price_thb: 3000, max_price_thb: 9000 },
+  { card_id: "bkk", city: "Bangkok", min_price_thb: 4000, max_price_thb: 8000 },
+  { card_id: "ton_long", model: "Ton", min_hours: 3, min_price_thb: 9000, max_price_thb: 14000 },
+];
+assert.equal(selectRateCard(cards, { city: "bangkok" }).card_id, "bkk");
+assert.equal(selectRateCard(cards, { model: "ton", city: "bangkok", duration_hours: 4 }).card_id, "ton_long");
+assert.equal(selectRateCard(cards, { model: "ton", city: "bangkok", duration_hours: 2 }).card_id, "bkk");
+assert.equal(selectRateCard(cards, { city: "Pattaya" }).card_id, "default");
+
+// defaults reproduce the original heuristics
+const base = quotePrice({ previous_prices_thb: [5000, 7000, 9000], model_lane_type: "VIP", urgency: "tonight" });
+assert.equal(base.min_price_thb, Math.round(Math.round(4250 * 1.2) * 1.1));
+assert.equal(base.max_price_thb, Math.round(Math.round(11250 * 1.35) * 1.2));
+assert.equal(base.confidence, "medium");
+assert.deepEqual(base.rules_fired.map((r) => r.rule_id), ["history", "lane_vip", "urgent", "min_spread"]);
+assert.equal(base.explanation[0], "Base default: 3000–9000");
+
+// the original heuristics, kept here to hold the defaults to them
+function oldProvisional(input) {
+  const previous = (input.previous_prices_thb || []).filter((v) => Number(v) > 0).map(Number);
+  let min = 3000;
+  let max = 9000;
+  if (previous.length) {
+    min = Math.max(1000, Math.round(Math.min(...previous) * 0.85));
+    max = Math.round(Math.max(...previous) * 1.25);
+  }
+  if (/vip|private|premium/i.test(String(input.model_lane_type || ""))) {
+    min = Math.round(min * 1.2);
+    max = Math.round(max * 1.35);
+  }
+  if (/urgent|today|tonight|คืนนี้|วันนี้/i.test(String(input.urgency || ""))) {
+    min = Math.round(min * 1.1);
+    max = Math.round(max * 1.2);
+  }
+  if (Number(input.duration_hours) > 3) max = Math.round(max * 1.25);
+  return [min, Math.max(max, min + 1000)];
+}
+for (const sample of [
+  {},
+  { previous_prices_thb: [2000] },
+  { previous_prices_thb: [5000, 7000, 9000], model_lane_type: "private", urgency: "วันนี้", duration_hours: 5 },
+  { start_time: "23:30", job_date: "2026-12-31", transport_km: 80, outside_city: true, duration_hours: 2 },
+]) {
+  const q = quotePrice(sample, { holidays: ["2026-12-31"] });
+  assert.deepEqual([q.min_price_thb, q.max_price_thb], oldProvisional(sample), JSON.stringify(sample));
+}
+
+// a LINE pricing review for "คืนนี้ 5 ทุ่ม" prices the same as before: no urgency from the date text, no late night
+const tonight = pricingInputFromReview({ parsed_request: { date: "คืนนี้", time: "23:00", start_time: "23:00", duration: "2" } });
+assert.equal(tonight.urgency, "");
+const tonightQuote = quotePrice(tonight);
+assert.deepEqual([tonightQuote.min_price_thb, tonightQuote.max_price_thb], oldProvisional(tonight));
+assert.equal(pricingInputFromReview({ parsed_request: { urgency: "urgent" } }).urgency, "urgent");
+
+// late night / holiday / transport only once switched on
+const allRules = DEFAULT_PRICING_RULES.map((r) => ({ ...r, active: true }));
+const night = quotePrice(
+  { start_time: "23:30", job_date: "2026-12-31", transport_km: 35 },
+  { rateCards: cards, rules: allRules, holidays: ["2026-12-31"] }
+);
+assert.deepEqual(night.rules_fired.map((r) => r.rule_id), ["late_night", "holiday", "transport", "min_spread"]);
+assert.equal(night.min_price_thb, Math.round(Math.round(3000 * 1.1) * 1.15) + 500 + 20 * 15);
+assert.equal(quotePrice({ start_time: "21:59" }, { rules: allRules }).rules_fired.some((r) => r.rule_id === "late_night"), false);
+
+const custom = quotePrice(
+  { model_lane_type: "vip" },
+  { rules: [{ rule_id: "vip_flat", type: "lane", when: { match: "vip" }, add_thb: 2000 }] }
+);
+assert.deepEqual([custom.min_price_thb, custom.max_price_thb], [5000, 11000]);
+
+// when.match is literal terms, never a regular expression
+const laneRule = (match) => ({ rules: [{ rule_id: "r", type: "lane", when: { match }, add_thb: 100 }] });
+assert.equal(quotePrice({ model_lane_type: "vip" }, laneRule("^vip$")).rules_fired.length, 0);
+assert.equal(quotePrice({ model_lane_type: "(a+)+" }, laneRule("(a+)+")).rules_fired.length, 1);
+assert.equal(quotePrice({ model_lane_type: "aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa!" }, laneRule("(a+)+$")).rules_fired.length, 0);
+assert.equal(quotePrice({ model_lane_type: "Premium package" }, laneRule(["vip", "premium"])).rules_fired.length, 1);
+assert.equal(quotePrice({ model_lane_type: "" }, laneRule("")).rules_fired.length, 0);
+
+// configured rules and cards count only when active is exactly true (an unticked Airtable box is omitted)
+const quoteWith = async (rules) => {
+  const req = new Request("https://admin.example/v1/admin/pricing/quote", {
+    method: "POST",
+    body: JSON.stringify({ input: { model_lane_type: "vip" }, rules }),
+  });
+  return (await (await pricingQuote(req, {})).json()).quote.rules_fired.map((r) => r.rule_id);
+};
+assert.deepEqual(await quoteWith([{ rule_id: "vip_flat", type: "lane", when_json: '{"match":"vip"}', add_thb: 100 }]), []);
+assert.deepEqual(await quoteWith([{ rule_id: "vip_flat", type: "lane", when_json: '{"match":"vip"}', add_thb: 100, active: "yes" }]), []);
+assert.deepEqual(await quoteWith([{ rule_id: "vip_flat", type: "lane", when_json: '{"match":"vip"}', add_thb: 100, active: true }]), ["vip_flat"]);
+
+const input = pricingInputFromReview({
+  parsed_request: { duration: "4", model_name: "Ton" },
+  customer_context: { last_paid_amounts: [6000], risk_issue: "yes" },
+  needs_per_ad_match: true,
+});
+assert.equal(input.duration_hours, 4);
+assert.equal(input.risk_flag, true);
+assert.equal(input.model_identity_uncertain, true);
+
+const bt = backtestReviews([
+  { pricing_review_id: "a", final_price_thb: 5000, input: {} },
+  { pricing_review_id: "b", final_price_thb: 12000, input: {} },
+  { pricing_review_id: "c", final_price_thb: 2000, input: {} },
+]);
+assert.equal(bt.summary.reviews, 3);
+assert.equal(bt.summary.within_range, 1);
+assert.equal(bt.summary.above_range, 1);
+assert.equal(bt.summary.below_range, 1);
+assert.equal(bt.rows[0].pricing_review_id, "c");
+assert.equal(bt.rows[0].deviation_thb, -1000);
+assert.equal(bt.rows[0].deviation_pct, -50);
+
+console.log("pricing engine tests passed");
@@ -1,5 +1,6 @@
 import assert from "node:assert/strict";
 import {
+  approvePricingReview,
   calculateProvisionalPricing,
   choosePricingReplyStrategy,
   parseAdContextSignals,
@@ -62,4 +63,35 @@ const noHistory = calculateProvisionalPricing({});
 assert.equal(noHistory.confidence, "low");
 assert.equal(noHistory.final_price_confirmed, false);
 
+
+// approving twice (second approver, or a tap after a reject) fails without touching the record or LINE
+{
+  const realFetch = globalThis.fetch;
+  const calls = [];
+  let status = "human_approved";
+  globalThis.fetch = async (url, init = {}) => {
+    calls.push([init.method || "GET", String(url)]);
+    const record = { id: "recPR1", fields: { status, payload_json: JSON.stringify({ status, line_user_id: "U1" }) } };
+    return new Response(JSON.stringify(init.method === "PATCH" ? record : { records: [record] }));
+  };
+  try {
+    const env = { AIRTABLE_API_KEY: "k", AIRTABLE_BASE_ID: "app", LINE_CHANNEL_ACCESS_TOKEN: "t" };
+    const body = { pricing_review_id: "recPR1", approved_by: "per", final_price_thb: 9000 };
+
+    const again = await approvePricingReview(env, body);
+    assert.deepEqual(again, { ok: false, error: "pricing_review_closed", pricing_review_id: "recPR1", status: "human_approved" });
+    status = "human_rejected";
+    assert.equal((await approvePricingReview(env, body)).error, "pricing_review_closed");
+    assert.deepEqual(calls.map(([method]) => method), ["GET", "GET"]);
+
+    status = "escalated";
+    calls.length = 0;
+    const approved = await approvePricingReview(env, body);
+    assert.equal(approved.ok, true);
+    assert.equal(calls.filter(([, url]) => url.includes("api.line.me")).length, 1);
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+}
+
 console.log("admin pricing review tests passed");
@@ -0,0 +1,160 @@
+import assert from "node:assert/strict";
+import {
+  markFirstResponse,
+  nextSlaStatus,
+  pickApprover,
+  pricingDecisionError,
+  pricingEditKeyboard,
+  pricingReviewKeyboard,
+  runPricingSlaQueue,
+  slaMetrics,
+  slaSteps,
+  startPricingReviewSla,
+  suggestedPrice,
+} from "./src/routes/pricing-sla.js";
+import { parseApprovers } from "./src/operators.js";
+import { parseCallbackData } from "./src/telegramCallbacks.js";
+
+const steps = slaSteps({ PRICING_SLA_STEPS: "escalated:10,reminded:5,timeout_provisional_ready:20,bogus:1" });
+assert.deepEqual(steps.map((s) => s.status), ["reminded", "escalated", "timeout_provisional_ready"]);
+// the provisional range still comes at PRICING_TIMEOUT_MINUTES
+assert.deepEqual(
+  slaSteps({ PRICING_TIMEOUT_MINUTES: "10" }).map((s) => [s.status, s.after_minutes]),
+  [["reminded", 5], ["escalated", 8], ["timeout_provisional_ready", 10]]
+);
+assert.deepEqual(slaSteps({}).map((s) => s.after_minutes), [5, 8, 10]);
+assert.equal(slaSteps({ PRICING_TIMEOUT_MINUTES: "30" }).at(-1).after_minutes, 30);
+
+assert.equal(nextSlaStatus("new", 3, steps), "");
+assert.equal(nextSlaStatus("waiting_human", 6, steps), "reminded");
+assert.equal(nextSlaStatus("reminded", 6, steps), "");
+assert.equal(nextSlaStatus("waiting_human", 25, steps), "timeout_provisional_ready");
+assert.equal(nextSlaStatus("escalated", 12, steps), "");
+assert.equal(nextSlaStatus("human_approved", 99, steps), "");
+
+// a decided review cannot be approved or rejected again (other chats keep their live keyboards)
+assert.equal(pricingDecisionError("escalated", "escalated"), "");
+assert.equal(pricingDecisionError("timeout_provisional_ready"), "");
+assert.equal(pricingDecisionError("human_approved", "escalated"), "pricing_review_closed");
+assert.equal(pricingDecisionError("", "human_rejected"), "pricing_review_closed");
+
+const approvers = parseApprovers({ PRICING_APPROVERS: "Per:111, ewvon:222" });
+assert.deepEqual(approvers, [
+  { name: "per", telegram_id: "111" },
+  { name: "ewvon", telegram_id: "222" },
+]);
+assert.deepEqual(parseApprovers({ PRICING_REVIEW_TELEGRAM_EWVON_ID: "9" }), [{ name: "ewvon", telegram_id: "9" }]);
+assert.equal(pickApprover(approvers, 0).approver.name, "per");
+assert.deepEqual(pickApprover(approvers, 3), { approver: approvers[1], next: 2 });
+
+assert.equal(suggestedPrice({ min_price_thb: 4250, max_price_thb: 11250 }), 8000);
+assert.deepEqual(markFirstResponse({ first_response_at: "x", first_response_by: "per" }, "ewvon", "y"), {
+  first_response_at: "x",
+  first_response_by: "per",
+});
+
+const rec = "recAbCdEfGhIjKlMn";
+const kb = pricingReviewKeyboard(rec, 7500);
+assert.equal(kb.inline_keyboard[0][0].callback_data, `pr:a:${rec}:7500`);
+assert.ok(kb.inline_keyboard.flat().every((b) => Buffer.byteLength(b.callback_data) <= 64));
+assert.equal(pricingEditKeyboard(rec, 1000).inline_keyboard[0][0].callback_data, `pr:e:${rec}:500`);
+
+assert.deepEqual(parseCallbackData(`pr:a:${rec}:7500`), { domain: "pricing_review", action: "approve", record_id: rec, price: 7500 });
+assert.equal(parseCallbackData(`pr:r:${rec}`).action, "reject");
+assert.equal(parseCallbackData(`pr:a:${rec}`), null);
+assert.equal(parseCallbackData("pr:x:rec1:1"), null);
+
+const t0 = Date.parse("2026-10-01T10:00:00Z");
+const at = (min) => new Date(t0 + min * 60000).toISOString();
+const metrics = slaMetrics([
+  { payload: { created_at: at(0), status: "human_approved", approved_at: at(12), sla: { assigned_to: "per", first_response_at: at(4), reminded_at: at(5) } } },
+  { payload: { created_at: at(0), status: "human_approved", approved_at: at(30), sla: { assigned_to: "per", first_response_at: at(8), escalated_at: at(10) } } },
+  { payload: { created_at: at(0), status: "escalated", sla: { assigned_to: "ewvon", escalated_at: at(10) } } },
+  { payload: { created_at: at(0), status: "human_rejected", sla: { first_response_at: at(2) } } },
+]);
+assert.equal(metrics.approvers.per.approved, 2);
+assert.deepEqual(metrics.approvers.per.time_to_first_response_minutes, { count: 2, avg: 6, median: 6 });
+assert.deepEqual(metrics.approvers.per.time_to_approval_minutes, { count: 2, avg: 21, median: 21 });
+assert.equal(metrics.approvers.ewvon.open, 1);
+assert.equal(metrics.approvers.ewvon.time_to_first_response_minutes.median, null);
+assert.equal(metrics.approvers.unassigned.rejected, 1);
+assert.equal(metrics.totals.escalated, 2);
+
+// first alert goes through the outbox with its buttons; no direct Bot API call
+{
+  const realFetch = globalThis.fetch;
+  const direct = [];
+  globalThis.fetch = async (url) => {
+    if (String(url).includes("api.telegram.org")) direct.push(String(url));
+    return new Response("{}", { status: 200 });
+  };
+  try {
+    const queued = [];
+    const env = {
+      PRICING_APPROVERS: "per:111",
+      TELEGRAM_INTERNAL_SEND_URL: "https://tg.example/telegram/internal/send",
+      INTERNAL_TOKEN: "it",
+      TELEGRAM_BOT_TOKEN: "bt",
+      AIRTABLE_API_KEY: "k",
+      AIRTABLE_BASE_ID: "app",
+    };
+    const enqueue = async (_env, message) => {
+      queued.push(message);
+      return { ok: true };
+    };
+    const out = await startPricingReviewSla(env, { table: "t", recordId: "recAAAAAAAAAAAAAA", payload: { hours: 2 }, text: "review", enqueue });
+    assert.equal(out.telegram.ok, true);
+    assert.equal(queued.length, 1);
+    assert.equal(queued[0].chat_id, "111");
+    assert.equal(queued[0].dedupe_key, "pricing_review:recAAAAAAAAAAAAAA:new:111");
+    assert.ok(queued[0].reply_markup.inline_keyboard.length);
+    assert.equal(direct.length, 0);
+
+    // outbox down: one direct send per target, still with buttons
+    const failing = async () => ({ ok: false, status: 502 });
+    const fallback = await startPricingReviewSla(env, { table: "t", recordId: "recAAAAAAAAAAAAAA", payload: {}, text: "review", enqueue: failing });
+    assert.equal(direct.length, 1);
+    assert.equal(fallback.telegram.results[0].label, "per");
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+}
+
+// the queue re-reads each review before patching: one approved since the list was read is left alone,
+// and a first response recorded meanwhile survives the step's payload write
+{
+  const realFetch = globalThis.fetch;
+  const created_at = new Date(Date.now() - 20 * 60000).toISOString();
+  const listed = (id) => ({ id, createdTime: created_at, fields: { status: "waiting_human", payload_json: JSON.stringify({ pricing_review_id: id, status: "waiting_human", created_at }) } });
+  const stored = {
+    recA: { status: "waiting_human", payload_json: JSON.stringify({ pricing_review_id: "recA", status: "waiting_human", created_at, sla: { first_response_at: created_at, first_response_by: "per" } }) },
+    recB: { status: "human_approved", payload_json: JSON.stringify({ pricing_review_id: "recB", status: "human_approved", created_at }) },
+  };
+  const patches = [];
+  globalThis.fetch = async (url, init = {}) => {
+    const u = new URL(url);
+    const id = decodeURIComponent(u.pathname.split("/")[4] || "");
+    if (init.method === "PATCH") {
+      patches.push({ id, fields: JSON.parse(init.body).fields });
+      return new Response(JSON.stringify({ id }), { status: 200 });
+    }
+    if (id) return new Response(JSON.stringify({ id, fields: stored[id] }), { status: 200 });
+    return new Response(JSON.stringify({ records: [listed("recA"), listed("recB")] }), { status: 200 });
+  };
+  try {
+    const env = { AIRTABLE_API_KEY: "k", AIRTABLE_BASE_ID: "app", PRICING_SLA_STEPS: "reminded:5" };
+    const enqueue = async () => ({ ok: true });
+    const out = await runPricingSlaQueue(env, { table: "t", enqueue, pushLine: async () => ({ ok: true }) });
+    assert.deepEqual(out.processed.map((p) => [p.record_id, p.status]), [["recA", "reminded"]]);
+    assert.deepEqual(out.skipped.map((p) => [p.record_id, p.status, p.reason]), [["recB", "human_approved", "status_changed"]]);
+    assert.deepEqual(patches.map((p) => p.id), ["recA"]);
+    const written = JSON.parse(patches[0].fields.payload_json);
+    assert.equal(written.status, "reminded");
+    assert.equal(written.sla.first_response_by, "per");
+    assert.ok(written.sla.reminded_at);
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+}
+
+console.log("pricing sla tests passed");
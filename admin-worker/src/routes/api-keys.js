@@ -0,0 +1,227 @@
+// src/routes/api-keys.js
+// Named admin API keys with roles (ADMIN_KEYS_KV).
+//
+// Token format: mmdk_<key_id>_<secret>. Only the SHA-256 of the whole token is stored, under
+// apikey:<key_id> => { key_id, name, role, hash, created_at, created_by, revoked_at }.
+// A key is sent as "Authorization: Bearer <token>" or, for writer workers, "X-Confirm-Key: <token>".
+//
+// Each /v1/admin/* route belongs to a group (ROUTE_GROUPS); a role may call the groups in ROLE_SCOPES.
+// The legacy shared secrets (ADMIN_BEARER / INTERNAL_TOKEN / CONFIRM_KEY) still authenticate as
+// role "system" until ADMIN_LEGACY_AUTH = "false".
+//
+// Key management (/v1/admin/keys/*) is the "keys" group, i.e. system only. Creates and revokes are
+// audited with the key's id, role and groups, never its hash.
+
+import { writeAudit } from "./audit.js";
+
+export const ROLES = ["viewer", "operator", "pricing_approver", "finance", "system"];
+
+export const ROLE_SCOPES = {
+  viewer: ["read"],
+  operator: ["read", "members", "models", "pricing", "ops", "jobs"],
+  pricing_approver: ["read", "pricing", "pricing_approve"],
+  finance: ["read", "promotions", "jobs"],
+  system: ["*"],
+};
+
+// Exact paths; anything unlisted under /v1/admin/ is "read" (and 404s anyway).
+export const ROUTE_GROUPS = {
+  "/v1/admin/console/inbox": "writer",
+  "/v1/admin/sigil/handoff": "writer",
+  "/v1/admin/payment/proof": "writer",
+  "/v1/admin/members/update": "members",
+  "/v1/admin/models/upsert": "models",
+  "/v1/admin/models/stage-from-source": "models",
+  "/v1/admin/telegram/dm": "ops",
+  "/v1/admin/chat/human-mode/release": "ops",
+  "/v1/admin/promotions/create": "promotions",
+  "/v1/admin/promotions/disable": "promotions",
+  "/v1/admin/pricing/reviews/create": "pricing",
+  "/v1/admin/pricing/review-timeout-check": "pricing",
+  "/v1/admin/pricing/quote": "pricing",
+  "/v1/admin/pricing/backtest": "pricing",
+  "/v1/admin/pricing/reviews/approve": "pricing_approve",
+  "/v1/admin/job/create": "jobs",
+  "/v1/admin/telegram/callback": "telegram",
+  "/v1/admin/keys/list": "keys",
+  "/v1/admin/keys/create": "keys",
+  "/v1/admin/keys/revoke": "keys",
+};
+
+// audit actors of the shared secrets; named keys may not take these names
+const LEGACY_ACTORS = ["admin_bearer", "internal_token", "confirm_key", "unknown"];
+const KEY_PREFIX = "apikey:";
+const TOKEN_RE = /^mmdk_([a-f0-9]{12})_([a-f0-9]{48})$/;
+const NAME_RE = /^[a-z0-9][a-z0-9._-]{1,40}$/;
+
+export function routeGroup(path) {
+  return ROUTE_GROUPS[path] || "read";
+}
+
+export function canAccess(identity, group) {
+  const scopes = ROLE_SCOPES[identity?.role] || [];
+  return scopes.includes("*") || scopes.includes(group);
+}
+
+/**
+ * => { actor, role, key_id, named, via: "bearer" | "confirm_key" } | null
+ */
+export async function authenticate(req, env) {
+  const auth = req.headers.get("Authorization") || "";
+  const bearer = auth.startsWith("Bearer ") ? auth.slice(7).trim() : "";
+  const ck = asString(req.headers.get("X-Confirm-Key"));
+
+  for (const [token, via] of [
+    [bearer, "bearer"],
+    [ck, "confirm_key"],
+  ]) {
+    if (!TOKEN_RE.test(token)) continue;
+    const rec = await verifyKey(env, token);
+    if (rec) return { actor: rec.name, role: rec.role, key_id: rec.key_id, named: true, via };
+  }
+
+  if (asString(env.ADMIN_LEGACY_AUTH).toLowerCase() === "false") return null;
+
+  if (env.ADMIN_BEARER && bearer && bearer === env.ADMIN_BEARER) return legacy("admin_bearer", "bearer");
+  if (env.INTERNAL_TOKEN && bearer && bearer === env.INTERNAL_TOKEN) return legacy("internal_token", "bearer");
+  if (env.CONFIRM_KEY && ck && ck === env.CONFIRM_KEY) return legacy("confirm_key", "confirm_key");
+  return null;
+}
+
+export async function keysList(req, env) {
+  if (!env.ADMIN_KEYS_KV) return json({ ok: false, error: "missing_keys_kv", message: "ADMIN_KEYS_KV is not bound" }, 500);
+
+  const url = new URL(req.url);
+  const includeRevoked = asString(url.searchParams.get("include_revoked")) === "1";
+  const items = (await listKeyRecords(env))
+    .filter((rec) => includeRevoked || !rec.revoked_at)
+    .map(publicKey)
+    .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+
+  return json({ ok: true, items });
+}
+
+export async function keysCreate(req, env, identity, audit = null) {
+  if (!env.ADMIN_KEYS_KV) return json({ ok: false, error: "missing_keys_kv", message: "ADMIN_KEYS_KV is not bound" }, 500);
+
+  const body = await safeJson(req);
+  const name = asString(body.name).toLowerCase();
+  const role = asString(body.role).toLowerCase();
+
+  if (!NAME_RE.test(name) || LEGACY_ACTORS.includes(name)) {
+    return json({ ok: false, error: "invalid_name", message: "name must be 2-41 chars of a-z 0-9 . _ -" }, 400);
+  }
+  if (!ROLES.includes(role)) {
+    return json({ ok: false, error: "invalid_role", message: `role must be one of ${ROLES.join(", ")}` }, 400);
+  }
+
+  const active = (await listKeyRecords(env)).filter((rec) => !rec.revoked_at);
+  if (active.some((rec) => rec.name === name)) {
+    return json({ ok: false, error: "name_taken", message: "an active key already uses this name" }, 409);
+  }
+
+  const key_id = randomHex(6);
+  const token = `mmdk_${key_id}_${randomHex(24)}`;
+  const rec = {
+    key_id,
+    name,
+    role,
+    hash: await sha256Hex(token),
+    created_at: new Date().toISOString(),
+    created_by: identity?.actor || "",
+    revoked_at: null,
+  };
+  await env.ADMIN_KEYS_KV.put(`${KEY_PREFIX}${key_id}`, JSON.stringify(rec));
+  await writeAudit(env, audit, { table: "admin_keys", record_id: key_id, action: "create", after: auditedKey(rec) });
+
+  // the only time the token is ever returned
+  return json({ ok: true, key: publicKey(rec), token });
+}
+
+export async function keysRevoke(req, env, identity, audit = null) {
+  if (!env.ADMIN_KEYS_KV) return json({ ok: false, error: "missing_keys_kv", message: "ADMIN_KEYS_KV is not bound" }, 500);
+
+  const body = await safeJson(req);
+  const keyId = asString(body.key_id);
+  const rec = keyId ? await readKey(env, keyId) : null;
+  if (!rec) return json({ ok: false, error: "key_not_found", message: "unknown key_id" }, 404);
+
+  if (!rec.revoked_at) {
+    const before = auditedKey(rec);
+    rec.revoked_at = new Date().toISOString();
+    rec.revoked_by = identity?.actor || "";
+    await env.ADMIN_KEYS_KV.put(`${KEY_PREFIX}${rec.key_id}`, JSON.stringify(rec));
+    await writeAudit(env, audit, { table: "admin_keys", record_id: rec.key_id, action: "revoke", before, after: auditedKey(rec) });
+  }
+  return json({ ok: true, key: publicKey(rec) });
+}
+
+export async function sha256Hex(value) {
+  const buf = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(value));
+  return Array.from(new Uint8Array(buf), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+async function verifyKey(env, token) {
+  if (!env.ADMIN_KEYS_KV) return null;
+  const [, keyId] = token.match(TOKEN_RE);
+  const rec = await readKey(env, keyId);
+  if (!rec || rec.revoked_at || !ROLES.includes(rec.role)) return null;
+  return (await sha256Hex(token)) === rec.hash ? rec : null;
+}
+
+async function readKey(env, keyId) {
+  return env.ADMIN_KEYS_KV.get(`${KEY_PREFIX}${keyId}`, { type: "json" }).catch(() => null);
+}
+
+async function listKeyRecords(env) {
+  const out = [];
+  let cursor;
+  do {
+    const page = await env.ADMIN_KEYS_KV.list({ prefix: KEY_PREFIX, cursor });
+    for (const k of page.keys) {
+      const rec = await env.ADMIN_KEYS_KV.get(k.name, { type: "json" }).catch(() => null);
+      if (rec) out.push(rec);
+    }
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+  return out;
+}
+
+function legacy(actor, via) {
+  return { actor, role: "system", key_id: "", named: false, via };
+}
+
+function publicKey(rec) {
+  const { hash: _hash, ...rest } = rec;
+  return rest;
+}
+
+function auditedKey(rec) {
+  return { ...publicKey(rec), groups: (ROLE_SCOPES[rec.role] || []).join(",") };
+}
+
+function randomHex(bytes) {
+  return Array.from(crypto.getRandomValues(new Uint8Array(bytes)), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      "Content-Type": "application/json; charset=utf-8",
+    },
+  });
+}
+
+async function safeJson(req) {
+  try {
+    return await req.json();
+  } catch (_) {
+    return {};
+  }
+}
+
+function asString(value) {
+  if (value === null || value === undefined) return "";
+  return String(value).trim();
+}
@@ -0,0 +1,115 @@
+// src/routes/audit.js
+// Append-only audit trail for admin-worker mutations (AIRTABLE_TABLE_AUDIT_LOG).
+//
+// One row per successful write: who (actor = the named key, or which legacy secret was used),
+// which route, which record, the field-level diff ({ field: { from, to } }) and the request id
+// (X-Request-Id, else cf-ray) so a row can be matched to worker logs.
+//
+// Rows are only ever created here; there is no update/delete route on purpose.
+// GET /v1/admin/audit lists them newest first, filterable by record_id / actor / route / table.
+//
+// Mounted under /v1/admin/ in index.js, so core admin auth has already run.
+
+import { listTable } from "./listing.js";
+
+export const AUDIT_LIST_FILTERS = {
+  record_id: { type: "eq", field: "record_id" },
+  actor: { type: "eq", field: "actor" },
+  route: { type: "eq", field: "route" },
+  table: { type: "eq", field: "table" },
+  action: { type: "eq", field: "action" },
+};
+export const AUDIT_LIST_SORTS = ["created_at"];
+
+const AIRTABLE_API = "https://api.airtable.com/v0";
+
+export function auditTable(env) {
+  return asString(env.AIRTABLE_TABLE_AUDIT_LOG) || "audit_log";
+}
+
+/**
+ * Per-request context handed to mutation helpers; they call writeAudit once the write succeeded.
+ * identity comes from authenticate() in api-keys.js (actor = key name, or the legacy secret's name).
+ */
+export function auditContext(req, identity) {
+  return {
+    actor: asString(identity?.actor) || "unknown",
+    route: new URL(req.url).pathname,
+    request_id: asString(req.headers.get("X-Request-Id")) || asString(req.headers.get("cf-ray")) || crypto.randomUUID(),
+  };
+}
+
+/**
+ * Changed fields only. keys defaults to every key on either side.
+ * => { field: { from, to } }
+ */
+export function fieldDiff(before = {}, after = {}, keys = null) {
+  const diff = {};
+  const list = keys || Array.from(new Set([...Object.keys(before || {}), ...Object.keys(after || {})]));
+  for (const key of list) {
+    const from = emptyToNull(before?.[key]);
+    const to = emptyToNull(after?.[key]);
+    if (JSON.stringify(from) !== JSON.stringify(to)) diff[key] = { from, to };
+  }
+  return diff;
+}
+
+/**
+ * entry = { table, record_id, action, before?, after?, keys? }
+ * Best effort: the mutation already happened, so a failed audit write is logged, never thrown.
+ */
+export async function writeAudit(env, audit, entry) {
+  if (!audit) return { ok: false, skipped: true };
+  if (!env.AIRTABLE_API_KEY || !env.AIRTABLE_BASE_ID) return { ok: false, error: "missing_airtable_env" };
+
+  const diff = fieldDiff(entry.before || {}, entry.after || {}, entry.keys || null);
+  const fields = {
+    audit_id: `aud_${crypto.randomUUID()}`,
+    created_at: new Date().toISOString(),
+    actor: audit.actor,
+    route: audit.route,
+    request_id: audit.request_id,
+    table: asString(entry.table),
+    record_id: asString(entry.record_id),
+    action: asString(entry.action) || "update",
+    changed_fields: Object.keys(diff).join(","),
+    diff_json: JSON.stringify(diff),
+  };
+
+  try {
+    const res = await fetch(`${AIRTABLE_API}/${env.AIRTABLE_BASE_ID}/${encodeURIComponent(auditTable(env))}`, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${env.AIRTABLE_API_KEY}`, "Content-Type": "application/json" },
+      body: JSON.stringify({ records: [{ fields }], typecast: true }),
+    });
+    if (!res.ok) {
+      console.error("audit_write_failed", res.status, fields.route, fields.record_id);
+      return { ok: false, error: "audit_write_failed", status: res.status };
+    }
+    return { ok: true, audit_id: fields.audit_id };
+  } catch (error) {
+    console.error("audit_write_failed", String(error?.message || error), fields.route, fields.record_id);
+    return { ok: false, error: "audit_write_failed" };
+  }
+}
+
+export async function auditList(req, env) {
+  return listTable(req, env, {
+    table: auditTable(env),
+    layer: "core",
+    matchFields: [],
+    filters: AUDIT_LIST_FILTERS,
+    sorts: AUDIT_LIST_SORTS,
+    defaultSort: [{ field: "created_at", direction: "desc" }],
+  });
+}
+
+// Airtable drops empty cells, so "" and missing are the same value
+function emptyToNull(value) {
+  return value === undefined || value === "" ? null : value;
+}
+
+function asString(value) {
+  if (value === null || value === undefined) return "";
+  return String(value).trim();
+}
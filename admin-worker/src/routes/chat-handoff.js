@@ -0,0 +1,71 @@
+// src/routes/chat-handoff.js
+// chat-worker handoffs land in the console inbox through /v1/admin/sigil/handoff (source "chat_worker")
+// and park the member in "human mode" (AI replies suppressed). This releases them back to the AI.
+//
+// Mounted under /v1/admin/ in index.js, so core admin auth has already run.
+
+import { writeAudit } from "./audit.js";
+
+export async function chatHumanModeRelease(req, env, audit = null) {
+  const base = asString(env.CHAT_WORKER_BASE_URL).replace(/\/+$/, "");
+  if (!base || !env.INTERNAL_TOKEN) {
+    return json({ ok: false, error: "missing_chat_worker_env", message: "CHAT_WORKER_BASE_URL / INTERNAL_TOKEN missing" }, 500);
+  }
+
+  const body = await safeJson(req);
+  const memberId = asString(body.member_id);
+  if (!memberId) {
+    return json({ ok: false, error: "missing_member_id", message: "member_id is required" }, 400);
+  }
+
+  try {
+    const res = await fetch(`${base}/v1/chat/human-mode/release`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "X-Internal-Token": env.INTERNAL_TOKEN },
+      body: JSON.stringify({ member_id: memberId, released_by: asString(audit?.actor) || "admin" }),
+    });
+    const data = await res.json().catch(() => null);
+    if (!res.ok || !data?.ok) {
+      return json({ ok: false, error: "release_failed", message: data?.error || `chat-worker ${res.status}` }, 502);
+    }
+
+    if (data.released) {
+      await writeAudit(env, audit, {
+        table: "chat_human_mode",
+        record_id: memberId,
+        action: "release",
+        before: { human_mode: data.previous },
+        after: { human_mode: null },
+      });
+    }
+
+    return json({ ok: true, member_id: memberId, released: Boolean(data.released), previous: data.previous || null });
+  } catch (error) {
+    return json(
+      { ok: false, error: "release_failed", message: error instanceof Error ? error.message : "Unknown error" },
+      502
+    );
+  }
+}
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      "Content-Type": "application/json; charset=utf-8",
+    },
+  });
+}
+
+async function safeJson(req) {
+  try {
+    return await req.json();
+  } catch (_) {
+    return {};
+  }
+}
+
+function asString(value) {
+  if (value === null || value === undefined) return "";
+  return String(value).trim();
+}
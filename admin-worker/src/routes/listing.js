@@ -0,0 +1,192 @@
+// src/routes/listing.js
+// Paginated / filterable / sortable Airtable listing for /v1/admin/members/list and /v1/admin/models/list.
+//
+// Query params:
+//   q           free-text search over the spec's matchFields
+//   limit       page size, 1..100 (Airtable max per request)
+//   cursor      next_cursor from the previous page (only valid with the same query)
+//   sort        "name" | "-created_at" | "status,-name" (whitelisted per table)
+//   fields      sparse selection, "name,email,tier"
+//   <filter>    per-table filters (see MEMBER_LIST_FILTERS / MODEL_LIST_FILTERS); CSV = any of
+//
+// Mounted under /v1/admin/ in index.js, so core admin auth has already run.
+
+const AIRTABLE_API = "https://api.airtable.com/v0";
+const FIELD_NAME_RE = /^[\w .()-]{1,80}$/;
+
+// eq: case-insensitive equals, CSV values are OR-ed. present: "true" = any field non-empty, "false" = all empty.
+export const MEMBER_LIST_FILTERS = {
+  tier: { type: "eq", field: "tier" },
+  status: { type: "eq", field: "status" },
+  source_channel: { type: "eq", field: "source_channel" },
+  has_telegram: { type: "present", fields: ["telegram_id", "telegram_username"] },
+  has_line: { type: "present", fields: ["line_user_id", "line_id"] },
+};
+export const MEMBER_LIST_SORTS = ["name", "nickname", "status", "tier", "source_channel", "created_at"];
+
+export const MODEL_LIST_FILTERS = {
+  status: { type: "eq", field: "status" },
+  has_telegram: { type: "present", fields: ["telegram_id", "telegram_username"] },
+};
+export const MODEL_LIST_SORTS = ["name", "nickname", "status", "model_code"];
+
+/**
+ * spec = { table, layer, matchFields, fallbackMatchFields?, filters, sorts, defaultSort? }
+ */
+export async function listTable(req, env, spec) {
+  if (!env.AIRTABLE_API_KEY || !env.AIRTABLE_BASE_ID) {
+    return json({ ok: false, error: "missing_airtable_env", message: "Airtable env is missing" }, 500);
+  }
+
+  const url = new URL(req.url);
+  const parsed = parseListQuery(url.searchParams, spec);
+  if (!parsed.ok) return json(parsed, 400);
+
+  try {
+    let page = await airtablePage(env, spec.table, { ...parsed.query, matchFields: spec.matchFields });
+
+    // configured search fields may not all exist on this base; retry once with the safe set
+    if (!page.ok && page.status === 422 && parsed.query.q && spec.fallbackMatchFields?.length) {
+      page = await airtablePage(env, spec.table, { ...parsed.query, matchFields: spec.fallbackMatchFields });
+    }
+
+    if (!page.ok) {
+      return json({ ok: false, error: "airtable_error", status: page.status, message: page.message }, 502);
+    }
+
+    return json({
+      ok: true,
+      layer: spec.layer,
+      items: page.items,
+      next_cursor: page.offset ? encodeCursor(page.offset) : null,
+      page_size: parsed.query.pageSize,
+    });
+  } catch (error) {
+    return json(
+      { ok: false, error: "list_failed", message: error instanceof Error ? error.message : "Unknown error" },
+      500
+    );
+  }
+}
+
+/**
+ * => { ok:true, query:{ q, pageSize, offset, formulaParts, sort, fields } } | { ok:false, error, message }
+ */
+export function parseListQuery(params, spec) {
+  const q = asString(params.get("q"));
+  const pageSize = clampInt(params.get("limit"), 1, 100, 50);
+
+  const offset = params.get("cursor") ? decodeCursor(params.get("cursor")) : "";
+  if (params.get("cursor") && !offset) return { ok: false, error: "invalid_cursor", message: "cursor is not valid" };
+
+  const formulaParts = [];
+  for (const [key, filter] of Object.entries(spec.filters || {})) {
+    const raw = asString(params.get(key));
+    if (!raw) continue;
+
+    if (filter.type === "present") {
+      if (!["true", "false"].includes(raw)) {
+        return { ok: false, error: "invalid_filter", message: `${key} must be true or false` };
+      }
+      const present = filter.fields.map((f) => `{${f}}!=""`);
+      formulaParts.push(raw === "true" ? `OR(${present.join(",")})` : `NOT(OR(${present.join(",")}))`);
+      continue;
+    }
+
+    const values = raw.split(",").map((v) => v.trim().toLowerCase()).filter(Boolean);
+    const eqs = values.map((v) => `LOWER({${filter.field}})="${escapeFormula(v)}"`);
+    formulaParts.push(eqs.length === 1 ? eqs[0] : `OR(${eqs.join(",")})`);
+  }
+
+  const sort = [];
+  for (const key of asString(params.get("sort")).split(",").map((s) => s.trim()).filter(Boolean)) {
+    const field = key.replace(/^-/, "");
+    if (!(spec.sorts || []).includes(field)) {
+      return { ok: false, error: "invalid_sort", message: `sort must be one of ${(spec.sorts || []).join(", ")}` };
+    }
+    sort.push({ field, direction: key.startsWith("-") ? "desc" : "asc" });
+  }
+  if (!sort.length && spec.defaultSort) sort.push(...spec.defaultSort);
+
+  const fields = asString(params.get("fields")).split(",").map((s) => s.trim()).filter(Boolean);
+  const badField = fields.find((f) => !FIELD_NAME_RE.test(f));
+  if (badField) return { ok: false, error: "invalid_fields", message: `invalid field name: ${badField}` };
+
+  return { ok: true, query: { q, pageSize, offset, formulaParts, sort, fields } };
+}
+
+export function buildFilterFormula({ q, matchFields = [], formulaParts = [] }) {
+  const parts = [...formulaParts];
+  if (q && matchFields.length) {
+    const safe = escapeFormula(q);
+    parts.push(`OR(${matchFields.map((f) => `FIND(LOWER("${safe}"), LOWER({${f}}&""))`).join(",")})`);
+  }
+  if (!parts.length) return "";
+  return parts.length === 1 ? parts[0] : `AND(${parts.join(",")})`;
+}
+
+function encodeCursor(offset) {
+  return btoa(offset).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/g, "");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const b64 = asString(cursor).replace(/-/g, "+").replace(/_/g, "/");
+    return atob(b64 + "=".repeat((4 - (b64.length % 4)) % 4));
+  } catch (_) {
+    return "";
+  }
+}
+
+async function airtablePage(env, table, { q, matchFields, formulaParts, pageSize, offset, sort, fields }) {
+  const params = new URLSearchParams();
+  params.set("pageSize", String(pageSize));
+  if (offset) params.set("offset", offset);
+
+  const formula = buildFilterFormula({ q, matchFields, formulaParts });
+  if (formula) params.set("filterByFormula", formula);
+
+  sort.forEach((s, i) => {
+    params.set(`sort[${i}][field]`, s.field);
+    params.set(`sort[${i}][direction]`, s.direction);
+  });
+  fields.forEach((f) => params.append("fields[]", f));
+
+  const res = await fetch(`${AIRTABLE_API}/${env.AIRTABLE_BASE_ID}/${encodeURIComponent(table)}?${params.toString()}`, {
+    headers: { Authorization: `Bearer ${env.AIRTABLE_API_KEY}` },
+  });
+  const data = await res.json().catch(() => null);
+  if (!res.ok) {
+    return { ok: false, status: res.status, message: asString(data?.error?.message || data?.error?.type || data?.error) };
+  }
+
+  return {
+    ok: true,
+    items: (data?.records || []).map((rec) => ({ id: rec.id, fields: rec.fields || {}, createdTime: rec.createdTime })),
+    offset: asString(data?.offset),
+  };
+}
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      "Content-Type": "application/json; charset=utf-8",
+    },
+  });
+}
+
+function asString(value) {
+  if (value === null || value === undefined) return "";
+  return String(value).trim();
+}
+
+function clampInt(v, min, max, fallback) {
+  const n = Number(v);
+  if (v === null || v === undefined || v === "" || !Number.isFinite(n)) return fallback;
+  return Math.max(min, Math.min(max, Math.floor(n)));
+}
+
+function escapeFormula(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+}
@@ -0,0 +1,266 @@
+// src/routes/ops-lookup.js
+// Read-only lookups for operators (the Telegram bot in telegram-worker calls these):
+//
+//   GET /v1/admin/sessions/get?session_id=     session + its payments + timeline
+//   GET /v1/admin/sessions/today?date=         sessions whose job_date is that day (default today, Bangkok)
+//   GET /v1/admin/payments/get?payment_ref=    payment + refunds written against it
+//   GET /v1/admin/ops/pending                  unverified payment intents + pricing reviews waiting on a human
+//
+// Sessions and payments are written by payments-worker. The timeline merges the session's state
+// transitions and markers from events-worker GET /v1/sessions/:id/timeline (the Jobs events_json,
+// EVENTS_WORKER_BASE_URL + CONFIRM_KEY), payment events and audit rows (record_id = session_id), oldest
+// first. Without events-worker (unset, or no job for the session yet) the session record's stage
+// timestamps stand in for the transitions; `timeline_source` says which was used.
+//
+// Mounted under /v1/admin/ in index.js, so core admin auth has already run.
+
+import { auditTable } from "./audit.js";
+import { openPricingReviews } from "./pricing-sla.js";
+
+const AIRTABLE_API = "https://api.airtable.com/v0";
+const BANGKOK_OFFSET_MS = 7 * 60 * 60 * 1000;
+const REF_RE = /^[A-Za-z0-9_.:-]{1,80}$/;
+
+export function sessionsTable(env) {
+  return asString(env.AIRTABLE_TABLE_SESSIONS) || "Sessions";
+}
+
+export function paymentsTable(env) {
+  return asString(env.AIRTABLE_TABLE_PAYMENTS) || "payments";
+}
+
+// YYYY-MM-DD in Asia/Bangkok (no DST, fixed +07:00)
+export function bangkokDate(now = Date.now()) {
+  return new Date(now + BANGKOK_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * stateEvents: events-worker timeline entries ({ ts, event, type, from, to, by, reason }), or null to fall
+ * back to the session record's stage timestamps.
+ * => [{ at, event, detail }] oldest first. Rows without a parseable time are dropped.
+ */
+export function buildSessionTimeline(session, payments = [], auditRows = [], stateEvents = null) {
+  const sf = session?.fields || {};
+  const events = [{ at: sf.created_at || session?.createdTime, event: "session_created", detail: asString(sf.job_type) }];
+
+  if (Array.isArray(stateEvents)) {
+    for (const e of stateEvents) {
+      const by = asString(e?.by) && `by ${asString(e.by)}`;
+      const move = e?.type === "transition" ? `${asString(e.from) || "?"} → ${asString(e.to)}` : "";
+      events.push({ at: e?.ts, event: asString(e?.event) || "state_event", detail: [move, by, asString(e?.reason)].filter(Boolean).join(" · ") });
+    }
+  } else {
+    events.push(
+      { at: sf.deposit_paid_at, event: "deposit_paid", detail: "" },
+      { at: sf.final_paid_at, event: "final_paid", detail: "" },
+      { at: sf.tips_paid_at, event: "tips_paid", detail: "" }
+    );
+  }
+
+  for (const p of payments) {
+    const f = p.fields || {};
+    const ref = asString(f.payment_ref);
+    const amount = Number(f.amount_thb ?? f.amount) || 0;
+    if (asString(f.payment_type) === "refund") {
+      events.push({ at: f.refunded_at || f["Created At"] || p.createdTime, event: "refund", detail: `${ref} ${amount} THB` });
+      continue;
+    }
+    events.push({ at: f["Created At"] || p.createdTime, event: "payment_intent", detail: `${ref} ${asString(f.payment_type)} ${amount} THB` });
+    if (f.verified_at) {
+      events.push({ at: f.verified_at, event: "payment_verified", detail: [ref, asString(f.verified_by)].filter(Boolean).join(" by ") });
+    }
+    if (f.rejected_at) {
+      events.push({ at: f.rejected_at, event: "slip_rejected", detail: [ref, asString(f.rejected_by)].filter(Boolean).join(" by ") });
+    }
+  }
+
+  for (const row of auditRows) {
+    const f = row.fields || {};
+    events.push({ at: f.created_at, event: `audit_${asString(f.action) || "change"}`, detail: [asString(f.actor), asString(f.route)].filter(Boolean).join(" ") });
+  }
+
+  return events
+    .filter((e) => toMs(e.at))
+    .sort((a, b) => toMs(a.at) - toMs(b.at))
+    .map((e) => ({ at: new Date(toMs(e.at)).toISOString(), event: e.event, detail: e.detail }));
+}
+
+export async function sessionGet(req, env) {
+  const sessionId = asString(new URL(req.url).searchParams.get("session_id"));
+  if (!REF_RE.test(sessionId)) return json({ ok: false, error: "invalid_session_id", message: "session_id is required" }, 400);
+
+  return guarded(async () => {
+    const [session] = await airtableSelect(env, sessionsTable(env), `{session_id}=${quote(sessionId)}`, 1);
+    if (!session) return json({ ok: false, error: "session_not_found", session_id: sessionId }, 404);
+
+    const [payments, auditRows, state] = await Promise.all([
+      airtableSelect(env, paymentsTable(env), `{session_id}=${quote(sessionId)}`, 50),
+      airtableSelect(env, auditTable(env), `{record_id}=${quote(sessionId)}`, 50).catch(() => []),
+      fetchSessionState(env, sessionId),
+    ]);
+
+    return json({
+      ok: true,
+      layer: "core",
+      session,
+      payments,
+      state: state && { status: asString(state.status), allowed_next: state.allowed_next || [], last_update_at: state.last_update_at || null },
+      timeline: buildSessionTimeline(session, payments, auditRows, state ? state.timeline || [] : null),
+      timeline_source: state ? "events-worker" : "session_record",
+    });
+  });
+}
+
+export async function sessionsToday(req, env) {
+  const raw = asString(new URL(req.url).searchParams.get("date"));
+  const date = raw || bangkokDate();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return json({ ok: false, error: "invalid_date", message: "date must be YYYY-MM-DD" }, 400);
+
+  return guarded(async () => {
+    // job_date may be a date field or text; both start with YYYY-MM-DD as a string
+    const items = await airtableSelect(env, sessionsTable(env), `LEFT({job_date}&"",10)="${date}"`, 100);
+    items.sort((a, b) => asString(a.fields?.start_time).localeCompare(asString(b.fields?.start_time)));
+    return json({ ok: true, layer: "core", date, count: items.length, items });
+  });
+}
+
+export async function paymentGet(req, env) {
+  const paymentRef = asString(new URL(req.url).searchParams.get("payment_ref"));
+  if (!REF_RE.test(paymentRef)) return json({ ok: false, error: "invalid_payment_ref", message: "payment_ref is required" }, 400);
+
+  return guarded(async () => {
+    const [payment] = await airtableSelect(env, paymentsTable(env), `{payment_ref}=${quote(paymentRef)}`, 1);
+    if (!payment) return json({ ok: false, error: "payment_not_found", payment_ref: paymentRef }, 404);
+
+    const refunds = await airtableSelect(env, paymentsTable(env), `{refund_of}=${quote(paymentRef)}`, 50).catch(() => []);
+    return json({ ok: true, layer: "core", payment, refunds });
+  });
+}
+
+export async function opsPending(req, env, { pricingTable }) {
+  const limit = clampInt(new URL(req.url).searchParams.get("limit"), 1, 100, 25);
+
+  return guarded(async () => {
+    const [payments, reviews] = await Promise.all([
+      airtableSelect(
+        env,
+        paymentsTable(env),
+        `AND(LOWER({Payment Status}&"")="pending",{payment_type}!="refund")`,
+        limit
+      ),
+      openPricingReviews(env, pricingTable, limit),
+    ]);
+
+    return json({
+      ok: true,
+      layer: "core",
+      payments: payments.map((p) => ({
+        id: p.id,
+        payment_ref: asString(p.fields?.payment_ref),
+        session_id: asString(p.fields?.session_id),
+        payment_type: asString(p.fields?.payment_type),
+        amount_thb: Number(p.fields?.amount_thb ?? p.fields?.amount) || 0,
+        verification_status: asString(p.fields?.["Verification Status"]),
+        created_at: asString(p.fields?.["Created At"]) || p.createdTime || "",
+      })),
+      pricing_reviews: reviews.map((r) => {
+        const payload = parseJson(r.fields?.payload_json);
+        return {
+          id: r.id,
+          pricing_review_id: asString(payload.pricing_review_id) || asString(r.fields?.inbox_id),
+          status: asString(payload.status) || asString(r.fields?.status),
+          member_name: asString(r.fields?.member_name),
+          assigned_to: asString(payload.sla?.assigned_to),
+          created_at: asString(payload.created_at) || r.createdTime || "",
+        };
+      }),
+    });
+  });
+}
+
+// events-worker GET /v1/sessions/:id/timeline => { status, allowed_next, last_update_at, timeline } | null
+async function fetchSessionState(env, sessionId) {
+  const base = asString(env.EVENTS_WORKER_BASE_URL).replace(/\/+$/, "");
+  if (!base) return null;
+
+  try {
+    const res = await fetch(`${base}/v1/sessions/${encodeURIComponent(sessionId)}/timeline`, {
+      headers: { Accept: "application/json", ...(env.CONFIRM_KEY ? { "X-Confirm-Key": env.CONFIRM_KEY } : {}) },
+    });
+    const data = await res.json().catch(() => null);
+    if (res.ok && data?.ok) return data;
+    if (res.status !== 404) {
+      console.log(JSON.stringify({ event: "session_timeline_failed", session_id: sessionId, status: res.status, error: asString(data?.error) }));
+    }
+  } catch (error) {
+    console.log(JSON.stringify({ event: "session_timeline_failed", session_id: sessionId, error: error instanceof Error ? error.message : String(error) }));
+  }
+  return null;
+}
+
+async function guarded(fn) {
+  try {
+    return await fn();
+  } catch (error) {
+    return json({ ok: false, error: "lookup_failed", message: error instanceof Error ? error.message : "Unknown error" }, 500);
+  }
+}
+
+async function airtableSelect(env, table, formula, max) {
+  if (!env.AIRTABLE_API_KEY || !env.AIRTABLE_BASE_ID) throw new Error("missing_airtable_env");
+
+  const records = [];
+  let offset = "";
+  do {
+    const params = new URLSearchParams({ pageSize: String(Math.min(100, max)), filterByFormula: formula });
+    if (offset) params.set("offset", offset);
+
+    const res = await fetch(`${AIRTABLE_API}/${env.AIRTABLE_BASE_ID}/${encodeURIComponent(table)}?${params}`, {
+      headers: { Authorization: `Bearer ${env.AIRTABLE_API_KEY}` },
+    });
+    const data = await res.json().catch(() => null);
+    if (!res.ok) throw new Error(`airtable_${table}_${res.status}`);
+
+    for (const rec of data?.records || []) records.push({ id: rec.id, fields: rec.fields || {}, createdTime: rec.createdTime });
+    offset = asString(data?.offset);
+  } while (offset && records.length < max);
+  return records.slice(0, max);
+}
+
+function quote(value) {
+  return `"${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+}
+
+function parseJson(value) {
+  try {
+    const parsed = JSON.parse(asString(value) || "{}");
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch (_) {
+    return {};
+  }
+}
+
+function toMs(value) {
+  const ms = Date.parse(asString(value));
+  return Number.isFinite(ms) ? ms : 0;
+}
+
+function clampInt(v, min, max, fallback) {
+  const n = Number(v);
+  if (v === null || v === undefined || v === "" || !Number.isFinite(n)) return fallback;
+  return Math.max(min, Math.min(max, Math.floor(n)));
+}
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      "Content-Type": "application/json; charset=utf-8",
+    },
+  });
+}
+
+function asString(value) {
+  if (value === null || value === undefined) return "";
+  return String(value).trim();
+}
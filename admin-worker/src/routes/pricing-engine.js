@@ -0,0 +1,458 @@
+// src/routes/pricing-engine.js
+// Pricing engine v2: rate cards + surcharge rules as data, with an explanation of every rule that fired.
+//
+// Rate cards (AIRTABLE_TABLE_PRICING_RATE_CARDS, else DEFAULT_RATE_CARDS) give the base range. The most
+// specific card wins: model (8) > lane (4) > city (2) > duration band (1); blank columns match anything.
+// Rules (AIRTABLE_TABLE_PRICING_RULES, else DEFAULT_PRICING_RULES) then run in `order`; each one that fires
+// applies min/max multipliers (rounded per step) and/or a flat add_thb. See RULE_TYPES for the `when` params.
+// Airtable rows only count when their `active` box is ticked. `when.match` is a "|"-separated list of literal
+// terms, never a regular expression.
+//
+// With the defaults a quote equals the old inline heuristics (history, VIP lane, urgency, over three hours,
+// ฿1,000 spread), so calculateProvisionalPricing in index.js is a thin wrapper over quotePrice(). The
+// late_night, holiday and transport rules ship inactive: turn them on in the rules table (or try them as a
+// draft config on /pricing/quote and /pricing/backtest) to change prices.
+//
+//   POST /v1/admin/pricing/quote     body = pricing input (+ optional rate_cards / rules to try a draft config)
+//   POST /v1/admin/pricing/backtest  replay human_approved pricing reviews, report deviation from final_price_thb
+//
+// Mounted under /v1/admin/ in index.js, so core admin auth has already run.
+
+const AIRTABLE_API = "https://api.airtable.com/v0";
+
+export const DEFAULT_RATE_CARDS = [
+  { card_id: "default", model: "", lane: "", city: "", min_hours: 0, max_hours: 0, min_price_thb: 3000, max_price_thb: 9000, confidence: "low" },
+];
+
+export const DEFAULT_PRICING_RULES = [
+  { rule_id: "history", type: "history", label: "Client's previous paid prices", order: 10, when: { low_factor: 0.85, high_factor: 1.25, floor_thb: 1000, medium_samples: 3 } },
+  { rule_id: "lane_vip", type: "lane", label: "VIP / private / premium lane", order: 20, when: { match: "vip|private|premium" }, min_multiplier: 1.2, max_multiplier: 1.35 },
+  { rule_id: "urgent", type: "urgency", label: "Same-day / urgent request", order: 30, when: { match: "urgent|today|tonight|คืนนี้|วันนี้" }, min_multiplier: 1.1, max_multiplier: 1.2 },
+  { rule_id: "long_booking", type: "duration", label: "Over three hours", order: 40, when: { over_hours: 3 }, max_multiplier: 1.25 },
+  { rule_id: "late_night", type: "late_night", label: "Starts 22:00–05:00", order: 50, when: { from_hour: 22, to_hour: 5 }, min_multiplier: 1.1, max_multiplier: 1.15, active: false },
+  { rule_id: "holiday", type: "holiday", label: "Public holiday", order: 60, when: { dates: [] }, min_multiplier: 1.15, max_multiplier: 1.2, active: false },
+  { rule_id: "transport", type: "transport", label: "Travel outside the city", order: 70, when: { free_km: 15, per_km_thb: 15 }, add_thb: 500, active: false },
+  { rule_id: "min_spread", type: "spread", label: "Keep at least ฿1,000 between min and max", order: 100, when: { min_thb: 1000 } },
+];
+
+/**
+ * type => (input, when, ctx) => false | { note? , add_thb? }
+ * ctx = { holidays, state: { min, max, confidence } }
+ */
+const RULE_TYPES = {
+  history: (input, when) => {
+    const prices = positiveNumbers(input.previous_prices_thb);
+    if (!prices.length) return false;
+    return { note: `${prices.length} previous price(s) ${Math.min(...prices)}–${Math.max(...prices)}` };
+  },
+  lane: (input, when) => matches(when.match, input.model_lane_type),
+  urgency: (input, when) => matches(when.match, input.urgency),
+  duration: (input, when) => Number(input.duration_hours) > Number(when.over_hours || 0),
+  late_night: (input, when) => {
+    const hour = startHour(input.start_time);
+    if (hour === null) return false;
+    const from = Number(when.from_hour ?? 22);
+    const to = Number(when.to_hour ?? 5);
+    return from > to ? hour >= from || hour < to : hour >= from && hour < to;
+  },
+  holiday: (input, when, ctx) => {
+    const day = asString(input.job_date).slice(0, 10);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) return false;
+    if ([...(when.dates || []), ...(ctx.holidays || [])].includes(day)) return { note: day };
+    const dow = new Date(`${day}T00:00:00Z`).getUTCDay();
+    return Boolean(when.weekends) && (dow === 0 || dow === 6) ? { note: `${day} weekend` } : false;
+  },
+  transport: (input, when) => {
+    const km = Number(input.transport_km) || 0;
+    const freeKm = Number(when.free_km) || 0;
+    if (!input.outside_city && km <= freeKm) return false;
+    const extraKm = Math.max(0, km - freeKm);
+    return { add_thb: Math.round(extraKm * (Number(when.per_km_thb) || 0)), note: km ? `${km} km` : "outside city" };
+  },
+  spread: () => true,
+};
+
+export const PRICING_RULE_TYPES = Object.keys(RULE_TYPES);
+
+/**
+ * Most specific active card matching the input. => card | null
+ */
+export function selectRateCard(cards, input = {}) {
+  const model = lower(input.model);
+  const lane = lower(input.model_lane_type);
+  const city = lower(input.city);
+  const hours = Number(input.duration_hours) || 0;
+
+  let best = null;
+  let bestScore = -1;
+  for (const card of cards || []) {
+    if (card.active === false) continue;
+    if (card.model && lower(card.model) !== model) continue;
+    if (card.lane && lower(card.lane) !== lane) continue;
+    if (card.city && lower(card.city) !== city) continue;
+    if (card.min_hours && hours < Number(card.min_hours)) continue;
+    if (card.max_hours && (!hours || hours > Number(card.max_hours))) continue;
+
+    const score = (card.model ? 8 : 0) + (card.lane ? 4 : 0) + (card.city ? 2 : 0) + (card.min_hours || card.max_hours ? 1 : 0);
+    if (score > bestScore) {
+      best = card;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * input = { model, model_lane_type, city, duration_hours, urgency, start_time, job_date, transport_km, outside_city,
+ *           previous_prices_thb, risk_flag, unknown_ability, sensitive_behavior_unclear, model_identity_uncertain }
+ * config = { rateCards?, rules?, holidays? }
+ */
+export function quotePrice(input = {}, { rateCards = DEFAULT_RATE_CARDS, rules = DEFAULT_PRICING_RULES, holidays = [] } = {}) {
+  const card = selectRateCard(rateCards, input) || selectRateCard(DEFAULT_RATE_CARDS, input);
+  const state = {
+    min: Number(card.min_price_thb),
+    max: Number(card.max_price_thb),
+    confidence: asString(card.confidence) || "low",
+  };
+  const fired = [];
+
+  const ordered = [...rules].filter((r) => r.active !== false && RULE_TYPES[r.type]).sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+  for (const rule of ordered) {
+    const when = rule.when || {};
+    const hit = RULE_TYPES[rule.type](input, when, { holidays, state });
+    if (!hit) continue;
+
+    const before = { min: state.min, max: state.max };
+    applyRule(rule, hit, input, state);
+    fired.push({
+      rule_id: rule.rule_id,
+      type: rule.type,
+      label: asString(rule.label),
+      note: typeof hit === "object" ? asString(hit.note) : "",
+      min_before: before.min,
+      max_before: before.max,
+      min_after: state.min,
+      max_after: state.max,
+    });
+  }
+
+  const hasRisk = Boolean(input.risk_flag);
+  const uncertainAbility = Boolean(input.unknown_ability || input.sensitive_behavior_unclear);
+  const modelIdentityUncertain = Boolean(input.model_identity_uncertain);
+  const manualOnly = hasRisk || uncertainAbility || modelIdentityUncertain;
+
+  return {
+    min_price_thb: state.min,
+    max_price_thb: state.max,
+    confidence: state.confidence,
+    manual_review_required: manualOnly,
+    can_auto_send_to_customer: !manualOnly,
+    final_price_confirmed: false,
+    guardrails: {
+      risk_blocks_auto_send: hasRisk,
+      unknown_ability_blocks_claims: uncertainAbility,
+      model_identity_uncertain_blocks_final: modelIdentityUncertain,
+    },
+    rate_card_id: asString(card.card_id),
+    rules_fired: fired,
+    explanation: [
+      `Base ${card.card_id}: ${card.min_price_thb}–${card.max_price_thb}`,
+      ...fired.map((f) => `${f.rule_id}${f.note ? ` (${f.note})` : ""}: ${f.min_before}–${f.max_before} → ${f.min_after}–${f.max_after}`),
+    ],
+  };
+}
+
+function applyRule(rule, hit, input, state) {
+  const when = rule.when || {};
+
+  if (rule.type === "history") {
+    const prices = positiveNumbers(input.previous_prices_thb);
+    state.min = Math.max(Number(when.floor_thb) || 0, Math.round(Math.min(...prices) * Number(when.low_factor ?? 1)));
+    state.max = Math.round(Math.max(...prices) * Number(when.high_factor ?? 1));
+    state.confidence = prices.length >= Number(when.medium_samples || Infinity) ? "medium" : state.confidence;
+    return;
+  }
+
+  if (rule.type === "spread") {
+    state.max = Math.max(state.max, state.min + (Number(when.min_thb) || 0));
+    return;
+  }
+
+  const minMul = Number(rule.min_multiplier ?? 1);
+  const maxMul = Number(rule.max_multiplier ?? 1);
+  if (minMul !== 1) state.min = Math.round(state.min * minMul);
+  if (maxMul !== 1) state.max = Math.round(state.max * maxMul);
+
+  const add = (Number(rule.add_thb) || 0) + (typeof hit === "object" ? Number(hit.add_thb) || 0 : 0);
+  if (add) {
+    state.min += add;
+    state.max += add;
+  }
+}
+
+/**
+ * Engine input from a pricing review payload_json (see createPricingReview in index.js).
+ * Urgency is only taken from an explicit parsed_request.urgency, not guessed from the date text.
+ */
+export function pricingInputFromReview(payload = {}) {
+  const req = payload.parsed_request || {};
+  const ctx = payload.customer_context || {};
+  return {
+    model: asString(req.model_name || req.model),
+    model_lane_type: asString(req.model_lane_type || req.lane),
+    city: asString(req.city || req.area),
+    duration_hours: Number(req.duration_hours || req.duration || 0),
+    urgency: asString(req.urgency),
+    job_date: asString(req.job_date),
+    start_time: asString(req.start_time || req.time),
+    transport_km: Number(req.transport_km || 0),
+    outside_city: Boolean(req.outside_city),
+    previous_prices_thb: ctx.last_paid_amounts || [],
+    risk_flag: ctx.risk_issue === "yes" || (payload.member_context?.risk_flags || []).length > 0,
+    model_identity_uncertain: Boolean(payload.ad_context_unknown || payload.needs_per_ad_match),
+  };
+}
+
+/**
+ * rows = [{ pricing_review_id, final_price_thb, input }] => { summary, rows } (rows worst deviation first)
+ */
+export function backtestReviews(rows, config) {
+  const results = rows.map((row) => {
+    const q = quotePrice(row.input, config);
+    const final = Number(row.final_price_thb);
+    const nearest = Math.min(Math.max(final, q.min_price_thb), q.max_price_thb);
+    const deviation = final - nearest;
+    return {
+      pricing_review_id: row.pricing_review_id,
+      final_price_thb: final,
+      min_price_thb: q.min_price_thb,
+      max_price_thb: q.max_price_thb,
+      within_range: deviation === 0,
+      deviation_thb: deviation,
+      deviation_pct: final ? Math.round((deviation / final) * 1000) / 10 : 0,
+      rate_card_id: q.rate_card_id,
+      rules_fired: q.rules_fired.map((f) => f.rule_id),
+    };
+  });
+
+  const abs = results.map((r) => Math.abs(r.deviation_pct)).sort((a, b) => a - b);
+  const within = results.filter((r) => r.within_range).length;
+  return {
+    summary: {
+      reviews: results.length,
+      within_range: within,
+      within_range_rate: results.length ? Math.round((within / results.length) * 1000) / 1000 : 0,
+      above_range: results.filter((r) => r.deviation_thb > 0).length,
+      below_range: results.filter((r) => r.deviation_thb < 0).length,
+      mean_abs_deviation_pct: abs.length ? Math.round((abs.reduce((s, v) => s + v, 0) / abs.length) * 10) / 10 : 0,
+      median_abs_deviation_pct: abs.length ? abs[Math.floor((abs.length - 1) / 2)] : 0,
+    },
+    rows: results.sort((a, b) => Math.abs(b.deviation_pct) - Math.abs(a.deviation_pct)),
+  };
+}
+
+/**
+ * Rate cards / rules from Airtable when their tables are configured and non-empty, else the defaults.
+ */
+export async function loadPricingConfig(env) {
+  const [cards, rules] = await Promise.all([
+    env.AIRTABLE_TABLE_PRICING_RATE_CARDS ? airtableSelectAll(env, env.AIRTABLE_TABLE_PRICING_RATE_CARDS) : [],
+    env.AIRTABLE_TABLE_PRICING_RULES ? airtableSelectAll(env, env.AIRTABLE_TABLE_PRICING_RULES) : [],
+  ]);
+
+  return {
+    rateCards: cards.length ? cards.map((rec) => normalizeRateCard({ card_id: rec.id, ...rec.fields })) : DEFAULT_RATE_CARDS,
+    rules: rules.length ? rules.map((rec) => normalizeRule({ rule_id: rec.id, ...rec.fields })) : DEFAULT_PRICING_RULES,
+    holidays: csv(env.PRICING_HOLIDAYS),
+    source: { rate_cards: cards.length ? "airtable" : "default", rules: rules.length ? "airtable" : "default" },
+  };
+}
+
+export async function pricingQuote(req, env) {
+  const body = await safeJson(req);
+  try {
+    const config = await requestConfig(env, body);
+    const quote = quotePrice(body.input && typeof body.input === "object" ? body.input : body, config);
+    return json({ ok: true, layer: "core", config_source: config.source, quote });
+  } catch (error) {
+    return json(
+      { ok: false, error: "pricing_quote_failed", message: error instanceof Error ? error.message : "Unknown error" },
+      error?.status || 500
+    );
+  }
+}
+
+// body = { limit?, rate_cards?, rules? } — pass a draft config to compare it against the live one.
+export async function pricingBacktest(req, env, { table }) {
+  if (!env.AIRTABLE_API_KEY || !env.AIRTABLE_BASE_ID) {
+    return json({ ok: false, error: "missing_airtable_env", message: "Airtable env is missing" }, 500);
+  }
+
+  const body = await safeJson(req);
+  const limit = clampInt(body.limit, 1, 1000, 200);
+  try {
+    const config = await requestConfig(env, body);
+    const records = await airtableSelectAll(env, table, `{status}="human_approved"`, Math.ceil(limit / 100));
+
+    const rows = [];
+    for (const rec of records) {
+      const payload = parsePayload(rec.fields?.payload_json);
+      const final = Number(payload.final_price_thb);
+      if (!Number.isFinite(final) || final <= 0) continue;
+      rows.push({ pricing_review_id: asString(payload.pricing_review_id) || rec.id, final_price_thb: final, input: pricingInputFromReview(payload) });
+      if (rows.length >= limit) break;
+    }
+
+    return json({ ok: true, layer: "core", config_source: config.source, ...backtestReviews(rows, config) });
+  } catch (error) {
+    return json(
+      { ok: false, error: "pricing_backtest_failed", message: error instanceof Error ? error.message : "Unknown error" },
+      error?.status || 500
+    );
+  }
+}
+
+async function requestConfig(env, body) {
+  const live = await loadPricingConfig(env);
+  const config = { ...live, source: { ...live.source } };
+
+  if (body.rate_cards !== undefined) {
+    if (!Array.isArray(body.rate_cards) || !body.rate_cards.length) throw badRequest("rate_cards must be a non-empty array");
+    config.rateCards = body.rate_cards.map(normalizeRateCard);
+    config.source.rate_cards = "request";
+  }
+  if (body.rules !== undefined) {
+    if (!Array.isArray(body.rules)) throw badRequest("rules must be an array");
+    const unknown = body.rules.find((r) => !RULE_TYPES[r?.type]);
+    if (unknown) throw badRequest(`unknown rule type: ${asString(unknown?.type)}`);
+    config.rules = body.rules.map(normalizeRule);
+    config.source.rules = "request";
+  }
+  return config;
+}
+
+function normalizeRateCard(f = {}) {
+  return {
+    card_id: asString(f.card_id) || "card",
+    model: asString(f.model),
+    lane: asString(f.lane),
+    city: asString(f.city),
+    min_hours: Number(f.min_hours) || 0,
+    max_hours: Number(f.max_hours) || 0,
+    min_price_thb: Number(f.min_price_thb) || 0,
+    max_price_thb: Number(f.max_price_thb) || 0,
+    confidence: asString(f.confidence) || "low",
+    active: f.active === true,
+  };
+}
+
+// Airtable rows carry `when` as when_json text.
+function normalizeRule(f = {}) {
+  const when = f.when && typeof f.when === "object" ? f.when : parsePayload(f.when_json);
+  return {
+    rule_id: asString(f.rule_id) || asString(f.type),
+    type: asString(f.type),
+    label: asString(f.label),
+    order: Number(f.order) || 0,
+    when,
+    min_multiplier: f.min_multiplier === undefined || f.min_multiplier === "" ? 1 : Number(f.min_multiplier),
+    max_multiplier: f.max_multiplier === undefined || f.max_multiplier === "" ? 1 : Number(f.max_multiplier),
+    add_thb: Number(f.add_thb) || 0,
+    active: f.active === true,
+  };
+}
+
+async function airtableSelectAll(env, table, formula = "", maxPages = 10) {
+  const records = [];
+  let offset = "";
+  for (let page = 0; page < maxPages; page++) {
+    const params = new URLSearchParams({ pageSize: "100" });
+    if (formula) params.set("filterByFormula", formula);
+    if (offset) params.set("offset", offset);
+
+    const res = await fetch(`${AIRTABLE_API}/${env.AIRTABLE_BASE_ID}/${encodeURIComponent(table)}?${params}`, {
+      headers: { Authorization: `Bearer ${env.AIRTABLE_API_KEY}` },
+    });
+    const data = await res.json().catch(() => null);
+    if (!res.ok) throw new Error(`airtable_${table}_${res.status}`);
+
+    for (const rec of data?.records || []) records.push({ id: rec.id, fields: rec.fields || {} });
+    offset = asString(data?.offset);
+    if (!offset) break;
+  }
+  return records;
+}
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// when.match: "vip|private|premium" or ["vip", "private"]; case-insensitive substring per term. Rules come from
+// Airtable and request bodies, so nothing here is compiled as a pattern.
+function matches(terms, value) {
+  const text = lower(value);
+  if (!text) return false;
+  const list = Array.isArray(terms) ? terms : asString(terms).split("|");
+  return list.map(lower).some((term) => term && text.includes(term));
+}
+
+function startHour(value) {
+  const m = asString(value).match(/^(\d{1,2})[:.]\d{2}/);
+  if (!m) return null;
+  const hour = Number(m[1]);
+  return hour >= 0 && hour < 24 ? hour : null;
+}
+
+function positiveNumbers(list) {
+  return Array.isArray(list) ? list.filter((v) => Number(v) > 0).map(Number) : [];
+}
+
+function parsePayload(value) {
+  try {
+    const parsed = JSON.parse(asString(value) || "{}");
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch (_) {
+    return {};
+  }
+}
+
+function csv(value) {
+  return asString(value)
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function lower(value) {
+  return asString(value).toLowerCase();
+}
+
+function clampInt(v, min, max, fallback) {
+  const n = Number(v);
+  if (v === null || v === undefined || v === "" || !Number.isFinite(n)) return fallback;
+  return Math.max(min, Math.min(max, Math.floor(n)));
+}
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      "Content-Type": "application/json; charset=utf-8",
+    },
+  });
+}
+
+async function safeJson(req) {
+  try {
+    return await req.json();
+  } catch (_) {
+    return {};
+  }
+}
+
+function asString(value) {
+  if (value === null || value === undefined) return "";
+  return String(value).trim();
+}
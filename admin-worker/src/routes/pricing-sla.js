@@ -0,0 +1,522 @@
+// src/routes/pricing-sla.js
+// Pricing review SLA queue: waiting_human → reminded → escalated → timeout_provisional_ready.
+//
+// Steps are minutes since the review was created (PRICING_SLA_STEPS, e.g. "reminded:5,escalated:8,timeout_provisional_ready:10").
+// The default keeps the provisional range at PRICING_TIMEOUT_MINUTES (10, as before the ladder), with the reminder at
+// half and the escalation at three quarters of it. The cron in index.js scheduled() runs runPricingSlaQueue every
+// minute; a review that missed several steps jumps straight to the latest one due.
+//
+// Each new review is assigned to one approver (PRICING_APPROVERS "per:<tg id>,ewvon:<tg id>", round-robin pointer
+// in PRICING_SLA_KV) and gets Telegram inline buttons (approve suggested price / edit / reject), handled by
+// src/telegramCallbacks.js. SLA timestamps live in payload_json.sla:
+//   { assigned_to, assigned_at, first_response_at, first_response_by, reminded_at, escalated_at, timeout_provisional_ready_at }
+//
+// GET /v1/admin/pricing/sla?days=30 reports time-to-first-response and time-to-approval per approver.
+
+import { writeAudit } from "./audit.js";
+import { loadPricingConfig, pricingInputFromReview, quotePrice } from "./pricing-engine.js";
+import { parseApprovers } from "../operators.js";
+import { escapeTelegramHtml, telegramBotApi } from "../telegram.js";
+
+const AIRTABLE_API = "https://api.airtable.com/v0";
+const CREATED_BY = "admin-worker-pricing-review";
+const RR_KEY = "rr:pricing_review";
+
+export const SLA_LADDER = ["waiting_human", "reminded", "escalated", "timeout_provisional_ready"];
+export const SLA_ACTIVE_STATUSES = ["waiting_human", "reminded", "escalated"];
+export const PRICING_DECIDED_STATUSES = ["human_approved", "human_rejected"];
+
+/**
+ * => [{ status, after_minutes }] in ladder order
+ */
+export function slaSteps(env) {
+  const t = clampInt(env.PRICING_TIMEOUT_MINUTES, 1, 1440, 10);
+  const raw =
+    asString(env.PRICING_SLA_STEPS) ||
+    `reminded:${Math.ceil(t / 2)},escalated:${Math.ceil((t * 3) / 4)},timeout_provisional_ready:${t}`;
+  return csv(raw)
+    .map((pair) => {
+      const [status, minutes] = pair.split(":");
+      return { status: asString(status), after_minutes: Number(minutes) };
+    })
+    .filter((s) => SLA_LADDER.indexOf(s.status) > 0 && s.after_minutes > 0)
+    .sort((a, b) => SLA_LADDER.indexOf(a.status) - SLA_LADDER.indexOf(b.status));
+}
+
+export function slaStepMinutes(env, status) {
+  return slaSteps(env).find((s) => s.status === status)?.after_minutes || 0;
+}
+
+/**
+ * Latest step that is due and further along the ladder than the current status. => status | ""
+ */
+export function nextSlaStatus(status, elapsedMinutes, steps) {
+  const current = SLA_LADDER.indexOf(status === "new" ? "waiting_human" : status);
+  if (current < 0) return "";
+  let target = "";
+  for (const step of steps) {
+    if (elapsedMinutes >= step.after_minutes && SLA_LADDER.indexOf(step.status) > current) target = step.status;
+  }
+  return target;
+}
+
+export function pickApprover(approvers, pointer) {
+  if (!approvers.length) return { approver: null, next: pointer };
+  const index = Math.abs(Math.floor(Number(pointer) || 0)) % approvers.length;
+  return { approver: approvers[index], next: index + 1 };
+}
+
+// Midpoint rounded to ฿500: the one-tap approve price.
+export function suggestedPrice(quote) {
+  const mid = (Number(quote?.min_price_thb) + Number(quote?.max_price_thb)) / 2;
+  return Number.isFinite(mid) && mid > 0 ? Math.round(mid / 500) * 500 : 0;
+}
+
+// Approve/Reject keyboards go to every approver and the ops thread and stay live there, so a decision is
+// only final because every approve/reject re-checks the stored status here.
+// => "" (may decide) | "pricing_review_closed"
+export function pricingDecisionError(...statuses) {
+  return statuses.some((status) => PRICING_DECIDED_STATUSES.includes(String(status || ""))) ? "pricing_review_closed" : "";
+}
+
+export function markFirstResponse(sla, by, at) {
+  if (sla?.first_response_at) return sla;
+  return { ...(sla || {}), first_response_at: at, first_response_by: by };
+}
+
+// callback_data (64 bytes max): pr:<a|e|r>:<airtable record id>[:<price>]
+export function pricingReviewKeyboard(recordId, price) {
+  const rows = [];
+  if (price > 0) rows.push([{ text: `✅ Approve ${money(price)}`, callback_data: `pr:a:${recordId}:${price}` }]);
+  rows.push([
+    { text: "✏️ Edit price", callback_data: `pr:e:${recordId}:${price > 0 ? price : 5000}` },
+    { text: "❌ Reject", callback_data: `pr:r:${recordId}` },
+  ]);
+  return { inline_keyboard: rows };
+}
+
+export function pricingEditKeyboard(recordId, price) {
+  const step = (delta) => ({
+    text: `${delta > 0 ? "+" : "−"}${Math.abs(delta).toLocaleString("en-US")}`,
+    callback_data: `pr:e:${recordId}:${Math.max(500, price + delta)}`,
+  });
+  return {
+    inline_keyboard: [
+      [step(-1000), step(-500), step(500), step(1000)],
+      [{ text: `✅ Approve ${money(price)}`, callback_data: `pr:a:${recordId}:${price}` }],
+      [{ text: "❌ Reject", callback_data: `pr:r:${recordId}` }],
+    ],
+  };
+}
+
+/**
+ * reviews = [{ payload, createdTime }] => { approvers: { <name>: {...} }, totals }
+ */
+export function slaMetrics(reviews) {
+  const groups = {};
+  const blank = () => ({
+    assigned: 0,
+    open: 0,
+    responded: 0,
+    approved: 0,
+    rejected: 0,
+    reminded: 0,
+    escalated: 0,
+    provisional: 0,
+    _ttfr: [],
+    _tta: [],
+  });
+  const totals = blank();
+
+  for (const { payload, createdTime } of reviews) {
+    const sla = payload.sla || {};
+    const created = toMs(payload.created_at) || toMs(createdTime);
+    const name = asString(sla.assigned_to) || "unassigned";
+    const g = (groups[name] ||= blank());
+
+    for (const bucket of [g, totals]) {
+      bucket.assigned += 1;
+      if (SLA_ACTIVE_STATUSES.includes(payload.status)) bucket.open += 1;
+      if (sla.reminded_at) bucket.reminded += 1;
+      if (sla.escalated_at) bucket.escalated += 1;
+      if (sla.timeout_provisional_ready_at) bucket.provisional += 1;
+      if (payload.status === "human_rejected") bucket.rejected += 1;
+      if (sla.first_response_at && created) {
+        bucket.responded += 1;
+        bucket._ttfr.push((toMs(sla.first_response_at) - created) / 60000);
+      }
+      if (payload.approved_at && created) {
+        bucket.approved += 1;
+        bucket._tta.push((toMs(payload.approved_at) - created) / 60000);
+      }
+    }
+  }
+
+  const finish = ({ _ttfr, _tta, ...rest }) => ({
+    ...rest,
+    time_to_first_response_minutes: stats(_ttfr),
+    time_to_approval_minutes: stats(_tta),
+  });
+  return {
+    approvers: Object.fromEntries(Object.entries(groups).map(([name, g]) => [name, finish(g)])),
+    totals: finish(totals),
+  };
+}
+
+/**
+ * Assign an approver, work out the suggested price and send the first alert with buttons.
+ * deps = { table, enqueue(env, message), sendFallback(env, text) } — enqueue queues through telegram-worker's
+ * outbox; sendFallback (no buttons) is used when neither the outbox nor TELEGRAM_BOT_TOKEN is set.
+ * => { ok, assigned_to, suggested_price_thb, telegram }
+ */
+export async function startPricingReviewSla(env, { table, recordId, payload, text, enqueue, sendFallback }) {
+  const approvers = parseApprovers(env);
+  const approver = await assignNextApprover(env, approvers);
+  const config = await loadPricingConfig(env).catch(() => undefined);
+  const price = suggestedPrice(quotePrice(pricingInputFromReview(payload), config));
+  const now = new Date().toISOString();
+
+  const next = {
+    ...payload,
+    suggested_price_thb: price || null,
+    sla: { ...(payload.sla || {}), assigned_to: approver?.name || "", assigned_at: approver ? now : "" },
+  };
+  await airtablePatch(env, table, recordId, { payload_json: JSON.stringify(next) });
+
+  const lines = [text, "", `Assigned: <b>${escapeTelegramHtml(approver?.name || "unassigned")}</b>`];
+  if (price) lines.push(`Suggested: <b>${escapeTelegramHtml(money(price))}</b>`);
+  const telegram = await sendPricingAlert(env, approver ? [approver] : approvers, lines.join("\n"), pricingReviewKeyboard(recordId, price), {
+    enqueue,
+    sendFallback,
+    dedupeKey: `pricing_review:${recordId}:new`,
+  });
+
+  return { ok: true, assigned_to: approver?.name || "", suggested_price_thb: price || null, telegram };
+}
+
+/**
+ * One pass over open reviews. deps = { table, pushLine(env, lineUserId, text), enqueue(env, message), sendFallback(env, text) }
+ */
+export async function runPricingSlaQueue(env, { table, pushLine, enqueue, sendFallback, now = Date.now(), limit = 50 }) {
+  if (!env.AIRTABLE_API_KEY || !env.AIRTABLE_BASE_ID) return { ok: false, error: "missing_airtable_env" };
+
+  const records = await openPricingReviews(env, table, limit);
+  const steps = slaSteps(env);
+  const approvers = parseApprovers(env);
+  let pricingConfig;
+  const processed = [];
+  const skipped = [];
+
+  for (const rec of records) {
+    const payload = parsePayload(rec.fields?.payload_json);
+    const status = asString(payload.status) || asString(rec.fields?.status);
+    if (!SLA_ACTIVE_STATUSES.includes(status === "new" ? "waiting_human" : status)) continue;
+
+    const created = toMs(payload.created_at) || toMs(rec.createdTime);
+    const elapsed = created ? Math.floor((now - created) / 60000) : 0;
+    const target = nextSlaStatus(status, elapsed, steps);
+    if (!target) continue;
+
+    const at = new Date(now).toISOString();
+    const sla = { ...(payload.sla || {}), [`${target}_at`]: at };
+    if (!sla.assigned_to && approvers.length) {
+      const approver = await assignNextApprover(env, approvers);
+      sla.assigned_to = approver.name;
+      sla.assigned_at = at;
+    }
+    const assigned = approvers.find((a) => a.name === sla.assigned_to);
+    const reviewId = asString(payload.pricing_review_id) || rec.id;
+    const patch = { status: target };
+    let provisional = null;
+    let lines;
+    let targets = approvers;
+
+    if (target === "reminded") {
+      targets = assigned ? [assigned] : approvers;
+      lines = ["⏰ <b>Pricing Review Reminder</b>", `Waiting <b>${elapsed} min</b> for a price.`];
+    } else if (target === "escalated") {
+      lines = [
+        "🚨 <b>Pricing Review Escalated</b>",
+        `No price after <b>${elapsed} min</b>${sla.assigned_to ? ` (assigned: ${escapeTelegramHtml(sla.assigned_to)})` : ""}.`,
+      ];
+    } else {
+      pricingConfig ||= await loadPricingConfig(env).catch(() => undefined);
+      provisional = quotePrice({ ...pricingInputFromReview(payload), unknown_ability: true }, pricingConfig);
+      patch.admin_note = `[Pricing Review Timeout]\n${elapsed} minutes passed. Provisional range ready only, not final.\nRange: ${money(provisional.min_price_thb)}–${money(provisional.max_price_thb)}\nConfidence: ${provisional.confidence}`;
+      lines = [
+        "⏱️ <b>Pricing Review Timeout</b>",
+        `${elapsed} minutes passed. Provisional range is ready.`,
+        `Range: <b>${escapeTelegramHtml(money(provisional.min_price_thb))}–${escapeTelegramHtml(money(provisional.max_price_thb))}</b>`,
+        `Confidence: <b>${escapeTelegramHtml(provisional.confidence)}</b>`,
+        "This is not final. Per/Ewvon please approve/edit before final customer price.",
+      ];
+    }
+
+    // the list is a snapshot and approve/reject buttons stay live: re-read the review and leave it alone if it moved
+    const fresh = await airtableGet(env, table, rec.id);
+    const current = parsePayload(fresh?.fields?.payload_json);
+    const currentStatus = asString(current.status) || asString(fresh?.fields?.status);
+    if (!fresh || pricingDecisionError(fresh.fields?.status, current.status) || currentStatus !== status) {
+      skipped.push({ pricing_review_id: reviewId, record_id: rec.id, from: status, status: currentStatus, reason: "status_changed" });
+      continue;
+    }
+    if (provisional) {
+      current.timeout_checked_at = at;
+      current.provisional_range = provisional;
+    }
+    current.status = target;
+    current.sla = { ...(current.sla || {}), ...sla };
+    patch.payload_json = JSON.stringify(current);
+    await airtablePatch(env, table, rec.id, patch);
+
+    const price = Number(payload.suggested_price_thb) || (provisional ? suggestedPrice(provisional) : 0);
+    const text = [lines[0], `Review: <code>${escapeTelegramHtml(reviewId)}</code>`, ...lines.slice(1)].join("\n");
+    const telegram = await sendPricingAlert(env, targets, text, pricingReviewKeyboard(rec.id, price), {
+      enqueue,
+      sendFallback,
+      opsThread: target !== "reminded",
+      dedupeKey: `pricing_review:${rec.id}:${target}`,
+    });
+
+    let linePush = { ok: false, skipped: true, reason: "PRICING_TIMEOUT_SEND_TO_CUSTOMER_false" };
+    if (provisional && asString(env.PRICING_TIMEOUT_SEND_TO_CUSTOMER).toLowerCase() === "true" && provisional.can_auto_send_to_customer) {
+      linePush = await pushLine(env, payload.line_user_id, buildProvisionalCustomerCopy(provisional));
+    }
+
+    processed.push({
+      pricing_review_id: reviewId,
+      record_id: rec.id,
+      from: status,
+      status: target,
+      elapsed_minutes: elapsed,
+      assigned_to: sla.assigned_to || "",
+      ...(provisional ? { provisional, line_push_sent: Boolean(linePush.ok) } : {}),
+      telegram_sent: Boolean(telegram.ok),
+    });
+  }
+
+  return { ok: true, steps, processed_count: processed.length, processed, skipped };
+}
+
+// Reviews still waiting on a human price (also listed by /v1/admin/ops/pending).
+export async function openPricingReviews(env, table, limit = 50) {
+  const statuses = ["new", ...SLA_ACTIVE_STATUSES].map((s) => `{status}="${s}"`).join(",");
+  const records = await airtableSelectAll(env, table, `AND({created_by}="${CREATED_BY}",OR(${statuses}))`, Math.ceil(limit / 100));
+  return records.slice(0, limit);
+}
+
+export async function recordPricingFirstResponse(env, table, recordId, by) {
+  const rec = await airtableGet(env, table, recordId);
+  if (!rec) return { ok: false, error: "pricing_review_not_found" };
+  const payload = parsePayload(rec.fields?.payload_json);
+  if (payload.sla?.first_response_at) return { ok: true, unchanged: true };
+
+  payload.sla = markFirstResponse(payload.sla, by, new Date().toISOString());
+  return airtablePatch(env, table, recordId, { payload_json: JSON.stringify(payload) });
+}
+
+export async function rejectPricingReview(env, { table, recordId, by, reason = "", audit = null }) {
+  const rec = await airtableGet(env, table, recordId);
+  if (!rec) return { ok: false, error: "pricing_review_not_found" };
+
+  const payload = parsePayload(rec.fields?.payload_json);
+  if (
+    pricingDecisionError(rec.fields?.status, payload.status) ||
+    (!SLA_ACTIVE_STATUSES.includes(payload.status) && payload.status !== "timeout_provisional_ready")
+  ) {
+    return { ok: false, error: "pricing_review_closed", status: rec.fields?.status || payload.status || "" };
+  }
+
+  const now = new Date().toISOString();
+  const before = { status: payload.status, rejected_by: payload.rejected_by, rejected_at: payload.rejected_at };
+  payload.status = "human_rejected";
+  payload.rejected_by = by;
+  payload.rejected_at = now;
+  payload.reject_reason = reason;
+  payload.sla = markFirstResponse(payload.sla, by, now);
+
+  const out = await airtablePatch(env, table, recordId, {
+    status: "human_rejected",
+    admin_note: `[Pricing Review Rejected]\nRejected by: ${by}${reason ? `\nReason: ${reason}` : ""}`,
+    payload_json: JSON.stringify(payload),
+  });
+  if (out.ok) {
+    await writeAudit(env, audit, {
+      table,
+      record_id: recordId,
+      action: "reject",
+      before,
+      after: { status: payload.status, rejected_by: by, rejected_at: now },
+    });
+  }
+  return { ok: out.ok, pricing_review_id: asString(payload.pricing_review_id) || recordId, status: "human_rejected" };
+}
+
+export async function pricingSlaGet(req, env, { table }) {
+  if (!env.AIRTABLE_API_KEY || !env.AIRTABLE_BASE_ID) {
+    return json({ ok: false, error: "missing_airtable_env", message: "Airtable env is missing" }, 500);
+  }
+
+  const days = clampInt(new URL(req.url).searchParams.get("days"), 1, 90, 30);
+  try {
+    const records = await airtableSelectAll(
+      env,
+      table,
+      `AND({created_by}="${CREATED_BY}",IS_AFTER(CREATED_TIME(),DATEADD(NOW(),-${days},'days')))`,
+      20
+    );
+    const reviews = records.map((rec) => ({ payload: parsePayload(rec.fields?.payload_json), createdTime: rec.createdTime }));
+    return json({ ok: true, layer: "core", days, steps: slaSteps(env), ...slaMetrics(reviews) });
+  } catch (error) {
+    return json(
+      { ok: false, error: "pricing_sla_failed", message: error instanceof Error ? error.message : "Unknown error" },
+      500
+    );
+  }
+}
+
+export function buildProvisionalCustomerCopy(provisional) {
+  return `ผมประเมินเบื้องต้นให้ก่อนจากประเภทนายแบบและรายละเอียดที่แจ้งมานะครับ เรทอาจอยู่ในช่วงประมาณ ${money(provisional.min_price_thb)}–${money(provisional.max_price_thb)} บาท ขึ้นอยู่กับวัน เวลา โซน ระยะเวลา และเงื่อนไขของนายแบบคนนั้น
+
+ราคานี้ยังเป็นช่วงประเมินเบื้องต้นครับ Per/Ewvon จะตรวจสอบและยืนยันราคาสุดท้ายอีกครั้งก่อนชำระเงินครับ`;
+}
+
+// Round-robin pointer in PRICING_SLA_KV; without it the pick rotates by minute (spread, not strict).
+async function assignNextApprover(env, approvers) {
+  if (!approvers.length) return null;
+  if (!env.PRICING_SLA_KV) return pickApprover(approvers, Math.floor(Date.now() / 60000)).approver;
+
+  const pointer = Number(await env.PRICING_SLA_KV.get(RR_KEY).catch(() => 0)) || 0;
+  const { approver, next } = pickApprover(approvers, pointer);
+  await env.PRICING_SLA_KV.put(RR_KEY, String(next));
+  return approver;
+}
+
+/**
+ * Approver DMs (plus the pricing thread when opsThread, or when nobody has a DM id), with buttons.
+ * Queued through telegram-worker's outbox (enqueue = telegramInternalSend, keeps reply_markup) when
+ * TELEGRAM_INTERNAL_SEND_URL + INTERNAL_TOKEN are set; direct Bot API send otherwise or if the outbox fails.
+ */
+async function sendPricingAlert(env, approvers, text, keyboard, { enqueue, sendFallback, opsThread = false, dedupeKey = "" } = {}) {
+  const outbox = Boolean(enqueue && env.TELEGRAM_INTERNAL_SEND_URL && env.INTERNAL_TOKEN);
+  if (!outbox && !env.TELEGRAM_BOT_TOKEN) {
+    return sendFallback ? sendFallback(env, text) : { ok: false, skipped: true, reason: "missing_telegram_bot_token" };
+  }
+
+  const targets = approvers.filter((a) => a.telegram_id).map((a) => ({ chat_id: a.telegram_id, label: a.name }));
+  if (opsThread || !targets.length) {
+    targets.push({
+      chat_id: env.TELEGRAM_CHAT_ID || "-1003546439681",
+      message_thread_id: Number(env.TG_THREAD_PRICING_REVIEW || env.TG_THREAD_CONFIRM || 61),
+      label: "pricing_thread",
+    });
+  }
+
+  const results = [];
+  for (const { label, ...target } of targets) {
+    const message = { ...target, text, parse_mode: "HTML", disable_web_page_preview: true, reply_markup: keyboard };
+    let r = outbox ? await enqueue(env, { ...message, dedupe_key: dedupeKey ? `${dedupeKey}:${target.chat_id}` : undefined }) : null;
+    if (r?.ok) {
+      results.push({ label, ok: true, queued: true });
+      continue;
+    }
+    if (env.TELEGRAM_BOT_TOKEN) r = await telegramBotApi(env, "sendMessage", message);
+    results.push({ label, ok: r.ok, message_id: r.result?.message_id || null, error: r.error || (r.status ? `outbox_http_${r.status}` : undefined) });
+  }
+  return { ok: results.some((r) => r.ok), results };
+}
+
+async function airtableGet(env, table, id) {
+  const res = await fetch(`${AIRTABLE_API}/${env.AIRTABLE_BASE_ID}/${encodeURIComponent(table)}/${encodeURIComponent(id)}`, {
+    headers: { Authorization: `Bearer ${env.AIRTABLE_API_KEY}` },
+  });
+  if (!res.ok) return null;
+  const data = await res.json().catch(() => null);
+  return data?.id ? { id: data.id, fields: data.fields || {}, createdTime: data.createdTime } : null;
+}
+
+async function airtablePatch(env, table, id, fields) {
+  const res = await fetch(`${AIRTABLE_API}/${env.AIRTABLE_BASE_ID}/${encodeURIComponent(table)}/${encodeURIComponent(id)}`, {
+    method: "PATCH",
+    headers: { Authorization: `Bearer ${env.AIRTABLE_API_KEY}`, "Content-Type": "application/json" },
+    body: JSON.stringify({ fields }),
+  });
+  if (!res.ok) return { ok: false, error: "airtable_patch_failed", status: res.status };
+  return { ok: true };
+}
+
+async function airtableSelectAll(env, table, formula, maxPages = 10) {
+  const records = [];
+  let offset = "";
+  for (let page = 0; page < Math.max(1, maxPages); page++) {
+    const params = new URLSearchParams({ pageSize: "100", filterByFormula: formula });
+    if (offset) params.set("offset", offset);
+
+    const res = await fetch(`${AIRTABLE_API}/${env.AIRTABLE_BASE_ID}/${encodeURIComponent(table)}?${params}`, {
+      headers: { Authorization: `Bearer ${env.AIRTABLE_API_KEY}` },
+    });
+    const data = await res.json().catch(() => null);
+    if (!res.ok) throw new Error(`airtable_${table}_${res.status}`);
+
+    for (const rec of data?.records || []) records.push({ id: rec.id, fields: rec.fields || {}, createdTime: rec.createdTime });
+    offset = asString(data?.offset);
+    if (!offset) break;
+  }
+  return records;
+}
+
+function stats(values) {
+  const list = values.filter((v) => Number.isFinite(v) && v >= 0).sort((a, b) => a - b);
+  if (!list.length) return { count: 0, avg: null, median: null };
+  const avg = list.reduce((s, v) => s + v, 0) / list.length;
+  const mid = Math.floor(list.length / 2);
+  const median = list.length % 2 ? list[mid] : (list[mid - 1] + list[mid]) / 2;
+  return { count: list.length, avg: Math.round(avg * 10) / 10, median: Math.round(median * 10) / 10 };
+}
+
+function money(value) {
+  const n = Number(value || 0);
+  if (!Number.isFinite(n) || n <= 0) return "";
+  return `฿${Math.round(n).toLocaleString("en-US")}`;
+}
+
+function parsePayload(value) {
+  try {
+    const parsed = JSON.parse(asString(value) || "{}");
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch (_) {
+    return {};
+  }
+}
+
+function toMs(value) {
+  const ms = Date.parse(asString(value));
+  return Number.isFinite(ms) ? ms : 0;
+}
+
+function csv(value) {
+  return asString(value)
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function clampInt(v, min, max, fallback) {
+  const n = Number(v);
+  if (v === null || v === undefined || v === "" || !Number.isFinite(n)) return fallback;
+  return Math.max(min, Math.min(max, Math.floor(n)));
+}
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      "Content-Type": "application/json; charset=utf-8",
+    },
+  });
+}
+
+function asString(value) {
+  if (value === null || value === undefined) return "";
+  return String(value).trim();
+}
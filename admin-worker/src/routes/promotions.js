@@ -0,0 +1,343 @@
+// src/routes/promotions.js
+// Managed promo codes (Airtable AIRTABLE_TABLE_PROMOTIONS) + redemption ledger read
+// (AIRTABLE_TABLE_PROMO_REDEMPTIONS, written by payments-worker /v1/payments/notify).
+//
+// Mounted under /v1/admin/ in index.js, so core admin auth has already run.
+// payments-worker/lib/promotions.js reads the same fields when validating a code.
+// created_by / disabled_by come from the authenticated caller (audit.actor), not the body.
+
+import { writeAudit } from "./audit.js";
+
+const AIRTABLE_API = "https://api.airtable.com/v0";
+const PROMO_TYPES = ["percent", "fixed"];
+const PAYMENT_STAGES = ["deposit", "final", "tips", "full", "membership"];
+
+export async function promotionsList(req, env) {
+  if (!env.AIRTABLE_API_KEY || !env.AIRTABLE_BASE_ID) {
+    return json({ ok: false, error: "missing_airtable_env", message: "Airtable env is missing" }, 500);
+  }
+
+  const url = new URL(req.url);
+  const activeOnly = asString(url.searchParams.get("active")) === "true";
+
+  try {
+    const records = await airtableSelect(env, promotionsTable(env), {
+      filterByFormula: activeOnly ? "{active}" : "",
+      pageSize: 100,
+    });
+
+    return json({
+      ok: true,
+      items: records.map((rec) => ({ id: rec.id, ...toPromotion(rec.fields || {}) })),
+    });
+  } catch (error) {
+    return json(
+      { ok: false, error: "list_failed", message: error instanceof Error ? error.message : "Unknown error" },
+      500
+    );
+  }
+}
+
+export async function promotionsCreate(req, env, audit = null) {
+  if (!env.AIRTABLE_API_KEY || !env.AIRTABLE_BASE_ID) {
+    return json({ ok: false, error: "missing_airtable_env", message: "Airtable env is missing" }, 500);
+  }
+
+  const body = await safeJson(req);
+  const promo = {
+    code: normalizeCode(body.code),
+    type: asString(body.type).toLowerCase() || "percent",
+    value: normalizeNumber(body.value),
+    active: body.active === undefined ? true : Boolean(body.active),
+    starts_at: normalizeIso(body.starts_at),
+    ends_at: normalizeIso(body.ends_at),
+    max_redemptions: normalizeNumber(body.max_redemptions),
+    per_member_limit: normalizeNumber(body.per_member_limit),
+    min_amount_thb: normalizeNumber(body.min_amount_thb),
+    allowed_stages: normalizeList(body.allowed_stages),
+    allowed_tiers: normalizeList(body.allowed_tiers),
+    notes: asString(body.notes),
+    created_by: asString(audit?.actor) || "admin",
+  };
+
+  const validationError = validatePromotion(promo, body);
+  if (validationError) {
+    return json({ ok: false, error: validationError.code, message: validationError.message }, 400);
+  }
+
+  try {
+    const existing = await airtableFindByCode(env, promo.code);
+    if (existing) {
+      return json({ ok: false, error: "code_exists", message: `${promo.code} already exists`, id: existing.id }, 409);
+    }
+
+    const created = await airtableCreateRecord(env, promotionsTable(env), {
+      code: promo.code,
+      type: promo.type,
+      value: promo.value,
+      active: promo.active,
+      starts_at: promo.starts_at || undefined,
+      ends_at: promo.ends_at || undefined,
+      max_redemptions: promo.max_redemptions || undefined,
+      per_member_limit: promo.per_member_limit || undefined,
+      min_amount_thb: promo.min_amount_thb || undefined,
+      allowed_stages: promo.allowed_stages.join(","),
+      allowed_tiers: promo.allowed_tiers.join(","),
+      redemption_count: 0,
+      notes: promo.notes,
+      created_by: promo.created_by,
+      created_at: new Date().toISOString(),
+    });
+    await writeAudit(env, audit, {
+      table: promotionsTable(env),
+      record_id: created.id,
+      action: "create",
+      after: created.fields || {},
+    });
+
+    return json({ ok: true, id: created.id, promotion: toPromotion(created.fields || {}) });
+  } catch (error) {
+    return json(
+      { ok: false, error: "create_failed", message: error instanceof Error ? error.message : "Unknown error" },
+      500
+    );
+  }
+}
+
+export async function promotionsDisable(req, env, audit = null) {
+  if (!env.AIRTABLE_API_KEY || !env.AIRTABLE_BASE_ID) {
+    return json({ ok: false, error: "missing_airtable_env", message: "Airtable env is missing" }, 500);
+  }
+
+  const body = await safeJson(req);
+  const code = normalizeCode(body.code);
+  if (!code) {
+    return json({ ok: false, error: "missing_code", message: "code is required" }, 400);
+  }
+
+  try {
+    const existing = await airtableFindByCode(env, code);
+    if (!existing) {
+      return json({ ok: false, error: "not_found", message: "No promotion found" }, 404);
+    }
+
+    const patch = {
+      active: false,
+      disabled_at: new Date().toISOString(),
+      disabled_by: asString(audit?.actor) || "admin",
+      disabled_reason: asString(body.reason),
+    };
+    const updated = await airtablePatchRecord(env, promotionsTable(env), existing.id, patch);
+    await writeAudit(env, audit, {
+      table: promotionsTable(env),
+      record_id: existing.id,
+      action: "disable",
+      before: existing.fields || {},
+      after: updated.fields || {},
+      keys: Object.keys(patch),
+    });
+
+    return json({ ok: true, id: existing.id, promotion: toPromotion(updated.fields || {}) });
+  } catch (error) {
+    return json(
+      { ok: false, error: "disable_failed", message: error instanceof Error ? error.message : "Unknown error" },
+      500
+    );
+  }
+}
+
+export async function promotionsRedemptions(req, env) {
+  if (!env.AIRTABLE_API_KEY || !env.AIRTABLE_BASE_ID) {
+    return json({ ok: false, error: "missing_airtable_env", message: "Airtable env is missing" }, 500);
+  }
+
+  const url = new URL(req.url);
+  const code = normalizeCode(url.searchParams.get("code"));
+  const limit = Math.max(1, Math.min(100, Number(url.searchParams.get("limit")) || 50));
+
+  try {
+    const records = await airtableSelect(env, redemptionsTable(env), {
+      filterByFormula: code ? `{code}='${escapeAirtableValue(code)}'` : "",
+      pageSize: limit,
+      sortField: "redeemed_at",
+    });
+
+    return json({
+      ok: true,
+      code: code || null,
+      items: records.map((rec) => ({ id: rec.id, ...(rec.fields || {}) })),
+    });
+  } catch (error) {
+    return json(
+      { ok: false, error: "list_failed", message: error instanceof Error ? error.message : "Unknown error" },
+      500
+    );
+  }
+}
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      "Content-Type": "application/json; charset=utf-8",
+    },
+  });
+}
+
+async function safeJson(req) {
+  try {
+    return await req.json();
+  } catch (_) {
+    return {};
+  }
+}
+
+function asString(value) {
+  if (value === null || value === undefined) return "";
+  return String(value).trim();
+}
+
+function promotionsTable(env) {
+  return env.AIRTABLE_TABLE_PROMOTIONS || "promotions";
+}
+
+function redemptionsTable(env) {
+  return env.AIRTABLE_TABLE_PROMO_REDEMPTIONS || "promo_redemptions";
+}
+
+function normalizeCode(value) {
+  return asString(value).toUpperCase().replace(/\s+/g, "");
+}
+
+function normalizeNumber(value) {
+  const n = Number(asString(value).replace(/,/g, ""));
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+function normalizeIso(value) {
+  const raw = asString(value);
+  if (!raw) return "";
+  const t = Date.parse(raw);
+  return Number.isFinite(t) ? new Date(t).toISOString() : "invalid";
+}
+
+function normalizeList(value) {
+  const raw = Array.isArray(value) ? value : asString(value).split(",");
+  return raw.map((v) => asString(v).toLowerCase()).filter(Boolean);
+}
+
+function toPromotion(fields) {
+  return {
+    code: asString(fields.code),
+    type: asString(fields.type),
+    value: Number(fields.value) || 0,
+    active: Boolean(fields.active),
+    starts_at: asString(fields.starts_at),
+    ends_at: asString(fields.ends_at),
+    max_redemptions: Number(fields.max_redemptions) || 0,
+    per_member_limit: Number(fields.per_member_limit) || 0,
+    min_amount_thb: Number(fields.min_amount_thb) || 0,
+    allowed_stages: normalizeList(fields.allowed_stages),
+    allowed_tiers: normalizeList(fields.allowed_tiers),
+    redemption_count: Number(fields.redemption_count) || 0,
+    notes: asString(fields.notes),
+  };
+}
+
+function validatePromotion(promo, body) {
+  if (!/^[A-Z0-9_-]{3,32}$/.test(promo.code)) {
+    return { code: "invalid_code", message: "code must be 3-32 chars of A-Z, 0-9, _ or -" };
+  }
+  if (!PROMO_TYPES.includes(promo.type)) {
+    return { code: "invalid_type", message: "type must be percent or fixed" };
+  }
+  if (!promo.value || (promo.type === "percent" && promo.value > 100)) {
+    return { code: "invalid_value", message: "value must be > 0 (percent <= 100)" };
+  }
+  if (promo.starts_at === "invalid" || promo.ends_at === "invalid") {
+    return { code: "invalid_date", message: "starts_at / ends_at must be ISO dates" };
+  }
+  if (promo.starts_at && promo.ends_at && promo.starts_at >= promo.ends_at) {
+    return { code: "invalid_date_range", message: "ends_at must be after starts_at" };
+  }
+  for (const key of ["max_redemptions", "per_member_limit", "min_amount_thb"]) {
+    if (asString(body[key]) && !promo[key]) {
+      return { code: `invalid_${key}`, message: `${key} must be greater than 0` };
+    }
+  }
+  const badStage = promo.allowed_stages.find((s) => !PAYMENT_STAGES.includes(s));
+  if (badStage) {
+    return { code: "invalid_allowed_stages", message: `unknown payment stage: ${badStage}` };
+  }
+  return null;
+}
+
+function escapeAirtableValue(value) {
+  return String(value).replace(/'/g, "\\'");
+}
+
+async function airtableSelect(env, table, { filterByFormula = "", pageSize = 100, sortField = "" } = {}) {
+  const params = new URLSearchParams();
+  params.set("pageSize", String(pageSize));
+  if (filterByFormula) params.set("filterByFormula", filterByFormula);
+  if (sortField) {
+    params.set("sort[0][field]", sortField);
+    params.set("sort[0][direction]", "desc");
+  }
+
+  const response = await fetch(
+    `${AIRTABLE_API}/${env.AIRTABLE_BASE_ID}/${encodeURIComponent(table)}?${params.toString()}`,
+    { method: "GET", headers: { Authorization: `Bearer ${env.AIRTABLE_API_KEY}` } }
+  );
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data?.error?.message || "Airtable lookup failed");
+  }
+  return data.records || [];
+}
+
+async function airtableFindByCode(env, code) {
+  const records = await airtableSelect(env, promotionsTable(env), {
+    filterByFormula: `{code}='${escapeAirtableValue(code)}'`,
+    pageSize: 1,
+  });
+  return records[0] || null;
+}
+
+async function airtableCreateRecord(env, table, fields) {
+  const response = await fetch(`${AIRTABLE_API}/${env.AIRTABLE_BASE_ID}/${encodeURIComponent(table)}`, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${env.AIRTABLE_API_KEY}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ fields, typecast: true }),
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data?.error?.message || "Airtable create failed");
+  }
+  return data;
+}
+
+async function airtablePatchRecord(env, table, id, fields) {
+  const response = await fetch(
+    `${AIRTABLE_API}/${env.AIRTABLE_BASE_ID}/${encodeURIComponent(table)}/${encodeURIComponent(id)}`,
+    {
+      method: "PATCH",
+      headers: {
+        Authorization: `Bearer ${env.AIRTABLE_API_KEY}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ fields, typecast: true }),
+    }
+  );
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data?.error?.message || "Airtable update failed");
+  }
+  return data;
+}
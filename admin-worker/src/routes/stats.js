@@ -0,0 +1,258 @@
+// src/routes/stats.js
+// Dashboard numbers from Airtable members / models / payments / points ledger.
+//
+// Reading four whole tables is slow and rate-limited, so the result is snapshotted in
+// ADMIN_STATS_KV (stats:snapshot:<days>) and refreshed by the cron in index.js scheduled().
+// GET /v1/admin/stats serves the snapshot while it is younger than STATS_CACHE_MINUTES and
+// recomputes (and re-caches) otherwise, or when ?refresh=1.
+//
+// Revenue is net: paid originals count at full amount, refund rows (payment_type "refund",
+// negative amount_thb, written by payments-worker) subtract in the "refund" bucket.
+//
+// Days are Asia/Bangkok calendar days. Each table is read with only the fields the aggregation
+// uses; payments and points ledger rows are further limited to records modified inside the
+// widest window (a row dated inside the window was necessarily written inside it). When a
+// table lacks one of the listed fields Airtable rejects the request (422), and the read is
+// repeated without fields[].
+
+import { bangkokDate } from "./ops-lookup.js";
+
+const AIRTABLE_API = "https://api.airtable.com/v0";
+const PAID_STATUSES = ["success", "paid", "verified", "partially_refunded", "refunded"];
+const SNAPSHOT_PREFIX = "stats:snapshot:";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MEMBER_DATE_FIELDS = ["created_at", "Created At", "joined_at"];
+const PAYMENT_FIELDS = ["Payment Status", "amount_thb", "amount", "payment_type", "payment_stage", "verified_at", "Payment Date", "Created At"];
+const POINTS_FIELDS = ["type", "points", "created_at"];
+
+export async function statsGet(req, env) {
+  if (!env.AIRTABLE_API_KEY || !env.AIRTABLE_BASE_ID) {
+    return json({ ok: false, error: "missing_airtable_env", message: "Airtable env is missing" }, 500);
+  }
+
+  const url = new URL(req.url);
+  const days = statsDays(url.searchParams.get("days"));
+  const refresh = asString(url.searchParams.get("refresh")) === "1";
+
+  try {
+    if (!refresh) {
+      const cached = await readSnapshot(env, days);
+      if (cached && Date.now() - Date.parse(cached.generated_at) < cacheMinutes(env) * 60 * 1000) {
+        return json({ ok: true, layer: "core", cached: true, ...cached });
+      }
+    }
+
+    const snapshot = await refreshStatsSnapshot(env, days);
+    return json({ ok: true, layer: "core", cached: false, ...snapshot });
+  } catch (error) {
+    return json(
+      { ok: false, error: "stats_failed", message: error instanceof Error ? error.message : "Unknown error" },
+      500
+    );
+  }
+}
+
+/**
+ * Recompute from Airtable and write the KV snapshot (when ADMIN_STATS_KV is bound).
+ */
+export async function refreshStatsSnapshot(env, days) {
+  const [snapshot] = await refreshStatsSnapshots(env, [days]);
+  return snapshot;
+}
+
+// One Airtable read shared by every window (cron refreshes 7 and 30 days together).
+export async function refreshStatsSnapshots(env, daysList, { now = Date.now() } = {}) {
+  const recent = modifiedSinceFormula(windowStart(Math.max(30, ...daysList), now));
+  const [members, models, payments, points] = await Promise.all([
+    airtableSelectAll(env, env.AIRTABLE_TABLE_MEMBERS || "members", { fields: MEMBER_DATE_FIELDS }),
+    airtableSelectAll(env, env.AIRTABLE_TABLE_MODELS || "models", { fields: ["name"] }),
+    airtableSelectAll(env, env.AIRTABLE_TABLE_PAYMENTS || "payments", { fields: PAYMENT_FIELDS, formula: recent }),
+    airtableSelectAll(env, env.AIRTABLE_TABLE_POINTS_LEDGER || "points_ledger", { fields: POINTS_FIELDS, formula: recent }),
+  ]);
+
+  const generatedAt = new Date(now).toISOString();
+  const snapshots = [];
+  for (const days of daysList) {
+    const snapshot = {
+      generated_at: generatedAt,
+      days,
+      ...aggregateStats({ members, models, payments, points }, { days, now }),
+    };
+    if (env.ADMIN_STATS_KV) {
+      await env.ADMIN_STATS_KV.put(`${SNAPSHOT_PREFIX}${days}`, JSON.stringify(snapshot), {
+        expirationTtl: 60 * 60 * 24,
+      });
+    }
+    snapshots.push(snapshot);
+  }
+  return snapshots;
+}
+
+// Days refreshed by the cron (STATS_SNAPSHOT_DAYS, CSV).
+export function snapshotDays(env) {
+  const list = asString(env.STATS_SNAPSHOT_DAYS || "7,30")
+    .split(",")
+    .map((v) => statsDays(v));
+  return Array.from(new Set(list));
+}
+
+/**
+ * Pure aggregation over Airtable records ({ id, fields, createdTime }).
+ * => { summary, trends: { labels, members_new, revenue_thb, revenue_by_stage, payments_count, points_issued } }
+ */
+export function aggregateStats({ members = [], models = [], payments = [], points = [] }, { days = 7, now = Date.now() } = {}) {
+  const labels = lastNDays(days, now);
+  const index = new Map(labels.map((d, i) => [d, i]));
+  const zeros = () => labels.map(() => 0);
+
+  const membersNew = zeros();
+  for (const rec of members) {
+    const i = index.get(dayOf(recordDate(rec, MEMBER_DATE_FIELDS)));
+    if (i !== undefined) membersNew[i] += 1;
+  }
+
+  const revenue = zeros();
+  const paymentsCount = zeros();
+  const byStage = {};
+  const since30 = now - 30 * DAY_MS;
+  let revenue30d = 0;
+
+  for (const rec of payments) {
+    const f = rec.fields || {};
+    if (!PAID_STATUSES.includes(asString(f["Payment Status"]).toLowerCase())) continue;
+
+    const amount = toNumber(f.amount_thb ?? f.amount);
+    const isRefund = asString(f.payment_type).toLowerCase() === "refund";
+    const stage = isRefund ? "refund" : asString(f.payment_stage || f.payment_type).toLowerCase() || "unknown";
+    const at = recordDate(rec, isRefund ? ["Payment Date", "Created At"] : ["verified_at", "Payment Date", "Created At"]);
+
+    if (at && at >= since30 && at <= now) revenue30d += amount;
+
+    const i = index.get(dayOf(at));
+    if (i === undefined) continue;
+    revenue[i] += amount;
+    if (!isRefund) paymentsCount[i] += 1;
+    if (!byStage[stage]) byStage[stage] = zeros();
+    byStage[stage][i] += amount;
+  }
+
+  const pointsIssued = zeros();
+  for (const rec of points) {
+    const f = rec.fields || {};
+    if (asString(f.type).toLowerCase() !== "earn") continue;
+    const i = index.get(dayOf(recordDate(rec, ["created_at"])));
+    if (i !== undefined) pointsIssued[i] += toNumber(f.points);
+  }
+
+  return {
+    summary: {
+      total_members: members.length,
+      total_models: models.length,
+      revenue_30d_thb: revenue30d,
+    },
+    trends: {
+      labels,
+      members_new: membersNew,
+      revenue_thb: revenue,
+      revenue_by_stage: byStage,
+      payments_count: paymentsCount,
+      points_issued: pointsIssued,
+    },
+  };
+}
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      "Content-Type": "application/json; charset=utf-8",
+    },
+  });
+}
+
+function asString(value) {
+  if (value === null || value === undefined) return "";
+  return String(value).trim();
+}
+
+function toNumber(value) {
+  const n = Number(asString(value).replace(/,/g, ""));
+  return Number.isFinite(n) ? n : 0;
+}
+
+function statsDays(value) {
+  const n = Math.floor(Number(value));
+  if (!Number.isFinite(n) || n < 1) return 7;
+  return Math.min(n, 90);
+}
+
+function cacheMinutes(env) {
+  const n = Number(env.STATS_CACHE_MINUTES);
+  return Number.isFinite(n) && n > 0 ? n : 15;
+}
+
+// Bangkok dates, oldest first, ending today
+function lastNDays(n, now) {
+  const out = [];
+  for (let i = n - 1; i >= 0; i--) out.push(bangkokDate(now - i * DAY_MS));
+  return out;
+}
+
+// Start of the oldest Bangkok day in an n-day window (ms)
+function windowStart(n, now) {
+  return Date.parse(`${bangkokDate(now - (n - 1) * DAY_MS)}T00:00:00+07:00`);
+}
+
+// Records written since `ms` (LAST_MODIFIED_TIME() is never earlier than any date stored on the row)
+export function modifiedSinceFormula(ms) {
+  return `IS_AFTER(LAST_MODIFIED_TIME(),DATETIME_PARSE("${new Date(ms).toISOString()}"))`;
+}
+
+// First parseable date among the given fields, falling back to Airtable createdTime. => ms | 0
+function recordDate(rec, names) {
+  for (const name of names) {
+    const ms = Date.parse(asString(rec.fields?.[name]));
+    if (Number.isFinite(ms)) return ms;
+  }
+  const ms = Date.parse(asString(rec.createdTime));
+  return Number.isFinite(ms) ? ms : 0;
+}
+
+function dayOf(ms) {
+  return ms ? bangkokDate(ms) : "";
+}
+
+async function readSnapshot(env, days) {
+  if (!env.ADMIN_STATS_KV) return null;
+  return env.ADMIN_STATS_KV.get(`${SNAPSHOT_PREFIX}${days}`, { type: "json" }).catch(() => null);
+}
+
+async function airtableSelectAll(env, table, { fields = [], formula = "" } = {}) {
+  const maxPages = Math.max(1, Number(env.STATS_MAX_PAGES) || 50);
+  const records = [];
+  let offset = "";
+
+  for (let page = 0; page < maxPages; page++) {
+    const params = new URLSearchParams({ pageSize: "100" });
+    if (offset) params.set("offset", offset);
+    if (formula) params.set("filterByFormula", formula);
+    fields.forEach((f) => params.append("fields[]", f));
+
+    const res = await fetch(`${AIRTABLE_API}/${env.AIRTABLE_BASE_ID}/${encodeURIComponent(table)}?${params}`, {
+      headers: { Authorization: `Bearer ${env.AIRTABLE_API_KEY}` },
+    });
+    const data = await res.json().catch(() => null);
+    if (res.status === 422 && fields.length && page === 0) {
+      console.log(JSON.stringify({ event: "stats_fields_rejected", table, message: asString(data?.error?.message || data?.error?.type) }));
+      return airtableSelectAll(env, table, { formula });
+    }
+    if (!res.ok) throw new Error(`airtable_${table}_${res.status}`);
+
+    for (const rec of data?.records || []) {
+      records.push({ id: rec.id, fields: rec.fields || {}, createdTime: rec.createdTime });
+    }
+    offset = asString(data?.offset);
+    if (!offset) break;
+  }
+  return records;
+}
@@ -1,3 +1,31 @@
 // admin-worker/src/telegram.js
 // paste the link-telegram function provided earlier (adminLinkTelegram)
 // Example: export async function handleLinkTelegram(req, env) { ... }
+
+// Direct Bot API calls (TELEGRAM_BOT_TOKEN) for edits and callback answers, and the fallback when
+// telegram-worker's outbox (TELEGRAM_INTERNAL_SEND_URL, which also carries reply_markup) is not set.
+export async function telegramBotApi(env, method, payload) {
+  if (!env.TELEGRAM_BOT_TOKEN) return { ok: false, skipped: true, reason: "missing_telegram_bot_token" };
+
+  try {
+    const res = await fetch(`https://api.telegram.org/bot${env.TELEGRAM_BOT_TOKEN}/${method}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(payload),
+    });
+    const data = await res.json().catch(() => null);
+    if (!res.ok || data?.ok === false) {
+      return { ok: false, status: res.status, error: data?.description || `telegram_http_${res.status}` };
+    }
+    return { ok: true, result: data?.result || null };
+  } catch (error) {
+    return { ok: false, error: String(error?.message || error) };
+  }
+}
+
+export function escapeTelegramHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
@@ -1,2 +1,226 @@
 // admin-worker/src/telegramCallbacks.js
-// paste the handleTelegramCallback function provided earlier
+// Inline-keyboard actions from Telegram (callback_query), routed by the callback_data prefix.
+//
+//   pr:a:<record id>:<price>   approve pricing review at price
+//   pr:e:<record id>:<price>   show the price editor (±500 / ±1,000) — counts as first response
+//   pr:r:<record id>           reject pricing review
+//   pi:v:<payment ref>         verify payment      -> payments-worker /v1/payments/notify
+//   pi:r:<payment ref>         reject slip         -> payments-worker /v1/payments/reject
+//   ho:m:<record id>           assign handoff to me (console inbox record)
+//
+// Pricing actions are limited to PRICING_APPROVERS; payment and handoff actions to TELEGRAM_OPERATORS
+// ("name:<tg id>,…") plus the approvers (src/operators.js, shared with telegram-worker's slash commands).
+// The tapped message is edited to show who acted and its keyboard removed; copies of the same alert in
+// other chats keep their buttons, so double actions are stopped on the server (approve/reject re-check the
+// review status, verify/reject the payment status, handoffs the assignment), not by the edit.
+//
+// Reached through POST /v1/admin/telegram/callback, which telegram-worker calls for every callback_query
+// it receives on /telegram/webhook (system credentials; the actor is the Telegram user).
+
+import { approverByTelegramId, operatorByTelegramId } from "./operators.js";
+import { pricingEditKeyboard, recordPricingFirstResponse, rejectPricingReview } from "./routes/pricing-sla.js";
+import { escapeTelegramHtml, telegramBotApi } from "./telegram.js";
+
+const PAYMENT_REF_RE = "[A-Za-z0-9_.:-]{1,58}";
+const RECORD_ID_RE = "rec[A-Za-z0-9]{14}";
+
+/**
+ * => { domain, action, record_id?, payment_ref?, price? } | null
+ */
+export function parseCallbackData(data) {
+  const raw = String(data || "");
+
+  let m = raw.match(new RegExp(`^pr:([aer]):(${RECORD_ID_RE})(?::(\\d{1,7}))?$`));
+  if (m) {
+    const action = { a: "approve", e: "edit", r: "reject" }[m[1]];
+    const price = Number(m[3] || 0);
+    if (action !== "reject" && !(price > 0)) return null;
+    return { domain: "pricing_review", action, record_id: m[2], price };
+  }
+
+  m = raw.match(new RegExp(`^pi:([vr]):(${PAYMENT_REF_RE})$`));
+  if (m) return { domain: "payment_intent", action: m[1] === "v" ? "verify" : "reject", payment_ref: m[2] };
+
+  m = raw.match(new RegExp(`^ho:m:(${RECORD_ID_RE})$`));
+  if (m) return { domain: "handoff", action: "assign", record_id: m[1] };
+
+  return null;
+}
+
+/**
+ * deps = {
+ *   table,                                              // pricing review (console inbox) table
+ *   approvePricingReview(env, body, audit, identity),
+ *   inboxTable, getRecord(env, table, id), patchRecord(env, table, id, patch, audit, before),
+ * }
+ */
+export async function handleTelegramCallback(env, callbackQuery, deps) {
+  const cq = callbackQuery || {};
+  const parsed = parseCallbackData(cq.data);
+  if (!parsed) {
+    await answer(env, cq, "Unknown action");
+    return { ok: false, error: "unknown_callback" };
+  }
+
+  const actor =
+    parsed.domain === "pricing_review"
+      ? approverByTelegramId(env, cq.from?.id)
+      : operatorByTelegramId(env, cq.from?.id);
+  if (!actor) {
+    await answer(env, cq, parsed.domain === "pricing_review" ? "You are not a pricing approver" : "You are not an operator", true);
+    return { ok: false, error: "not_allowed", telegram_user_id: cq.from?.id || null };
+  }
+
+  const audit = { actor: actor.name, route: `telegram:${parsed.domain}`, request_id: `tg_${cq.id || Date.now()}` };
+  const handler = { pricing_review: pricingAction, payment_intent: paymentAction, handoff: handoffAction }[parsed.domain];
+
+  let out;
+  try {
+    out = await handler(env, cq, parsed, { actor, audit, deps });
+  } catch (e) {
+    out = { ok: false, error: String(e?.message || e) };
+  }
+
+  if (!out.ok) {
+    // a stale copy (already decided elsewhere) still loses its keyboard
+    if (out.stamp) await stampMessage(env, cq, out.stamp);
+    await answer(env, cq, `Failed: ${out.error || "error"}`, true);
+    return { ok: false, domain: parsed.domain, action: parsed.action, error: out.error || "callback_failed" };
+  }
+
+  if (out.stamp) await stampMessage(env, cq, out.stamp);
+  await answer(env, cq, out.toast || "Done");
+  return { ok: true, domain: parsed.domain, action: parsed.action, ...out.result };
+}
+
+async function pricingAction(env, cq, { action, record_id: recordId, price }, { actor, audit, deps }) {
+  if (action === "edit") {
+    await recordPricingFirstResponse(env, deps.table, recordId, actor.name);
+    await telegramBotApi(env, "editMessageReplyMarkup", {
+      ...messageRef(cq),
+      reply_markup: pricingEditKeyboard(recordId, price),
+    });
+    return { ok: true, toast: `Price: ฿${price.toLocaleString("en-US")}`, result: { record_id: recordId, price } };
+  }
+
+  const identity = { actor: actor.name, role: "pricing_approver", key_id: "", named: true, via: "telegram" };
+  const result =
+    action === "approve"
+      ? await deps.approvePricingReview(env, { pricing_review_id: recordId, final_price_thb: price }, audit, identity)
+      : await rejectPricingReview(env, { table: deps.table, recordId, by: actor.name, audit });
+  if (result?.error === "pricing_review_closed") {
+    const status = String(result.status || "decided").replace(/^human_/, "");
+    return { ok: false, error: `already ${status}`, stamp: `ℹ️ <b>Already ${escapeTelegramHtml(status)}</b> — no change` };
+  }
+  if (!result?.ok) return { ok: false, error: result?.error };
+
+  return {
+    ok: true,
+    stamp:
+      action === "approve"
+        ? `✅ <b>Approved ฿${price.toLocaleString("en-US")}</b> by ${escapeTelegramHtml(actor.name)}`
+        : `❌ <b>Rejected</b> by ${escapeTelegramHtml(actor.name)}`,
+    toast: action === "approve" ? "Approved" : "Rejected",
+    result: { record_id: recordId, price: action === "approve" ? price : null, result },
+  };
+}
+
+async function paymentAction(env, cq, { action, payment_ref: paymentRef }, { actor }) {
+  const result =
+    action === "verify"
+      ? await callPayments(env, "/v1/payments/notify", { payment_ref: paymentRef, verified_by: actor.name })
+      : await callPayments(env, "/v1/payments/reject", { payment_ref: paymentRef, rejected_by: actor.name, reason: "rejected_via_telegram" });
+  // payments-worker answers a repeat with ok + idempotent, a conflicting state with 409; both carry payment_status
+  if (result.data?.idempotent || result.status === 409) {
+    const status = String(result.payment_status || "handled");
+    return { ok: false, error: `already ${status}`, stamp: `ℹ️ <b>Already ${escapeTelegramHtml(status)}</b> — no change` };
+  }
+  if (!result.ok) return { ok: false, error: result.error };
+
+  return {
+    ok: true,
+    stamp:
+      action === "verify"
+        ? `✅ <b>Payment verified</b> by ${escapeTelegramHtml(actor.name)}`
+        : `❌ <b>Slip rejected</b> by ${escapeTelegramHtml(actor.name)}`,
+    toast: action === "verify" ? "Payment verified" : "Slip rejected",
+    result: { payment_ref: paymentRef, result: result.data },
+  };
+}
+
+async function handoffAction(env, cq, { record_id: recordId }, { actor, audit, deps }) {
+  const rec = await deps.getRecord(env, deps.inboxTable, recordId);
+  if (!rec) return { ok: false, error: "handoff_not_found" };
+
+  const payload = parseJson(rec.fields?.payload_json);
+  const current = payload.assignment?.assigned_to;
+  if (current && current !== actor.name) return { ok: false, error: `already assigned to ${current}` };
+
+  payload.assignment = { assigned_to: actor.name, assigned_at: new Date().toISOString() };
+  const out = await deps.patchRecord(
+    env,
+    deps.inboxTable,
+    recordId,
+    { status: "in_progress", payload_json: JSON.stringify(payload) },
+    audit,
+    rec.fields
+  );
+  if (!out?.ok) return { ok: false, error: out?.error || "handoff_update_failed" };
+
+  return {
+    ok: true,
+    stamp: `🙋 <b>Assigned</b> to ${escapeTelegramHtml(actor.name)}`,
+    toast: "Assigned to you",
+    result: { record_id: recordId, assigned_to: actor.name },
+  };
+}
+
+// => { ok, data, payment_status } | { ok: false, error, status, payment_status }
+async function callPayments(env, path, body) {
+  const base = String(env.PAYMENTS_WORKER_BASE_URL || env.PAYMENTS_BASE_URL || "").replace(/\/+$/, "");
+  if (!base || !env.INTERNAL_TOKEN) return { ok: false, error: "missing_payments_worker_env" };
+
+  try {
+    const res = await fetch(`${base}${path}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "X-Internal-Token": env.INTERNAL_TOKEN },
+      body: JSON.stringify(body),
+    });
+    const data = await res.json().catch(() => null);
+    const payment_status = String(data?.payment_status || "");
+    if (!res.ok || !data?.ok) {
+      return { ok: false, error: data?.error || `payments_worker_http_${res.status}`, status: res.status, payment_status };
+    }
+    return { ok: true, data, payment_status };
+  } catch (e) {
+    return { ok: false, error: String(e?.message || e) };
+  }
+}
+
+// append who acted; editMessageText without reply_markup also drops the keyboard
+async function stampMessage(env, cq, stamp) {
+  await telegramBotApi(env, "editMessageText", {
+    ...messageRef(cq),
+    text: `${escapeTelegramHtml(cq.message?.text || "")}\n\n${stamp}`,
+    parse_mode: "HTML",
+    disable_web_page_preview: true,
+  });
+}
+
+function messageRef(cq) {
+  return { chat_id: cq.message?.chat?.id, message_id: cq.message?.message_id };
+}
+
+async function answer(env, cq, text, showAlert = false) {
+  if (!cq.id) return;
+  await telegramBotApi(env, "answerCallbackQuery", { callback_query_id: cq.id, text, show_alert: showAlert });
+}
+
+function parseJson(value) {
+  try {
+    const parsed = JSON.parse(value || "{}");
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  } catch (_) {
+    return {};
+  }
+}
@@ -0,0 +1,89 @@
+import assert from "node:assert/strict";
+import { aggregateStats, refreshStatsSnapshots } from "./src/routes/stats.js";
+
+const now = Date.parse("2026-10-19T12:00:00Z");
+const rec = (fields, createdTime = "2026-10-01T00:00:00Z") => ({ id: "rec", fields, createdTime });
+
+const stats = aggregateStats(
+  {
+    members: [
+      rec({ created_at: "2026-10-19T01:00:00Z" }),
+      rec({}, "2026-10-18T05:00:00Z"),
+      rec({ created_at: "2026-09-01T00:00:00Z" }),
+    ],
+    models: [rec({}), rec({})],
+    payments: [
+      rec({ "Payment Status": "paid", payment_stage: "deposit", amount_thb: 3000, verified_at: "2026-10-18T10:00:00Z" }),
+      rec({ "Payment Status": "partially_refunded", payment_stage: "final", amount_thb: "7,000", "Payment Date": "2026-10-19T09:00:00Z" }),
+      rec({ "Payment Status": "refunded", payment_type: "refund", amount_thb: -2000, "Payment Date": "2026-10-19T10:00:00Z" }),
+      rec({ "Payment Status": "pending", payment_stage: "deposit", amount_thb: 9999, "Payment Date": "2026-10-19T10:00:00Z" }),
+      rec({ "Payment Status": "paid", payment_stage: "tips", amount_thb: 500, verified_at: "2026-09-25T10:00:00Z" }),
+    ],
+    points: [
+      rec({ type: "earn", points: 30, created_at: "2026-10-18T10:00:00Z" }),
+      rec({ type: "reversal", points: -10, created_at: "2026-10-19T10:00:00Z" }),
+      rec({ type: "earn", points: 70, created_at: "2026-10-19T09:00:00Z" }),
+    ],
+  },
+  { days: 3, now }
+);
+
+assert.deepEqual(stats.summary, { total_members: 3, total_models: 2, revenue_30d_thb: 8500 });
+assert.deepEqual(stats.trends.labels, ["2026-10-17", "2026-10-18", "2026-10-19"]);
+assert.deepEqual(stats.trends.members_new, [0, 1, 1]);
+assert.deepEqual(stats.trends.revenue_thb, [0, 3000, 5000]);
+assert.deepEqual(stats.trends.payments_count, [0, 1, 1]);
+assert.deepEqual(stats.trends.revenue_by_stage, { deposit: [0, 3000, 0], final: [0, 0, 7000], refund: [0, 0, -2000] });
+assert.deepEqual(stats.trends.points_issued, [0, 30, 70]);
+
+// days are Bangkok days: 18:30 UTC on the 18th is 01:30 on the 19th, 17:01 UTC on the 16th is 00:01 on the 17th
+const evening = aggregateStats(
+  {
+    payments: [rec({ "Payment Status": "paid", payment_stage: "deposit", amount_thb: 1000, verified_at: "2026-10-18T18:30:00Z" })],
+    members: [rec({ created_at: "2026-10-16T17:01:00Z" })],
+  },
+  { days: 3, now }
+);
+assert.deepEqual(evening.trends.revenue_thb, [0, 0, 1000]);
+assert.deepEqual(evening.trends.members_new, [1, 0, 0]);
+// at 23:30 Bangkok (16:30 UTC) today is already the next day
+assert.deepEqual(aggregateStats({}, { days: 1, now: Date.parse("2026-10-19T17:30:00Z") }).trends.labels, ["2026-10-20"]);
+
+// Airtable reads: only the aggregated fields; payments and points limited to the widest window
+const realFetch = globalThis.fetch;
+const requests = [];
+try {
+  globalThis.fetch = async (url) => {
+    const u = new URL(url);
+    requests.push(u);
+    const table = decodeURIComponent(u.pathname.split("/").pop());
+    if (table === "members" && u.searchParams.getAll("fields[]").length) {
+      return new Response(JSON.stringify({ error: { type: "UNKNOWN_FIELD_NAME", message: "Unknown field name: \"joined_at\"" } }), { status: 422 });
+    }
+    const records = table === "models" ? [{ id: "m1", fields: { name: "A" }, createdTime: "2026-01-01T00:00:00Z" }] : [];
+    return new Response(JSON.stringify({ records }), { status: 200 });
+  };
+  const [week, month] = await refreshStatsSnapshots({ AIRTABLE_API_KEY: "k", AIRTABLE_BASE_ID: "app" }, [7, 30], { now });
+  assert.equal(week.days, 7);
+  assert.equal(month.summary.total_models, 1);
+  assert.equal(week.generated_at, new Date(now).toISOString());
+
+  const byTable = (name) => requests.filter((u) => decodeURIComponent(u.pathname).endsWith(`/${name}`));
+  const payments = byTable("payments")[0].searchParams;
+  assert.ok(payments.getAll("fields[]").includes("Payment Status"));
+  assert.ok(payments.getAll("fields[]").includes("verified_at"));
+  // 30 Bangkok days back from the 19th: midnight on 2026-09-20 (+07:00)
+  assert.equal(payments.get("filterByFormula"), 'IS_AFTER(LAST_MODIFIED_TIME(),DATETIME_PARSE("2026-09-19T17:00:00.000Z"))');
+  assert.equal(byTable("points_ledger")[0].searchParams.get("filterByFormula"), payments.get("filterByFormula"));
+  assert.deepEqual(byTable("models")[0].searchParams.getAll("fields[]"), ["name"]);
+  assert.equal(byTable("models")[0].searchParams.get("filterByFormula"), null);
+
+  // a table without one of the listed fields is read again without fields[]
+  const members = byTable("members");
+  assert.equal(members.length, 2);
+  assert.deepEqual(members[1].searchParams.getAll("fields[]"), []);
+} finally {
+  globalThis.fetch = realFetch;
+}
+
+console.log("stats tests passed");
@@ -0,0 +1,100 @@
+import assert from "node:assert/strict";
+import { telegramOperators } from "./src/operators.js";
+import { handleTelegramCallback, parseCallbackData } from "./src/telegramCallbacks.js";
+
+const rec = "recAbCdEfGhIjKlMn";
+
+assert.deepEqual(parseCallbackData("pi:v:pay_m1x2y3_00ff00ff00ff00ff"), {
+  domain: "payment_intent",
+  action: "verify",
+  payment_ref: "pay_m1x2y3_00ff00ff00ff00ff",
+});
+assert.equal(parseCallbackData("pi:r:pay_1").action, "reject");
+assert.equal(parseCallbackData("pi:x:pay_1"), null);
+assert.equal(parseCallbackData("pi:v:has space"), null);
+assert.deepEqual(parseCallbackData(`ho:m:${rec}`), { domain: "handoff", action: "assign", record_id: rec });
+assert.equal(parseCallbackData("ho:m:rec123"), null);
+assert.equal(parseCallbackData(`pr:e:${rec}:7000`).domain, "pricing_review");
+
+const env = { TELEGRAM_OPERATORS: "Mint:333, bad, per:111", PRICING_APPROVERS: "per:111,ewvon:222" };
+assert.deepEqual(
+  telegramOperators(env).map((o) => `${o.name}:${o.telegram_id}`),
+  ["mint:333", "per:111", "ewvon:222"]
+);
+
+// operators may take handoffs, but only approvers may price
+const patched = [];
+const deps = {
+  inboxTable: "inbox",
+  getRecord: async (_env, _table, id) => ({ id, fields: { payload_json: "{}" } }),
+  patchRecord: async (_env, _table, id, patch) => {
+    patched.push([id, patch]);
+    return { ok: true, id };
+  },
+  approvePricingReview: async () => assert.fail("operator must not approve"),
+};
+const cq = (data, from) => ({ data, from: { id: from } });
+
+const taken = await handleTelegramCallback(env, cq(`ho:m:${rec}`, 333), deps);
+assert.equal(taken.ok, true);
+assert.equal(taken.assigned_to, "mint");
+assert.equal(patched[0][1].status, "in_progress");
+assert.equal(JSON.parse(patched[0][1].payload_json).assignment.assigned_to, "mint");
+
+assert.equal((await handleTelegramCallback(env, cq(`pr:a:${rec}:5000`, 333), deps)).error, "not_allowed");
+assert.equal((await handleTelegramCallback(env, cq(`ho:m:${rec}`, 999), deps)).error, "not_allowed");
+
+deps.getRecord = async (_env, _table, id) => ({ id, fields: { payload_json: '{"assignment":{"assigned_to":"ewvon"}}' } });
+const clash = await handleTelegramCallback(env, cq(`ho:m:${rec}`, 333), deps);
+assert.equal(clash.ok, false);
+assert.match(clash.error, /already assigned to ewvon/);
+
+// a second approver tapping a copy of the alert is stopped by the review status, not by the keyboard
+const approvers = { PRICING_APPROVERS: "per:111,ewvon:222" };
+let approveCalls = 0;
+const closedDeps = {
+  table: "inbox",
+  approvePricingReview: async () => {
+    approveCalls += 1;
+    return { ok: false, error: "pricing_review_closed", status: "human_approved" };
+  },
+};
+const second = await handleTelegramCallback(approvers, cq(`pr:a:${rec}:9000`, 222), closedDeps);
+assert.equal(approveCalls, 1);
+assert.deepEqual(second, { ok: false, domain: "pricing_review", action: "approve", error: "already approved" });
+
+// payment buttons: a stale verify after a reject (409) or a repeat verify (idempotent) only stamps the message
+const realFetch = globalThis.fetch;
+const tgCalls = [];
+let paymentsReply;
+try {
+  globalThis.fetch = async (url, init) => {
+    if (String(url).startsWith("https://api.telegram.org")) {
+      tgCalls.push({ method: String(url).split("/").pop(), body: JSON.parse(init.body) });
+      return new Response(JSON.stringify({ ok: true, result: {} }), { status: 200 });
+    }
+    return new Response(JSON.stringify(paymentsReply.body), { status: paymentsReply.status });
+  };
+  const payEnv = { ...env, PAYMENTS_BASE_URL: "https://pay.example", INTERNAL_TOKEN: "it", TELEGRAM_BOT_TOKEN: "bt" };
+  const tap = (from) => ({ ...cq("pi:v:pay_1", from), id: "cb1", message: { chat: { id: -100 }, message_id: 7, text: "Slip" } });
+
+  paymentsReply = { status: 409, body: { ok: false, error: "payment_not_verifiable", payment_status: "rejected" } };
+  const stale = await handleTelegramCallback(payEnv, tap(333), {});
+  assert.deepEqual(stale, { ok: false, domain: "payment_intent", action: "verify", error: "already rejected" });
+  const edit = tgCalls.find((c) => c.method === "editMessageText");
+  assert.match(edit.body.text, /Already rejected<\/b> — no change/);
+
+  tgCalls.length = 0;
+  paymentsReply = { status: 200, body: { ok: true, idempotent: true, payment_ref: "pay_1", payment_status: "paid" } };
+  const repeat = await handleTelegramCallback(payEnv, tap(333), {});
+  assert.equal(repeat.error, "already paid");
+  assert.match(tgCalls.find((c) => c.method === "editMessageText").body.text, /Already paid/);
+
+  paymentsReply = { status: 200, body: { ok: true, payment_ref: "pay_1" } };
+  const fresh = await handleTelegramCallback(payEnv, tap(333), {});
+  assert.equal(fresh.ok, true);
+} finally {
+  globalThis.fetch = realFetch;
+}
+
+console.log("telegram callbacks tests passed");
@@ -0,0 +1,101 @@
+import assert from "node:assert/strict";
+import { classifyMessage, shouldHandoff, summarizeConversation } from "./src/handoff.js";
+
+const env = { HANDOFF_THRESHOLD: "0.6" };
+
+assert.equal(classifyMessage("hello, what is MMD?").category, "");
+assert.equal(shouldHandoff(env, classifyMessage("hello, what is MMD?")), false);
+
+const th = classifyMessage("ราคาเท่าไหร่คะ 5000 บาทได้ไหม");
+assert.equal(th.category, "pricing");
+assert.equal(shouldHandoff(env, th), true);
+
+const booking = classifyMessage("Can I book someone tonight at 9pm?");
+assert.equal(booking.category, "booking");
+assert.equal(shouldHandoff(env, booking), true);
+assert.equal(shouldHandoff(env, classifyMessage("are you available?")), false);
+
+const complaint = classifyMessage("He was a no-show, I want a refund");
+assert.equal(complaint.category, "complaint");
+assert.equal(shouldHandoff(env, complaint), true);
+
+// safety always escalates, even with a strict threshold
+const safety = classifyMessage("รู้สึกไม่ปลอดภัย ช่วยด้วย");
+assert.equal(safety.category, "safety");
+assert.equal(shouldHandoff({ HANDOFF_THRESHOLD: "1.5" }, safety), true);
+
+// words that are harmless on their own do not hand off
+for (const text of [
+  "I'll be late, sorry",
+  "ผมจะมาสายนิดหน่อยครับ",
+  "ขอดูโปรไฟล์น้องหน่อย",
+  "ไม่มากครับ แค่สองชั่วโมง",
+  "กลัวไม่ทันครับ",
+  "I'm scared of heights, no rooftop bars please",
+  "my back is hurt from the gym",
+  "can you help me pick someone?",
+]) {
+  assert.equal(shouldHandoff(env, classifyMessage(text)), false, text);
+}
+
+// ... but still do in context
+assert.equal(classifyMessage("he hurt me").category, "safety");
+assert.equal(classifyMessage("กลัวเขามากค่ะ").category, "safety");
+assert.equal(classifyMessage("she was 40 minutes late").category, "complaint");
+assert.equal(classifyMessage("น้องมาสายชั่วโมงนึง").category, "complaint");
+assert.equal(classifyMessage("มีโปรไหมครับ").category, "pricing");
+assert.equal(classifyMessage("the model never showed up").category, "complaint");
+
+const summary = summarizeConversation([{ role: "user", text: "hi" }, { role: "assistant", text: "hello!" }], "price?");
+assert.equal(summary, "member: hi\nconcierge: hello!\nmember: price?");
+
+// handoff and human mode only for a member token; a claimed member_id is not enough
+const { default: worker } = await import("./src/index.js");
+const { signMemberToken } = await import("./src/member-auth.js");
+
+const kv = new Map();
+const puts = [];
+const workerEnv = {
+  CHAT_MEMBER_SECRET: "s",
+  ADMIN_WORKER_BASE_URL: "https://admin.example",
+  CONFIRM_KEY: "ck",
+  CHAT_SESSIONS_KV: {
+    async get(key) { return kv.has(key) ? JSON.parse(kv.get(key)) : null; },
+    async put(key, value, opts) { kv.set(key, value); puts.push({ key, opts }); },
+    async delete(key) { kv.delete(key); },
+  },
+};
+const handoffCalls = [];
+const realFetch = globalThis.fetch;
+globalThis.fetch = async (url, init) => {
+  handoffCalls.push({ url: String(url), body: JSON.parse(init.body) });
+  return new Response(JSON.stringify({ ok: true, record_id: "rec1" }), { status: 200 });
+};
+const post = (body, headers = {}) =>
+  worker.fetch(new Request("https://chat.example/v1/chat/message", {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+  }), workerEnv);
+
+try {
+  const forged = await post({ text: "I feel unsafe", member_id: "mem_victim" });
+  assert.equal(forged.status, 401);
+  assert.equal((await forged.json()).error, "member_token_required");
+
+  const anonymous = await (await post({ text: "I feel unsafe" })).json();
+  assert.equal(anonymous.human_mode, false);
+  assert.equal(handoffCalls.length, 0);
+  assert.equal(kv.size, 0);
+
+  const token = await signMemberToken(workerEnv, "mem_1");
+  const member = await (await post({ text: "I feel unsafe" }, { Authorization: `Bearer ${token}` })).json();
+  assert.equal(member.human_mode, true);
+  assert.equal(handoffCalls.length, 1);
+  assert.equal(handoffCalls[0].body.memberstack_id, "mem_1");
+  assert.equal(puts.find((p) => p.key === "human:mem_1").opts.expirationTtl, 60 * 60 * 4);
+} finally {
+  globalThis.fetch = realFetch;
+}
+
+console.log("handoff tests passed");
@@ -0,0 +1,72 @@
+import assert from "node:assert/strict";
+import { appendHistory, clearHistory, estimateTokens, historyTokenBudget, loadHistory, trimToBudget } from "./src/history.js";
+
+function memoryKv() {
+  const store = new Map();
+  return {
+    store,
+    async get(key, opts) {
+      const v = store.get(key);
+      if (v === undefined) return null;
+      return opts?.type === "json" ? JSON.parse(v.value) : v.value;
+    },
+    async put(key, value, opts) {
+      store.set(key, { value, opts });
+    },
+    async delete(key) {
+      store.delete(key);
+    },
+  };
+}
+
+assert.equal(estimateTokens(""), 4);
+assert.equal(estimateTokens("abcdefgh"), 6);
+// Thai costs more per character than Latin text
+assert.ok(estimateTokens("สวัสดีครับ") > estimateTokens("helloworld"));
+
+const turns = [
+  { role: "user", text: "a".repeat(40) },
+  { role: "assistant", text: "b".repeat(40) },
+  { role: "user", text: "c".repeat(40) },
+];
+// 14 tokens each: the newest turns win
+assert.deepEqual(trimToBudget(turns, 30).map((t) => t.text[0]), ["b", "c"]);
+assert.deepEqual(trimToBudget(turns, 13), []);
+assert.equal(trimToBudget(turns, 1000).length, 3);
+
+assert.equal(historyTokenBudget({}), 2000);
+assert.equal(historyTokenBudget({ CHAT_HISTORY_TOKEN_BUDGET: "500" }), 500);
+assert.equal(historyTokenBudget({ CHAT_HISTORY_TOKEN_BUDGET: "-1" }), 2000);
+
+const kv = memoryKv();
+const env = { CHAT_SESSIONS_KV: kv, CHAT_HISTORY_MAX_TURNS: "3" };
+
+await appendHistory(env, "m1", "user", "hi");
+await appendHistory(env, "m1", "assistant", "hello");
+await appendHistory(env, "m2", "user", "other member");
+assert.deepEqual((await loadHistory(env, "m1")).map((t) => [t.role, t.text]), [
+  ["user", "hi"],
+  ["assistant", "hello"],
+]);
+assert.equal(kv.store.get("chat:m1").opts.expirationTtl, 60 * 60 * 24 * 7);
+
+// KV keeps only the last CHAT_HISTORY_MAX_TURNS turns
+await appendHistory(env, "m1", "user", "one");
+await appendHistory(env, "m1", "assistant", "two");
+assert.deepEqual((await loadHistory(env, "m1")).map((t) => t.text), ["hello", "one", "two"]);
+
+// junk in KV is dropped, not sent to the model
+kv.store.set("chat:m3", { value: JSON.stringify([{ role: "system", text: "x" }, null, { role: "user", text: "ok" }]) });
+assert.deepEqual((await loadHistory(env, "m3")).map((t) => t.text), ["ok"]);
+
+assert.deepEqual(await clearHistory(env, "m1"), { deleted: 3 });
+assert.deepEqual(await loadHistory(env, "m1"), []);
+assert.equal((await loadHistory(env, "m2")).length, 1, "other members are untouched");
+
+// anonymous callers and missing KV never read or write history
+await appendHistory(env, "", "user", "anon");
+assert.equal(kv.store.has("chat:"), false);
+assert.deepEqual(await loadHistory({}, "m2"), []);
+assert.deepEqual(await clearHistory({}, "m2"), { deleted: 0 });
+
+console.log("history tests passed");
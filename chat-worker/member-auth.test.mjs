@@ -0,0 +1,61 @@
+import assert from "node:assert/strict";
+import worker from "./src/index.js";
+import { authenticateMember, readMemberToken, signMemberToken, verifyMemberToken } from "./src/member-auth.js";
+
+const env = { CHAT_MEMBER_SECRET: "test-secret" };
+const request = (headers = {}) => new Request("https://chat.example/v1/chat/message", { method: "POST", headers });
+
+const token = await signMemberToken(env, "mem_1");
+assert.deepEqual(await verifyMemberToken(env, token), { ok: true, member_id: "mem_1" });
+assert.equal(readMemberToken(request({ Authorization: `Bearer ${token}` })), token);
+assert.equal(readMemberToken(request({ "X-Member-Token": token })), token);
+
+// tampered payload, wrong secret, expiry
+const [encoded, sig] = token.split(".");
+const forged = `${btoa(JSON.stringify({ member_id: "mem_2", exp: 9999999999 })).replace(/=+$/, "")}.${sig}`;
+assert.equal((await verifyMemberToken(env, forged)).error, "invalid_member_token");
+assert.equal((await verifyMemberToken({ CHAT_MEMBER_SECRET: "other" }, token)).error, "invalid_member_token");
+assert.equal((await verifyMemberToken(env, `${encoded}`)).error, "invalid_member_token");
+const old = await signMemberToken(env, "mem_1", { ttlSeconds: 60, now: Date.now() - 120_000 });
+assert.equal((await verifyMemberToken(env, old)).error, "member_token_expired");
+assert.equal((await verifyMemberToken({}, token)).error, "member_auth_unconfigured");
+
+// member_id is taken from the token; a body member_id alone is not an identity
+assert.deepEqual(await authenticateMember(request(), env, {}), { ok: true, member_id: "" });
+assert.equal((await authenticateMember(request(), env, { member_id: "mem_1" })).error, "member_token_required");
+assert.equal((await authenticateMember(request({ Authorization: `Bearer ${token}` }), env, { member_id: "mem_2" })).error, "member_id_mismatch");
+assert.deepEqual(await authenticateMember(request({ Authorization: `Bearer ${token}` }), env, {}), { ok: true, member_id: "mem_1" });
+
+// POST /v1/chat/token: a Memberstack session verified with the admin API becomes a member token
+const realFetch = globalThis.fetch;
+const memberstackCalls = [];
+globalThis.fetch = async (url, init) => {
+  memberstackCalls.push({ url: String(url), key: init.headers["X-API-KEY"], body: JSON.parse(init.body) });
+  const ok = JSON.parse(init.body).token === "ms_good";
+  return new Response(JSON.stringify(ok ? { data: { id: "mem_9", type: "member" } } : { code: "invalid-token" }), { status: ok ? 200 : 401 });
+};
+const issue = (body, tokenEnv = { ...env, MEMBERSTACK_SECRET_KEY: "sk_test" }) =>
+  worker.fetch(new Request("https://chat.example/v1/chat/token", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  }), tokenEnv);
+try {
+  const res = await issue({ memberstack_token: "ms_good" });
+  assert.equal(res.status, 200);
+  const issued = await res.json();
+  assert.equal(issued.member_id, "mem_9");
+  assert.deepEqual(await verifyMemberToken(env, issued.token), { ok: true, member_id: "mem_9" });
+  assert.deepEqual(memberstackCalls, [{ url: "https://admin.memberstack.com/members/verify-token", key: "sk_test", body: { token: "ms_good" } }]);
+
+  assert.equal((await issue({ memberstack_token: "ms_forged" })).status, 401);
+  assert.equal((await issue({})).status, 400);
+  const unconfigured = await issue({ memberstack_token: "ms_good" }, env);
+  assert.equal(unconfigured.status, 503);
+  assert.equal((await unconfigured.json()).error, "memberstack_unconfigured");
+  assert.equal(memberstackCalls.length, 2);
+} finally {
+  globalThis.fetch = realFetch;
+}
+
+console.log("member auth tests passed");
@@ -0,0 +1,21 @@
+import assert from "node:assert/strict";
+import { CHANNELS, PROMPT_VERSION, getSystemPrompt, resolveChannel } from "./src/prompts.js";
+
+assert.equal(resolveChannel("LINE "), "line");
+assert.equal(resolveChannel("sms"), "web");
+assert.equal(resolveChannel(undefined), "web");
+
+for (const channel of CHANNELS) {
+  const prompt = getSystemPrompt({}, channel);
+  assert.equal(prompt.version, PROMPT_VERSION);
+  assert.equal(prompt.channel, channel);
+  assert.match(prompt.text, /MMD Privé concierge/);
+}
+assert.match(getSystemPrompt({}, "line").text, /Channel: LINE/);
+assert.doesNotMatch(getSystemPrompt({}, "line").text, /website chat/);
+
+// an unknown pinned version falls back to the current one
+assert.equal(getSystemPrompt({ CHAT_PROMPT_VERSION: "1999-01-v0" }, "web").version, PROMPT_VERSION);
+assert.equal(getSystemPrompt({ CHAT_PROMPT_VERSION: PROMPT_VERSION }, "telegram").channel, "telegram");
+
+console.log("prompts tests passed");
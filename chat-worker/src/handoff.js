@@ -0,0 +1,142 @@
+// chat-worker/src/handoff.js
+// Handoff-to-human: classify each member message, escalate to admin-worker
+// (/v1/admin/sigil/handoff -> console inbox + Telegram) and park the member in "human mode".
+//
+// Human mode lives in CHAT_SESSIONS_KV (human:<member_id>); while set, AI replies are
+// suppressed and only the member's turns are recorded. Admins release it through
+// admin-worker, which calls POST /v1/chat/human-mode/release.
+
+export const HANDOFF_CATEGORIES = ["safety", "complaint", "booking", "pricing"];
+
+// Keyword weights (EN + TH). A message scores the sum of its hits per category, capped at 1.
+// English patterns are whole words; words that are harmless on their own ("late", "hurt", "scared",
+// "กลัว") only count in a phrase that points at someone else or at the member's safety. Thai has no
+// word breaks, so short Thai keywords carry a lookahead for the longer words that contain them
+// (โปรไฟล์, ไม่มาก).
+const RULES = {
+  safety: [
+    [/\b(unsafe|in danger|dangerous|threat(en|ened|ening|s)?|police|assault(ed)?|emergency|harass(ed|ing|ment)?)\b/i, 1],
+    [/\b(he|she|they|someone|somebody|customer|client|model) (hurt|hit|touched|grabbed|forced|attacked|followed)\b/i, 1],
+    [/\b(hurt me|hurting me|(i'?m|i am|i got|i was|got) hurt|scared (of (him|her|them)|for my (life|safety)))\b/i, 1],
+    [/ไม่ปลอดภัย|อันตราย|ตำรวจ|ข่มขู่|ทำร้าย|ฉุกเฉิน|คุกคาม|ช่วยด้วย|กลัว(เขา|เค้า|เธอ|ลูกค้า|น้อง|จะโดน|จะถูก)/, 1],
+  ],
+  complaint: [
+    [/\b(complain|complaint|refund|scam(med)?|unacceptable|disappointed|terrible|rude|no[- ]show|didn'?t show( up)?|never showed( up)?)\b/i, 0.7],
+    [/\b(was|were|came|arrived|showed up|turned up) (\w+ ){0,2}late\b/i, 0.7],
+    [/ร้องเรียน|คืนเงิน|โกง|ผิดหวัง|แย่มาก|ไม่พอใจ|ไม่มา(?!ก)|(?<!จะ)มาสาย|หยาบคาย/, 0.7],
+  ],
+  booking: [
+    [/\b(book|booking|reserve|appointment|available|availability|tonight|tomorrow)\b/i, 0.4],
+    [/จอง|นัด|ว่างไหม|ว่างมั้ย|คืนนี้|พรุ่งนี้/, 0.4],
+    [/\b\d{1,2}(:\d{2})?\s?(am|pm)\b|\d{1,2}[.:]\d{2}\s?น\.?|โมง|ทุ่ม/i, 0.3],
+  ],
+  pricing: [
+    [/\b(price|prices|pricing|rate|rates|cost|how much|fee|fees|discount|promo|promotion)\b/i, 0.5],
+    [/ราคา|เท่าไหร่|เท่าไร|ค่าบริการ|ส่วนลด|โปร(?!ไฟล์|แกรม|เจ[คก็]|ดัก|ดิว|เฟส)/, 0.5],
+    [/\b\d[\d,]*\s?(thb|baht)\b|\d[\d,]*\s?บาท/i, 0.3],
+  ],
+};
+
+// Human mode holds AI replies back until an admin releases it; the TTL only stops a forgotten
+// handoff from muting the concierge indefinitely, so it is hours, not days.
+const DEFAULT_HUMAN_MODE_TTL_SECONDS = 60 * 60 * 4;
+
+function toNumber(v, fallback) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function humanKey(memberId) {
+  return `human:${memberId}`;
+}
+
+/**
+ * => { category, score, scores:{ safety, complaint, booking, pricing } }
+ * category is the highest-scoring one (ties go to the earlier, more urgent category), "" when nothing hit.
+ */
+export function classifyMessage(text) {
+  const s = String(text || "");
+  const scores = {};
+  for (const category of HANDOFF_CATEGORIES) {
+    const score = RULES[category].reduce((sum, [re, w]) => sum + (re.test(s) ? w : 0), 0);
+    scores[category] = Math.min(1, Math.round(score * 100) / 100);
+  }
+
+  let category = "";
+  for (const c of HANDOFF_CATEGORIES) {
+    if (scores[c] > (scores[category] || 0)) category = c;
+  }
+  return { category, score: category ? scores[category] : 0, scores };
+}
+
+export function handoffThreshold(env) {
+  return toNumber(env.HANDOFF_THRESHOLD, 0.6);
+}
+
+// Safety always escalates; everything else needs to clear the threshold.
+export function shouldHandoff(env, classification) {
+  if (!classification.category) return false;
+  if (classification.category === "safety") return true;
+  return classification.score >= handoffThreshold(env);
+}
+
+export function summarizeConversation(history, text, maxTurns = 6) {
+  const turns = [...history.slice(-(maxTurns - 1)), { role: "user", text }];
+  return turns
+    .map((t) => `${t.role === "assistant" ? "concierge" : "member"}: ${String(t.text || "").replace(/\s+/g, " ").slice(0, 200)}`)
+    .join("\n");
+}
+
+export async function getHumanMode(env, memberId) {
+  if (!env.CHAT_SESSIONS_KV || !memberId) return null;
+  return env.CHAT_SESSIONS_KV.get(humanKey(memberId), { type: "json" }).catch(() => null);
+}
+
+export async function setHumanMode(env, memberId, data) {
+  if (!env.CHAT_SESSIONS_KV || !memberId) return;
+  const ttl = toNumber(env.HUMAN_MODE_TTL_SECONDS, DEFAULT_HUMAN_MODE_TTL_SECONDS);
+  await env.CHAT_SESSIONS_KV.put(humanKey(memberId), JSON.stringify({ ...data, since: new Date().toISOString() }), {
+    expirationTtl: ttl,
+  });
+}
+
+export async function releaseHumanMode(env, memberId) {
+  const prev = await getHumanMode(env, memberId);
+  if (prev) await env.CHAT_SESSIONS_KV.delete(humanKey(memberId));
+  return { released: Boolean(prev), previous: prev || null };
+}
+
+/**
+ * Create the console inbox record + Telegram notify via admin-worker.
+ * member = { member_id, channel, member_name?, telegram_id?, telegram_username?, line_user_id? }
+ */
+export async function requestHandoff(env, member, classification, summary) {
+  const base = String(env.ADMIN_WORKER_BASE_URL || "").trim().replace(/\/+$/, "");
+  const key = String(env.CONFIRM_KEY || "").trim();
+  if (!base || !key) return { ok: false, error: "missing_admin_worker_env" };
+
+  const handoff_id = `chat_${member.member_id}_${Date.now()}`;
+  const res = await fetch(`${base}/v1/admin/sigil/handoff`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-Confirm-Key": key },
+    body: JSON.stringify({
+      handoff_id,
+      source: "chat_worker",
+      intent: `chat_${classification.category}`,
+      journey_stage: classification.category === "booking" ? "booking" : "support",
+      memberstack_id: member.member_id,
+      member_name: member.member_name || "",
+      telegram_id: member.telegram_id || "",
+      telegram_username: member.telegram_username || "",
+      line_user_id: member.line_user_id || "",
+      note: `[${member.channel}] ${classification.category} (${classification.score})\n${summary}`,
+      payload_json: { member_id: member.member_id, channel: member.channel, classification, summary },
+    }),
+  }).catch((err) => ({ ok: false, status: 0, err }));
+
+  const data = res.json ? await res.json().catch(() => null) : null;
+  if (!res.ok || !data?.ok) {
+    return { ok: false, error: "handoff_failed", status: res.status || 0, detail: data?.error || String(res.err?.message || "") };
+  }
+  return { ok: true, handoff_id, record_id: data.record_id || null };
+}
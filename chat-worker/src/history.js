@@ -0,0 +1,64 @@
+// chat-worker/src/history.js
+// Conversation memory in CHAT_SESSIONS_KV (key chat:<member_id>, 7d TTL).
+//
+// The KV copy keeps the last CHAT_HISTORY_MAX_TURNS turns; what is actually sent to the model
+// is trimmed again to CHAT_HISTORY_TOKEN_BUDGET (newest turns win).
+
+const HISTORY_TTL_SECONDS = 60 * 60 * 24 * 7;
+
+function historyKey(memberId) {
+  return `chat:${memberId}`;
+}
+
+function positiveInt(v, fallback) {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : fallback;
+}
+
+// Rough token estimate without a tokenizer: ~4 chars/token for Latin text,
+// Thai script tokenizes closer to ~1.5 chars/token.
+export function estimateTokens(text) {
+  const s = String(text || "");
+  const thai = (s.match(/[\u0E00-\u0E7F]/g) || []).length;
+  return Math.ceil(thai / 1.5 + (s.length - thai) / 4) + 4; // + per-message overhead
+}
+
+/**
+ * Keep the newest turns whose estimated size fits in `budget` tokens.
+ */
+export function trimToBudget(turns, budget) {
+  const out = [];
+  let used = 0;
+  for (let i = turns.length - 1; i >= 0; i--) {
+    const cost = estimateTokens(turns[i].text);
+    if (used + cost > budget) break;
+    used += cost;
+    out.unshift(turns[i]);
+  }
+  return out;
+}
+
+export function historyTokenBudget(env) {
+  return positiveInt(env.CHAT_HISTORY_TOKEN_BUDGET, 2000);
+}
+
+export async function loadHistory(env, memberId) {
+  if (!env.CHAT_SESSIONS_KV || !memberId) return [];
+  const old = await env.CHAT_SESSIONS_KV.get(historyKey(memberId), { type: "json" }).catch(() => null);
+  return Array.isArray(old) ? old.filter((t) => t && (t.role === "user" || t.role === "assistant")) : [];
+}
+
+export async function appendHistory(env, memberId, role, text) {
+  if (!env.CHAT_SESSIONS_KV || !memberId) return;
+  const arr = await loadHistory(env, memberId);
+  arr.push({ role, text: String(text || ""), ts: Date.now() });
+  const trimmed = arr.slice(-positiveInt(env.CHAT_HISTORY_MAX_TURNS, 24));
+  await env.CHAT_SESSIONS_KV.put(historyKey(memberId), JSON.stringify(trimmed), { expirationTtl: HISTORY_TTL_SECONDS });
+}
+
+export async function clearHistory(env, memberId) {
+  if (!env.CHAT_SESSIONS_KV || !memberId) return { deleted: 0 };
+  const arr = await loadHistory(env, memberId);
+  await env.CHAT_SESSIONS_KV.delete(historyKey(memberId));
+  return { deleted: arr.length };
+}
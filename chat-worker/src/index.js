@@ -3,16 +3,52 @@
 //
 // Endpoints:
 //   GET  /health
-//   POST /v1/chat/message   (public/member)  -> returns ai reply
+//   POST /v1/chat/token     (public)         -> Memberstack session -> member token (see ./member-auth.js)
+//   POST /v1/chat/message   (public/member)  -> returns ai reply (history + handoff only with a member token)
 //   POST /v1/chat/internal  (internal)       -> for system workers (telegram-worker/events-worker) to relay messages
+//   DELETE /v1/chat/history (member token)   -> clear the caller's own stored conversation
+//   POST /v1/chat/human-mode/release (internal) -> admin released a handed-off member back to AI
 //
 // ENV (vars/secrets suggestion):
 //   INTERNAL_TOKEN (secret)          // shared internal auth token
+//   CHAT_MEMBER_SECRET (secret)      // signs member tokens; member_id comes from the token (see ./member-auth.js)
+//   MEMBERSTACK_SECRET_KEY (secret)  // verifies the Memberstack session before /v1/chat/token signs one
 //   ALLOWED_ORIGINS (var)            // CORS allowlist CSV
 //   AI_PROVIDER (var) "openai"|"mock"
 //   OPENAI_API_KEY (secret)          // if AI_PROVIDER=openai
 //   OPENAI_MODEL (var) e.g. "gpt-4.1-mini" (example)
 //   CHAT_SESSIONS_KV (KV namespace)  // optional: store convo context per member_id
+//   CHAT_PROMPT_VERSION (var)        // optional: pin a system prompt version (see ./prompts.js)
+//   CHAT_HISTORY_TOKEN_BUDGET (var)  // history sent to the model, default 2000 (est. tokens)
+//   CHAT_HISTORY_MAX_TURNS (var)     // history kept in KV, default 24
+//   ADMIN_WORKER_BASE_URL (var) + CONFIRM_KEY (secret) // handoff -> /v1/admin/sigil/handoff
+//   HANDOFF_THRESHOLD (var)          // 0..1, default 0.6 (safety always hands off)
+//   HUMAN_MODE_TTL_SECONDS (var)     // AI held back after a handoff until released, default 4h
+
+import { appendHistory, clearHistory, historyTokenBudget, loadHistory, trimToBudget } from "./history.js";
+import {
+  classifyMessage,
+  getHumanMode,
+  releaseHumanMode,
+  requestHandoff,
+  setHumanMode,
+  shouldHandoff,
+  summarizeConversation,
+} from "./handoff.js";
+import { authenticateMember, issueMemberToken } from "./member-auth.js";
+import { getSystemPrompt, resolveChannel } from "./prompts.js";
+
+const TOKEN_ERROR_STATUS = {
+  memberstack_token_required: 400,
+  member_auth_unconfigured: 503,
+  memberstack_unconfigured: 503,
+  memberstack_unreachable: 502,
+};
+
+const HANDOFF_ACK = {
+  th: "รับทราบค่ะ ทีมงานจะติดต่อกลับโดยเร็วที่สุดค่ะ",
+  en: "Thank you. A member of our team will follow up with you shortly.",
+};
 
 function corsHeaders(origin, allowedCsv) {
   const allowed = (allowedCsv || "")
@@ -25,8 +61,8 @@ function corsHeaders(origin, allowedCsv) {
   const h = new Headers();
   if (ok) {
     h.set("Access-Control-Allow-Origin", origin);
-    h.set("Access-Control-Allow-Methods", "GET,POST,OPTIONS");
-    h.set("Access-Control-Allow-Headers", "Content-Type, X-Internal-Token");
+    h.set("Access-Control-Allow-Methods", "GET,POST,DELETE,OPTIONS");
+    h.set("Access-Control-Allow-Headers", "Content-Type, Authorization, X-Member-Token, X-Memberstack-Token, X-Internal-Token");
     h.set("Access-Control-Allow-Credentials", "true");
   }
   return h;
@@ -52,7 +88,7 @@ async function readJson(req) {
 // ---- AI adapters ----
 async function aiReplyMock(input) {
   const text = String(input?.text || "");
-  return { text: `mock_reply: ${text}`, meta: { provider: "mock" } };
+  return { text: `mock_reply: ${text}`, meta: { provider: "mock", history_turns: input?.history?.length || 0 } };
 }
 
 async function aiReplyOpenAI(env, input) {
@@ -61,13 +97,18 @@ async function aiReplyOpenAI(env, input) {
   const model = env.OPENAI_MODEL || "gpt-4.1-mini";
   if (!apiKey) return { text: "ai_unconfigured", meta: { provider: "openai" } };
 
+  // Responses API: system prompt as instructions, prior turns then the new message as input
   const payload = {
     model,
-    // Use Responses API style-like shape (kept generic); adjust if you standardize later
+    instructions: input?.system?.text || undefined,
     input: [
+      ...(input?.history || []).map((t) => ({
+        role: t.role,
+        content: [{ type: t.role === "assistant" ? "output_text" : "input_text", text: t.text }],
+      })),
       {
         role: "user",
-        content: [{ type: "text", text: String(input?.text || "") }],
+        content: [{ type: "input_text", text: String(input?.text || "") }],
       },
     ],
   };
@@ -103,15 +144,59 @@ async function getAiReply(env, input) {
   return aiReplyMock(input);
 }
 
-// Optional: store last N messages in KV for continuity (keep tiny)
-async function appendHistory(env, memberId, role, text) {
-  if (!env.CHAT_SESSIONS_KV || !memberId) return;
-  const key = `chat:${memberId}`;
-  const old = await env.CHAT_SESSIONS_KV.get(key, { type: "json" }).catch(() => null);
-  const arr = Array.isArray(old) ? old : [];
-  arr.push({ role, text: String(text || ""), ts: Date.now() });
-  const trimmed = arr.slice(-12);
-  await env.CHAT_SESSIONS_KV.put(key, JSON.stringify(trimmed), { expirationTtl: 60 * 60 * 24 * 7 }); // 7d
+function memberFromBody(body, member_id, channel) {
+  return {
+    member_id,
+    channel,
+    member_name: String(body.member_name || ""),
+    telegram_id: String(body.telegram_id || ""),
+    telegram_username: String(body.telegram_username || ""),
+    line_user_id: String(body.line_user_id || ""),
+  };
+}
+
+// Human mode / handoff gate. => null (AI may answer) | { text, meta } (AI suppressed)
+async function handoffGate(env, member, text, history) {
+  const human = await getHumanMode(env, member.member_id);
+  if (human) {
+    await appendHistory(env, member.member_id, "user", text);
+    return { text: null, meta: { human_mode: true, handoff_id: human.handoff_id || null } };
+  }
+
+  const classification = classifyMessage(text);
+  if (!member.member_id || !shouldHandoff(env, classification)) return null;
+
+  const handoff = await requestHandoff(env, member, classification, summarizeConversation(history, text));
+  if (!handoff.ok) return null; // never leave the member without a reply
+
+  await setHumanMode(env, member.member_id, { handoff_id: handoff.handoff_id, category: classification.category, channel: member.channel });
+  const ack = /[\u0E00-\u0E7F]/.test(text) ? HANDOFF_ACK.th : HANDOFF_ACK.en;
+  await appendHistory(env, member.member_id, "user", text);
+  await appendHistory(env, member.member_id, "assistant", ack);
+
+  return { text: ack, meta: { human_mode: true, handoff_id: handoff.handoff_id, classification } };
+}
+
+// One member turn: history -> system prompt + trimmed history + text -> reply -> history
+async function converse(env, { member, text, context }) {
+  const { member_id } = member;
+  const system = getSystemPrompt(env, member.channel);
+  const stored = await loadHistory(env, member_id);
+
+  const gated = await handoffGate(env, member, text, stored);
+  if (gated) return gated;
+
+  const history = trimToBudget(stored, historyTokenBudget(env));
+
+  const reply = await getAiReply(env, { member_id, text, context, system, history });
+
+  await appendHistory(env, member_id, "user", text);
+  await appendHistory(env, member_id, "assistant", reply.text);
+
+  return {
+    text: reply.text,
+    meta: { ...reply.meta, prompt_version: system.version, channel: system.channel, history_turns: history.length },
+  };
 }
 
 export default {
@@ -127,21 +212,41 @@ export default {
       return json({ ok: true, worker: "chat-worker", date: "2026-03-02" }, { cors });
     }
 
+    // Public: the member site trades its Memberstack session for a chat member token
+    if (method === "POST" && url.pathname === "/v1/chat/token") {
+      const body = (await readJson(req)) || {};
+      const issued = await issueMemberToken(env, body.memberstack_token || req.headers.get("X-Memberstack-Token"));
+      if (!issued.ok) return json(issued, { status: TOKEN_ERROR_STATUS[issued.error] || 401, cors });
+      return json(issued, { cors });
+    }
+
     // Public/member endpoint
     if (method === "POST" && url.pathname === "/v1/chat/message") {
       const body = await readJson(req);
       if (!body?.text) return json({ ok: false, error: "bad_request" }, { status: 400, cors });
 
-      const member_id = body.member_id ? String(body.member_id) : "";
+      const auth = await authenticateMember(req, env, body);
+      if (!auth.ok) return json({ ok: false, error: auth.error }, { status: 401, cors });
+
       const text = String(body.text || "");
 
-      await appendHistory(env, member_id, "user", text);
+      const member = memberFromBody(body, auth.member_id, resolveChannel(body.channel || "web"));
+      const reply = await converse(env, { member, text });
 
-      const reply = await getAiReply(env, { member_id, text });
+      return json({ ok: true, reply: reply.text, human_mode: Boolean(reply.meta.human_mode), meta: reply.meta }, { cors });
+    }
 
-      await appendHistory(env, member_id, "assistant", reply.text);
+    // Member: clear the caller's own stored conversation
+    if (method === "DELETE" && url.pathname === "/v1/chat/history") {
+      const body = (await readJson(req)) || {};
+      const claimed = String(url.searchParams.get("member_id") || body.member_id || "").trim();
+      const auth = await authenticateMember(req, env, { member_id: claimed });
+      if (!auth.ok) return json({ ok: false, error: auth.error }, { status: 401, cors });
+      const member_id = auth.member_id;
+      if (!member_id) return json({ ok: false, error: "member_token_required" }, { status: 401, cors });
 
-      return json({ ok: true, reply: reply.text, meta: reply.meta }, { cors });
+      const cleared = await clearHistory(env, member_id);
+      return json({ ok: true, member_id, ...cleared }, { cors });
     }
 
     // Internal relay endpoint (system workers)
@@ -155,9 +260,22 @@ export default {
       const text = String(body.text || "");
       const context = body.context || null;
 
-      const reply = await getAiReply(env, { member_id, text, context });
+      const member = memberFromBody(body, member_id, resolveChannel(body.channel || context?.channel));
+      const reply = await converse(env, { member, text, context });
+
+      return json({ ok: true, reply: reply.text, human_mode: Boolean(reply.meta.human_mode), meta: reply.meta }, { cors });
+    }
+
+    // Internal: admin released a handed-off member (called by admin-worker)
+    if (method === "POST" && url.pathname === "/v1/chat/human-mode/release") {
+      if (!requireInternal(req, env)) return json({ ok: false, error: "unauthorized" }, { status: 401, cors });
+
+      const body = await readJson(req);
+      const member_id = String(body?.member_id || "").trim();
+      if (!member_id) return json({ ok: false, error: "missing_member_id" }, { status: 400, cors });
 
-      return json({ ok: true, reply: reply.text, meta: reply.meta }, { cors });
+      const out = await releaseHumanMode(env, member_id);
+      return json({ ok: true, member_id, ...out }, { cors });
     }
 
     return new Response("not_found", { status: 404, headers: cors });
@@ -0,0 +1,136 @@
+// chat-worker/src/member-auth.js
+// Signed member identity for the public chat endpoints.
+//
+// Token: base64url(JSON { member_id, exp }) + "." + hex HMAC-SHA256 of that part, keyed with
+// CHAT_MEMBER_SECRET (same shape as payments-worker confirm tokens). After login the member site
+// exchanges its Memberstack session for one at POST /v1/chat/token (verified with the Memberstack admin
+// API, MEMBERSTACK_SECRET_KEY) and sends it as "Authorization: Bearer <token>" (or X-Member-Token).
+// member_id is only ever taken from a valid token, never from the request body.
+
+const DEFAULT_TTL_SECONDS = 60 * 60 * 24;
+const MEMBERSTACK_VERIFY_URL = "https://admin.memberstack.com/members/verify-token";
+
+function base64UrlEncode(text) {
+  const bytes = new TextEncoder().encode(String(text || ""));
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 1) binary += String.fromCharCode(bytes[i]);
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/g, "");
+}
+
+function base64UrlDecode(value) {
+  const b64 = String(value || "").replace(/-/g, "+").replace(/_/g, "/");
+  const binary = atob(b64 + "=".repeat((4 - (b64.length % 4)) % 4));
+  return new TextDecoder().decode(Uint8Array.from(binary, (c) => c.charCodeAt(0)));
+}
+
+async function hmacHex(message, secret) {
+  const enc = new TextEncoder();
+  const key = await crypto.subtle.importKey("raw", enc.encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  const sig = await crypto.subtle.sign("HMAC", key, enc.encode(message));
+  return [...new Uint8Array(sig)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+function safeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i += 1) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+function memberSecret(env) {
+  return String(env.CHAT_MEMBER_SECRET || "").trim();
+}
+
+export async function signMemberToken(env, memberId, { ttlSeconds = DEFAULT_TTL_SECONDS, now = Date.now() } = {}) {
+  const secret = memberSecret(env);
+  if (!secret) throw new Error("missing_chat_member_secret");
+  const encoded = base64UrlEncode(JSON.stringify({ member_id: String(memberId), exp: Math.floor(now / 1000) + ttlSeconds }));
+  return `${encoded}.${await hmacHex(encoded, secret)}`;
+}
+
+export function readMemberToken(req) {
+  const auth = (req.headers.get("Authorization") || "").trim();
+  if (/^bearer\s+/i.test(auth)) return auth.replace(/^bearer\s+/i, "").trim();
+  return (req.headers.get("X-Member-Token") || "").trim();
+}
+
+/**
+ * => { ok:true, member_id } | { ok:false, error }
+ */
+export async function verifyMemberToken(env, token, { now = Date.now() } = {}) {
+  const secret = memberSecret(env);
+  if (!secret) return { ok: false, error: "member_auth_unconfigured" };
+
+  const [encoded, sig, extra] = String(token || "").split(".");
+  if (!encoded || !sig || extra !== undefined) return { ok: false, error: "invalid_member_token" };
+  if (!safeEqual(await hmacHex(encoded, secret), sig.toLowerCase())) return { ok: false, error: "invalid_member_token" };
+
+  let claims;
+  try {
+    claims = JSON.parse(base64UrlDecode(encoded));
+  } catch {
+    return { ok: false, error: "invalid_member_token" };
+  }
+  const member_id = String(claims?.member_id || "").trim();
+  if (!member_id) return { ok: false, error: "invalid_member_token" };
+  if (!(Number(claims.exp) * 1000 > now)) return { ok: false, error: "member_token_expired" };
+  return { ok: true, member_id };
+}
+
+/**
+ * Member identity for a public request.
+ *   no token and no member_id claimed => anonymous ({ ok:true, member_id: "" }: no history, no handoff)
+ *   member_id claimed without a valid token => rejected
+ */
+export async function authenticateMember(req, env, body = {}) {
+  const token = readMemberToken(req);
+  if (!token) {
+    return body?.member_id ? { ok: false, error: "member_token_required" } : { ok: true, member_id: "" };
+  }
+  const verified = await verifyMemberToken(env, token);
+  if (!verified.ok) return verified;
+  if (body?.member_id && String(body.member_id) !== verified.member_id) return { ok: false, error: "member_id_mismatch" };
+  return verified;
+}
+
+/**
+ * Check a Memberstack session token (the member site's _ms-mid cookie) with the Memberstack admin API.
+ * => { ok:true, member_id } | { ok:false, error }
+ */
+export async function verifyMemberstackToken(env, token, fetchImpl = fetch) {
+  const apiKey = String(env.MEMBERSTACK_SECRET_KEY || "").trim();
+  if (!apiKey) return { ok: false, error: "memberstack_unconfigured" };
+
+  let res;
+  try {
+    res = await fetchImpl(MEMBERSTACK_VERIFY_URL, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "X-API-KEY": apiKey },
+      body: JSON.stringify({ token: String(token || "") }),
+    });
+  } catch {
+    return { ok: false, error: "memberstack_unreachable" };
+  }
+  const data = await res.json().catch(() => null);
+  const member_id = String(data?.data?.id || "").trim();
+  if (!res.ok || !member_id) return { ok: false, error: res.status >= 500 ? "memberstack_unreachable" : "invalid_memberstack_token" };
+  return { ok: true, member_id };
+}
+
+/**
+ * Memberstack session => chat member token.
+ * => { ok:true, token, member_id, expires_in } | { ok:false, error }
+ */
+export async function issueMemberToken(env, memberstackToken) {
+  if (!memberSecret(env)) return { ok: false, error: "member_auth_unconfigured" };
+  if (!String(memberstackToken || "").trim()) return { ok: false, error: "memberstack_token_required" };
+
+  const verified = await verifyMemberstackToken(env, memberstackToken);
+  if (!verified.ok) return verified;
+  return {
+    ok: true,
+    token: await signMemberToken(env, verified.member_id),
+    member_id: verified.member_id,
+    expires_in: DEFAULT_TTL_SECONDS,
+  };
+}
@@ -0,0 +1,47 @@
+// chat-worker/src/prompts.js
+// Versioned system prompt / persona config, one persona per channel (web | line | telegram).
+//
+// Bump by adding a new version key; CHAT_PROMPT_VERSION pins an older one (rollback) and
+// defaults to PROMPT_VERSION. The resolved version is returned in reply meta so answers
+// can be traced back to the prompt that produced them.
+
+export const CHANNELS = ["web", "line", "telegram"];
+
+export const PROMPT_VERSION = "2026-10-v1";
+
+const PROMPTS = {
+  "2026-10-v1": {
+    base: [
+      "You are the MMD Privé concierge, a discreet assistant for members of a private companion booking service in Bangkok.",
+      "Reply in the member's language (Thai or English). Be warm, brief and professional.",
+      "Never share personal data about models or other members, never confirm prices or availability you were not given, and never promise a booking.",
+      "For pricing, booking changes, complaints or safety concerns, say a team member will follow up.",
+    ].join("\n"),
+    channels: {
+      web: "Channel: website chat. Short paragraphs are fine; do not use markdown tables.",
+      line: "Channel: LINE. Keep replies to 1-3 short lines, plain text only, no markdown.",
+      telegram: "Channel: Telegram. Plain text only; keep replies short.",
+    },
+  },
+};
+
+export function resolveChannel(v) {
+  const s = String(v || "").trim().toLowerCase();
+  return CHANNELS.includes(s) ? s : "web";
+}
+
+/**
+ * => { version, channel, text }
+ */
+export function getSystemPrompt(env, channel) {
+  const pinned = String(env.CHAT_PROMPT_VERSION || "").trim();
+  const version = PROMPTS[pinned] ? pinned : PROMPT_VERSION;
+  const ch = resolveChannel(channel);
+  const cfg = PROMPTS[version];
+
+  return {
+    version,
+    channel: ch,
+    text: [cfg.base, cfg.channels[ch]].filter(Boolean).join("\n\n"),
+  };
+}
@@ -0,0 +1,143 @@
+import assert from "node:assert/strict";
+import {
+  buildEscalationText,
+  buildModelReminderText,
+  hasReminderAck,
+  isInReminderWindow,
+  processOneSession,
+  reminderCandidateFormula,
+  reminderWindow,
+  runAckChecks,
+} from "./src/reminder-24h.js";
+
+const now = Date.parse("2026-10-19T05:00:00Z");
+const hour = 3600 * 1000;
+
+// window: 23.5h..24.5h ahead by default
+const window = reminderWindow({}, now);
+assert.equal(window.from, now + 23.5 * hour);
+assert.equal(window.to, now + 24.5 * hour);
+assert.equal(reminderWindow({ REMINDER_WINDOW_MIN_HOURS: "20", REMINDER_WINDOW_MAX_HOURS: "22" }, now).to, now + 22 * hour);
+assert.equal(isInReminderWindow({ schedule_start_at: new Date(now + 24 * hour).toISOString() }, window), true);
+assert.equal(isInReminderWindow({ schedule_start_at: new Date(now + 25 * hour).toISOString() }, window), false);
+assert.equal(isInReminderWindow({ schedule_start_at: "" }, window), false);
+
+// the window is in the Airtable formula, not filtered after fetching every job
+const formula = reminderCandidateFormula(window);
+assert.match(formula, /NOT\(\{reminder_24h_sent\}\)/);
+assert.match(formula, /IS_AFTER\(DATETIME_PARSE\(\{schedule_start_at\}\),DATETIME_PARSE\("2026-10-20T04:29:00\.000Z"\)\)/);
+assert.match(formula, /IS_BEFORE\(DATETIME_PARSE\(\{schedule_start_at\}\),DATETIME_PARSE\("2026-10-20T05:31:00\.000Z"\)\)/);
+
+assert.match(buildModelReminderText({ session_id: "S<1>", schedule_start_at: "2026-10-20T13:00:00Z" }), /S&lt;1&gt;/);
+assert.equal(hasReminderAck(JSON.stringify([{ event: "reminder" }, { event: "reminder_24h_ack" }])), true);
+assert.equal(hasReminderAck([{ event: "reminder" }]), false);
+assert.match(buildEscalationText({ session_id: "S1", model_dm_sent: false }, null), /DM delivered: <b>no<\/b>/);
+
+// fake Airtable + KV + outbox, recording the order of side effects
+function harness({ failTelegram = false, pageSize = 1000 } = {}) {
+  const log = [];
+  const kvData = new Map();
+  const env = {
+    AIRTABLE_API_KEY: "k",
+    AIRTABLE_BASE_ID: "app",
+    TELEGRAM_OUTBOX_URL: "https://tg.example/telegram/internal/send",
+    INTERNAL_TOKEN: "it",
+    EVENTS_IDEMPOTENCY_KV: {
+      async get(key) { return kvData.get(key) ?? null; },
+      async put(key, value) { log.push(`kv:put:${key}`); kvData.set(key, value); },
+      async delete(key) { log.push(`kv:delete:${key}`); kvData.delete(key); },
+      // pages of `pageSize` keys, like KV's 1000-key pages
+      async list({ prefix, cursor }) {
+        const names = [...kvData.keys()].filter((k) => k.startsWith(prefix)).sort();
+        const start = cursor ? Number(cursor) : 0;
+        const end = start + pageSize;
+        const list_complete = end >= names.length;
+        return { keys: names.slice(start, end).map((name) => ({ name })), list_complete, ...(list_complete ? {} : { cursor: String(end) }) };
+      },
+    },
+  };
+  const patches = [];
+  globalThis.fetch = async (url, init = {}) => {
+    const u = String(url);
+    if (u.startsWith("https://tg.example")) {
+      log.push(`telegram:${JSON.parse(init.body).dedupe_key}`);
+      if (failTelegram) throw new Error("network down");
+      return new Response(JSON.stringify({ ok: true, queued: true }), { status: 200 });
+    }
+    if (init.method === "PATCH") {
+      const fields = JSON.parse(init.body).records[0].fields;
+      patches.push(fields);
+      log.push("airtable:patch");
+      return new Response(JSON.stringify({ records: [] }), { status: 200 });
+    }
+    log.push("airtable:get");
+    return new Response(JSON.stringify({ records: [] }), { status: 200 });
+  };
+  return { env, log, kvData, patches };
+}
+
+const realFetch = globalThis.fetch;
+const rec = {
+  id: "recJob",
+  fields: {
+    session_id: "S1",
+    job_id: "J1",
+    status: "confirmed",
+    schedule_start_at: new Date(now + 24 * hour).toISOString(),
+    customer_telegram_chat_id: "555",
+  },
+};
+
+try {
+  // marked sent (KV + job) before anything is sent
+  let h = harness();
+  const out = await processOneSession(h.env, rec, { now });
+  assert.equal(out.member_reassurance.ok, true);
+  const firstSend = h.log.indexOf("telegram:reminder_24h:member:S1");
+  assert.ok(firstSend > h.log.indexOf("kv:put:idem:reminder_24h:S1"));
+  assert.ok(firstSend > h.log.indexOf("kv:put:idem:reminder_24h_ack:S1"));
+  assert.ok(firstSend > h.log.indexOf("airtable:patch"));
+  assert.equal(h.patches[0].reminder_24h_sent, true);
+  assert.equal(h.patches[0].status, "reminder");
+  const delivery = JSON.parse(h.patches[1].events_json).pop();
+  assert.equal(delivery.event, "reminder_24h_delivery");
+  assert.deepEqual(delivery.data, { model_dm: false, member_reassurance: true });
+
+  // the next run skips it
+  const again = await processOneSession(h.env, rec, { now });
+  assert.equal(again.reason, "already_sent");
+
+  // a failed send still leaves the session marked: no second reminder on the next cron run
+  h = harness({ failTelegram: true });
+  const failed = await processOneSession(h.env, rec, { now });
+  assert.equal(failed.member_reassurance.ok, false);
+  assert.equal(h.patches[0].reminder_24h_sent, true);
+  assert.equal((await processOneSession(h.env, rec, { now })).reason, "already_sent");
+
+  // dry run writes nothing
+  h = harness();
+  const dry = await processOneSession(h.env, rec, { now, dryRun: true });
+  assert.equal(dry.dry_run, true);
+  assert.equal(h.kvData.size, 0);
+  assert.equal(h.patches.length, 0);
+
+  // ack check: consumed before the escalation is sent
+  h = harness();
+  await h.env.EVENTS_IDEMPOTENCY_KV.put("idem:reminder_24h_ack:S2", JSON.stringify({ session_id: "S2", due_at: new Date(now - 1000).toISOString() }));
+  h.log.length = 0;
+  const checks = await runAckChecks(h.env, { now });
+  assert.equal(checks[0].escalated, true);
+  assert.ok(h.log.indexOf("kv:delete:idem:reminder_24h_ack:S2") < h.log.indexOf("telegram:reminder_24h_escalated:S2"));
+
+  // checks past the first KV page are still escalated
+  h = harness({ pageSize: 2 });
+  for (const id of ["S3", "S4", "S5", "S6", "S7"]) {
+    await h.env.EVENTS_IDEMPOTENCY_KV.put(`idem:reminder_24h_ack:${id}`, JSON.stringify({ session_id: id, due_at: new Date(now - 1000).toISOString() }));
+  }
+  const paged = await runAckChecks(h.env, { now, dryRun: true });
+  assert.deepEqual(paged.map((c) => c.session_id), ["S3", "S4", "S5", "S6", "S7"]);
+} finally {
+  globalThis.fetch = realFetch;
+}
+
+console.log("reminder 24h tests passed");
@@ -0,0 +1,31 @@
+import assert from "node:assert/strict";
+import worker from "./src/index.js";
+import { AUTH_CONFIRM_KEY, AUTH_PUBLIC, createRouter } from "./src/router.js";
+
+const router = createRouter([
+  { method: "GET", path: "/health", auth: AUTH_PUBLIC, handler: () => null },
+  { method: "GET", path: "/v1/sessions/:session_id/timeline", handler: () => null },
+]);
+
+const hit = router.match("GET", "/v1/sessions/S%201/timeline");
+assert.equal(hit.route.path, "/v1/sessions/:session_id/timeline");
+assert.equal(hit.route.auth, AUTH_CONFIRM_KEY);
+assert.deepEqual(hit.params, { session_id: "S 1" });
+assert.deepEqual(router.match("POST", "/health"), { allowed: ["GET"] });
+assert.equal(router.match("GET", "/nope"), null);
+
+// malformed percent-encoding is reported, not thrown
+const bad = router.match("GET", "/v1/sessions/%E0%A4%A/timeline");
+assert.equal(bad.invalid_param, "session_id");
+assert.equal(bad.params, undefined);
+
+// through fetch(): auth first, then 400 for the bad segment
+const env = { CONFIRM_KEY: "ck" };
+const url = "https://events.example/v1/sessions/%E0%A4%A/timeline";
+const unauthorized = await worker.fetch(new Request(url), env);
+assert.equal(unauthorized.status, 401);
+const res = await worker.fetch(new Request(url, { headers: { "X-Confirm-Key": "ck" } }), env);
+assert.equal(res.status, 400);
+assert.deepEqual(await res.json(), { ok: false, error: "invalid_path_param", param: "session_id" });
+
+console.log("router tests passed");
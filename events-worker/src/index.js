@@ -3,13 +3,17 @@
    Merge: GitHub current (job create/get/event + realtime open)
           + Memory state machine (send model -> customer)
 
-   Routes:
-     - GET  /health
-     - OPTIONS /*
-     - POST /v1/rules/ack       (X-Confirm-Key required)
-     - POST /v1/job/create      (X-Confirm-Key required)
-     - POST /v1/job/get         (X-Confirm-Key required)
-     - POST /v1/job/event       (X-Confirm-Key required, optional idempotency)
+   Routes: see ROUTES below (declarative table, ./router.js)
+     - GET  /health, /            (public)
+     - GET  /v1/_routes           (generated listing of ROUTES)
+     - everything else under /v1/ requires X-Confirm-Key
+     - /v1/sessions/transition takes privileged roles from credentials, not the body:
+         X-Admin-Key = EVENTS_ADMIN_KEY       → admin (override)
+         X-Payments-Key = PAYMENTS_EVENTS_KEY → payments (final_payment_confirmed marker)
+
+   Cron (wrangler.toml [triggers]):
+     - 24h reminder + 12h ack escalation, see ./reminder-24h.js
+       (REMINDER_24H_DRY_RUN="true" to report without sending)
 
    Airtable:
      - AIRTABLE_BASE_ID
@@ -22,6 +26,7 @@
    Realtime (existing behavior):
      - RT_BASE_URL
      - RT_CONFIRM_KEY (optional; default uses CONFIRM_KEY)
+     - room/close on transition to separated (X-Internal-Token = INTERNAL_TOKEN)
 
    Dispatch side-effects (memory):
      - TELEGRAM_WORKER_BASE_URL (optional; if set, will notify)
@@ -33,8 +38,24 @@
 
    Hard gate:
      - MUST NOT allow work_started unless final_payment_confirmed exists in events.
+     - transition rules live in ./state-machine.js
 ========================================================= */
 
+import {
+  SESSION_STATES,
+  allowedNextStates,
+  buildTimeline,
+  isSessionState,
+  normalizeSessionState,
+  parseEvents,
+  validateMarker,
+  validateTransition,
+} from "./state-machine.js";
+import { run24hReminders } from "./reminder-24h.js";
+import { AUTH_CONFIRM_KEY, AUTH_PUBLIC, createRouter } from "./router.js";
+import { telegramNotify } from "../lib/telegram.js";
+import { verifyTurnstile } from "../lib/turnstile.js";
+
 function json(obj, status = 200, headers = {}) {
   return new Response(JSON.stringify(obj), {
     status,
@@ -99,6 +120,47 @@ async function rtRoomOpen(env, payload){
   return data;
 }
 
+// Internal realtime calls (X-Internal-Token). Best-effort: never block the transition.
+async function rtInternalPost(env, path, payload, error){
+  const base = str(env.RT_BASE_URL);
+  if (!base) return { ok:false, skipped:true, reason:"missing_rt_base_url" };
+
+  const token = str(env.INTERNAL_TOKEN);
+  if (!token) return { ok:false, skipped:true, reason:"missing_internal_token" };
+
+  try {
+    const res = await fetch(`${base.replace(/\/+$/,"")}${path}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "X-Internal-Token": token },
+      body: JSON.stringify(payload),
+    });
+    const data = await res.json().catch(()=>null);
+    if (!res.ok) return { ok:false, error, status: res.status, detail:data };
+    return { ok:true, ...(data || {}) };
+  } catch (err) {
+    return { ok:false, error, detail:String(err?.message || err) };
+  }
+}
+
+// Expire room tokens once the session is over.
+async function rtRoomClose(env, job_id, reason){
+  return rtInternalPost(env, "/v1/rt/room/close", { job_id, reason }, "rt_close_failed");
+}
+
+// Push en_route/arrived + meeting point to the room (geofence, stale-location alarm).
+async function rtRoomState(env, job, status){
+  const lat = Number(job.meeting_point_lat);
+  const lng = Number(job.meeting_point_lng);
+  const hasPoint = job.meeting_point_lat !== undefined && job.meeting_point_lng !== undefined
+    && Number.isFinite(lat) && Number.isFinite(lng);
+
+  return rtInternalPost(env, "/v1/rt/room/state", {
+    job_id: str(job.job_id),
+    status,
+    meeting_point: hasPoint ? { lat, lng, text: str(job.meeting_point_text) } : null,
+  }, "rt_state_failed");
+}
+
 /* -------------------------
    CORS + Auth
 ------------------------- */
@@ -110,7 +172,7 @@ function buildCors(origin, allowedCsv){
 function corsHeaders(cors){
   const h = {
     "Access-Control-Allow-Methods": "GET,POST,OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type, X-Confirm-Key, Authorization",
+    "Access-Control-Allow-Headers": "Content-Type, X-Confirm-Key, X-Admin-Key, X-Payments-Key, Authorization",
     "Access-Control-Max-Age": "86400",
   };
   if (cors.origin) h["Access-Control-Allow-Origin"] = cors.origin;
@@ -129,6 +191,16 @@ function requireConfirmKey(req, env){
   if (!got || got !== need) throw new HttpError(401, { ok:false, error:"confirm_key_required" });
 }
 
+// Roles a body may not claim; only the matching credential grants them.
+const CREDENTIAL_ROLES = ["admin", "payments"];
+function credentialRole(req, env){
+  const admin = str(env.EVENTS_ADMIN_KEY);
+  if (admin && str(req.headers.get("X-Admin-Key")) === admin) return "admin";
+  const payments = str(env.PAYMENTS_EVENTS_KEY);
+  if (payments && str(req.headers.get("X-Payments-Key")) === payments) return "payments";
+  return "";
+}
+
 /* -------------------------
    Airtable (jobs)
 ------------------------- */
@@ -164,6 +236,12 @@ async function findJobByJobId(env, job_id){
   const data = await atFetch(env, `?filterByFormula=${formula}&maxRecords=1`);
   return (data.records && data.records[0]) || null;
 }
+async function findJobBySessionId(env, session_id){
+  const safe = String(session_id).replace(/"/g, '\\"');
+  const formula = encodeURIComponent(`{session_id}="${safe}"`);
+  const data = await atFetch(env, `?filterByFormula=${formula}&maxRecords=1`);
+  return (data.records && data.records[0]) || null;
+}
 
 /* -------------------------
    Optional Idempotency (KV)
@@ -207,10 +285,6 @@ const DISPATCH_STATES = [
   "closed",
 ];
 
-function hasFinalPaymentConfirmed(events){
-  return Array.isArray(events) && events.some(e => e?.event === "final_payment_confirmed");
-}
-
 /* -------------------------
    Telegram-worker internal notify (optional)
 ------------------------- */
@@ -252,10 +326,41 @@ function buildDispatchPayload(event, status, jobFields, extra = {}){
     meeting_point_text: str(jobFields?.meeting_point_text),
     city: str(jobFields?.city),
     ts: nowIso(),
+    // read by telegram-worker's outbox; the same transition is only announced once
+    dedupe_key: `dispatch:${str(jobFields?.job_id)}:${event}:${status}`,
     ...extra,
   };
 }
 
+/* =========================================================
+   Routes (declarative; GET /v1/_routes lists this table)
+========================================================= */
+const ROUTES = [
+  { method:"GET",  path:"/",                                auth:AUTH_PUBLIC,      handler: handleHealth, description:"health" },
+  { method:"GET",  path:"/health",                          auth:AUTH_PUBLIC,      handler: handleHealth, description:"health" },
+  { method:"GET",  path:"/v1/_routes",                      auth:AUTH_CONFIRM_KEY, handler: handleRouteListing, description:"route listing for the control room" },
+  { method:"POST", path:"/v1/rules/ack",                    auth:AUTH_CONFIRM_KEY, body:"json", handler: handleRulesAckRecord, description:"record rules acceptance (optional idempotency)" },
+  { method:"POST", path:"/v1/job/create",                   auth:AUTH_CONFIRM_KEY, body:"json", handler: handleJobCreate, description:"create job in Airtable" },
+  { method:"POST", path:"/v1/sessions/transition",          auth:AUTH_CONFIRM_KEY, body:"json",
+    handler: ({ req, body, env, cors }) => handleSessionTransition(req, body, env, cors),
+    description:"state machine transition / marker (optional idempotency)" },
+  { method:"GET",  path:"/v1/sessions/:session_id/timeline", auth:AUTH_CONFIRM_KEY,
+    handler: ({ req, params, env, cors }) => handleSessionTimeline(req, params.session_id, env, cors),
+    description:"session timeline from events_json" },
+  { method:"POST", path:"/v1/sessions/payment/intent",      auth:AUTH_CONFIRM_KEY, body:"json",
+    handler: ({ req, body, env, cors }) => handleSessionPaymentIntent(req, body, env, cors),
+    description:"compute stage amount and create payment intent via payments-worker" },
+  { method:"POST", path:"/v1/sessions/tips/summary",        auth:AUTH_CONFIRM_KEY, body:"json",
+    handler: ({ req, body, env, cors }) => handleTipsSummary(req, body, env, cors),
+    description:"paid tips total for a session" },
+  { method:"POST", path:"/v1/points/threshold",             auth:AUTH_CONFIRM_KEY, body:"json",
+    handler: ({ req, body, env, cors }) => handlePointsThreshold(req, body, env, cors),
+    description:"points threshold alert to Telegram" },
+  { method:"POST", path:"/v1/reminders/24h/run",            auth:AUTH_CONFIRM_KEY, handler: handleRemindersRun, description:"manual trigger of the 24h reminder cron ({ dry_run })" },
+];
+
+const router = createRouter(ROUTES);
+
 export default {
   async fetch(req, env) {
     const url = new URL(req.url);
@@ -268,134 +373,146 @@ export default {
     if (method === "OPTIONS") return new Response(null, { status: 204, headers: corsHeaders(cors) });
 
     try {
-      if (method === "GET" && (path === "/" || path === "/health")) {
-        return json({ ok:true, worker:"events-worker", lock: env.LOCK || "v2026-LOCK-01" }, 200, corsHeaders(cors));
-      }
-
-      if (path.startsWith("/v1/")) requireConfirmKey(req, env);
-
-      /* -------------------------
-         rules/ack (existing)
-      ------------------------- */
-      if (path === "/v1/rules/ack" && method === "POST") {
-        const body = await safeJson(req);
-        if (!body) return json({ ok:false, error:"invalid_json" }, 400, corsHeaders(cors));
+      const hit = router.match(method, path);
 
-        const out = {
-          ok: true,
-          accepted: true,
-          role: str(body.role) || null,
-          rules: str(body.rules) || null,
-          session_id: str(body.session_id) || null,
-          accepted_at: str(body.accepted_at) || nowIso(),
-        };
-
-        const idemKey = str(body.idempotency_key);
-        if (idemKey) {
-          const prev = await idemGet(env, idemKey);
-          if (prev?.ok) return json({ ok:true, idempotent:true, result: prev.result }, 200, corsHeaders(cors));
-          await idemPut(env, idemKey, { ok:true, result: out });
+      if (!hit?.route) {
+        if (path.startsWith("/v1/")) requireConfirmKey(req, env);
+        if (hit?.allowed) {
+          return json({ ok:false, error:"method_not_allowed", allowed: hit.allowed }, 405, { ...corsHeaders(cors), "Allow": hit.allowed.join(", ") });
         }
+        return json({ ok:false, error:"not_found" }, 404, corsHeaders(cors));
+      }
 
-        return json(out, 200, corsHeaders(cors));
+      const { route, params } = hit;
+      if (route.auth === AUTH_CONFIRM_KEY) requireConfirmKey(req, env);
+      if (hit.invalid_param) {
+        return json({ ok:false, error:"invalid_path_param", param: hit.invalid_param }, 400, corsHeaders(cors));
       }
 
-      /* -------------------------
-         job/create (existing)
-      ------------------------- */
-      if (path === "/v1/job/create" && method === "POST") {
-        const body = await safeJson(req);
+      let body = null;
+      if (route.body === "json") {
+        body = await safeJson(req);
         if (!body) return json({ ok:false, error:"invalid_json" }, 400, corsHeaders(cors));
+      }
 
-        const cid = str(body.cid);
-        const session_id = str(body.session_id);
-        const model_code = str(body.model_code);
-        const schedule_start_at = str(body.schedule_start_at);
-
-        if (!cid || !session_id || !model_code || !schedule_start_at) {
-          return json({ ok:false, error:"missing_required", required:["cid","session_id","model_code","schedule_start_at"] }, 422, corsHeaders(cors));
-        }
+      return await route.handler({ req, env, cors, url, params, body });
+    } catch (err) {
+      if (err instanceof HttpError) return json(err.body, err.status, corsHeaders(cors));
+      return json({ ok:false, error:"server_error", detail:String(err?.message || err) }, 500, corsHeaders(cors));
+    }
+  },
 
-        const job_id = body.job_id ? str(body.job_id) : makeJobId(cid);
-        const created_at = nowIso();
-
-        const fields = {
-          job_id,
-          cid,
-          session_id,
-          model_code,
-          customer_name: str(body.customer_name),
-          schedule_start_at,
-          meeting_point_text: str(body.meeting_point_text),
-          city: str(body.city),
-          duration_hr: num(body.duration_hr),
-          total_thb: num(body.total_thb),
-          deposit_thb: num(body.deposit_thb),
-          balance_thb: num(body.balance_thb),
-          transport_fee_thb: num(body.transport_fee_thb),
-          status: str(body.status) || "confirmed",
-          last_update_at: created_at,
-          events_json: JSON.stringify([{ ts: created_at, event: "created", by: "admin", note: "job created" }]),
-        };
-
-        const created = await atFetch(env, "", {
-          method: "POST",
-          body: JSON.stringify({ records: [{ fields }] }),
-        });
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(
+      run24hReminders(env, { now: event?.scheduledTime || Date.now() })
+        .then(out => console.log("reminder_24h", JSON.stringify({ dry_run: out.dry_run, candidates: out.candidates, ack_checks: out.ack_checks.length })))
+        .catch(err => console.error("reminder_24h_failed", String(err?.message || err)))
+    );
+  },
+};
 
-        return json({ ok:true, job_id, airtable: created.records?.[0]?.id || null }, 200, corsHeaders(cors));
-      }
+/* -------------------------
+   health + route listing
+------------------------- */
+function handleHealth({ env, cors }) {
+  return json({ ok:true, worker:"events-worker", lock: env.LOCK || "v2026-LOCK-01" }, 200, corsHeaders(cors));
+}
 
+function handleRouteListing({ env, cors }) {
+  return json({
+    ok: true,
+    worker: "events-worker",
+    lock: env.LOCK || "v2026-LOCK-01",
+    routes: router.describe(),
+    scheduled: [{ job: "reminder-24h", description: "24h reminder + 12h ack escalation" }],
+  }, 200, corsHeaders(cors));
+}
 
-      if (path === "/v1/sessions/payment/intent" && req.method === "POST") {
-        const body = await safeJson(req);
-        if (!body) return json({ ok: false, error: "invalid_json" }, 400, corsHeaders(cors));
-        return await handleSessionPaymentIntent(req, body, env, cors);
-      }
+/* -------------------------
+   rules/ack (existing)
+------------------------- */
+async function handleRulesAckRecord({ body, env, cors }) {
+  const out = {
+    ok: true,
+    accepted: true,
+    role: str(body.role) || null,
+    rules: str(body.rules) || null,
+    session_id: str(body.session_id) || null,
+    accepted_at: str(body.accepted_at) || nowIso(),
+  };
 
-      if (path === "/v1/sessions/tips/summary" && req.method === "POST") {
-        const body = await safeJson(req);
-        if (!body) return json({ ok: false, error: "invalid_json" }, 400, corsHeaders(cors));
-        return await handleTipsSummary(req, body, env, cors);
-      }
+  const idemKey = str(body.idempotency_key);
+  if (idemKey) {
+    const prev = await idemGet(env, idemKey);
+    if (prev?.ok) return json({ ok:true, idempotent:true, result: prev.result }, 200, corsHeaders(cors));
+    await idemPut(env, idemKey, { ok:true, result: out });
+  }
 
+  return json(out, 200, corsHeaders(cors));
+}
 
-      if (path === "/v1/sessions/payment/intent" && req.method === "POST") {
-        const body = await safeJson(req);
-        if (!body) return json({ ok: false, error: "invalid_json" }, 400, corsHeaders(cors));
-        return await handleSessionPaymentIntent(req, body, env, cors);
-      }
+/* -------------------------
+   job/create (existing)
+------------------------- */
+async function handleJobCreate({ body, env, cors }) {
+  const cid = str(body.cid);
+  const session_id = str(body.session_id);
+  const model_code = str(body.model_code);
+  const schedule_start_at = str(body.schedule_start_at);
+
+  if (!cid || !session_id || !model_code || !schedule_start_at) {
+    return json({ ok:false, error:"missing_required", required:["cid","session_id","model_code","schedule_start_at"] }, 422, corsHeaders(cors));
+  }
 
-      if (path === "/v1/sessions/tips/summary" && req.method === "POST") {
-        const body = await safeJson(req);
-        if (!body) return json({ ok: false, error: "invalid_json" }, 400, corsHeaders(cors));
-        return await handleTipsSummary(req, body, env, cors);
-      }
+  const status = normalizeSessionState(body.status) || "confirmed";
+  if (!isSessionState(status)) {
+    return json({ ok:false, error:"invalid_state", status: str(body.status), allowed_states: SESSION_STATES }, 422, corsHeaders(cors));
+  }
 
+  const job_id = body.job_id ? str(body.job_id) : makeJobId(cid);
+  const created_at = nowIso();
+
+  const fields = {
+    job_id,
+    cid,
+    session_id,
+    model_code,
+    customer_name: str(body.customer_name),
+    schedule_start_at,
+    meeting_point_text: str(body.meeting_point_text),
+    ...(body.meeting_point_lat !== undefined && body.meeting_point_lng !== undefined
+      ? { meeting_point_lat: num(body.meeting_point_lat), meeting_point_lng: num(body.meeting_point_lng) }
+      : {}),
+    city: str(body.city),
+    duration_hr: num(body.duration_hr),
+    total_thb: num(body.total_thb),
+    deposit_thb: num(body.deposit_thb),
+    balance_thb: num(body.balance_thb),
+    transport_fee_thb: num(body.transport_fee_thb),
+    status,
+    last_update_at: created_at,
+    events_json: JSON.stringify([{ ts: created_at, event: "created", by: "admin", note: "job created" }]),
+  };
 
-      if (path === "/v1/sessions/payment/intent" && req.method === "POST") {
-        const body = await safeJson(req);
-        if (!body) return json({ ok: false, error: "invalid_json" }, 400, corsHeaders(cors));
-        return await handleSessionPaymentIntent(req, body, env, cors);
-      }
+  const created = await atFetch(env, "", {
+    method: "POST",
+    body: JSON.stringify({ records: [{ fields }] }),
+  });
 
-      if (path === "/v1/sessions/tips/summary" && req.method === "POST") {
-        const body = await safeJson(req);
-        if (!body) return json({ ok: false, error: "invalid_json" }, 400, corsHeaders(cors));
-        return await handleTipsSummary(req, body, env, cors);
-      }
+  return json({ ok:true, job_id, airtable: created.records?.[0]?.id || null }, 200, corsHeaders(cors));
+}
 
-      return json({ ok: false, error: "not_found" }, 404, corsHeaders(cors));
-    } catch (err) {
-      if (err instanceof HttpError) return json(err.body, err.status, corsHeaders(cors));
-      return json({ ok:false, error:"server_error", detail:String(err?.message || err) }, 500, corsHeaders(cors));
-    }
-  },
-};
+/* -------------------------
+   reminders/24h/run (manual trigger of the cron job)
+------------------------- */
+async function handleRemindersRun({ req, env, cors }) {
+  const body = (await safeJson(req)) || {};
+  const dryRun = body.dry_run === undefined ? undefined : Boolean(body.dry_run);
+  const out = await run24hReminders(env, { dryRun });
+  return json(out, 200, corsHeaders(cors));
+}
 
 async function handleRulesAck(req, body, env, cors) {
-  requireConfirmKey(req, env);
-
   const type = str(body.type || "");
   const okType = type === "customer_rules_ack" || type === "rules_ack";
   if (!okType) return json({ ok: false, error: "invalid_type" }, 400, corsHeaders(cors));
@@ -432,8 +549,6 @@ async function handleRulesAck(req, body, env, cors) {
 }
 
 async function handlePointsThreshold(req, body, env, cors) {
-  requireConfirmKey(req, env);
-
   const payload = {
     flow: "points_threshold",
     source: str(body.source || ""),
@@ -449,11 +564,137 @@ async function handlePointsThreshold(req, body, env, cors) {
     ts: str(body.ts || new Date().toISOString()),
   };
 
-  const tg = await telegramNotify(payload, env);
+  const tg = await telegramNotify(payload, env, {
+    dedupeKey: `points_threshold:${payload.member_id || payload.telegram_user_id}:${payload.points_threshold}`,
+  });
   return json({ ok: true, mode: "points_threshold", received: payload, telegram: tg }, 200, corsHeaders(cors));
 }
 
 
+// -----------------------------
+// Session state machine (transition + timeline)
+// LOCK: status only moves through validateTransition; every move is appended to events_json.
+// -----------------------------
+
+async function loadJobForSession(env, body) {
+  const session_id = str(body.session_id || body.sessionId || "");
+  const job_id = str(body.job_id || body.jobId || "");
+  if (job_id) return await findJobByJobId(env, job_id);
+  if (session_id) return await findJobBySessionId(env, session_id);
+  return null;
+}
+
+async function handleSessionTransition(req, body, env, cors) {
+  const session_id = str(body.session_id || body.sessionId || "");
+  const job_id = str(body.job_id || body.jobId || "");
+  const to = str(body.to || body.to_state || body.status || "");
+  const marker = str(body.marker || "");
+  const actor = str(body.actor || body.by || "");
+  const claimed_role = str(body.actor_role || body.role || "system").toLowerCase();
+  const actor_role = credentialRole(req, env) || (CREDENTIAL_ROLES.includes(claimed_role) ? "system" : claimed_role);
+  const reason = str(body.reason || body.note || "");
+  const override = body.override === true;
+
+  if ((!session_id && !job_id) || (!to && !marker) || !actor) {
+    return json({ ok:false, error:"missing_required", required:["session_id|job_id","to|marker","actor"] }, 422, corsHeaders(cors));
+  }
+  if (override && actor_role !== "admin") {
+    return json({ ok:false, error:"override_requires_admin", actor, actor_role }, 403, corsHeaders(cors));
+  }
+  if (normalizeSessionState(marker) === "final_payment_confirmed" && actor_role !== "payments") {
+    return json({ ok:false, error:"marker_requires_payments_worker", marker, actor, actor_role }, 403, corsHeaders(cors));
+  }
+
+  const idemKey = str(body.idempotency_key);
+  if (idemKey) {
+    const prev = await idemGet(env, idemKey);
+    if (prev?.ok) return json({ ok:true, idempotent:true, result: prev.result }, 200, corsHeaders(cors));
+  }
+
+  const rec = await loadJobForSession(env, { session_id, job_id });
+  if (!rec) return json({ ok:false, error:"session_not_found", session_id: session_id || null, job_id: job_id || null }, 404, corsHeaders(cors));
+
+  const job = rec.fields || {};
+  const from = normalizeSessionState(job.status) || "confirmed";
+  const events = parseEvents(job.events_json);
+
+  const check = marker
+    ? validateMarker({ from, marker })
+    : validateTransition({ from, to, events, override, reason });
+  if (!check.ok) {
+    const { status, ...detail } = check;
+    return json({ ...detail, session_id: str(job.session_id) || session_id, job_id: str(job.job_id) || job_id }, status, corsHeaders(cors));
+  }
+
+  const ts = nowIso();
+  const status = marker ? from : check.to;
+  const entry = marker
+    ? { ts, event: check.marker, type: "marker", state: from, by: actor, role: actor_role, reason: reason || null }
+    : { ts, event: check.to, type: "transition", from, to: check.to, by: actor, role: actor_role, reason: reason || null, override: check.override || undefined };
+  if (body.data && typeof body.data === "object") entry.data = body.data;
+  events.push(entry);
+
+  const updated = await atFetch(env, "", {
+    method: "PATCH",
+    body: JSON.stringify({
+      records: [{
+        id: rec.id,
+        fields: {
+          status,
+          last_update_at: ts,
+          events_json: JSON.stringify(events),
+        },
+      }],
+    }),
+  });
+
+  const tg = await tgInternalSend(env, buildDispatchPayload(entry.event, status, job, { from, actor, reason: reason || null, override: entry.override || false }));
+
+  const side_effects = [{ type:"telegram_notify", ...tg }];
+  if (!marker && status === "separated" && str(job.job_id)) {
+    side_effects.push({ type:"realtime_room_close", ...(await rtRoomClose(env, str(job.job_id), "session_separated")) });
+  }
+  if (!marker && ["en_route", "arrived"].includes(status) && str(job.job_id)) {
+    side_effects.push({ type:"realtime_room_state", ...(await rtRoomState(env, job, status)) });
+  }
+
+  const result = {
+    ok: true,
+    session_id: str(job.session_id) || session_id,
+    job_id: str(job.job_id) || job_id,
+    from,
+    status,
+    event: entry,
+    allowed_next: allowedNextStates(status),
+    airtable: updated.records?.[0]?.id || null,
+    side_effects,
+  };
+
+  if (idemKey) await idemPut(env, idemKey, { ok:true, result });
+
+  return json(result, 200, corsHeaders(cors));
+}
+
+async function handleSessionTimeline(req, sessionId, env, cors) {
+  const session_id = str(sessionId);
+  if (!session_id) return json({ ok:false, error:"missing_session_id" }, 422, corsHeaders(cors));
+
+  const rec = await findJobBySessionId(env, session_id);
+  if (!rec) return json({ ok:false, error:"session_not_found", session_id }, 404, corsHeaders(cors));
+
+  const job = rec.fields || {};
+  const status = normalizeSessionState(job.status) || "confirmed";
+
+  return json({
+    ok: true,
+    session_id,
+    job_id: str(job.job_id),
+    status,
+    allowed_next: allowedNextStates(status),
+    last_update_at: str(job.last_update_at) || null,
+    timeline: buildTimeline(job.events_json),
+  }, 200, corsHeaders(cors));
+}
 
 // -----------------------------
 // Payments intents (deposit/final/tips) + tips tracking
@@ -471,8 +712,6 @@ function computeDepositAmount(amountThb, percent, roundStep) {
 }
 
 async function handleSessionPaymentIntent(req, body, env, cors) {
-  requireConfirmKey(req, env);
-
   const sessionId = str(body.session_id || body.sessionId || "");
   const stage = str(body.payment_stage || body.paymentStage || "");
   if (!sessionId) return json({ ok: false, error: "missing_session_id" }, 400, corsHeaders(cors));
@@ -568,8 +807,6 @@ async function handleSessionPaymentIntent(req, body, env, cors) {
 }
 
 async function handleTipsSummary(req, body, env, cors) {
-  requireConfirmKey(req, env);
-
   const sessionId = str(body.session_id || body.sessionId || "");
   if (!sessionId) return json({ ok: false, error: "missing_session_id" }, 400, corsHeaders(cors));
 
@@ -697,5 +934,3 @@ async function airtableSumPaidForStage(sessionId, stage, env) {
   }
   return sum;
 }
-
->>>>>>> main
@@ -1,9 +1,382 @@
 // events-worker/src/reminder-24h.js
-/* 
-  - query sessions 23.5h..24.5h (not yet reminder_24h_sent)
+/*
+  24h reminder job (cron, see wrangler.toml [triggers])
+  - query sessions 23.5h..24.5h (not yet reminder_24h_sent; the window is in the Airtable formula)
+  - mark first: KV idempotency key, ack check, then reminder_24h_sent + status confirmed -> reminder on the job,
+    so a failure after the sends can never send the same reminder again on the next cron run
   - send message to model (if telegram_consent && telegram_chat_id)
-  - send reassurance to member
-  - mark reminder_24h_sent on session
-  - schedule check ack in 12 hours (KV or queue)
+  - send reassurance to member (customer_telegram_chat_id or customer_line_user_id on the job)
+  - record the delivery result on the job (reminder_24h_delivery event) and the ack check (EVENTS_IDEMPOTENCY_KV)
+  - when the check is due and no reminder_24h_ack marker exists -> escalate to confirm thread
+
+  Model ack:
+    POST /v1/sessions/transition { session_id, marker:"reminder_24h_ack", actor:"model:<code>" }
+
+  Env:
+    - REMINDER_24H_DRY_RUN ("true" = compute + report only, no sends/writes)
+    - REMINDER_WINDOW_MIN_HOURS (default 23.5), REMINDER_WINDOW_MAX_HOURS (default 24.5)
+    - REMINDER_ACK_CHECK_HOURS (default 12)
+    - TELEGRAM_OUTBOX_URL + INTERNAL_TOKEN (telegram-worker outbox; direct send with TELEGRAM_BOT_TOKEN as fallback)
+    - TELEGRAM_CHAT_ID, TG_THREAD_CONFIRM
+    - AIRTABLE_TABLE_MODELS (model lookup by model_code)
+    - LINE_CHANNEL_ACCESS_TOKEN (optional member reassurance over LINE)
 */
-// Paste the processOneSession/run24hReminders code provided earlier
+
+import { normalizeSessionState, parseEvents, validateTransition } from "./state-machine.js";
+import { telegramEnqueue, telegramSendMessage } from "../lib/telegram.js";
+
+const REMINDER_ACTOR = "reminder-24h";
+const ACK_PREFIX = "idem:reminder_24h_ack:";
+
+function str(v){ return String(v ?? "").trim(); }
+function num(v, fallback){ const n = Number(str(v)); return Number.isFinite(n) && n > 0 ? n : fallback; }
+function nowIso(){ return new Date().toISOString(); }
+function truthy(v){ return v === true || v === 1 || ["true","1","yes"].includes(str(v).toLowerCase()); }
+function escHtml(s){
+  return String(s || "").replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;");
+}
+
+/* -------------------------
+   Airtable (jobs + models)
+------------------------- */
+async function atRequest(env, table, pathAndQuery = "", init = {}){
+  const base = str(env.AIRTABLE_BASE_ID);
+  const key = str(env.AIRTABLE_API_KEY);
+  if (!base || !key) throw new Error("missing_airtable_env");
+
+  const res = await fetch(`https://api.airtable.com/v0/${base}/${encodeURIComponent(table)}${pathAndQuery}`, {
+    ...init,
+    headers: { "Authorization": `Bearer ${key}`, "Content-Type": "application/json", ...(init.headers || {}) },
+  });
+  const data = await res.json().catch(()=>null);
+  if (!res.ok) throw new Error(`airtable_error_${res.status}`);
+  return data || {};
+}
+function jobsTable(env){ return str(env.AIRTABLE_TABLE_JOBS || "jobs"); }
+
+// Only jobs starting inside the window (a minute of slack each side; isInReminderWindow has the exact bounds).
+export function reminderCandidateFormula(window){
+  const from = new Date(window.from - 60 * 1000).toISOString();
+  const to = new Date(window.to + 60 * 1000).toISOString();
+  return [
+    "AND(",
+    "NOT({reminder_24h_sent}),",
+    'OR({status}="confirmed",{status}=""),',
+    `IS_AFTER(DATETIME_PARSE({schedule_start_at}),DATETIME_PARSE("${from}")),`,
+    `IS_BEFORE(DATETIME_PARSE({schedule_start_at}),DATETIME_PARSE("${to}"))`,
+    ")",
+  ].join("");
+}
+
+async function listReminderCandidates(env, window, maxPages = 5){
+  const records = [];
+  let offset = "";
+  for (let i = 0; i < maxPages; i++) {
+    const q = new URLSearchParams({
+      filterByFormula: reminderCandidateFormula(window),
+      pageSize: "100",
+    });
+    if (offset) q.set("offset", offset);
+    const data = await atRequest(env, jobsTable(env), `?${q.toString()}`);
+    if (Array.isArray(data.records)) records.push(...data.records);
+    offset = str(data.offset);
+    if (!offset) break;
+  }
+  return records;
+}
+
+async function findJobBySessionId(env, sessionId){
+  const safe = str(sessionId).replace(/"/g, '\\"');
+  const q = new URLSearchParams({ filterByFormula: `{session_id}="${safe}"`, maxRecords: "1" });
+  const data = await atRequest(env, jobsTable(env), `?${q.toString()}`);
+  return data.records?.[0] || null;
+}
+
+async function patchJob(env, recordId, fields){
+  return await atRequest(env, jobsTable(env), "", {
+    method: "PATCH",
+    body: JSON.stringify({ records: [{ id: recordId, fields }] }),
+  });
+}
+
+async function findModelByCode(env, modelCode){
+  const table = str(env.AIRTABLE_TABLE_MODELS);
+  if (!table || !modelCode) return null;
+  const safe = str(modelCode).replace(/"/g, '\\"');
+  const q = new URLSearchParams({ filterByFormula: `{model_code}="${safe}"`, maxRecords: "1" });
+  const data = await atRequest(env, table, `?${q.toString()}`);
+  return data.records?.[0] || null;
+}
+
+/* -------------------------
+   Senders
+------------------------- */
+// Queued through telegram-worker's outbox when TELEGRAM_OUTBOX_URL is set (dedupe, 429 back-off,
+// retries); otherwise, or if the outbox is unreachable, sent once directly.
+async function telegramSend(env, chatId, text, { threadId = null, dedupeKey = "" } = {}){
+  if (!str(chatId)) return { ok:false, skipped:true, reason:"missing_chat_id" };
+
+  const message = { chat_id: str(chatId), text, parse_mode: "HTML", disable_web_page_preview: true };
+  if (threadId) message.message_thread_id = Number(threadId);
+
+  if (str(env.TELEGRAM_OUTBOX_URL)) {
+    const queued = await telegramEnqueue(message, env, dedupeKey);
+    if (queued.ok) return queued;
+  }
+
+  if (!str(env.TELEGRAM_BOT_TOKEN)) return { ok:false, skipped:true, reason:"missing_telegram_bot_token" };
+  return telegramSendMessage(env, message);
+}
+
+async function linePush(env, to, text){
+  const token = str(env.LINE_CHANNEL_ACCESS_TOKEN);
+  if (!token) return { ok:false, skipped:true, reason:"missing_line_channel_access_token" };
+  const res = await fetch("https://api.line.me/v2/bot/message/push", {
+    method: "POST",
+    headers: { "Authorization": `Bearer ${token}`, "Content-Type": "application/json" },
+    body: JSON.stringify({ to, messages: [{ type: "text", text }] }),
+  });
+  return { ok: res.ok, status: res.status };
+}
+
+function formatStart(iso){
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return str(iso);
+  return d.toLocaleString("th-TH", { timeZone: "Asia/Bangkok", dateStyle: "medium", timeStyle: "short" });
+}
+
+export function buildModelReminderText(job){
+  return [
+    "⏰ <b>แจ้งเตือนงานล่วงหน้า 24 ชม.</b>",
+    `Session: <code>${escHtml(job.session_id)}</code>`,
+    `เวลา: <b>${escHtml(formatStart(job.schedule_start_at))}</b>`,
+    job.meeting_point_text ? `จุดนัด: ${escHtml(job.meeting_point_text)}` : "",
+    job.city ? `เมือง: ${escHtml(job.city)}` : "",
+    "",
+    "กรุณากดยืนยันรับทราบภายใน 12 ชม. ครับ",
+  ].filter(v => v !== "").join("\n");
+}
+
+export function buildMemberReassuranceText(job){
+  const name = str(job.customer_name);
+  return `${name ? `คุณ${name} ` : ""}งานของคุณวันที่ ${formatStart(job.schedule_start_at)} ยืนยันในระบบเรียบร้อยแล้วครับ ทีมงาน MMD ดูแลการนัดหมายให้ตลอด หากมีอะไรเปลี่ยนแปลงจะแจ้งล่วงหน้าครับ`;
+}
+
+/* -------------------------
+   KV (per-session idempotency + ack checks)
+------------------------- */
+function ttlSeconds(env){
+  const days = num(env.EVENTS_IDEMPOTENCY_TTL_DAYS, 7);
+  return Math.floor(days * 24 * 60 * 60);
+}
+async function kvGetJson(env, key){
+  if (!env.EVENTS_IDEMPOTENCY_KV) return null;
+  const raw = await env.EVENTS_IDEMPOTENCY_KV.get(key);
+  if (!raw) return null;
+  try { return JSON.parse(raw); } catch { return { raw }; }
+}
+async function kvPutJson(env, key, value){
+  if (!env.EVENTS_IDEMPOTENCY_KV) return;
+  await env.EVENTS_IDEMPOTENCY_KV.put(key, JSON.stringify(value), { expirationTtl: ttlSeconds(env) });
+}
+
+/* -------------------------
+   Job
+------------------------- */
+export function reminderWindow(env, now = Date.now()){
+  const minH = num(env.REMINDER_WINDOW_MIN_HOURS, 23.5);
+  const maxH = num(env.REMINDER_WINDOW_MAX_HOURS, 24.5);
+  return { from: now + minH * 3600 * 1000, to: now + maxH * 3600 * 1000 };
+}
+
+export function isInReminderWindow(job, window){
+  const t = Date.parse(str(job?.schedule_start_at));
+  return Number.isFinite(t) && t >= window.from && t <= window.to;
+}
+
+export async function processOneSession(env, rec, { dryRun = false, now = Date.now() } = {}){
+  const job = rec.fields || {};
+  const session_id = str(job.session_id);
+  if (!session_id) return { record_id: rec.id, skipped:true, reason:"missing_session_id" };
+
+  const idemKey = `idem:reminder_24h:${session_id}`;
+  const prev = await kvGetJson(env, idemKey);
+  if (prev?.ok) return { session_id, skipped:true, reason:"already_sent", sent_at: prev.sent_at || null };
+
+  const events = parseEvents(job.events_json);
+  const from = normalizeSessionState(job.status) || "confirmed";
+  const move = validateTransition({ from, to: "reminder", events });
+  if (!move.ok) return { session_id, skipped:true, reason: move.error, from };
+
+  const model = await findModelByCode(env, job.model_code);
+  const mf = model?.fields || {};
+  const modelChatId = str(mf.telegram_chat_id || mf.telegram_id);
+  const modelConsent = truthy(mf.telegram_consent);
+  const memberTg = str(job.customer_telegram_chat_id);
+  const memberLine = str(job.customer_line_user_id);
+
+  const plan = {
+    session_id,
+    job_id: str(job.job_id),
+    schedule_start_at: str(job.schedule_start_at),
+    model_dm: modelConsent && modelChatId ? "telegram" : "skipped",
+    member_reassurance: memberTg ? "telegram" : memberLine ? "line" : "skipped",
+    ack_check_at: new Date(now + num(env.REMINDER_ACK_CHECK_HOURS, 12) * 3600 * 1000).toISOString(),
+  };
+  if (dryRun) return { ...plan, dry_run:true };
+
+  // mark first: from here on this session is never reminded again, even if a send or write below fails
+  const ts = nowIso();
+  await kvPutJson(env, idemKey, { ok:true, sent_at: ts });
+  const ackCheck = {
+    session_id,
+    job_id: plan.job_id,
+    model_code: str(job.model_code),
+    due_at: plan.ack_check_at,
+    model_dm_sent: false,
+  };
+  await kvPutJson(env, `${ACK_PREFIX}${session_id}`, ackCheck);
+
+  events.push({
+    ts,
+    event: "reminder",
+    type: "transition",
+    from,
+    to: "reminder",
+    by: REMINDER_ACTOR,
+    role: "system",
+    reason: "24h reminder",
+  });
+  await patchJob(env, rec.id, {
+    status: "reminder",
+    reminder_24h_sent: true,
+    reminder_24h_sent_at: ts,
+    last_update_at: ts,
+    events_json: JSON.stringify(events),
+  });
+
+  const model_dm = plan.model_dm === "telegram"
+    ? await telegramSend(env, modelChatId, buildModelReminderText(job), { dedupeKey: `reminder_24h:model:${session_id}` })
+    : { ok:false, skipped:true, reason: modelChatId ? "no_telegram_consent" : "missing_model_telegram_chat_id" };
+
+  const memberText = buildMemberReassuranceText(job);
+  const member_reassurance = memberTg
+    ? await telegramSend(env, memberTg, escHtml(memberText), { dedupeKey: `reminder_24h:member:${session_id}` })
+    : memberLine
+      ? await linePush(env, memberLine, memberText)
+      : { ok:false, skipped:true, reason:"missing_member_channel" };
+
+  if (model_dm.ok) await kvPutJson(env, `${ACK_PREFIX}${session_id}`, { ...ackCheck, model_dm_sent: true });
+
+  const deliveredAt = nowIso();
+  events.push({
+    ts: deliveredAt,
+    event: "reminder_24h_delivery",
+    type: "system",
+    by: REMINDER_ACTOR,
+    role: "system",
+    data: { model_dm: Boolean(model_dm.ok), member_reassurance: Boolean(member_reassurance.ok) },
+  });
+  await patchJob(env, rec.id, { events_json: JSON.stringify(events), last_update_at: deliveredAt });
+
+  return { ...plan, sent_at: ts, model_dm, member_reassurance };
+}
+
+export function hasReminderAck(events){
+  return parseEvents(events).some(e => e?.event === "reminder_24h_ack");
+}
+
+export function buildEscalationText(check, job){
+  return [
+    "🚨 <b>REMINDER 24H — NO MODEL ACK</b>",
+    `Session: <code>${escHtml(check.session_id)}</code>`,
+    check.job_id ? `Job: <code>${escHtml(check.job_id)}</code>` : "",
+    check.model_code ? `Model: <b>${escHtml(check.model_code)}</b>` : "",
+    job?.schedule_start_at ? `Start: <b>${escHtml(formatStart(job.schedule_start_at))}</b>` : "",
+    `DM delivered: <b>${check.model_dm_sent ? "yes" : "no"}</b>`,
+    "",
+    "Model has not acknowledged the 24h reminder. Please follow up manually.",
+  ].filter(Boolean).join("\n");
+}
+
+export async function runAckChecks(env, { dryRun = false, now = Date.now() } = {}){
+  const kv = env.EVENTS_IDEMPOTENCY_KV;
+  if (!kv || typeof kv.list !== "function") return [];
+
+  // KV.list returns at most 1000 keys a page: follow the cursor until list_complete
+  const keys = [];
+  let cursor;
+  do {
+    const listing = await kv.list({ prefix: ACK_PREFIX, ...(cursor ? { cursor } : {}) });
+    keys.push(...(listing.keys || []));
+    cursor = listing.list_complete === false ? listing.cursor : "";
+  } while (cursor);
+
+  const out = [];
+  for (const key of keys) {
+    const check = await kvGetJson(env, key.name);
+    if (!check?.session_id) continue;
+    if (Date.parse(str(check.due_at)) > now) continue;
+
+    const rec = await findJobBySessionId(env, check.session_id);
+    const job = rec?.fields || {};
+    if (hasReminderAck(job.events_json)) {
+      if (!dryRun) await kv.delete(key.name);
+      out.push({ session_id: check.session_id, acknowledged:true });
+      continue;
+    }
+
+    if (dryRun) {
+      out.push({ session_id: check.session_id, acknowledged:false, dry_run:true, would_escalate:true });
+      continue;
+    }
+
+    // the check is consumed before the alert, same as the reminder itself: at most one escalation per session
+    await kv.delete(key.name);
+    const telegram = await telegramSend(env, env.TELEGRAM_CHAT_ID || "-1003546439681", buildEscalationText(check, job), {
+      threadId: env.TG_THREAD_CONFIRM || "21",
+      dedupeKey: `reminder_24h_escalated:${check.session_id}`,
+    });
+
+    if (rec) {
+      const events = parseEvents(job.events_json);
+      events.push({ ts: nowIso(), event: "reminder_24h_escalated", type: "system", by: REMINDER_ACTOR, role: "system", data: { telegram: Boolean(telegram.ok) } });
+      await patchJob(env, rec.id, { events_json: JSON.stringify(events), last_update_at: nowIso() });
+    }
+
+    out.push({ session_id: check.session_id, acknowledged:false, escalated: Boolean(telegram.ok), telegram });
+  }
+  return out;
+}
+
+export async function run24hReminders(env, { dryRun, now = Date.now() } = {}){
+  const dry = dryRun ?? truthy(env.REMINDER_24H_DRY_RUN);
+  const window = reminderWindow(env, now);
+
+  const candidates = (await listReminderCandidates(env, window)).filter(rec => isInReminderWindow(rec.fields, window));
+
+  const reminders = [];
+  for (const rec of candidates) {
+    try {
+      reminders.push(await processOneSession(env, rec, { dryRun: dry, now }));
+    } catch (err) {
+      reminders.push({ record_id: rec.id, session_id: str(rec.fields?.session_id), ok:false, error: String(err?.message || err) });
+    }
+  }
+
+  let ack_checks = [];
+  try {
+    ack_checks = await runAckChecks(env, { dryRun: dry, now });
+  } catch (err) {
+    ack_checks = [{ ok:false, error: String(err?.message || err) }];
+  }
+
+  return {
+    ok: true,
+    dry_run: dry,
+    window: { from: new Date(window.from).toISOString(), to: new Date(window.to).toISOString() },
+    candidates: candidates.length,
+    reminders,
+    ack_checks,
+  };
+}
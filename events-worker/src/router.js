@@ -0,0 +1,72 @@
+// events-worker/src/router.js
+/* =========================================================
+   Declarative route table
+
+   A route is { method, path, auth, body, handler, description }:
+     - path    "/v1/sessions/:session_id/timeline" (":name" segments become params, URI-decoded)
+     - auth    "public" | "confirm_key" (checked here, handlers do not repeat it)
+     - body    "json" -> parsed before the handler runs (400 invalid_json when unparsable)
+     - handler ({ req, env, cors, url, params, body }) => Response
+
+   The same table drives fetch() and GET /v1/_routes.
+========================================================= */
+
+export const AUTH_PUBLIC = "public";
+export const AUTH_CONFIRM_KEY = "confirm_key";
+
+function compilePath(path){
+  const names = [];
+  const pattern = path
+    .split("/")
+    .map(seg => {
+      if (!seg.startsWith(":")) return seg.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      names.push(seg.slice(1));
+      return "([^/]+)";
+    })
+    .join("/");
+  return { regex: new RegExp(`^${pattern}$`), names };
+}
+
+export function createRouter(routes){
+  const compiled = routes.map(route => ({
+    ...route,
+    method: route.method.toUpperCase(),
+    auth: route.auth || AUTH_CONFIRM_KEY,
+    ...compilePath(route.path),
+  }));
+
+  /**
+   * => { route, params } | { route, invalid_param } (segment is not valid percent-encoding)
+   *    | { allowed: ["GET", ...] } (path known, method not) | null
+   */
+  function match(method, path){
+    const allowed = [];
+    for (const route of compiled) {
+      const m = path.match(route.regex);
+      if (!m) continue;
+      if (route.method !== method) { allowed.push(route.method); continue; }
+
+      const params = {};
+      for (const [i, name] of route.names.entries()) {
+        try {
+          params[name] = decodeURIComponent(m[i + 1]);
+        } catch {
+          return { route, invalid_param: name };
+        }
+      }
+      return { route, params };
+    }
+    return allowed.length ? { allowed } : null;
+  }
+
+  function describe(){
+    return compiled.map(r => ({
+      method: r.method,
+      path: r.path,
+      auth: r.auth,
+      description: r.description || "",
+    }));
+  }
+
+  return { match, describe };
+}
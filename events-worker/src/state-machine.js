@@ -0,0 +1,141 @@
+// events-worker/src/state-machine.js
+/* =========================================================
+   Canonical session state machine (docs/architecture/STATE_MACHINE.md)
+
+     confirmed -> reminder -> en_route -> arrived -> met -> final_payment_pending
+     -> work_started -> work_finished -> separated -> review -> payout
+
+   Rules:
+     - forward moves only, one step at a time
+     - reminder is optional (late bookings may skip straight to en_route)
+     - work_started needs a final_payment_confirmed marker in events_json
+     - anything else is an explicit admin override (reason required)
+========================================================= */
+
+export const SESSION_STATES = [
+  "confirmed",
+  "reminder",
+  "en_route",
+  "arrived",
+  "met",
+  "final_payment_pending",
+  "work_started",
+  "work_finished",
+  "separated",
+  "review",
+  "payout",
+];
+
+export const SESSION_TRANSITIONS = {
+  confirmed: ["reminder", "en_route"],
+  reminder: ["en_route"],
+  en_route: ["arrived"],
+  arrived: ["met"],
+  met: ["final_payment_pending"],
+  final_payment_pending: ["work_started"],
+  work_started: ["work_finished"],
+  work_finished: ["separated"],
+  separated: ["review"],
+  review: ["payout"],
+  payout: [],
+};
+
+// Legacy dispatch statuses written by the old /v1/job/event flow.
+const STATE_ALIASES = {
+  met_customer: "met",
+  nearby: "en_route",
+};
+
+// Timeline markers that do not move the state but can unlock a gate.
+export const SESSION_MARKERS = {
+  final_payment_confirmed: ["final_payment_pending"],
+  reminder_24h_ack: ["reminder"],
+};
+
+function str(v){ return String(v ?? "").trim(); }
+
+export function normalizeSessionState(input){
+  const s = str(input).toLowerCase().replace(/[\s-]+/g, "_");
+  return STATE_ALIASES[s] || s;
+}
+
+export function isSessionState(input){
+  return SESSION_STATES.includes(normalizeSessionState(input));
+}
+
+export function allowedNextStates(from){
+  return SESSION_TRANSITIONS[normalizeSessionState(from)] || [];
+}
+
+export function parseEvents(raw){
+  if (Array.isArray(raw)) return raw;
+  try {
+    const parsed = JSON.parse(str(raw) || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+export function hasFinalPaymentConfirmed(events){
+  return Array.isArray(events) && events.some(e => e?.event === "final_payment_confirmed");
+}
+
+/**
+ * Validate a move. Returns { ok:true, from, to } or
+ * { ok:false, status, error, ... } ready to be sent as the response body.
+ */
+export function validateTransition({ from, to, events = [], override = false, reason = "" }){
+  const current = normalizeSessionState(from) || "confirmed";
+  const next = normalizeSessionState(to);
+
+  if (!SESSION_STATES.includes(next)) {
+    return { ok:false, status:422, error:"invalid_state", to: str(to), allowed_states: SESSION_STATES };
+  }
+  if (!SESSION_STATES.includes(current)) {
+    return { ok:false, status:409, error:"unknown_current_state", from: str(from), to: next };
+  }
+  if (current === next) {
+    return { ok:false, status:409, error:"already_in_state", from: current, to: next };
+  }
+
+  if (override) {
+    if (!str(reason)) return { ok:false, status:422, error:"override_reason_required", from: current, to: next };
+    return { ok:true, from: current, to: next, override:true };
+  }
+
+  const allowed = allowedNextStates(current);
+  if (!allowed.includes(next)) {
+    return { ok:false, status:409, error:"illegal_transition", from: current, to: next, allowed_next: allowed };
+  }
+
+  // MEMORY HARD GATE: no work_started before the final payment is confirmed.
+  if (next === "work_started" && !hasFinalPaymentConfirmed(events)) {
+    return { ok:false, status:409, error:"final_payment_required_before_work_started", from: current, to: next };
+  }
+
+  return { ok:true, from: current, to: next, override:false };
+}
+
+/**
+ * Validate a timeline marker (e.g. final_payment_confirmed) against the current state.
+ */
+export function validateMarker({ from, marker }){
+  const current = normalizeSessionState(from) || "confirmed";
+  const name = normalizeSessionState(marker);
+  const states = SESSION_MARKERS[name];
+  if (!states) {
+    return { ok:false, status:422, error:"invalid_marker", marker: str(marker), allowed_markers: Object.keys(SESSION_MARKERS) };
+  }
+  if (!states.includes(current)) {
+    return { ok:false, status:409, error:"marker_not_allowed_in_state", marker: name, from: current, allowed_states: states };
+  }
+  return { ok:true, from: current, marker: name };
+}
+
+export function buildTimeline(events){
+  return parseEvents(events)
+    .filter(e => e && typeof e === "object")
+    .slice()
+    .sort((a, b) => str(a.ts).localeCompare(str(b.ts)));
+}
@@ -0,0 +1,53 @@
+import assert from "node:assert/strict";
+import {
+  allowedNextStates,
+  buildTimeline,
+  normalizeSessionState,
+  validateMarker,
+  validateTransition,
+} from "./src/state-machine.js";
+
+assert.deepEqual(validateTransition({ from: "confirmed", to: "reminder" }), { ok: true, from: "confirmed", to: "reminder", override: false });
+assert.equal(validateTransition({ from: "confirmed", to: "en_route" }).ok, true);
+assert.equal(validateTransition({ from: "met_customer", to: "final_payment_pending" }).ok, true);
+assert.equal(normalizeSessionState("Final Payment Pending"), "final_payment_pending");
+
+const jump = validateTransition({ from: "confirmed", to: "work_started" });
+assert.equal(jump.ok, false);
+assert.equal(jump.status, 409);
+assert.equal(jump.error, "illegal_transition");
+assert.deepEqual(jump.allowed_next, ["reminder", "en_route"]);
+
+const backwards = validateTransition({ from: "arrived", to: "en_route" });
+assert.equal(backwards.error, "illegal_transition");
+
+assert.equal(validateTransition({ from: "met", to: "met" }).error, "already_in_state");
+assert.equal(validateTransition({ from: "met", to: "dancing" }).error, "invalid_state");
+
+const gated = validateTransition({ from: "final_payment_pending", to: "work_started", events: [] });
+assert.equal(gated.error, "final_payment_required_before_work_started");
+const paid = validateTransition({
+  from: "final_payment_pending",
+  to: "work_started",
+  events: [{ ts: "2026-01-01T00:00:00.000Z", event: "final_payment_confirmed" }],
+});
+assert.equal(paid.ok, true);
+
+assert.equal(validateTransition({ from: "arrived", to: "en_route", override: true }).error, "override_reason_required");
+assert.equal(validateTransition({ from: "arrived", to: "en_route", override: true, reason: "model went back for ID" }).override, true);
+
+assert.equal(validateMarker({ from: "final_payment_pending", marker: "final_payment_confirmed" }).ok, true);
+assert.equal(validateMarker({ from: "met", marker: "final_payment_confirmed" }).error, "marker_not_allowed_in_state");
+assert.equal(validateMarker({ from: "met", marker: "lunch" }).error, "invalid_marker");
+assert.equal(validateMarker({ from: "reminder", marker: "reminder_24h_ack" }).ok, true);
+
+assert.deepEqual(allowedNextStates("payout"), []);
+
+const timeline = buildTimeline(JSON.stringify([
+  { ts: "2026-01-01T02:00:00.000Z", event: "reminder" },
+  { ts: "2026-01-01T01:00:00.000Z", event: "created" },
+]));
+assert.deepEqual(timeline.map((e) => e.event), ["created", "reminder"]);
+assert.deepEqual(buildTimeline("not json"), []);
+
+console.log("events state machine tests passed");
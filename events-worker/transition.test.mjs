@@ -0,0 +1,77 @@
+import assert from "node:assert/strict";
+import worker from "./src/index.js";
+
+const env = {
+  CONFIRM_KEY: "ck",
+  EVENTS_ADMIN_KEY: "admin-key",
+  PAYMENTS_EVENTS_KEY: "payments-key",
+  AIRTABLE_API_KEY: "k",
+  AIRTABLE_BASE_ID: "app",
+};
+const realFetch = globalThis.fetch;
+
+// fake Airtable jobs table with one session
+function jobs(status) {
+  const patches = [];
+  globalThis.fetch = async (url, init = {}) => {
+    if (init.method === "PATCH") {
+      patches.push(JSON.parse(init.body).records[0].fields);
+      return new Response(JSON.stringify({ records: [{ id: "recJ" }] }), { status: 200 });
+    }
+    const fields = { session_id: "S1", job_id: "J1", status, events_json: "[]" };
+    return new Response(JSON.stringify({ records: [{ id: "recJ", fields }] }), { status: 200 });
+  };
+  return patches;
+}
+
+async function transition(body, headers = {}) {
+  const res = await worker.fetch(
+    new Request("https://events.example/v1/sessions/transition", {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "X-Confirm-Key": "ck", ...headers },
+      body: JSON.stringify({ session_id: "S1", actor: "mint", ...body }),
+    }),
+    env
+  );
+  return { status: res.status, body: await res.json() };
+}
+
+try {
+  // a body claiming admin is not an admin
+  let patches = jobs("confirmed");
+  let out = await transition({ to: "arrived", override: true, reason: "ops", actor_role: "admin" });
+  assert.equal(out.status, 403);
+  assert.equal(out.body.error, "override_requires_admin");
+  assert.equal(out.body.actor_role, "system");
+  out = await transition({ to: "arrived", override: true, reason: "ops" }, { "X-Admin-Key": "wrong" });
+  assert.equal(out.status, 403);
+  assert.deepEqual(patches, []);
+
+  // the admin key grants the override and is what the timeline records
+  out = await transition({ to: "arrived", override: true, reason: "ops" }, { "X-Admin-Key": "admin-key" });
+  assert.equal(out.status, 200, JSON.stringify(out.body));
+  assert.equal(out.body.event.role, "admin");
+  assert.equal(patches[0].status, "arrived");
+
+  // final_payment_confirmed only from payments-worker's credential
+  patches = jobs("final_payment_pending");
+  for (const headers of [{}, { "X-Admin-Key": "admin-key" }, { "X-Payments-Key": "nope" }]) {
+    out = await transition({ marker: "final_payment_confirmed", actor_role: "payments" }, headers);
+    assert.equal(out.status, 403);
+    assert.equal(out.body.error, "marker_requires_payments_worker");
+  }
+  assert.deepEqual(patches, []);
+  out = await transition({ marker: "final_payment_confirmed", actor: "payments-worker" }, { "X-Payments-Key": "payments-key" });
+  assert.equal(out.status, 200, JSON.stringify(out.body));
+  assert.equal(out.body.event.role, "payments");
+
+  // other markers and plain moves keep the caller's (unprivileged) role
+  patches = jobs("reminder");
+  out = await transition({ marker: "reminder_24h_ack", actor: "model:K1", actor_role: "model" });
+  assert.equal(out.status, 200);
+  assert.equal(out.body.event.role, "model");
+} finally {
+  globalThis.fetch = realFetch;
+}
+
+console.log("transition tests passed");
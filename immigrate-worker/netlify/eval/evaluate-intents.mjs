@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+// Scores inferIntent / inferFaqIntent / the pricing reply strategy against intent-corpus.jsonl.
+//
+// Usage (from immigrate-worker):
+//   node netlify/eval/evaluate-intents.mjs                    per-intent precision/recall/F1, confusion matrix, misses
+//   node netlify/eval/evaluate-intents.mjs --json             same, as JSON
+//   node netlify/eval/evaluate-intents.mjs --min-accuracy 0.9 --no-confusion
+//   node netlify/eval/evaluate-intents.mjs --corpus other.jsonl
+//
+// Exit code 1 when an entry not marked known_miss is misclassified, or accuracy is below --min-accuracy.
+
+import { CORPUS_PATH, evaluateCorpus, formatReport, loadCorpus } from "./intent-eval.js";
+
+const args = process.argv.slice(2);
+const flag = (name) => args.includes(name);
+const option = (name) => {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
+};
+
+const corpus = loadCorpus(option("--corpus") || CORPUS_PATH);
+const result = evaluateCorpus(corpus);
+const minAccuracy = Number(option("--min-accuracy") || 0);
+
+if (flag("--json")) {
+  console.log(JSON.stringify(result, null, 2));
+} else {
+  console.log(`corpus: ${corpus.length} messages`);
+  console.log(formatReport(result, { showConfusion: !flag("--no-confusion") }));
+}
+
+const belowMin = result.intent.accuracy < minAccuracy;
+if (belowMin) console.error(`intent accuracy ${result.intent.accuracy} is below --min-accuracy ${minAccuracy}`);
+process.exitCode = result.misses.length || belowMin ? 1 : 0;
@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+// Pulls misclassified real LINE messages from the console inbox into intent-corpus.jsonl.
+//
+// Label a message in Airtable by adding "intent_label:<intent>" to the record's legacy_tags
+// (e.g. intent_label:create_session), or pass record ids on the command line.
+//
+// Usage (from immigrate-worker):
+//   AIRTABLE_API_KEY=... AIRTABLE_BASE_ID=... node netlify/eval/import-inbox-labels.mjs
+//   ... node netlify/eval/import-inbox-labels.mjs --record recXXXX=pricing_review --record recYYYY=note_only
+//   ... --dry-run    print the entries instead of appending them
+//   ... --all        also import labelled messages the rules already get right
+//
+// Text is anonymised (anonymiseText) before it is written; still read the diff before committing.
+// New entries the current rules miss are added with known_miss: true so the eval stays green until the rules
+// are tuned — then drop the flag.
+
+import { appendFileSync } from "node:fs";
+import { CORPUS_PATH, classifyEntry, entryFromInboxRecord, loadCorpus } from "./intent-eval.js";
+
+const DEFAULT_SYNC_TABLE = "MMD — Console Inbox";
+
+const args = process.argv.slice(2);
+const apiKey = process.env.AIRTABLE_API_KEY || "";
+const baseId = process.env.AIRTABLE_BASE_ID || "";
+const tableName = process.env.AIRTABLE_SYNC_TABLE || DEFAULT_SYNC_TABLE;
+
+const explicit = new Map();
+args.forEach((arg, index) => {
+  if (arg !== "--record") return;
+  const [id, label] = String(args[index + 1] || "").split("=");
+  if (!id || !label) throw new Error(`--record expects recXXXX=<intent>, got "${args[index + 1] || ""}"`);
+  explicit.set(id, label);
+});
+
+if (!apiKey || !baseId) {
+  console.error("AIRTABLE_API_KEY and AIRTABLE_BASE_ID are required");
+  process.exit(2);
+}
+
+async function airtable(path, params = {}) {
+  const url = new URL(`https://api.airtable.com/v0/${baseId}/${encodeURIComponent(tableName)}${path}`);
+  for (const [key, value] of Object.entries(params)) url.searchParams.set(key, value);
+  const response = await fetch(url, { headers: { Authorization: `Bearer ${apiKey}` } });
+  if (!response.ok) throw new Error(`Airtable ${response.status}: ${await response.text()}`);
+  return response.json();
+}
+
+async function labelledRecords() {
+  if (explicit.size) {
+    return Promise.all([...explicit.keys()].map((id) => airtable(`/${id}`)));
+  }
+
+  const records = [];
+  let offset = "";
+  do {
+    const page = await airtable("", {
+      pageSize: "100",
+      filterByFormula: `AND({created_by}="netlify-line-webhook", FIND("intent_label:", {legacy_tags}))`,
+      ...(offset ? { offset } : {}),
+    });
+    records.push(...(page.records || []));
+    offset = page.offset || "";
+  } while (offset);
+  return records;
+}
+
+const corpus = loadCorpus();
+const seen = new Set(corpus.map((e) => e.id));
+const seenText = new Set(corpus.map((e) => `${e.intent}\u0000${e.text}`));
+
+const added = [];
+let skipped = 0;
+for (const record of await labelledRecords()) {
+  const entry = entryFromInboxRecord(record, explicit.get(record.id) || "");
+  if (!entry || seen.has(entry.id) || seenText.has(`${entry.intent}\u0000${entry.text}`)) {
+    skipped += 1;
+    continue;
+  }
+
+  const predicted = classifyEntry(entry).intent;
+  if (predicted === entry.intent && !args.includes("--all")) {
+    skipped += 1;
+    continue;
+  }
+  if (predicted !== entry.intent) entry.known_miss = true;
+
+  seen.add(entry.id);
+  seenText.add(`${entry.intent}\u0000${entry.text}`);
+  added.push(entry);
+}
+
+const lines = added.map((entry) => JSON.stringify(entry));
+if (args.includes("--dry-run")) {
+  lines.forEach((line) => console.log(line));
+} else if (lines.length) {
+  appendFileSync(CORPUS_PATH, `${lines.join("\n")}\n`);
+}
+
+console.error(
+  `${added.length} entr${added.length === 1 ? "y" : "ies"} ${args.includes("--dry-run") ? "to add" : "added"}, ${skipped} skipped (unlabelled, duplicate or already right)`,
+);
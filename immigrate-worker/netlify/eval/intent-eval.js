@@ -0,0 +1,272 @@
+// Intent classifier evaluation over the labelled LINE corpus (intent-corpus.jsonl).
+//
+// Corpus line: { id, text, intent, event?, prior_image?, faq_intent?, strategy?, known_miss?, source?, note? }
+//   event        text (default) | image | follow | postback — shape of the LINE event the text arrived in
+//   prior_image  the customer sent a photo just before (pricing_context.image_message_id)
+//   faq_intent   expected inferFaqIntent(); derived from intent when omitted (FAQ intent or "")
+//   strategy     expected choosePricingReplyStrategy(parseAdContextFromText(text))
+//   known_miss   current rules get this wrong; reported, but not a regression. Remove once the rules are fixed.
+//
+// Entries are anonymised before they are committed: no names, phone numbers, LINE ids, emails or links.
+
+import { readFileSync } from "node:fs";
+import { choosePricingReplyStrategy, inferFaqIntent, inferIntent, parseAdContextFromText } from "../functions/webhook.js";
+
+export const CORPUS_PATH = new URL("./intent-corpus.jsonl", import.meta.url);
+
+// inferFaqIntent() labels; image_* intents come from the event shape, not the text
+const TEXT_FAQ_INTENTS = new Set([
+  "pricing_review",
+  "ask_where_to_get_rate",
+  "package_difference",
+  "upgrade_question",
+  "membership_fee_reason",
+  "model_photo_review_question",
+  "contact_admin",
+]);
+
+export function parseCorpus(raw) {
+  const entries = [];
+  const ids = new Set();
+  String(raw || "")
+    .split(/\r?\n/)
+    .forEach((line, index) => {
+      if (!line.trim()) return;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        throw new Error(`intent corpus line ${index + 1}: invalid JSON`);
+      }
+      if (!entry.id || !entry.intent || typeof entry.text !== "string") {
+        throw new Error(`intent corpus line ${index + 1}: id, text and intent are required`);
+      }
+      if (ids.has(entry.id)) throw new Error(`intent corpus line ${index + 1}: duplicate id ${entry.id}`);
+      ids.add(entry.id);
+      entries.push(entry);
+    });
+  return entries;
+}
+
+export function loadCorpus(path = CORPUS_PATH) {
+  return parseCorpus(readFileSync(path, "utf8"));
+}
+
+// corpus entry => the LINE webhook event inferIntent() sees
+export function corpusEvent(entry) {
+  const source = { type: "user", userId: "Ueval" };
+  if (entry.event === "follow") return { type: "follow", source };
+  if (entry.event === "postback") return { type: "postback", postback: { data: entry.text }, source };
+  if (entry.event === "image") return { type: "message", message: { type: "image", id: `m_${entry.id}` }, source };
+
+  const event = { type: "message", message: { type: "text", id: `m_${entry.id}`, text: entry.text }, source };
+  if (entry.prior_image) event.pricing_context = { image_message_id: `m_${entry.id}_image` };
+  return event;
+}
+
+export function expectedFaqIntent(entry) {
+  if (entry.faq_intent !== undefined) return entry.faq_intent;
+  if (entry.event && entry.event !== "text") return null;
+  if (entry.prior_image) return null;
+  return TEXT_FAQ_INTENTS.has(entry.intent) ? entry.intent : "";
+}
+
+export function classifyEntry(entry) {
+  const event = corpusEvent(entry);
+  const text = event.type === "message" && event.message.type === "text" ? entry.text : "";
+  return {
+    intent: inferIntent(text, event),
+    faq_intent: inferFaqIntent(text),
+    strategy: choosePricingReplyStrategy(parseAdContextFromText(text)),
+  };
+}
+
+// labelled pairs => per-label precision/recall/F1 + confusion matrix (confusion[expected][predicted])
+export function scoreLabels(pairs) {
+  const labels = [...new Set(pairs.flatMap((p) => [p.expected, p.predicted]))].sort();
+  const confusion = {};
+  for (const label of labels) confusion[label] = Object.fromEntries(labels.map((l) => [l, 0]));
+  for (const { expected, predicted } of pairs) confusion[expected][predicted] += 1;
+
+  const perLabel = {};
+  for (const label of labels) {
+    const tp = confusion[label][label];
+    const support = labels.reduce((sum, l) => sum + confusion[label][l], 0);
+    const predictedCount = labels.reduce((sum, l) => sum + confusion[l][label], 0);
+    const precision = predictedCount ? tp / predictedCount : 0;
+    const recall = support ? tp / support : 0;
+    perLabel[label] = {
+      support,
+      predicted: predictedCount,
+      precision: round(precision),
+      recall: round(recall),
+      f1: round(precision + recall ? (2 * precision * recall) / (precision + recall) : 0),
+    };
+  }
+
+  const correct = pairs.filter((p) => p.expected === p.predicted).length;
+  const scored = Object.values(perLabel).filter((m) => m.support);
+  return {
+    total: pairs.length,
+    correct,
+    accuracy: round(pairs.length ? correct / pairs.length : 0),
+    macro_f1: round(scored.length ? scored.reduce((sum, m) => sum + m.f1, 0) / scored.length : 0),
+    labels,
+    per_label: perLabel,
+    confusion,
+  };
+}
+
+/**
+ * Whole corpus => { intent, faq_intent, strategy } scores plus misses.
+ *   misses       wrong intent on an entry not marked known_miss (the regression list)
+ *   known_misses still wrong and already marked
+ *   fixed        marked known_miss but now right — drop the flag
+ */
+export function evaluateCorpus(entries) {
+  const intentPairs = [];
+  const faqPairs = [];
+  const strategyPairs = [];
+  const misses = [];
+  const knownMisses = [];
+  const fixed = [];
+
+  for (const entry of entries) {
+    const got = classifyEntry(entry);
+    intentPairs.push({ expected: entry.intent, predicted: got.intent });
+
+    const faqExpected = expectedFaqIntent(entry);
+    if (faqExpected !== null) faqPairs.push({ expected: faqExpected || "(none)", predicted: got.faq_intent || "(none)" });
+    if (entry.strategy) strategyPairs.push({ expected: entry.strategy, predicted: got.strategy });
+
+    const row = { id: entry.id, text: entry.text, expected: entry.intent, predicted: got.intent };
+    if (got.intent !== entry.intent) (entry.known_miss ? knownMisses : misses).push(row);
+    else if (entry.known_miss) fixed.push(row);
+  }
+
+  return {
+    intent: scoreLabels(intentPairs),
+    faq_intent: scoreLabels(faqPairs),
+    strategy: scoreLabels(strategyPairs),
+    misses,
+    known_misses: knownMisses,
+    fixed,
+  };
+}
+
+export function formatReport(result, { showConfusion = true } = {}) {
+  const out = [];
+  const section = (title, score) => {
+    out.push(`${title}: ${score.correct}/${score.total} correct, accuracy ${pct(score.accuracy)}, macro F1 ${pct(score.macro_f1)}`);
+    const width = Math.max(8, ...score.labels.map((l) => l.length));
+    out.push(`  ${"label".padEnd(width)}  support  precision  recall     f1`);
+    for (const label of score.labels) {
+      const m = score.per_label[label];
+      out.push(
+        `  ${label.padEnd(width)}  ${String(m.support).padStart(7)}  ${pct(m.precision).padStart(9)}  ${pct(m.recall).padStart(6)}  ${pct(m.f1).padStart(5)}`,
+      );
+    }
+    out.push("");
+  };
+
+  section("intent", result.intent);
+  if (showConfusion) {
+    const { labels, confusion } = result.intent;
+    out.push("confusion (rows = expected, columns = predicted; see the label key)");
+    out.push(`  ${"".padEnd(4)} ${labels.map((_, i) => String(i).padStart(3)).join("")}`);
+    labels.forEach((label, i) => {
+      out.push(`  ${String(i).padStart(4)} ${labels.map((l) => String(confusion[label][l] || ".").padStart(3)).join("")}  ${label}`);
+    });
+    out.push("");
+  }
+  section("faq_intent", result.faq_intent);
+  if (result.strategy.total) section("pricing reply strategy", result.strategy);
+
+  const list = (title, rows) => {
+    if (!rows.length) return;
+    out.push(`${title} (${rows.length})`);
+    for (const r of rows) out.push(`  ${r.id}  expected ${r.expected}, got ${r.predicted}  | ${oneLine(r.text)}`);
+    out.push("");
+  };
+  list("REGRESSIONS", result.misses);
+  list("known misses", result.known_misses);
+  list("fixed (remove known_miss)", result.fixed);
+
+  return out.join("\n");
+}
+
+const PHONE_RE = /(?:\+?66[\s-]?|0)\d(?:[\s-]?\d){7,8}\b/g;
+const EMAIL_RE = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+const LINE_USER_RE = /\bU[0-9a-f]{32}\b/g;
+const LINE_HANDLE_RE = /(line\s*(?:id)?\s*[:：]?\s*)@?[\w.-]{3,}/gi;
+const URL_RE = /https?:\/\/\S+/gi;
+
+/**
+ * Strips personal data before a real message goes into the corpus. Keeps utm_content / catalogue refs
+ * (they drive the pricing reply strategy) and replaces the sender's own names with <name>.
+ */
+export function anonymiseText(text, { names = [] } = {}) {
+  let out = String(text || "")
+    .replace(URL_RE, (url) => {
+      const utm = url.match(/utm_content=([^&\s]+)/i)?.[0];
+      return utm ? `<link?${utm}>` : "<link>";
+    })
+    .replace(EMAIL_RE, "<email>")
+    .replace(LINE_USER_RE, "<line_user>")
+    .replace(LINE_HANDLE_RE, "$1<line_id>")
+    .replace(PHONE_RE, "<phone>");
+
+  for (const name of names.map((n) => String(n || "").trim()).filter((n) => n.length >= 2)) {
+    out = out.split(name).join("<name>");
+  }
+  return out.replace(/[ \t]+/g, " ").trim();
+}
+
+/**
+ * Console inbox record (netlify-line-webhook) + corrected label => corpus entry, or null when the record
+ * has no message text. Labels come from a legacy_tags entry "intent_label:<intent>" or the label argument.
+ */
+export function entryFromInboxRecord(record, label = "") {
+  const fields = record?.fields || {};
+  let payload = {};
+  try {
+    payload = JSON.parse(fields.payload_json || "{}") || {};
+  } catch {
+    payload = {};
+  }
+
+  const tagLabel = String(fields.legacy_tags || "").match(/intent_label:([a-z_]+)/)?.[1] || "";
+  const intent = label || tagLabel;
+  const rawText = String(payload.raw_text ?? "").trim();
+  const event = payload.line_event || {};
+  const isImage = event?.message?.type === "image" || Boolean(payload.image_message_id && !rawText);
+  if (!intent || (!rawText && !isImage)) return null;
+
+  const entry = {
+    id: `inbox_${record.id}`,
+    text: isImage ? "" : anonymiseText(rawText, { names: [fields.member_name, payload.profile?.displayName] }),
+    intent,
+    source: "console_inbox",
+    predicted_at_import: String(payload.parsed_intent || ""),
+  };
+  if (isImage) entry.event = "image";
+  if (hasImageContext(event)) entry.prior_image = true;
+  return entry;
+}
+
+function hasImageContext(event) {
+  const ref = event?.pricing_context || event?.context || event?.source_context || {};
+  return Boolean(ref?.image_message_id || ref?.last_image_message_id || ref?.image_present);
+}
+
+function round(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+function pct(n) {
+  return `${(n * 100).toFixed(1)}%`;
+}
+
+function oneLine(text) {
+  return String(text || "").replace(/\s+/g, " ").slice(0, 80);
+}
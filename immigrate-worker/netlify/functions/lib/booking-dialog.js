@@ -0,0 +1,229 @@
+// Multi-turn LINE booking dialogue (pure state machine; the webhook stores the state in the console inbox).
+//
+// A dialogue starts when a customer asks for a model or a booking. Each turn merges what the message says into
+// the slots, then asks for the first slot still missing — one Thai question at a time. Later answers override
+// earlier ones, so "ขอเปลี่ยนเป็น 3 ทุ่ม" corrects the time. A model name only fills the slot once the webhook
+// has matched it against the models list. When every slot is filled the draft is handed to admin-worker
+// /v1/admin/job/create (mode "approval"); the reply is only written once that result is known
+// (applyHandoffResult), and nothing is confirmed to the customer until an admin approves it.
+//
+// status: collecting -> handing_off -> handed_off | handoff_failed (escalated to the team)
+//                    -> cancelled (ยกเลิก) | escalated (too many turns, a question ignored twice, no model in mind)
+
+import { bookingTimes, parseThaiBooking, thaiDateLabel } from "./thai-booking.js";
+
+export const DIALOG_SLOTS = ["model_name", "job_date", "start_time", "duration", "location_name"];
+export const DIALOG_TTL_MS = 12 * 60 * 60 * 1000;
+
+const MAX_TURNS = 12;
+const MAX_REASKS = 2;
+const MAX_CONVERSATION = 20;
+
+const QUESTIONS = {
+  model_name: "สนใจนายแบบคนไหนครับ พิมพ์ชื่อนายแบบมาได้เลยครับ",
+  job_date: "ต้องการนัดวันไหนครับ เช่น พรุ่งนี้ เสาร์นี้ หรือ 25 ธ.ค.",
+  start_time: "เริ่มประมาณกี่โมงครับ เช่น 20.00 หรือ 2 ทุ่ม",
+  duration: "ต้องการกี่ชั่วโมงครับ หรือค้างคืนครับ",
+  location_name: "สะดวกโซนหรือสถานที่ไหนครับ เช่น สุขุมวิท หรือชื่อโรงแรม",
+};
+
+const CANCEL_RE = /^\s*(ยกเลิก|cancel|ไม่เอาแล้ว|ไม่จองแล้ว)/i;
+// "no model in mind" answers to the model question: the team recommends someone instead
+const UNDECIDED_RE = /ยังไม่แน่ใจ|ไม่แน่ใจ|ยังไม่รู้|ไม่รู้|ยังไม่ได้เลือก|แนะนำ|ใครก็ได้|คนไหนก็ได้|not sure|don'?t know|no idea|anyone|recommend/i;
+const POLITE_RE = /(ครับผม|ครับ|คับ|ค่ะ|คะ|นะคะ|นะ|จ้า|จ้ะ|ฮะ)+$/;
+
+export function newDialogState(lineUserId, now = Date.now()) {
+  const at = new Date(now).toISOString();
+  return {
+    version: 1,
+    dialog_id: `dlg_${String(lineUserId || "anon").slice(-12)}_${now}`,
+    line_user_id: String(lineUserId || ""),
+    status: "collecting",
+    asked: "",
+    reasks: 0,
+    turns: 0,
+    slots: {},
+    conversation: [],
+    started_at: at,
+    updated_at: at,
+  };
+}
+
+export function isDialogActive(state, now = Date.now()) {
+  if (state?.status !== "collecting") return false;
+  const updated = Date.parse(state.updated_at || "");
+  return Number.isFinite(updated) && now - updated < DIALOG_TTL_MS;
+}
+
+export function missingSlots(slots = {}) {
+  return DIALOG_SLOTS.filter((slot) => (slot === "duration" ? !slots.duration_minutes : !slots[slot]));
+}
+
+/**
+ * One customer message => { state, action, reply }
+ *   action: ask | handoff | cancelled | escalated
+ * hints (from the webhook, only when it is reasonably sure):
+ *   modelName  model the message asks for, matched against the models list (opening request or answer)
+ *   modelQuery name the message asks for that matched no model; kept as slots.model_hint, never as model_name
+ *   location   location extracted from a line with a location signal
+ *   clientName LINE display name
+ */
+export function applyDialogTurn(prev, text, { now = Date.now(), modelName = "", modelQuery = "", location = "", clientName = "" } = {}) {
+  const state = {
+    ...prev,
+    slots: { ...(prev?.slots || {}) },
+    conversation: [...(prev?.conversation || []), String(text || "").slice(0, 300)].slice(-MAX_CONVERSATION),
+    turns: Number(prev?.turns || 0) + 1,
+    updated_at: new Date(now).toISOString(),
+  };
+  const slots = state.slots;
+  if (clientName && !slots.client_name) slots.client_name = String(clientName).trim();
+
+  if (CANCEL_RE.test(text)) {
+    state.status = "cancelled";
+    state.asked = "";
+    return { state, action: "cancelled", reply: "ยกเลิกคำขอนี้แล้วครับ ถ้าต้องการจองใหม่พิมพ์มาได้ตลอดเลยครับ" };
+  }
+
+  const parsed = parseThaiBooking(text, { now });
+  const asked = state.asked;
+
+  if (parsed.date) slots.job_date = parsed.date;
+  if (parsed.time) slots.start_time = parsed.time;
+  if (parsed.duration_minutes) {
+    slots.duration_minutes = parsed.duration_minutes;
+    slots.overnight = parsed.overnight;
+  }
+  if (parsed.budget_thb) slots.budget_thb = parsed.budget_thb;
+  if (parsed.head_count) slots.head_count = parsed.head_count;
+
+  // a bare reply to the model / location question is the answer, unless it was really a date or time
+  const answer = parsed.date || parsed.time || parsed.duration_minutes || parsed.budget_thb ? "" : freeAnswer(text);
+
+  if (asked === "model_name" && !modelName && UNDECIDED_RE.test(text)) {
+    slots.model_undecided = true;
+    state.status = "escalated";
+    state.asked = "";
+    return { state, action: "escalated", reply: "ได้ครับ เดี๋ยวให้ทีมงานช่วยแนะนำนายแบบที่เหมาะต่อในแชทนี้นะครับ" };
+  }
+  if (modelName && (asked === "model_name" || !slots.model_name)) {
+    slots.model_name = modelName;
+    delete slots.model_hint;
+  } else if (!slots.model_name && (modelQuery || (asked === "model_name" && answer))) {
+    slots.model_hint = modelQuery || answer;
+  }
+
+  if (asked === "location_name") slots.location_name = location || answer || slots.location_name;
+  else if (location) slots.location_name = location;
+
+  Object.assign(slots, pick(bookingTimes(slots.job_date, slots.start_time, slots.duration_minutes), ["start_at", "end_at", "end_time"]));
+
+  const missing = missingSlots(slots);
+  if (!missing.length) {
+    state.status = "handing_off";
+    state.asked = "";
+    // the reply depends on the handoff result: see applyHandoffResult
+    return { state, action: "handoff", reply: "" };
+  }
+
+  const next = missing[0];
+  state.reasks = next === asked ? Number(state.reasks || 0) + 1 : 0;
+  if (state.turns > MAX_TURNS || state.reasks >= MAX_REASKS) {
+    state.status = "escalated";
+    state.asked = "";
+    return { state, action: "escalated", reply: "รับทราบครับ เดี๋ยวให้ทีมงานช่วยสรุปรายละเอียดต่อในแชทนี้นะครับ" };
+  }
+
+  state.asked = next;
+  const lead = prev?.turns ? "ได้ครับ" : "รับทราบครับ";
+  const question =
+    next === "model_name" && slots.model_hint
+      ? `ยังไม่พบชื่อ "${slots.model_hint}" ในรายชื่อนายแบบครับ ${QUESTIONS.model_name}`
+      : QUESTIONS[next];
+  return { state, action: "ask", reply: `${lead} ${question}` };
+}
+
+/**
+ * Result of admin-worker job/create (approval) for a "handoff" turn => { state, action, reply }
+ *   ok      handed_off: the draft waits for Per; the customer is told it was sent for checking
+ *   failed  handoff_failed, action "escalated": the completed slots stay on the dialogue record for the
+ *           team, and the customer is not told anything was sent
+ */
+export function applyHandoffResult(prev, draft, { now = Date.now() } = {}) {
+  const at = new Date(now).toISOString();
+  const ok = Boolean(draft?.ok);
+  const state = {
+    ...prev,
+    status: ok ? "handed_off" : "handoff_failed",
+    updated_at: at,
+    handoff: {
+      at,
+      ok,
+      job_draft_id: String(draft?.job_draft_id || ""),
+      record_id: String(draft?.record_id || ""),
+      error: ok ? "" : String(draft?.error || `http_${draft?.status || 0}`),
+    },
+  };
+  const summary = `ขอบคุณครับ สรุปคำขอ: ${dialogSummary(state.slots)}`;
+  if (ok) {
+    return {
+      state,
+      action: "handed_off",
+      reply: `${summary}\n\nผมส่งให้ Per ตรวจสอบคิวและยืนยันเรทก่อนนะครับ ได้ผลแล้วจะแจ้งกลับในแชทนี้ครับ`,
+    };
+  }
+  return { state, action: "escalated", reply: `${summary}\n\nเดี๋ยวทีมงานตรวจสอบคิวและเรทให้ แล้วติดต่อกลับในแชทนี้นะครับ` };
+}
+
+/**
+ * Completed dialogue => POST body for admin-worker /v1/admin/job/create (approval mode).
+ */
+export function dialogHandoffBody(state) {
+  const s = state.slots || {};
+  return {
+    mode: "approval",
+    source: "line_dialog",
+    job_draft_id: state.dialog_id,
+    line_user_id: state.line_user_id,
+    client_name: s.client_name || "",
+    model_name: s.model_name,
+    job_date: s.job_date,
+    start_time: s.start_time,
+    end_time: s.end_time || "",
+    start_at: s.start_at || "",
+    end_at: s.end_at || "",
+    duration_minutes: s.duration_minutes || 0,
+    overnight: Boolean(s.overnight),
+    location_name: s.location_name,
+    budget_thb: s.budget_thb || 0,
+    head_count: s.head_count || 0,
+    note: `LINE booking dialogue ${state.dialog_id}`,
+    conversation: state.conversation || [],
+  };
+}
+
+export function dialogSummary(slots = {}) {
+  const time = slots.overnight
+    ? `${slots.start_time || "-"} (ค้างคืน)`
+    : [slots.start_time, slots.end_time].filter(Boolean).join("-");
+  return [
+    slots.model_name,
+    [thaiDateLabel(slots.job_date), time].filter(Boolean).join(" "),
+    slots.location_name,
+    slots.budget_thb ? `งบ ${Number(slots.budget_thb).toLocaleString("en-US")} บาท` : "",
+  ]
+    .filter(Boolean)
+    .join(" · ");
+}
+
+// "สุขุมวิท 24 ครับ" => "สุขุมวิท 24"
+function freeAnswer(text) {
+  const line = String(text || "").split(/\r?\n/).map((l) => l.trim()).find(Boolean) || "";
+  return line.replace(POLITE_RE, "").replace(/[!?.。]+$/, "").trim().slice(0, 80);
+}
+
+function pick(obj, keys) {
+  const out = {};
+  for (const key of keys) out[key] = obj[key];
+  return out;
+}
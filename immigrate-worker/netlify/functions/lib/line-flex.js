@@ -0,0 +1,160 @@
+// LINE rich replies for the webhook: Flex cards + quick-reply buttons, with the plain text kept as altText
+// and as the fallback message. Layout follows himai-chat-worker's buildPartnerReportFlex (header / body with
+// key-value rows / footer), in the same palette.
+//
+// Buttons are postbacks "mmd_action=<action>[&model=<name>]" with a displayText, so the chat shows what the
+// customer picked and the webhook reads the postback back as that text (postbackText) and intent
+// (postbackIntent) — a tapped button goes down the same path as a typed message.
+
+export const REPLY_ACTIONS = {
+  book_model: { label: "จองนายแบบ", text: "อยากจองครับ", intent: "create_session" },
+  ask_price: { label: "สอบถามเรท", text: "สอบถามเรทครับ", intent: "pricing_review" },
+  talk_admin: { label: "คุยกับแอดมิน", text: "ขอคุยกับแอดมินครับ", intent: "contact_admin" },
+  become_member: { label: "สมัครสมาชิก", text: "สมัครสมาชิกครับ", intent: "membership" },
+};
+
+const COLORS = { ink: "#181614", muted: "#8A8178", line: "#EEE7DE", soft: "#FAF8F5", white: "#FFFFFF" };
+const ALT_TEXT_MAX = 400;
+const TEXT_MAX = 5000;
+const LABEL_MAX = 20;
+
+/**
+ * { action, model } from a postback event created by one of our buttons, else null.
+ */
+export function parseReplyPostback(event) {
+  if (event?.type !== "postback") return null;
+  const params = new URLSearchParams(String(event?.postback?.data || ""));
+  const action = params.get("mmd_action") || "";
+  if (!REPLY_ACTIONS[action]) return null;
+  return { action, model: String(params.get("model") || "").trim().slice(0, 60) };
+}
+
+// what the customer "said" by tapping the button ("จอง Kenji ครับ"), so text-based parsing still works
+export function postbackText(event) {
+  const postback = parseReplyPostback(event);
+  if (!postback) return "";
+  if (postback.model && postback.action === "book_model") return `จอง ${postback.model} ครับ`;
+  if (postback.model && postback.action === "ask_price") return `สอบถามเรท ${postback.model} ครับ`;
+  return REPLY_ACTIONS[postback.action].text;
+}
+
+export function postbackIntent(event) {
+  const postback = parseReplyPostback(event);
+  if (!postback) return "";
+  return postback.action === "book_model" && postback.model ? "model_availability" : REPLY_ACTIONS[postback.action].intent;
+}
+
+export function replyAction(action, { model = "", label = "" } = {}) {
+  const base = REPLY_ACTIONS[action];
+  const params = new URLSearchParams({ mmd_action: action });
+  if (model) params.set("model", model);
+  const postback = { type: "postback", data: params.toString() };
+  return {
+    type: "postback",
+    label: truncate(label || base.label, LABEL_MAX),
+    data: postback.data,
+    displayText: postbackText({ type: "postback", postback }),
+  };
+}
+
+export function quickReply(actions = [], options = {}) {
+  const items = actions.filter((action) => REPLY_ACTIONS[action]).map((action) => ({ type: "action", action: replyAction(action, options) }));
+  return items.length ? { items } : undefined;
+}
+
+/**
+ * Card spec => Flex message. altText is the plain reply, so notifications and old clients read the same words.
+ *   { text, title, subtitle, facts: [[label, value]], buttons: [action | { action, label }], model }
+ */
+export function buildReplyFlex({ text, title, subtitle = "", facts = [], buttons = [], model = "" }) {
+  const rows = facts.filter(([, value]) => String(value ?? "").trim());
+  const footerButtons = buttons
+    .map((button) => (typeof button === "string" ? { action: button } : button))
+    .filter((button) => REPLY_ACTIONS[button.action])
+    .map((button, index) => ({
+      type: "button",
+      style: index === 0 ? "primary" : "secondary",
+      color: index === 0 ? COLORS.ink : undefined,
+      height: "sm",
+      action: replyAction(button.action, { model, label: button.label }),
+    }));
+
+  return {
+    type: "flex",
+    altText: truncate(text, ALT_TEXT_MAX),
+    contents: {
+      type: "bubble",
+      styles: {
+        header: { backgroundColor: COLORS.soft },
+        body: { backgroundColor: COLORS.white },
+        footer: { backgroundColor: COLORS.soft },
+      },
+      header: {
+        type: "box",
+        layout: "vertical",
+        paddingAll: "18px",
+        contents: [
+          { type: "text", text: "MMD Privé", size: "xs", color: COLORS.muted },
+          { type: "text", text: truncate(title, 60), size: "lg", weight: "bold", color: COLORS.ink, wrap: true, margin: "sm" },
+          ...(subtitle ? [{ type: "text", text: truncate(subtitle, 80), size: "xs", color: COLORS.muted, wrap: true, margin: "sm" }] : []),
+        ],
+      },
+      body: {
+        type: "box",
+        layout: "vertical",
+        paddingAll: "18px",
+        contents: [
+          ...(rows.length
+            ? [
+                { type: "box", layout: "vertical", spacing: "sm", contents: rows.map(([label, value]) => kvRow(label, value)) },
+                { type: "separator", margin: "lg", color: COLORS.line },
+              ]
+            : []),
+          { type: "text", text: truncate(text, 1500), size: "sm", color: COLORS.ink, wrap: true, margin: rows.length ? "lg" : "none" },
+        ],
+      },
+      ...(footerButtons.length
+        ? { footer: { type: "box", layout: "vertical", spacing: "sm", paddingAll: "14px", contents: footerButtons.map(compact) } }
+        : {}),
+    },
+  };
+}
+
+/**
+ * Reply (plain string, or { text, card?, quickReplies?, model? }) => LINE reply messages.
+ *   flex false => the plain-text fallback (still with quick replies)
+ */
+export function toLineMessages(reply, { flex = true } = {}) {
+  const spec = typeof reply === "string" ? { text: reply } : reply || {};
+  const text = truncate(spec.text, TEXT_MAX);
+  if (!text) return [];
+
+  const quick = quickReply(spec.quickReplies || [], { model: spec.model || "" });
+  const message = flex && spec.card ? buildReplyFlex({ ...spec.card, text, model: spec.model || "" }) : { type: "text", text };
+  return [quick ? { ...message, quickReply: quick } : message];
+}
+
+export function replyText(reply) {
+  return typeof reply === "string" ? reply : String(reply?.text || "");
+}
+
+function kvRow(label, value) {
+  return {
+    type: "box",
+    layout: "baseline",
+    spacing: "md",
+    contents: [
+      { type: "text", text: String(label), size: "xs", color: COLORS.muted, flex: 3 },
+      { type: "text", text: String(value), size: "sm", color: COLORS.ink, weight: "bold", align: "end", wrap: true, flex: 7 },
+    ],
+  };
+}
+
+function compact(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined));
+}
+
+function truncate(value, max) {
+  const text = String(value ?? "").trim();
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
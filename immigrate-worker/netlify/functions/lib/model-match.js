@@ -0,0 +1,310 @@
+// src/routes/model-match.js
+// Model name matching shared by /v1/admin/models/resolve-source and the immigrate LINE webhook.
+// immigrate-worker/netlify/functions/lib/model-match.js is a verbatim copy (its tests check the two
+// stay identical) — edit this file, then copy it over.
+//
+// A query is compared against every name a model is known by: working/display/model name, nickname,
+// unique_key, the `aliases`/`alias` fields (array, or comma / pipe / newline separated) and
+// `alias:<name>` entries in legacy_tags. Each pair is scored, best pair per model wins:
+//
+//   exact            1.00  same text after normalising case, accents and punctuation
+//   phonetic         0.90  same sound key, same script ("Jimmy" / "Jimmie")
+//   transliteration  0.90  same sound key across Thai/Latin ("เคนจิ" / "Kenji"); 0.65 on consonants only, a
+//                          candidate to show but never a match on its own ("ต้น" / "Tony", "เจมส์" / "James")
+//   prefix           0.60–0.90  query is the start of the name ("Ken" / "Kenji")
+//   contained        0.79–0.88  a Thai name inside unspaced Thai text (longer names score higher)
+//   fuzzy            0.51–0.90  edit distance (with transpositions) on the text or, across scripts, the key
+//
+// Alias hits score 0.02 below the same hit on a primary name. Thai honorifics (น้อง, พี่, คุณ) are ignored.
+
+export const MATCH_THRESHOLD = 0.7;
+const MIN_CONFIDENCE = 0.5;
+const AMBIGUOUS_GAP = 0.05;
+// Thai leaves vowels implicit, so equal consonants alone cannot tell "ต้น" (Ton) from "Tony"
+const CONSONANT_ONLY_CONFIDENCE = 0.65;
+
+const NAME_FIELDS = [
+  ["working_name", "Working Name"],
+  ["display_name", "Display Name"],
+  ["model_name", "Model Name"],
+  ["name", "Name"],
+  ["nickname", "Nickname"],
+  ["unique_key", "Unique Key"],
+];
+const ALIAS_FIELDS = ["aliases", "Aliases", "alias", "Alias"];
+const HONORIFIC_RE = /^(?:น้อง|พี่|คุณ|nong|khun)\s*/i;
+
+const THAI_CONSONANTS = {
+  ก: "k", ข: "kh", ฃ: "kh", ค: "kh", ฅ: "kh", ฆ: "kh", ง: "ng", จ: "j", ฉ: "ch", ช: "ch", ซ: "s", ฌ: "ch",
+  ญ: "y", ฎ: "d", ฏ: "t", ฐ: "th", ฑ: "th", ฒ: "th", ณ: "n", ด: "d", ต: "t", ถ: "th", ท: "th", ธ: "th",
+  น: "n", บ: "b", ป: "p", ผ: "ph", ฝ: "f", พ: "ph", ฟ: "f", ภ: "ph", ม: "m", ย: "y", ร: "r", ล: "l",
+  ว: "w", ศ: "s", ษ: "s", ส: "s", ห: "h", ฬ: "l", อ: "o", ฮ: "h",
+};
+const THAI_VOWELS = { "ะ": "a", "ั": "a", "า": "a", "ำ": "am", "ิ": "i", "ี": "i", "ึ": "ue", "ื": "ue", "ุ": "u", "ู": "u", ฤ: "rue", ฦ: "lue" };
+const THAI_LEADING_VOWELS = { เ: "e", แ: "ae", โ: "o", ใ: "ai", ไ: "ai" };
+const THAI_MARKS_RE = /[\u0E47-\u0E4E]/; // maitaikhu, tone marks, thanthakhat, nikhahit, yamakkan
+const CLUSTER_SECOND = new Set(["ร", "ล", "ว"]);
+const SONORANTS = new Set(["ง", "น", "ม", "ย", "ร", "ล", "ว"]);
+
+/**
+ * Thai script => rough Latin spelling, the way names are usually romanised ("เคนจิ" => "khenji").
+ * Latin and digits pass through. Good enough to compare sounds, not a dictionary transliteration.
+ */
+export function romanizeThai(text) {
+  const chars = [...String(text || "")];
+  let out = "";
+
+  const consonant = (i) => {
+    const c = chars[i];
+    if (c === "อ") return i === 0 || THAI_VOWELS[chars[i + 1]] || isMark(chars[i + 1]) ? "" : "o";
+    if (c === "ห" && SONORANTS.has(chars[i + 1])) return "";
+    return THAI_CONSONANTS[c];
+  };
+
+  for (let i = 0; i < chars.length; i++) {
+    const c = chars[i];
+    if (THAI_LEADING_VOWELS[c] && THAI_CONSONANTS[chars[i + 1]]) {
+      // written before the consonant (cluster), pronounced after it; ห/อ before a sonorant is silent
+      let j = i + 1;
+      if ((chars[j] === "ห" || chars[j] === "อ") && SONORANTS.has(chars[j + 1])) j += 1;
+      let onset = chars[j] === "อ" ? "" : THAI_CONSONANTS[chars[j]];
+      if (CLUSTER_SECOND.has(chars[j + 1]) && !THAI_VOWELS[chars[j + 2]] && THAI_CONSONANTS[chars[j + 2]] !== undefined) {
+        onset += THAI_CONSONANTS[chars[j + 1]];
+        j += 1;
+      }
+      out += onset + THAI_LEADING_VOWELS[c];
+      i = j;
+    } else if (THAI_LEADING_VOWELS[c]) {
+      out += THAI_LEADING_VOWELS[c];
+    } else if (THAI_CONSONANTS[c] !== undefined) {
+      out += consonant(i);
+    } else if (THAI_VOWELS[c] !== undefined) {
+      out += THAI_VOWELS[c];
+    } else if (c >= "๐" && c <= "๙") {
+      out += String(c.charCodeAt(0) - 0x0e50);
+    } else if (!isMark(c)) {
+      out += c;
+    }
+  }
+  return out;
+}
+
+/**
+ * "Kenji" / "เคนจิ" => "kanja": Latin spelling folded to how it sounds. Thai spelling leaves most vowels
+ * implicit, so across scripts every vowel run becomes "a"; keepVowels keeps them (i/u folded) for comparing
+ * two Latin or two Thai spellings, so "Tom" and "Tim" stay apart while "Jimmy" / "Jimmie" => "jimi".
+ */
+export function phoneticKey(value, { keepVowels = false } = {}) {
+  let s = romanizeThai(normalizeName(value)).toLowerCase().replace(/[^a-z0-9]/g, "");
+  if (s.length > 3) s = s.replace(/ce$/, "s").replace(/([^aeiouy])e$/, "$1");
+  s = s
+    .replace(/tch|ch|sh/g, "j")
+    .replace(/ph/g, "p")
+    .replace(/th/g, "t")
+    .replace(/kh|ck/g, "k")
+    .replace(/qu/g, "kw")
+    .replace(/ng/g, "n")
+    .replace(/c(?=[eiy])/g, "s")
+    .replace(/[cgq]/g, "k")
+    .replace(/x/g, "ks")
+    .replace(/z/g, "s")
+    .replace(/v/g, "w")
+    .replace(/f/g, "p")
+    .replace(/r/g, "l")
+    .replace(/d/g, "t")
+    .replace(/h/g, "")
+    .replace(/([a-z])\1+/g, "$1");
+  if (!keepVowels) return s.replace(/[aeiouy]+/g, "a");
+  return s
+    .replace(/ie|ee|ea|ey|y/g, "i")
+    .replace(/oo|ou/g, "u")
+    .replace(/([aeiou])[aeiou]+/g, "$1");
+}
+
+export function normalizeName(value) {
+  return String(value || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .normalize("NFC")
+    .toLowerCase()
+    .replace(/[._\-'’]+/g, " ")
+    .replace(/[^a-z0-9ก-๙\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein + adjacent transpositions).
+ */
+export function editDistance(a, b) {
+  const s = [...String(a || "")];
+  const t = [...String(b || "")];
+  if (!s.length) return t.length;
+  if (!t.length) return s.length;
+
+  const d = Array.from({ length: s.length + 1 }, (_, i) => [i, ...Array(t.length).fill(0)]);
+  for (let j = 1; j <= t.length; j++) d[0][j] = j;
+  for (let i = 1; i <= s.length; i++) {
+    for (let j = 1; j <= t.length; j++) {
+      const cost = s[i - 1] === t[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && s[i - 1] === t[j - 2] && s[i - 2] === t[j - 1]) d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+    }
+  }
+  return d[s.length][t.length];
+}
+
+// every name a model answers to => [{ value, kind: "name" | "alias" }]
+export function modelNameVariants(model) {
+  const fields = model?.fields && typeof model.fields === "object" ? model.fields : model || {};
+  const out = [];
+  const seen = new Set();
+  const add = (value, kind) => {
+    const text = String(value ?? "").trim();
+    const key = normalizeName(text);
+    if (!key || seen.has(key)) return;
+    seen.add(key);
+    out.push({ value: text, kind });
+  };
+
+  for (const keys of NAME_FIELDS) add(keys.map((k) => fields[k]).find((v) => v !== undefined && v !== null && String(v).trim()), "name");
+  for (const key of ALIAS_FIELDS) splitList(fields[key]).forEach((alias) => add(alias, "alias"));
+  splitList(fields.legacy_tags)
+    .map((tag) => tag.match(/^(?:alias|aka)\s*:\s*(.+)$/i)?.[1])
+    .filter(Boolean)
+    .forEach((alias) => add(alias, "alias"));
+  return out;
+}
+
+/**
+ * Scores one query form against one name => { confidence, match_type } (confidence 0 when unrelated).
+ */
+export function scoreName(query, name) {
+  const q = normalizeName(query).replace(HONORIFIC_RE, "");
+  const n = normalizeName(name).replace(HONORIFIC_RE, "");
+  if (!q || !n) return { confidence: 0, match_type: "none" };
+  if (q === n) return { confidence: 1, match_type: "exact" };
+
+  const crossScript = hasThai(q) !== hasThai(n);
+  const kq = phoneticKey(q);
+  const kn = phoneticKey(n);
+  if (crossScript ? kq.length >= 2 && kq === kn : phoneticKey(q, { keepVowels: true }) === phoneticKey(n, { keepVowels: true })) {
+    return { confidence: 0.9, match_type: crossScript ? "transliteration" : "phonetic" };
+  }
+  if (crossScript && consonants(kq).length >= 2 && consonants(kq) === consonants(kn)) {
+    return { confidence: CONSONANT_ONLY_CONFIDENCE, match_type: "transliteration" };
+  }
+
+  const bare = (v) => v.replace(/\s+/g, "");
+  const bq = crossScript ? kq : bare(q);
+  const bn = crossScript ? kn : bare(n);
+  let best = { confidence: 0, match_type: "none" };
+  if (bq.length >= 3 && bn.length > bq.length && bn.startsWith(bq)) {
+    best = { confidence: round(0.6 + 0.3 * (bq.length / bn.length)), match_type: "prefix" };
+  }
+  if (Math.min(bq.length, bn.length) >= 4) {
+    const similarity = 1 - editDistance(bq, bn) / Math.max(bq.length, bn.length);
+    const confidence = round(similarity * (crossScript ? 0.85 : 0.9));
+    if (similarity >= 0.6 && confidence > best.confidence) best = { confidence, match_type: "fuzzy" };
+  }
+  return best;
+}
+
+/**
+ * query (a name, or a whole message) + models => ranked candidates, best first:
+ *   [{ model, record_id, name, matched, match_type, confidence }]
+ * name = the model's primary name; matched = the name/alias that matched.
+ */
+export function rankModelCandidates(query, models, { limit = 5, minConfidence = MIN_CONFIDENCE } = {}) {
+  const forms = queryForms(query);
+  if (!forms.length || !Array.isArray(models)) return [];
+
+  const ranked = [];
+  for (const model of models) {
+    const variants = modelNameVariants(model);
+    if (!variants.length) continue;
+
+    let best = null;
+    for (const variant of variants) {
+      const scores = forms.map((form) => scoreName(form, variant.value));
+      // Thai is written without spaces: "ขอดูน้องเคนจิหน่อย" contains the name without a word boundary
+      const thaiName = normalizeName(variant.value);
+      if (hasThai(thaiName) && [...thaiName].length >= 3 && forms[0].includes(thaiName)) {
+        scores.push({ confidence: Math.min(0.88, 0.7 + 0.03 * [...thaiName].length), match_type: "contained" });
+      }
+      for (const score of scores) {
+        const confidence = round(variant.kind === "alias" ? score.confidence - 0.02 : score.confidence);
+        if (!best || confidence > best.confidence) {
+          best = {
+            confidence,
+            match_type: variant.kind === "alias" && score.match_type === "exact" ? "alias" : score.match_type,
+            matched: variant.value,
+          };
+        }
+      }
+    }
+
+    if (best && best.confidence >= minConfidence) {
+      ranked.push({
+        model,
+        record_id: String(model?.id || ""),
+        name: (variants.find((v) => v.kind === "name") || variants[0]).value,
+        matched: best.matched,
+        match_type: best.match_type,
+        confidence: best.confidence,
+      });
+    }
+  }
+
+  return ranked.sort((a, b) => b.confidence - a.confidence || a.name.localeCompare(b.name)).slice(0, limit);
+}
+
+/**
+ * Top candidate when it is confident and clearly ahead of the next model, else null.
+ */
+export function confidentCandidate(candidates, { threshold = MATCH_THRESHOLD } = {}) {
+  const [top, second] = Array.isArray(candidates) ? candidates : [];
+  if (!top || top.confidence < threshold) return null;
+  if (second && top.confidence < 1 && top.confidence - second.confidence < AMBIGUOUS_GAP) return null;
+  return top;
+}
+
+export function bestModelMatch(query, models, options = {}) {
+  return confidentCandidate(rankModelCandidates(query, models, { limit: 2 }), options);
+}
+
+// whole query, its words and 2–3 word runs ("Kim พรุ่งนี้ 20.00" => "kim", …)
+function queryForms(query) {
+  const text = normalizeName(query);
+  if (!text) return [];
+  const words = text.split(" ").map((w) => w.replace(HONORIFIC_RE, "")).filter(Boolean);
+  const forms = new Set([text]);
+  for (let size = 1; size <= 3; size++) {
+    for (let i = 0; i + size <= words.length; i++) forms.add(words.slice(i, i + size).join(" "));
+  }
+  return [...forms].filter((f) => [...f].length >= 2 && !/^\d+$/.test(f));
+}
+
+function splitList(value) {
+  if (Array.isArray(value)) return value.map((v) => String(v ?? "").trim()).filter(Boolean);
+  return String(value ?? "")
+    .split(/[,|\n]/)
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+function consonants(key) {
+  return key.replace(/a/g, "");
+}
+
+function hasThai(value) {
+  return /[ก-๙]/.test(value);
+}
+
+function isMark(c) {
+  return Boolean(c) && THAI_MARKS_RE.test(c);
+}
+
+function round(n) {
+  return Math.round(n * 1000) / 1000;
+}
@@ -0,0 +1,440 @@
+// Structured booking extraction for Thai LINE messages.
+//
+// parseThaiBooking() resolves what customers actually type into values a session can be created from:
+//   dates     วันนี้ / คืนนี้ / พรุ่งนี้ / มะรืน, วันเสาร์นี้ / เสาร์หน้า, 25 ธ.ค. 69, 25 ธันวาคม 2569, 25/12, วันที่ 25
+//   times     20.00, 20:00-23:00, 2 ทุ่ม, ทุ่มครึ่ง, บ่าย 3, 5 โมงเย็น, ตี 2, เที่ยงคืน, 8pm
+//   duration  3 ชม., 2 ชั่วโมงครึ่ง, ค้างคืน, ค้าง 2 คืน
+//   budget    งบ 8,000, 8k, 8 พัน, 1.5 หมื่น, 8000 บาท
+//   people    2 คน, คนเดียว (นายแบบ 2 คน counts models, not guests)
+//
+// Everything is Asia/Bangkok (fixed +07:00, no DST). Years may be Buddhist era (2569, 69) or AD (2026, 26);
+// a date without a year that has already passed rolls over to next year.
+//
+// buildSessionDraft() maps the parse onto the simplified create-links payload (see README), so an admin can
+// add the price and create the session from the inbox record in one step.
+
+export const BOOKING_TIMEZONE = "Asia/Bangkok";
+
+const BANGKOK_OFFSET_MS = 7 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OVERNIGHT_MINUTES = 12 * 60;
+const BUDGET_MIN_THB = 100;
+const BUDGET_MAX_THB = 1_000_000;
+
+// [full, abbreviation, english]
+const MONTHS = [
+  ["มกราคม", "ม.ค.", "jan"],
+  ["กุมภาพันธ์", "ก.พ.", "feb"],
+  ["มีนาคม", "มี.ค.", "mar"],
+  ["เมษายน", "เม.ย.", "apr"],
+  ["พฤษภาคม", "พ.ค.", "may"],
+  ["มิถุนายน", "มิ.ย.", "jun"],
+  ["กรกฎาคม", "ก.ค.", "jul"],
+  ["สิงหาคม", "ส.ค.", "aug"],
+  ["กันยายน", "ก.ย.", "sep"],
+  ["ตุลาคม", "ต.ค.", "oct"],
+  ["พฤศจิกายน", "พ.ย.", "nov"],
+  ["ธันวาคม", "ธ.ค.", "dec"],
+];
+
+// JS getDay() order
+const WEEKDAYS = ["อาทิตย์", "จันทร์", "อังคาร", "พุธ", "พฤหัส", "ศุกร์", "เสาร์"];
+
+const NUMBER_WORDS = {
+  หนึ่ง: 1,
+  นึง: 1,
+  สอง: 2,
+  สาม: 3,
+  สี่: 4,
+  ห้า: 5,
+  หก: 6,
+  เจ็ด: 7,
+  แปด: 8,
+  เก้า: 9,
+  สิบ: 10,
+  สิบเอ็ด: 11,
+  สิบสอง: 12,
+};
+
+const NUM = `(\\d{1,2}|${Object.keys(NUMBER_WORDS)
+  .sort((a, b) => b.length - a.length)
+  .join("|")})`;
+
+// "ธ.ค." / "ธค" / "ธันวาคม" / "dec" / "december"
+const MONTH_PATTERN = MONTHS.flatMap(([full, abbr, en]) => [
+  full,
+  abbr.replace(/\./g, "").split("").join("\\.?") + "\\.?",
+  `${en}[a-z]*\\.?`,
+])
+  .sort((a, b) => b.length - a.length)
+  .join("|");
+
+const EXPLICIT_DATE_RE = new RegExp(`(\\d{1,2})\\s*(${MONTH_PATTERN})(?:\\s*(\\d{4}|\\d{2})(?!\\s*[:.]\\d|\\d|\\s*(?:น\\.|คน|ชม|ชั่วโมง|โมง|ทุ่ม)))?`, "i");
+const NUMERIC_DATE_RE = /(?<![\d/])(\d{1,2})\/(\d{1,2})(?:\/(\d{4}|\d{2}))?(?![\d/])/;
+const DAY_OF_MONTH_RE = /วันที่\s*(\d{1,2})(?![\d/]|\s*(?:[:.]\d))/;
+const WEEKDAY_RE = new RegExp(`(วัน\\s*)?(${WEEKDAYS.join("|")})(?:บดี)?\\s*(นี้|หน้า)?`);
+
+/**
+ * text => {
+ *   date, start_at, end_at,                      // "YYYY-MM-DD", ISO with +07:00 ("" when unknown)
+ *   time, end_time,                              // "HH:MM"
+ *   duration_minutes, overnight, nights,
+ *   budget_thb, budget_min_thb, head_count, model_count,
+ *   date_source,                                 // explicit | numeric | day_of_month | weekday | relative | ""
+ *   timezone,
+ * }
+ */
+export function parseThaiBooking(text, { now = Date.now() } = {}) {
+  const raw = normalizeText(text);
+  const today = bangkokToday(now);
+
+  const day = parseDate(raw, today);
+  const time = parseTime(raw);
+  const duration = parseDuration(raw);
+
+  let date = day.date;
+  let start = time.start;
+
+  // "คืนนี้ ตี 2" is early tomorrow; "คืนนี้ 9.00" means 21:00
+  if (date && day.night && start !== null) {
+    if (start < 6 * 60) date = addDays(date, 1);
+    else if (start < 12 * 60 && time.kind === "clock") start += 12 * 60;
+  }
+  // เที่ยงคืน = 24:00 of that day
+  if (date && start !== null && start >= 24 * 60) {
+    date = addDays(date, 1);
+    start -= 24 * 60;
+  }
+
+  let minutes = duration.minutes;
+  if (!minutes && time.end !== null && start !== null) {
+    minutes = (((time.end - start) % (24 * 60)) + 24 * 60) % (24 * 60) || 24 * 60;
+  }
+
+  const budget = parseBudget(raw);
+  const people = parseHeadCount(raw);
+  const time24 = start !== null ? hhmm(start) : "";
+  const times = bookingTimes(date, time24, minutes);
+
+  return {
+    date,
+    date_source: day.source,
+    time: time24,
+    end_time: start !== null && minutes ? hhmm((start + minutes) % (24 * 60)) : "",
+    start_at: times.start_at,
+    end_at: times.end_at,
+    duration_minutes: minutes,
+    overnight: duration.overnight,
+    nights: duration.nights,
+    budget_thb: budget.max,
+    budget_min_thb: budget.min,
+    head_count: people.guests,
+    model_count: people.models,
+    timezone: BOOKING_TIMEZONE,
+  };
+}
+
+/**
+ * "YYYY-MM-DD" + "HH:MM" + minutes => { start_at, end_at, end_time }, for answers that arrive in separate messages.
+ */
+export function bookingTimes(date, time, durationMinutes = 0) {
+  const m = String(time || "").match(/^(\d{2}):(\d{2})$/);
+  if (!date || !m) return { start_at: "", end_at: "", end_time: "" };
+
+  const start = clock(m[1], m[2]);
+  const minutes = Number(durationMinutes) || 0;
+  return {
+    start_at: bangkokIso(date, start),
+    end_at: minutes ? bangkokIso(date, start + minutes) : "",
+    end_time: minutes ? hhmm((start + minutes) % (24 * 60)) : "",
+  };
+}
+
+// "2026-12-25" => "25 ธ.ค. 2569"
+export function thaiDateLabel(date) {
+  const m = String(date || "").match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!m) return "";
+  return `${Number(m[3])} ${MONTHS[Number(m[2]) - 1][1]} ${Number(m[1]) + 543}`;
+}
+
+/**
+ * parse + what the webhook already knows => create-links shaped draft plus what is still missing.
+ * amount_thb is left for the admin: a customer budget is not a quoted price.
+ */
+export function buildSessionDraft(parsed, { clientName = "", modelName = "", location = "", lineUserId = "", sourceMessageId = "" } = {}) {
+  const draft = {
+    client_name: String(clientName || "").trim(),
+    model_name: String(modelName || "").trim(),
+    job_type: "",
+    job_date: parsed.date,
+    start_time: parsed.time,
+    end_time: parsed.end_time,
+    start_at: parsed.start_at,
+    end_at: parsed.end_at,
+    duration_minutes: parsed.duration_minutes,
+    overnight: parsed.overnight,
+    location_name: String(location || "").trim(),
+    budget_thb: parsed.budget_thb,
+    head_count: parsed.head_count,
+    model_count: parsed.model_count,
+    timezone: parsed.timezone,
+    line_user_id: String(lineUserId || "").trim(),
+    source_message_id: String(sourceMessageId || "").trim(),
+  };
+
+  const missing = [
+    !draft.model_name && "model_name",
+    !draft.job_date && "job_date",
+    !draft.start_time && "start_time",
+    !draft.duration_minutes && "duration",
+    !draft.location_name && "location_name",
+  ].filter(Boolean);
+
+  return { ...draft, missing, ready: missing.length === 0 };
+}
+
+function parseDate(raw, today) {
+  const night = /(คืนนี้|เย็นนี้|ค่ำนี้|tonight)/i.test(raw);
+
+  let m = raw.match(EXPLICIT_DATE_RE);
+  if (m) {
+    const month = monthIndex(m[2]);
+    const date = month ? resolveDayMonth(today, Number(m[1]), month, m[3]) : "";
+    if (date) return { date, source: "explicit", night };
+  }
+
+  m = raw.match(NUMERIC_DATE_RE);
+  if (m) {
+    const date = resolveDayMonth(today, Number(m[1]), Number(m[2]), m[3]);
+    if (date) return { date, source: "numeric", night };
+  }
+
+  m = raw.match(DAY_OF_MONTH_RE);
+  if (m) {
+    const date = resolveDayOfMonth(today, Number(m[1]));
+    if (date) return { date, source: "day_of_month", night };
+  }
+
+  m = raw.match(WEEKDAY_RE);
+  // bare "อาทิตย์หน้า" means "next week", not Sunday
+  if (m && !(m[2] === "อาทิตย์" && !m[1] && m[3] === "หน้า")) {
+    return { date: resolveWeekday(today, WEEKDAYS.indexOf(m[2]), m[3] === "หน้า"), source: "weekday", night };
+  }
+
+  if (/มะรืน/.test(raw)) return { date: addDays(today.date, 2), source: "relative", night };
+  if (/(พรุ่งนี้|tomorrow)/i.test(raw)) return { date: addDays(today.date, 1), source: "relative", night };
+  if (night || /(วันนี้|today)/i.test(raw)) return { date: today.date, source: "relative", night };
+
+  return { date: "", source: "", night };
+}
+
+// => { start, end, kind } in minutes after midnight (start may be 1440 for เที่ยงคืน); null when not found
+function parseTime(raw) {
+  let m = raw.match(/(?<![\d/])(\d{1,2})[:.](\d{2})\s*(?:น\.?)?\s*(?:-|–|ถึง|to)\s*(\d{1,2})[:.](\d{2})/i);
+  if (m && validClock(m[1], m[2]) && validClock(m[3], m[4])) {
+    return { start: clock(m[1], m[2]), end: clock(m[3], m[4]), kind: "clock" };
+  }
+
+  m = raw.match(/(?<![\d/.])(\d{1,2})[:.](\d{2})(?!\d|\s*(?:ชม|ชั่วโมง|หมื่น|พัน|k\b))/i);
+  if (m && validClock(m[1], m[2])) return { start: clock(m[1], m[2]), end: null, kind: "clock" };
+
+  m = raw.match(/(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b/i);
+  if (m && Number(m[1]) >= 1 && Number(m[1]) <= 12) {
+    const h = (Number(m[1]) % 12) + (m[3].toLowerCase() === "pm" ? 12 : 0);
+    return { start: h * 60 + Number(m[2] || 0), end: null, kind: "spoken" };
+  }
+
+  if (/เที่ยงคืน/.test(raw)) return { start: 24 * 60, end: null, kind: "spoken" };
+
+  m = raw.match(new RegExp(`${NUM}?\\s*ทุ่ม(\\s*ครึ่ง)?`));
+  if (m) {
+    const n = m[1] ? toNumber(m[1]) : 1;
+    if (n >= 1 && n <= 6) return { start: (18 + n) * 60 + (m[2] ? 30 : 0), end: null, kind: "spoken" };
+  }
+
+  m = raw.match(new RegExp(`ตี\\s*${NUM}(\\s*ครึ่ง)?`));
+  if (m) {
+    const n = toNumber(m[1]);
+    if (n >= 1 && n <= 5) return { start: n * 60 + (m[2] ? 30 : 0), end: null, kind: "spoken" };
+  }
+
+  m = raw.match(new RegExp(`บ่าย\\s*(?:${NUM}\\s*)?(?:โมง)?(\\s*ครึ่ง)?`));
+  if (m && (m[1] || /บ่าย\s*โมง/.test(raw))) {
+    const n = m[1] ? toNumber(m[1]) : 1;
+    if (n >= 1 && n <= 5) return { start: (12 + n) * 60 + (m[2] ? 30 : 0), end: null, kind: "spoken" };
+  }
+
+  m = raw.match(new RegExp(`${NUM}\\s*โมง\\s*(เช้า|เย็น)?(\\s*ครึ่ง)?`));
+  if (m) {
+    const n = toNumber(m[1]);
+    const half = m[3] ? 30 : 0;
+    // "4 โมง" on its own is afternoon; "6 โมงเช้า" / "10 โมง" morning
+    if (m[2] === "เย็น" && n >= 1 && n <= 6) return { start: (12 + n) * 60 + half, end: null, kind: "spoken" };
+    if (m[2] === "เช้า" && n >= 5 && n <= 11) return { start: n * 60 + half, end: null, kind: "spoken" };
+    if (!m[2] && n >= 7 && n <= 12) return { start: n * 60 + half, end: null, kind: "spoken" };
+    if (!m[2] && n >= 1 && n <= 6) return { start: (12 + n) * 60 + half, end: null, kind: "spoken" };
+  }
+
+  if (/เที่ยง/.test(raw)) return { start: 12 * 60, end: null, kind: "spoken" };
+
+  m = raw.match(/(?<![\d.:])(\d{1,2})\s*น\./);
+  if (m && Number(m[1]) <= 23) return { start: Number(m[1]) * 60, end: null, kind: "clock" };
+
+  return { start: null, end: null, kind: "" };
+}
+
+function parseDuration(raw) {
+  const nightsMatch = raw.match(new RegExp(`ค้าง\\s*(?:${NUM}\\s*)?คืน`));
+  const overnight = Boolean(nightsMatch) || /(ทั้งคืน|overnight)/i.test(raw);
+  const nights = overnight ? Math.max(1, nightsMatch?.[1] ? toNumber(nightsMatch[1]) : 1) : 0;
+
+  if (/ครึ่ง\s*(?:ชม|ชั่วโมง)/.test(raw) && !/\d\s*(?:ชม|ชั่วโมง)/.test(raw)) {
+    return { minutes: 30, overnight, nights };
+  }
+
+  const m =
+    raw.match(/(\d{1,2}(?:\.\d)?)\s*(?:ชม\.?|ชั่วโมง|hrs?\b|hours?\b)(\s*ครึ่ง)?/i) ||
+    raw.match(new RegExp(`${NUM}\\s*(?:ชม\\.?|ชั่วโมง)(\\s*ครึ่ง)?`));
+  if (m) {
+    const hours = /^\d/.test(m[1]) ? Number(m[1]) : toNumber(m[1]);
+    if (hours > 0 && hours <= 48) return { minutes: Math.round(hours * 60) + (m[2] ? 30 : 0), overnight, nights };
+  }
+
+  if (overnight) return { minutes: (nights - 1) * 24 * 60 + OVERNIGHT_MINUTES, overnight, nights };
+  return { minutes: 0, overnight, nights };
+}
+
+// => { max, min } THB; 0 when absent or implausible
+function parseBudget(raw) {
+  const amount = String.raw`(\d{1,3}(?:,\d{3})+|\d+(?:\.\d+)?)`;
+  const unit = String.raw`\s*(k\b|พัน|หมื่น)?`;
+  const patterns = [
+    new RegExp(`งบ(?:ประมาณ|ไม่เกิน|สูงสุด)?\\s*:?\\s*${amount}${unit}(?:\\s*(?:-|–|ถึง)\\s*${amount}${unit})?`, "i"),
+    new RegExp(`${amount}${unit}\\s*(?:-|–|ถึง)\\s*${amount}${unit}\\s*(?:บาท|฿|thb)`, "i"),
+    new RegExp(`${amount}\\s*(k\\b|พัน|หมื่น)`, "i"),
+    new RegExp(`${amount}\\s*(?:บาท|฿|thb)`, "i"),
+    new RegExp(`฿\\s*${amount}`, "i"),
+  ];
+
+  for (const re of patterns) {
+    const m = raw.match(re);
+    if (!m) continue;
+    const first = money(m[1], m[2]);
+    const second = m[3] ? money(m[3], m[4] || m[2]) : 0;
+    // "5-8 พัน": the unit after the second number applies to both
+    const low = m[3] && !m[2] && m[4] ? money(m[1], m[4]) : first;
+    const max = Math.max(low, second);
+    if (max >= BUDGET_MIN_THB && max <= BUDGET_MAX_THB) return { max, min: second ? Math.min(low, second) : 0 };
+  }
+  return { max: 0, min: 0 };
+}
+
+// => { guests, models }
+function parseHeadCount(raw) {
+  let guests = 0;
+  let models = 0;
+
+  const re = new RegExp(`(นายแบบ|น้อง|model|หนุ่ม)?\\s*(?<![\\d.]|วันที่\\s*)${NUM}\\s*(?:คน(?!เดียว)|people|persons|pax|guests?)`, "gi");
+  for (const m of raw.matchAll(re)) {
+    const n = toNumber(m[2]);
+    if (!(n >= 1 && n <= 20)) continue;
+    if (m[1]) models = models || n;
+    else guests = guests || n;
+  }
+  if (!guests && /คนเดียว/.test(raw)) guests = 1;
+
+  return { guests, models };
+}
+
+function resolveDayMonth(today, day, month, yearRaw) {
+  if (!(month >= 1 && month <= 12)) return "";
+  if (yearRaw) return validYmd(resolveYear(yearRaw), month, day);
+
+  const thisYear = validYmd(today.year, month, day);
+  if (!thisYear) return "";
+  return thisYear >= today.date ? thisYear : validYmd(today.year + 1, month, day);
+}
+
+function resolveDayOfMonth(today, day) {
+  const thisMonth = validYmd(today.year, today.month, day);
+  if (thisMonth && thisMonth >= today.date) return thisMonth;
+  const next = today.month === 12 ? [today.year + 1, 1] : [today.year, today.month + 1];
+  return validYmd(next[0], next[1], day);
+}
+
+// "นี้" / bare: next occurrence, today included. "หน้า": that weekday in next week (weeks start Monday).
+function resolveWeekday(today, target, nextWeek) {
+  if (!nextWeek) return addDays(today.date, (target - today.weekday + 7) % 7);
+  const mondayOffset = (today.weekday + 6) % 7;
+  return addDays(today.date, 7 - mondayOffset + ((target + 6) % 7));
+}
+
+// 2569 => 2026, 69 => 2026 (BE), 26 => 2026, 2026 => 2026
+function resolveYear(raw) {
+  const n = Number(raw);
+  if (String(raw).length === 4) return n > 2400 ? n - 543 : n;
+  return n >= 50 ? 2500 + n - 543 : 2000 + n;
+}
+
+function monthIndex(token) {
+  const t = String(token || "").toLowerCase().replace(/[.\s]/g, "");
+  const i = MONTHS.findIndex(([full, abbr, en]) => t === full || t === abbr.replace(/\./g, "") || t.startsWith(en));
+  return i + 1;
+}
+
+function money(value, unit) {
+  const n = Number(String(value).replace(/,/g, ""));
+  const u = String(unit || "").toLowerCase();
+  const mult = u === "k" || u === "พัน" ? 1000 : u === "หมื่น" ? 10000 : 1;
+  return Math.round(n * mult);
+}
+
+function toNumber(token) {
+  return /^\d+$/.test(token) ? Number(token) : NUMBER_WORDS[token] || 0;
+}
+
+function validClock(h, m) {
+  return Number(h) <= 23 && Number(m) <= 59;
+}
+
+function clock(h, m) {
+  return Number(h) * 60 + Number(m);
+}
+
+function hhmm(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+function normalizeText(text) {
+  return String(text || "")
+    .normalize("NFC")
+    .replace(/[๐-๙]/g, (d) => String(d.charCodeAt(0) - 0x0e50))
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function bangkokToday(now) {
+  const d = new Date(Number(now) + BANGKOK_OFFSET_MS);
+  return {
+    date: d.toISOString().slice(0, 10),
+    year: d.getUTCFullYear(),
+    month: d.getUTCMonth() + 1,
+    weekday: d.getUTCDay(),
+  };
+}
+
+function validYmd(year, month, day) {
+  const d = new Date(Date.UTC(year, month - 1, day));
+  if (d.getUTCFullYear() !== year || d.getUTCMonth() !== month - 1 || d.getUTCDate() !== day) return "";
+  return d.toISOString().slice(0, 10);
+}
+
+function addDays(date, n) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + n * DAY_MS).toISOString().slice(0, 10);
+}
+
+// minutes may run past midnight (end of an overnight booking)
+function bangkokIso(date, minutes) {
+  const d = addDays(date, Math.floor(minutes / (24 * 60)));
+  return `${d}T${hhmm(minutes % (24 * 60))}:00+07:00`;
+}
@@ -1,4 +1,15 @@
 import crypto from "node:crypto";
+import {
+  applyDialogTurn,
+  applyHandoffResult,
+  dialogHandoffBody,
+  dialogSummary,
+  isDialogActive,
+  newDialogState,
+} from "./lib/booking-dialog.js";
+import { parseReplyPostback, postbackIntent, postbackText, replyText, toLineMessages } from "./lib/line-flex.js";
+import { bestModelMatch } from "./lib/model-match.js";
+import { buildSessionDraft, parseThaiBooking } from "./lib/thai-booking.js";
 
 const DEFAULT_SYNC_TABLE = "MMD — Console Inbox";
 const LINE_API_BASE = "https://api.line.me/v2/bot";
@@ -76,6 +87,7 @@ function verifyLineSignature(rawBody, signature, secret) {
 }
 
 function toTextMessage(event) {
+  if (event?.type === "postback") return postbackText(event);
   if (event?.type !== "message" || event?.message?.type !== "text") return "";
   return String(event.message.text || "").trim();
 }
@@ -183,7 +195,7 @@ function extractBookingLite(text, modelName = "") {
     model_name: candidateModel,
     location_area: extractLocationLabel(text, candidateModel),
     date_label: extractDateLabel(text),
-    time_label: extractTimeLabel(text),
+    time_label: extractTimeLabel(text) || parseThaiBooking(text).time,
   };
 }
 
@@ -234,35 +246,21 @@ function modelField(model, keys) {
   return "";
 }
 
-function modelNames(model) {
-  const aliases = modelField(model, ["aliases", "alias", "legacy_tags"]);
-  const aliasList = Array.isArray(aliases)
-    ? aliases
-    : String(aliases || "")
-        .split(/[,|\n]/)
-        .map((item) => item.trim())
-        .filter(Boolean);
-
+// LINE ids are matched verbatim; names go through lib/model-match.js
+function modelIdentifierMentioned(model, text) {
+  const haystack = normalizeLookup(text);
   return [
-    modelField(model, ["working_name", "Working Name"]),
-    modelField(model, ["display_name", "Display Name"]),
-    modelField(model, ["model_name", "Model Name"]),
-    modelField(model, ["name", "Name"]),
-    modelField(model, ["nickname", "Nickname"]),
-    modelField(model, ["unique_key", "Unique Key"]),
     modelField(model, ["line_id", "LINE ID", "Line ID"]),
     modelField(model, ["line_user_id", "LINE User ID", "Line User ID"]),
-    ...aliasList,
   ]
     .map(normalizeLookup)
-    .filter(Boolean);
+    .some((id) => id && haystack.includes(id));
 }
 
-function modelMatchesText(model, text) {
+function modelNotesMention(model, text) {
   const haystack = normalizeLookup(text);
-  const names = modelNames(model);
   const notes = normalizeLookup(modelField(model, ["notes_raw", "notes", "Notes", "admin_note", "payload_json"]));
-  return names.some((name) => haystack === name || haystack.includes(name)) || (notes && notes.includes(haystack));
+  return Boolean(haystack && notes && notes.includes(haystack));
 }
 
 async function fetchModelsListLite({ adminWorkerBaseUrl, internalToken, confirmKey }, query = "") {
@@ -333,22 +331,23 @@ function logModelLookupDebug(options, data) {
 }
 
 function findRequestedModel(text, models) {
-  const direct = Array.isArray(models) ? models.find((model) => modelMatchesText(model, text)) : null;
-  if (direct) return direct;
-
-  const candidate = normalizeLookup(extractCandidateName(text));
-  if (!candidate || !Array.isArray(models)) return null;
-  return (
-    models.find((model) => {
-      const names = modelNames(model);
-      return names.some((name) => name === candidate || name.includes(candidate) || candidate.includes(name));
-    }) || null
-  );
+  if (!Array.isArray(models) || !models.length) return null;
+  const match = bestModelMatch(extractCandidateName(text), models) || bestModelMatch(text, models);
+  if (match) return match.model;
+  return models.find((model) => modelIdentifierMentioned(model, text) || modelNotesMention(model, text)) || null;
+}
+
+// resolve-source ranks the whole models table, so it catches names the list search (substring) misses
+function resolvedAirtableModel(resolution) {
+  if (resolution?.source !== "airtable" || !resolution?.found || !resolution?.matched_name) return null;
+  return { fields: { working_name: resolution.matched_name } };
 }
 
 function inferIntent(text, event) {
   const normalized = String(text || "").toLowerCase();
   if (isImageMessage(event)) return "image_only_model_inquiry";
+  const tapped = postbackIntent(event);
+  if (tapped) return tapped;
   if (!normalized) {
     if (event?.type === "follow") return "new_follow";
     if (event?.type === "postback") return "postback";
@@ -383,6 +382,7 @@ function buildAdminNote(event, text) {
 function buildFlags(event, text) {
   const intent = inferIntent(text, event);
   const booking = extractBookingLite(text);
+  const parsed = parseThaiBooking(text);
   const flags = [
     "line_webhook",
     event?.type ? `event:${event.type}` : "",
@@ -393,6 +393,9 @@ function buildFlags(event, text) {
     booking.model_name ? "specific_model_requested" : "",
     booking.date_label || booking.time_label ? "has_timing" : "",
     booking.location_area ? "has_location" : "",
+    parsed.start_at ? "has_start_at" : "",
+    parsed.duration_minutes ? "has_duration" : "",
+    parsed.budget_thb ? "has_budget" : "",
   ].filter(Boolean);
   return Array.from(new Set(flags));
 }
@@ -414,6 +417,14 @@ function buildAirtableRecordWithProfile(event, profile) {
   const adminNote = buildAdminNote(event, messageText);
   const clientTagged = hasClientTag(messageText);
   const booking = extractBookingLite(messageText);
+  const parsed = parseThaiBooking(messageText, { now: Date.parse(receivedAt) });
+  const bookingDraft = buildSessionDraft(parsed, {
+    clientName: profile?.displayName,
+    modelName: booking.model_name,
+    location: booking.location_area,
+    lineUserId,
+    sourceMessageId: eventId,
+  });
 
   return {
     fields: {
@@ -437,13 +448,17 @@ function buildAirtableRecordWithProfile(event, profile) {
         parsed_name: booking.model_name || "",
         parsed_phone: "",
         parsed_intent: intent,
-        parsed_budget_thb: 0,
-        parsed_date: booking.date_label || "",
-        parsed_time: booking.time_label || "",
+        parsed_budget_thb: parsed.budget_thb,
+        parsed_date: parsed.date || booking.date_label || "",
+        parsed_time: parsed.time || booking.time_label || "",
+        parsed_start_at: parsed.start_at,
+        parsed_duration_minutes: parsed.duration_minutes,
+        parsed_head_count: parsed.head_count,
         parsed_location: booking.location_area || "",
         specific_model_requested: Boolean(booking.model_name),
         image_message_id: isImageMessage(event) ? String(event?.message?.id || "") : "",
         requested_model_name: booking.model_name || "",
+        booking_draft: bookingDraft,
         confidence_score: booking.model_name && (booking.date_label || booking.time_label || booking.location_area) ? 0.82 : 0.35,
         dedupe_status: "unresolved",
         linked_client_id: "",
@@ -504,24 +519,79 @@ async function fetchLineProfile(accessToken, userId) {
   return response.json();
 }
 
-async function sendLineReply(accessToken, replyToken, text) {
+async function sendLineReply(accessToken, replyToken, reply, { flex = true } = {}) {
+  const text = replyText(reply);
   if (!accessToken || !replyToken || !text) return false;
 
-  const response = await fetch(`${LINE_API_BASE}/message/reply`, {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${accessToken}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({
-      replyToken,
-      messages: [{ type: "text", text }],
-    }),
-  });
+  const post = (messages) =>
+    fetch(`${LINE_API_BASE}/message/reply`, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ replyToken, messages }),
+    });
 
+  const response = await post(toLineMessages(reply, { flex }));
+  // a rejected Flex payload (400) leaves the reply token unused: send the plain text instead
+  if (!response.ok && response.status === 400 && typeof reply !== "string") {
+    return (await post([{ type: "text", text }])).ok;
+  }
   return response.ok;
 }
 
+// plain reply + how to render it as a card; buildModelAvailabilityReply / buildFaqReply stay the text source
+function modelAvailabilityRichReply(text, { booking, matchedModel }) {
+  const model = String(
+    modelField(matchedModel, ["working_name", "Working Name", "model_name", "Model Name", "name", "Name", "nickname", "Nickname"]) ||
+      booking.model_name ||
+      "",
+  );
+  return {
+    text,
+    model,
+    card: {
+      title: model || "เช็กคิวนายแบบ",
+      subtitle: "Per ตรวจสอบคิวจริงก่อนยืนยันทุกครั้ง",
+      facts: [
+        ["วันที่", booking.date_label],
+        ["เวลา", booking.time_label],
+        ["โซน", booking.location_area],
+      ],
+      buttons: [{ action: "book_model", label: model ? `จอง ${model}` : "" }, "ask_price", "talk_admin"],
+    },
+    quickReplies: ["book_model", "ask_price", "talk_admin", "become_member"],
+  };
+}
+
+const FAQ_CARD_TITLES = {
+  pricing_review: "สอบถามเรท",
+  ask_where_to_get_rate: "สอบถามเรท",
+  image_rate_inquiry: "สอบถามเรทจากรูป",
+  image_only_model_inquiry: "ได้รับรูปแล้ว",
+  package_difference: "Standard / Premium",
+  upgrade_question: "อัปเกรดแพ็กเกจ",
+  membership_fee_reason: "ค่าสมาชิก",
+  membership: "สมัครสมาชิก",
+  model_photo_review_question: "รูปตัวอย่างและรีวิว",
+  contact_admin: "ติดต่อทีมงาน",
+};
+
+function faqRichReply(intent, text) {
+  if (!text) return "";
+  const pricing = PRICING_REVIEW_INTENTS.has(intent) || intent === "image_only_model_inquiry";
+  const membership = intent === "package_difference" || intent === "upgrade_question" || intent === "membership_fee_reason";
+  const buttons = pricing ? ["book_model", "talk_admin"] : membership ? ["become_member", "talk_admin"] : ["ask_price", "talk_admin"];
+  // no button for the action the customer just took
+  const taken = intent === "contact_admin" ? "talk_admin" : intent === "membership" ? "become_member" : "";
+  return {
+    text,
+    card: { title: FAQ_CARD_TITLES[intent] || "MMD Privé", buttons: intent === "contact_admin" ? ["book_model", "ask_price"] : buttons },
+    quickReplies: ["book_model", "ask_price", "talk_admin", "become_member"].filter((action) => action !== taken),
+  };
+}
+
 function buildModelAvailabilityReply({ prefix, booking, matchedModel }) {
   const requestedName =
     modelField(matchedModel, ["working_name", "Working Name", "model_name", "Model Name", "name", "Name", "nickname", "Nickname"]) ||
@@ -556,6 +626,7 @@ function buildModelSourceFallbackReply({ prefix, booking, resolution }) {
 
 function shouldAutoReplyForIntent(intent, text, event) {
   if (event?.type === "follow") return true;
+  if (parseReplyPostback(event)) return true;
   if (hasClientTag(text)) return true;
   if (intent === "model_availability") return true;
   if (FAQ_REPLY_INTENTS.has(intent)) return true;
@@ -616,6 +687,17 @@ Premium จะเหมาะกับคนที่ต้องการเล
     return `ค่าสมาชิกช่วยดูแลเรื่องการคัดกรองสิทธิ์ ความเป็นส่วนตัว การประสานงาน และคุณภาพของบริการครับ
 
 ค่าสมาชิกไม่ใช่การการันตีการจองงานทันทีนะครับ รายละเอียดงาน ราคา และความพร้อมของนายแบบจะต้องยืนยันจากระบบและ Per ก่อนทุกครั้งครับ`;
+  }
+  if (intent === "membership") {
+    const next = context.membership_url
+      ? `สมัครได้ที่ ${context.membership_url} ครับ หลังสมัครแล้ว Per จะตรวจสอบและยืนยันสิทธิ์สมาชิกให้ครับ`
+      : "แจ้งชื่อและแพ็กเกจที่สนใจไว้ในแชทนี้ได้เลยครับ เดี๋ยว Per ส่งลิงก์สมัครและรายละเอียดให้ครับ";
+    return `ยินดีครับ ${prefix}สมาชิก MMD Privé มี 2 แพ็กเกจครับ
+
+Standard เหมาะกับการเริ่มต้น มีตัวเลือกและข้อมูลเบื้องต้นในขอบเขตที่ง่ายขึ้นครับ
+Premium เหมาะกับคนที่ต้องการเลือกละเอียดขึ้น มีตัวเลือกและการดูแลมากขึ้นครับ
+
+${next}`;
   }
   if (intent === "model_photo_review_question") {
     return `รูปตัวอย่างนายแบบและรีวิวสามารถแนะนำให้ดูได้เฉพาะส่วนที่นโยบายและความเป็นส่วนตัวอนุญาตครับ
@@ -631,11 +713,19 @@ Premium จะเหมาะกับคนที่ต้องการเล
 }
 
 function parsePricingRequest(text) {
+  const parsed = parseThaiBooking(text);
   return {
     date: extractDateLabel(text),
-    time: extractTimeLabel(text),
+    time: extractTimeLabel(text) || parsed.time,
     location: extractLocationLabel(text),
-    duration: String(text || "").match(/(\d+(?:\.\d+)?)\s*(?:ชม|ชั่วโมง|hr|hour|hours)/i)?.[1] || "",
+    duration: parsed.duration_minutes ? String(parsed.duration_minutes / 60) : "",
+    job_date: parsed.date,
+    start_time: parsed.time,
+    start_at: parsed.start_at,
+    duration_hours: parsed.duration_minutes / 60,
+    overnight: parsed.overnight,
+    budget_thb: parsed.budget_thb,
+    head_count: parsed.head_count,
   };
 }
 
@@ -737,7 +827,10 @@ async function buildAutoReplyMessage(event, profile, options = {}) {
   }
 
   if (event?.type === "follow") {
-    return `สวัสดีครับ ${prefix}ยินดีต้อนรับสู่ MMD Privé ส่งข้อความที่ต้องการได้เลย เช่น จองงาน, เช็กราคา, เช็กนายแบบ หรือสมัครสมาชิก`;
+    return {
+      text: `สวัสดีครับ ${prefix}ยินดีต้อนรับสู่ MMD Privé ส่งข้อความที่ต้องการได้เลย เช่น จองงาน, เช็กราคา, เช็กนายแบบ หรือสมัครสมาชิก`,
+      quickReplies: ["book_model", "ask_price", "become_member", "talk_admin"],
+    };
   }
 
   if (intent === "model_availability") {
@@ -755,11 +848,15 @@ async function buildAutoReplyMessage(event, profile, options = {}) {
         r2_found: false,
         reply_sent: Boolean(reply),
       });
-      return reply;
+      return modelAvailabilityRichReply(reply, { booking, matchedModel });
     }
 
     const resolution = await fetchModelSourceResolution(options, bookingSeed.model_name || text);
-    const reply = buildModelSourceFallbackReply({ prefix, booking: bookingSeed, resolution });
+    const resolvedModel = resolvedAirtableModel(resolution);
+    const resolvedBooking = resolvedModel ? extractBookingLite(text, resolution.matched_name) : bookingSeed;
+    const reply = resolvedModel
+      ? buildModelAvailabilityReply({ prefix, booking: resolvedBooking, matchedModel: resolvedModel })
+      : buildModelSourceFallbackReply({ prefix, booking: bookingSeed, resolution });
     logModelLookupDebug(options, {
       intent,
       parsed_model_name: bookingSeed.model_name,
@@ -769,7 +866,8 @@ async function buildAutoReplyMessage(event, profile, options = {}) {
       matched_prefix_redacted: resolution?.matched_prefix_redacted || "",
       reply_sent: Boolean(reply),
     });
-    return reply;
+    if (resolvedModel) return modelAvailabilityRichReply(reply, { booking: resolvedBooking, matchedModel: resolvedModel });
+    return reply ? { text: reply, quickReplies: ["talk_admin", "ask_price", "become_member"] } : "";
   }
 
   if (FAQ_REPLY_INTENTS.has(intent)) {
@@ -787,22 +885,26 @@ async function buildAutoReplyMessage(event, profile, options = {}) {
       pricing_review_created: Boolean(pricingReview?.ok),
       telegram_sent: Boolean(pricingReview?.telegram_sent),
     });
-    return reply;
+    return faqRichReply(intent, reply);
   }
 
   if (intent === "create_session") {
     return `รับข้อความแล้วครับ ${prefix}เดี๋ยวทีมงานช่วยดูเรื่องจองคิวให้นะครับ`;
   }
   if (intent === "membership") {
-    return `รับเรื่องสมาชิกแล้วครับ ${prefix}เดี๋ยวทีมงานตรวจสอบและตอบกลับให้นะครับ`;
+    logLineWebhookDebug(options, { intent, reply_sent: true, category: "membership_reply" });
+    return faqRichReply(intent, buildFaqReply(intent, prefix, { membership_url: options.membershipUrl }));
   }
   if (intent === "pricing") {
     if (options.createPricingReviewEnabled !== false) await createPricingReview(options, event, profile, "pricing_review");
     const adContext = parseAdContextFromText(text);
-    return buildFaqReply("pricing_review", prefix, { ...adContext, recommended_reply_strategy: choosePricingReplyStrategy(adContext) });
+    return faqRichReply("pricing_review", buildFaqReply("pricing_review", prefix, { ...adContext, recommended_reply_strategy: choosePricingReplyStrategy(adContext) }));
   }
   if (intent === "greeting") {
-    return `สวัสดีครับ ${prefix}ต้องการสอบถามเรื่องจองงาน ราคา เช็กนายแบบ หรือสมาชิก พิมพ์มาได้เลยนะครับ`;
+    return {
+      text: `สวัสดีครับ ${prefix}ต้องการสอบถามเรื่องจองงาน ราคา เช็กนายแบบ หรือสมาชิก พิมพ์มาได้เลยนะครับ`,
+      quickReplies: ["book_model", "ask_price", "become_member", "talk_admin"],
+    };
   }
   if (text) {
     return `รับข้อความแล้วครับ ${prefix}ทีมงานจะตรวจสอบและตอบกลับให้นะครับ`;
@@ -846,6 +948,178 @@ async function writeEventToAirtable({ baseId, apiKey, tableName, event, profile
   return response.json();
 }
 
+// One console inbox record per LINE user holds the booking dialogue state (payload_json).
+function dialogInboxId(lineUserId) {
+  return `line_dialog_${lineUserId}`;
+}
+
+async function findDialogRecord({ baseId, apiKey, tableName, lineUserId }) {
+  const table = encodeURIComponent(tableName || DEFAULT_SYNC_TABLE);
+  const url = new URL(`https://api.airtable.com/v0/${baseId}/${table}`);
+  url.searchParams.set("pageSize", "1");
+  url.searchParams.set("filterByFormula", `{inbox_id}="${encodeFormulaValue(dialogInboxId(lineUserId))}"`);
+
+  const response = await fetch(url.toString(), {
+    method: "GET",
+    headers: {
+      Authorization: `Bearer ${apiKey}`,
+    },
+  });
+
+  if (!response.ok) {
+    const text = await response.text();
+    throw new Error(`Airtable dialog lookup failed: ${response.status} ${text}`);
+  }
+
+  const payload = await response.json();
+  const record = Array.isArray(payload?.records) ? payload.records[0] || null : null;
+  if (!record) return null;
+
+  let state = null;
+  try {
+    state = JSON.parse(record.fields?.payload_json || "null");
+  } catch {
+    state = null;
+  }
+  return { id: record.id, state };
+}
+
+// Dialogues the bot gave up on (or whose handoff failed) are tagged needs_admin so the team picks them up.
+const DIALOG_NEEDS_ADMIN = new Set(["escalated", "handoff_failed"]);
+
+// Without a record id this upserts on inbox_id, so two first messages that race still share one record.
+async function saveDialogRecord({ baseId, apiKey, tableName, recordId, state }) {
+  const table = encodeURIComponent(tableName || DEFAULT_SYNC_TABLE);
+  const needsAdmin = DIALOG_NEEDS_ADMIN.has(state.status);
+  const summary = dialogSummary(state.slots) || "[line_dialog] collecting booking details";
+  const fields = {
+    inbox_id: dialogInboxId(state.line_user_id),
+    created_by: "netlify-line-dialog",
+    source: "line",
+    intent: "create_session",
+    member_name: String(state.slots?.client_name || ""),
+    line_user_id: state.line_user_id,
+    legacy_tags: ["line_dialog", `dialog:${state.status}`, state.asked ? `asking:${state.asked}` : "", needsAdmin ? "needs_admin" : ""]
+      .filter(Boolean)
+      .join(", "),
+    admin_note: state.status === "handoff_failed" ? `[handoff failed: ${state.handoff?.error || "unknown"}] ${summary}` : summary,
+    payload_json: JSON.stringify(state),
+    status: "new",
+  };
+
+  const response = await fetch(`https://api.airtable.com/v0/${baseId}/${table}${recordId ? `/${recordId}` : ""}`, {
+    method: "PATCH",
+    headers: {
+      Authorization: `Bearer ${apiKey}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(
+      recordId ? { fields } : { performUpsert: { fieldsToMergeOn: ["inbox_id"] }, records: [{ fields }] },
+    ),
+  });
+
+  if (!response.ok) {
+    const text = await response.text();
+    throw new Error(`Airtable dialog write failed: ${response.status} ${text}`);
+  }
+
+  const payload = await response.json();
+  return recordId ? payload : payload?.records?.[0] || null;
+}
+
+// Same dialogue revision: nobody saved a turn between our read and our write.
+function sameDialogRevision(before, after) {
+  return (before?.id || "") === (after?.id || "") && (before?.state?.updated_at || "") === (after?.state?.updated_at || "");
+}
+
+async function createJobDraft({ adminWorkerBaseUrl, internalToken, confirmKey }, state) {
+  const base = String(adminWorkerBaseUrl || "").replace(/\/+$/, "");
+  if (!base || (!internalToken && !confirmKey)) return { ok: false, error: "missing_admin_worker_auth" };
+
+  const headers = { "Content-Type": "application/json" };
+  if (internalToken) headers.Authorization = `Bearer ${internalToken}`;
+  if (confirmKey) headers["X-Confirm-Key"] = confirmKey;
+
+  try {
+    const response = await fetch(`${base}/v1/admin/job/create`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(dialogHandoffBody(state)),
+    });
+    const data = await response.json().catch(() => ({}));
+    return { ok: response.ok && data?.ok !== false, status: response.status, ...data };
+  } catch (error) {
+    return { ok: false, error: error instanceof Error ? error.message : "job_draft_failed" };
+  }
+}
+
+// location only from a line that names a place, never from "วันที่ 25" style date text
+function dialogLocationHint(text, modelName) {
+  if (!LOCATION_SIGNAL_RE.test(text)) return "";
+  const location = extractLocationLabel(text, modelName);
+  if (!/[ก-๙A-Za-z]{2,}/.test(location)) return "";
+  const parsed = parseThaiBooking(location);
+  return parsed.date || parsed.time ? "" : location;
+}
+
+/**
+ * Runs one dialogue turn when the message opens a booking (model request / booking intent) or the user has a
+ * dialogue in progress. => { reply, action, status, dialog_id } | null (not a dialogue message)
+ */
+async function runBookingDialog(store, event, profile, intent, options = {}) {
+  const text = toTextMessage(event);
+  const lineUserId = getLineUserId(event);
+  if (!text || !lineUserId || event?.source?.type !== "user") return null;
+
+  const now = Date.now();
+  let existing = await findDialogRecord({ ...store, lineUserId });
+  let active = isDialogActive(existing?.state, now);
+  const opens = intent === "model_availability" || intent === "create_session";
+  if (!active && !opens) return null;
+  if (active && FAQ_REPLY_INTENTS.has(intent)) return null;
+
+  // only a name matched against the models list becomes the model; the raw name is kept as a hint
+  let modelName = "";
+  let modelQuery = "";
+  const wantsModel = (!active && intent === "model_availability") || existing?.state?.asked === "model_name";
+  if (wantsModel) {
+    modelQuery = extractCandidateName(text);
+    if (modelQuery) {
+      const models = await fetchModelsListLite(options, modelQuery);
+      const matched = findRequestedModel(text, models) || resolvedAirtableModel(await fetchModelSourceResolution(options, modelQuery));
+      modelName = modelField(matched, ["working_name", "Working Name", "model_name", "Model Name", "name", "Name"]);
+    }
+  }
+
+  // Two messages from the same user can arrive together; when the record changed between our read and our
+  // write, the turn is re-applied on top of the newer state (once) instead of overwriting it.
+  let turn = null;
+  for (let attempt = 0; attempt < 2; attempt += 1) {
+    const state = active ? existing.state : newDialogState(lineUserId, now);
+    turn = applyDialogTurn(state, text, {
+      now,
+      modelName,
+      modelQuery: modelName ? "" : modelQuery,
+      location: dialogLocationHint(text, modelName),
+      clientName: String(profile?.displayName || "").trim(),
+    });
+    const latest = await findDialogRecord({ ...store, lineUserId });
+    if (sameDialogRevision(existing, latest)) break;
+    existing = latest;
+    active = isDialogActive(existing?.state, now);
+  }
+
+  const saved = await saveDialogRecord({ ...store, recordId: existing?.id || "", state: turn.state });
+
+  if (turn.action === "handoff") {
+    const draft = await createJobDraft(options, turn.state);
+    turn = applyHandoffResult(turn.state, draft);
+    await saveDialogRecord({ ...store, recordId: existing?.id || saved?.id || "", state: turn.state });
+  }
+
+  return { reply: turn.reply, action: turn.action, status: turn.state.status, dialog_id: turn.state.dialog_id };
+}
+
 export async function handler(event) {
   if (event.httpMethod === "GET") {
     return json(200, { ok: true, service: "line-webhook-netlify" });
@@ -864,8 +1138,11 @@ export async function handler(event) {
   const internalToken = process.env.INTERNAL_TOKEN || process.env.ADMIN_BEARER || "";
   const confirmKey = process.env.CONFIRM_KEY || "";
   const autoReplyEnabled = String(process.env.LINE_AUTO_REPLY_ENABLED || "false").toLowerCase() === "true";
+  const bookingDialogEnabled = autoReplyEnabled && String(process.env.LINE_BOOKING_DIALOG_ENABLED || "true").toLowerCase() !== "false";
+  const flexRepliesEnabled = String(process.env.LINE_FLEX_REPLIES_ENABLED || "true").toLowerCase() !== "false";
   const lineModelLookupDebug = process.env.LINE_MODEL_LOOKUP_DEBUG || "";
   const lineWebhookDebug = process.env.LINE_WEBHOOK_DEBUG || "";
+  const membershipUrl = process.env.LINE_MEMBERSHIP_URL || "";
 
   if (!lineChannelSecret || !airtableApiKey || !airtableBaseId) {
     return json(500, {
@@ -900,7 +1177,7 @@ export async function handler(event) {
     const clientTagged = hasClientTag(messageText);
     const intent = inferIntent(messageText, item);
     const shouldFetchProfile =
-      (clientTagged || intent === "model_availability" || FAQ_REPLY_INTENTS.has(intent)) &&
+      (clientTagged || intent === "model_availability" || intent === "create_session" || FAQ_REPLY_INTENTS.has(intent)) &&
       item?.source?.type === "user" &&
       lineChannelAccessToken;
     const profile = shouldFetchProfile ? await fetchLineProfile(lineChannelAccessToken, lineUserId) : null;
@@ -911,17 +1188,38 @@ export async function handler(event) {
       event: item,
       profile,
     });
-    const replyText = await buildAutoReplyMessage(item, profile, {
+    const replyOptions = {
       adminWorkerBaseUrl,
       internalToken,
       confirmKey,
       lineModelLookupDebug,
       lineWebhookDebug,
+      membershipUrl,
       createPricingReviewEnabled: !record?.deduped,
-    });
+    };
+    const dialog =
+      bookingDialogEnabled && !record?.deduped
+        ? await runBookingDialog(
+            { baseId: airtableBaseId, apiKey: airtableApiKey, tableName: airtableTableName },
+            item,
+            profile,
+            intent,
+            replyOptions,
+          ).catch((error) => {
+            // the dialogue store is best effort; fall back to the one-shot auto reply
+            console.log(
+              JSON.stringify({
+                event: "line_booking_dialog_error",
+                error: error instanceof Error ? error.message : String(error),
+              }),
+            );
+            return null;
+          })
+        : null;
+    const reply = dialog?.reply || (await buildAutoReplyMessage(item, profile, replyOptions));
     const replied =
-      !record?.deduped && autoReplyEnabled && replyText
-        ? await sendLineReply(lineChannelAccessToken, getReplyToken(item), replyText)
+      !record?.deduped && autoReplyEnabled && replyText(reply)
+        ? await sendLineReply(lineChannelAccessToken, getReplyToken(item), reply, { flex: flexRepliesEnabled })
         : false;
     saved.push({
       id: record?.id || "",
@@ -931,6 +1229,7 @@ export async function handler(event) {
       client_tagged: clientTagged,
       specific_model_requested: intent === "model_availability",
       replied,
+      dialog: dialog ? { action: dialog.action, status: dialog.status, dialog_id: dialog.dialog_id } : null,
       profile_name: String(profile?.displayName || ""),
       line_user_id: lineUserId,
       message_id: String(item?.message?.id || item?.webhookEventId || ""),
@@ -944,4 +1243,15 @@ export async function handler(event) {
   });
 }
 
-export { buildFaqReply, choosePricingReplyStrategy, inferFaqIntent, inferIntent, parseAdContextFromText, shouldAutoReplyForIntent };
+export {
+  buildAirtableRecordWithProfile,
+  buildFaqReply,
+  choosePricingReplyStrategy,
+  faqRichReply,
+  findRequestedModel,
+  inferFaqIntent,
+  inferIntent,
+  parseAdContextFromText,
+  parsePricingRequest,
+  shouldAutoReplyForIntent,
+};
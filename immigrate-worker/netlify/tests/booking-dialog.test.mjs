@@ -0,0 +1,120 @@
+import assert from "node:assert/strict";
+import {
+  DIALOG_TTL_MS,
+  applyDialogTurn,
+  applyHandoffResult,
+  dialogHandoffBody,
+  isDialogActive,
+  missingSlots,
+  newDialogState,
+} from "../functions/lib/booking-dialog.js";
+
+// Monday 2026-10-19 12:00 in Bangkok
+const now = Date.parse("2026-10-19T05:00:00Z");
+const turn = (state, text, hints = {}) => applyDialogTurn(state, text, { now, ...hints });
+
+// opening model request => asks for the date first, one question at a time
+let r = turn(newDialogState("U123", now), "ขอดูน้อง Kim หน่อยครับ", { modelName: "Kim", clientName: "Ton" });
+assert.equal(r.action, "ask");
+assert.equal(r.state.asked, "job_date");
+assert.equal(r.state.slots.model_name, "Kim");
+assert.equal(r.state.slots.client_name, "Ton");
+assert.match(r.reply, /วันไหน/);
+
+// one message can fill several slots
+r = turn(r.state, "พรุ่งนี้ 2 ทุ่ม");
+assert.equal(r.state.slots.job_date, "2026-10-20");
+assert.equal(r.state.slots.start_time, "20:00");
+assert.equal(r.state.asked, "duration");
+
+// later answers override earlier ones
+r = turn(r.state, "ขอเปลี่ยนเป็น 3 ทุ่ม 3 ชม.");
+assert.equal(r.state.slots.start_time, "21:00");
+assert.equal(r.state.slots.end_time, "00:00");
+assert.equal(r.state.slots.end_at, "2026-10-21T00:00:00+07:00");
+assert.equal(r.state.asked, "location_name");
+
+// a bare reply to the location question is the location
+r = turn(r.state, "สุขุมวิท 24 ครับ");
+assert.equal(r.action, "handoff");
+assert.equal(r.state.status, "handing_off");
+assert.equal(r.state.slots.location_name, "สุขุมวิท 24");
+assert.deepEqual(missingSlots(r.state.slots), []);
+assert.equal(r.reply, "");
+
+const body = dialogHandoffBody(r.state);
+assert.equal(body.mode, "approval");
+assert.equal(body.job_draft_id, r.state.dialog_id);
+assert.equal(body.line_user_id, "U123");
+assert.equal(body.duration_minutes, 180);
+assert.equal(body.start_at, "2026-10-20T21:00:00+07:00");
+assert.equal(body.conversation.length, 4);
+
+// the reply is written from the handoff result, never before it
+const handed = applyHandoffResult(r.state, { ok: true, job_draft_id: r.state.dialog_id, record_id: "recDraft" }, { now });
+assert.equal(handed.action, "handed_off");
+assert.equal(handed.state.status, "handed_off");
+assert.equal(handed.state.handoff.record_id, "recDraft");
+assert.match(handed.reply, /Kim · 20 ต\.ค\. 2569 21:00-00:00 · สุขุมวิท 24/);
+assert.match(handed.reply, /ส่งให้ Per/);
+
+const failed = applyHandoffResult(r.state, { ok: false, status: 500, error: "missing_model_name" }, { now });
+assert.equal(failed.action, "escalated");
+assert.equal(failed.state.status, "handoff_failed");
+assert.equal(failed.state.handoff.error, "missing_model_name");
+assert.equal(failed.state.slots.location_name, "สุขุมวิท 24");
+assert.doesNotMatch(failed.reply, /ส่งให้ Per/);
+assert.match(failed.reply, /ทีมงาน/);
+assert.equal(applyHandoffResult(r.state, { ok: false, status: 502 }, { now }).state.handoff.error, "http_502");
+
+// answer to the model question: only a name matched against the models list fills the slot
+r = turn(newDialogState("U9", now), "อยากจองพรุ่งนี้ 20.00 ค้างคืน");
+assert.equal(r.state.asked, "model_name");
+let unmatched = turn(r.state, "น้องเจ");
+assert.equal(unmatched.state.slots.model_name, undefined);
+assert.equal(unmatched.state.slots.model_hint, "น้องเจ");
+assert.equal(unmatched.action, "ask");
+assert.match(unmatched.reply, /ยังไม่พบชื่อ "น้องเจ"/);
+r = turn(unmatched.state, "Jay", { modelName: "Jay" });
+assert.equal(r.state.slots.model_name, "Jay");
+assert.equal(r.state.slots.model_hint, undefined);
+assert.equal(r.state.slots.overnight, true);
+
+// an unmatched opening request is a hint, not the model
+r = turn(newDialogState("U10", now), "ขอดูน้อง Zed หน่อย", { modelQuery: "Zed" });
+assert.equal(r.state.slots.model_name, undefined);
+assert.equal(r.state.asked, "model_name");
+assert.match(r.reply, /ยังไม่พบชื่อ "Zed"/);
+
+// no model in mind: the team recommends one instead of storing the answer as a name
+for (const answer of ["ยังไม่แน่ใจครับ", "not sure yet", "แนะนำหน่อยครับ"]) {
+  const undecided = turn(turn(newDialogState("U11", now), "อยากจองพรุ่งนี้").state, answer);
+  assert.equal(undecided.action, "escalated", answer);
+  assert.equal(undecided.state.slots.model_name, undefined);
+  assert.equal(undecided.state.slots.model_undecided, true);
+}
+
+// a date sent in reply to the model question is not a model name
+r = turn(turn(newDialogState("U8", now), "อยากจอง").state, "เสาร์นี้");
+assert.equal(r.state.slots.model_name, undefined);
+assert.equal(r.state.slots.job_date, "2026-10-24");
+
+// ignoring the same question twice escalates to the team
+r = turn(newDialogState("U7", now), "อยากจอง", { modelName: "Kim" });
+r = turn(r.state, "ว่างไหม");
+assert.equal(r.action, "ask");
+r = turn(r.state, "ยังไงครับ");
+assert.equal(r.action, "escalated");
+assert.equal(isDialogActive(r.state, now), false);
+
+r = turn(newDialogState("U6", now), "ขอดู Kim", { modelName: "Kim" });
+r = turn(r.state, "ยกเลิกครับ");
+assert.equal(r.action, "cancelled");
+assert.equal(r.state.status, "cancelled");
+
+// state expires
+const fresh = turn(newDialogState("U5", now), "อยากจอง").state;
+assert.equal(isDialogActive(fresh, now + 1000), true);
+assert.equal(isDialogActive(fresh, now + DIALOG_TTL_MS + 1), false);
+
+console.log("booking dialog tests passed");
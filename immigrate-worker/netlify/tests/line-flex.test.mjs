@@ -0,0 +1,72 @@
+import assert from "node:assert/strict";
+import { buildReplyFlex, parseReplyPostback, postbackIntent, postbackText, replyAction, toLineMessages } from "../functions/lib/line-flex.js";
+import { inferIntent } from "../functions/webhook.js";
+
+const postback = (data) => ({ type: "postback", postback: { data }, source: { type: "user", userId: "U1" } });
+
+assert.deepEqual(parseReplyPostback(postback("mmd_action=book_model&model=Kenji")), { action: "book_model", model: "Kenji" });
+assert.equal(parseReplyPostback(postback("richmenu=home")), null);
+assert.equal(parseReplyPostback({ type: "message", message: { type: "text", text: "mmd_action=book_model" } }), null);
+
+assert.equal(postbackText(postback("mmd_action=book_model&model=Kenji")), "จอง Kenji ครับ");
+assert.equal(postbackText(postback("mmd_action=talk_admin")), "ขอคุยกับแอดมินครับ");
+
+// tapped buttons go through inferIntent like typed messages; other postbacks keep the generic intent
+for (const [data, intent] of [
+  ["mmd_action=book_model&model=Kenji", "model_availability"],
+  ["mmd_action=book_model", "create_session"],
+  ["mmd_action=ask_price&model=Kenji", "pricing_review"],
+  ["mmd_action=talk_admin", "contact_admin"],
+  ["mmd_action=become_member", "membership"],
+  ["richmenu=home", "postback"],
+]) {
+  const event = postback(data);
+  assert.equal(postbackIntent(event) || inferIntent("", event), intent, data);
+  assert.equal(inferIntent(postbackText(event), event), intent, data);
+}
+
+const action = replyAction("book_model", { model: "Kenji" });
+assert.deepEqual(action, {
+  type: "postback",
+  label: "จองนายแบบ",
+  data: "mmd_action=book_model&model=Kenji",
+  displayText: "จอง Kenji ครับ",
+});
+assert.ok(replyAction("ask_price", { label: "สอบถามเรทของน้องคนนี้ได้ไหมครับ" }).label.length <= 20);
+
+const text = "Kenji ว่างวันเสาร์ 20:00 ครับ";
+const flex = buildReplyFlex({
+  text,
+  title: "Kenji",
+  facts: [["วันที่", "เสาร์"], ["เวลา", "20:00"], ["โซน", ""]],
+  buttons: [{ action: "book_model", label: "จอง Kenji" }, "ask_price", "nope"],
+  model: "Kenji",
+});
+assert.equal(flex.type, "flex");
+assert.equal(flex.altText, text);
+assert.equal(flex.contents.body.contents[0].contents.length, 2, "empty facts are dropped");
+assert.deepEqual(
+  flex.contents.footer.contents.map((b) => [b.style, b.action.label, b.action.data]),
+  [
+    ["primary", "จอง Kenji", "mmd_action=book_model&model=Kenji"],
+    ["secondary", "สอบถามเรท", "mmd_action=ask_price&model=Kenji"],
+  ],
+);
+assert.ok(!("color" in flex.contents.footer.contents[1]));
+
+const reply = { text, model: "Kenji", card: { title: "Kenji", buttons: ["book_model"] }, quickReplies: ["book_model", "talk_admin"] };
+const [card] = toLineMessages(reply);
+assert.equal(card.type, "flex");
+assert.deepEqual(card.quickReply.items.map((i) => i.action.data), ["mmd_action=book_model&model=Kenji", "mmd_action=talk_admin&model=Kenji"]);
+
+// plain-text fallback keeps the words and the quick replies
+const [plain] = toLineMessages(reply, { flex: false });
+assert.equal(plain.type, "text");
+assert.equal(plain.text, text);
+assert.equal(plain.quickReply.items.length, 2);
+
+assert.deepEqual(toLineMessages("รับข้อความแล้วครับ"), [{ type: "text", text: "รับข้อความแล้วครับ" }]);
+assert.deepEqual(toLineMessages(""), []);
+assert.equal(buildReplyFlex({ text: "x".repeat(600), title: "t" }).altText.length, 400);
+
+console.log("line flex tests passed");
@@ -0,0 +1,23 @@
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { findRequestedModel } from "../functions/webhook.js";
+
+// lib/model-match.js is a copy of admin-worker/src/routes/model-match.js
+const source = readFileSync(new URL("../../../admin-worker/src/routes/model-match.js", import.meta.url), "utf8");
+const copy = readFileSync(new URL("../functions/lib/model-match.js", import.meta.url), "utf8");
+assert.equal(copy, source, "netlify/functions/lib/model-match.js is out of date; copy it from admin-worker/src/routes/model-match.js");
+
+const models = [
+  { id: "rec1", fields: { working_name: "Kenji", aliases: ["KJ"] } },
+  { id: "rec2", fields: { working_name: "Tawan", line_id: "tawan.bkk", notes: "เดิมใช้ชื่อ ซันนี่" } },
+];
+
+assert.equal(findRequestedModel("เคนจิ\nพรุ่งนี้ 20.00", models)?.id, "rec1");
+assert.equal(findRequestedModel("Kenij คืนนี้ว่างไหม", models)?.id, "rec1");
+assert.equal(findRequestedModel("น้องตะวัน วันที่ 25", models)?.id, "rec2");
+assert.equal(findRequestedModel("tawan.bkk", models)?.id, "rec2");
+assert.equal(findRequestedModel("ซันนี่", models)?.id, "rec2");
+assert.equal(findRequestedModel("Max พรุ่งนี้", models), null);
+assert.equal(findRequestedModel("Kenji", []), null);
+
+console.log("webhook model match tests passed");
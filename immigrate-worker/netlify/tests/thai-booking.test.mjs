@@ -0,0 +1,109 @@
+import assert from "node:assert/strict";
+import { buildSessionDraft, parseThaiBooking } from "../functions/lib/thai-booking.js";
+import { buildAirtableRecordWithProfile, parsePricingRequest } from "../functions/webhook.js";
+
+// Monday 2026-10-19 12:00 in Bangkok
+const now = Date.parse("2026-10-19T05:00:00Z");
+const parse = (text) => parseThaiBooking(text, { now });
+
+let r = parse("พรุ่งนี้ 2 ทุ่ม 3 ชม. งบ 8,000 มา 2 คน");
+assert.equal(r.date, "2026-10-20");
+assert.equal(r.start_at, "2026-10-20T20:00:00+07:00");
+assert.equal(r.end_at, "2026-10-20T23:00:00+07:00");
+assert.equal(r.duration_minutes, 180);
+assert.equal(r.budget_thb, 8000);
+assert.equal(r.head_count, 2);
+assert.equal(r.timezone, "Asia/Bangkok");
+
+// Thai month abbreviation + short Buddhist-era year + time range
+r = parse("25 ธ.ค. 69 20.00-23.00");
+assert.equal(r.date, "2026-12-25");
+assert.equal(r.date_source, "explicit");
+assert.equal(r.end_time, "23:00");
+assert.equal(r.duration_minutes, 180);
+
+assert.equal(parse("วันที่ 5 มกราคม 2570 บ่าย 3 โมง").start_at, "2027-01-05T15:00:00+07:00");
+assert.equal(parse("5 ม.ค. 2027").date, "2027-01-05");
+// no year and already past => next year
+assert.equal(parse("1 ก.พ. 2 ทุ่ม").date, "2027-02-01");
+assert.equal(parse("15/11 20:30").start_at, "2026-11-15T20:30:00+07:00");
+assert.equal(parse("๒๕ ต.ค. ๒๐.๐๐ น.").start_at, "2026-10-25T20:00:00+07:00");
+// วันที่ 10 has passed this month
+assert.equal(parse("วันที่ 10").date, "2026-11-10");
+
+// weekdays: นี้ = next occurrence, หน้า = next week; bare อาทิตย์หน้า is "next week"
+assert.equal(parse("วันเสาร์นี้").date, "2026-10-24");
+assert.equal(parse("เสาร์หน้า").date, "2026-10-31");
+assert.equal(parse("วันจันทร์").date, "2026-10-19");
+assert.equal(parse("อาทิตย์หน้าว่างไหม").date, "");
+assert.equal(parse("วันอาทิตย์หน้า").date, "2026-11-01");
+
+assert.equal(parse("มะรืนนี้ ทุ่มครึ่ง").start_at, "2026-10-21T19:30:00+07:00");
+assert.equal(parse("วันนี้ 5 โมงเย็น").time, "17:00");
+assert.equal(parse("วันนี้ 10 โมง").time, "10:00");
+assert.equal(parse("today 8pm").time, "20:00");
+
+// night context: ตี 2 is tomorrow, 9.00 is 21:00, เที่ยงคืน rolls the date
+assert.equal(parse("คืนนี้ ตี 2").start_at, "2026-10-20T02:00:00+07:00");
+assert.equal(parse("คืนนี้ 9.00").start_at, "2026-10-19T21:00:00+07:00");
+assert.equal(parse("วันเสาร์นี้ เที่ยงคืน").start_at, "2026-10-25T00:00:00+07:00");
+
+// durations
+assert.equal(parse("2 ชั่วโมงครึ่ง").duration_minutes, 150);
+assert.equal(parse("สองชั่วโมง").duration_minutes, 120);
+r = parse("พรุ่งนี้ 3 ทุ่ม ค้างคืน");
+assert.equal(r.overnight, true);
+assert.equal(r.duration_minutes, 720);
+assert.equal(r.end_at, "2026-10-21T09:00:00+07:00");
+r = parse("ค้าง 2 คืน");
+assert.equal(r.nights, 2);
+assert.equal(r.duration_minutes, 36 * 60);
+
+// budgets
+assert.equal(parse("งบ 8k").budget_thb, 8000);
+assert.equal(parse("1.5 หมื่น").budget_thb, 15000);
+assert.equal(parse("12000 บาท").budget_thb, 12000);
+r = parse("งบ 5-8 พัน");
+assert.equal(r.budget_min_thb, 5000);
+assert.equal(r.budget_thb, 8000);
+assert.equal(parse("20.00 3 ชม.").budget_thb, 0);
+
+// head counts
+r = parse("นายแบบ 2 คน");
+assert.equal(r.model_count, 2);
+assert.equal(r.head_count, 0);
+assert.equal(parse("คนเดียว").head_count, 1);
+assert.equal(parse("สามคน").head_count, 3);
+
+assert.deepEqual(
+  [parse("สอบถามเรท").date, parse("สอบถามเรท").start_at, parse("สอบถามเรท").budget_thb],
+  ["", "", 0]
+);
+
+// draft
+const draft = buildSessionDraft(parse("พรุ่งนี้ 2 ทุ่ม 3 ชม."), { clientName: "Ton", modelName: "Kim", location: "สุขุมวิท" });
+assert.equal(draft.job_date, "2026-10-20");
+assert.equal(draft.start_time, "20:00");
+assert.equal(draft.end_time, "23:00");
+assert.equal(draft.ready, true);
+assert.deepEqual(buildSessionDraft(parse("คืนนี้"), {}).missing, ["model_name", "start_time", "duration", "location_name"]);
+
+// webhook writes the draft into the console inbox payload
+const event = {
+  type: "message",
+  message: { type: "text", id: "m1", text: "Kim\nพรุ่งนี้ 20.00 3 ชม.\nสุขุมวิท\nงบ 9,000" },
+  source: { type: "user", userId: "U1" },
+};
+const payload = JSON.parse(buildAirtableRecordWithProfile(event, { displayName: "Ton" }).fields.payload_json);
+assert.match(payload.parsed_date, /^\d{4}-\d{2}-\d{2}$/);
+assert.equal(payload.parsed_time, "20:00");
+assert.equal(payload.parsed_budget_thb, 9000);
+assert.equal(payload.booking_draft.client_name, "Ton");
+assert.equal(payload.booking_draft.duration_minutes, 180);
+assert.equal(payload.booking_draft.line_user_id, "U1");
+
+const pricing = parsePricingRequest("เรทเท่าไหร่ครับ พรุ่งนี้ 3 ชม.");
+assert.equal(pricing.duration, "3");
+assert.equal(pricing.duration_hours, 3);
+
+console.log("thai booking extraction tests passed");
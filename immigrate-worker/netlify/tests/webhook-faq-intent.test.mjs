@@ -2,6 +2,7 @@ import assert from "node:assert/strict";
 import {
   buildFaqReply,
   choosePricingReplyStrategy,
+  faqRichReply,
   inferFaqIntent,
   inferIntent,
   shouldAutoReplyForIntent,
@@ -52,4 +53,14 @@ assert.equal(choosePricingReplyStrategy({}), "generic_pricing_ack");
 assert.equal(shouldAutoReplyForIntent("pricing_review"), true);
 assert.equal(shouldAutoReplyForIntent("model_availability"), true);
 
+// "become a member" gets the packages and, when configured, the sign-up link
+const membership = buildFaqReply("membership", "", { membership_url: "https://members.example/join" });
+assert.match(membership, /Standard/);
+assert.match(membership, /Premium/);
+assert.match(membership, /https:\/\/members\.example\/join/);
+assert.doesNotMatch(buildFaqReply("membership", "", {}), /https?:/);
+const membershipRich = faqRichReply("membership", membership);
+assert.equal(membershipRich.card.title, "สมัครสมาชิก");
+assert.equal(membershipRich.quickReplies.includes("become_member"), false);
+
 console.log("webhook FAQ/pricing intent tests passed");
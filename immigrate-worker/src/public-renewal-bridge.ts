@@ -1,7 +1,8 @@
 import type { Env } from "./types";
 import { json, makeMeta } from "./lib/response";
 
-const VIP_POINTS_REQUIRED = 1200;
+// Fallback only; payments-worker POINTS_TIER_THRESHOLDS is the source of truth (set VIP_POINTS_REQUIRED to match).
+const VIP_POINTS_REQUIRED_DEFAULT = 1200;
 const POINT_THB_RATE = 100;
 
 function toStr(value: unknown): string {
@@ -13,6 +14,10 @@ function toNum(value: unknown): number | null {
   return Number.isFinite(n) ? n : null;
 }
 
+function vipPointsRequired(env: Env): number {
+  return toNum(env.VIP_POINTS_REQUIRED) || VIP_POINTS_REQUIRED_DEFAULT;
+}
+
 function publicCors(request: Request, env: Env): Headers {
   const headers = new Headers();
   const allowed = String(
@@ -119,7 +124,7 @@ export async function handlePublicPointsTopup(request: Request, env: Env): Promi
     payment_type: "points_topup",
     points_to_add: pointsShortfall,
     amount_thb: amountThb,
-    points_required: toNum(body.points_required) || VIP_POINTS_REQUIRED,
+    points_required: toNum(body.points_required) || vipPointsRequired(env),
     points_action: "points_topup_required",
   };
 
@@ -180,7 +185,7 @@ export async function handlePublicActivateVip(request: Request, env: Env): Promi
   }
 
   const pointsBalance = toNum(body.points_balance);
-  const pointsToDeduct = toNum(body.points_to_deduct ?? body.points_required) || VIP_POINTS_REQUIRED;
+  const pointsToDeduct = toNum(body.points_to_deduct ?? body.points_required) || vipPointsRequired(env);
 
   if (pointsBalance !== null && pointsBalance < pointsToDeduct) {
     return publicJson(request, env, {
@@ -11,6 +11,7 @@ export interface Env {
   AIRTABLE_TABLE_SESSIONS?: string;
   AIRTABLE_TABLE_PAYMENTS?: string;
   AIRTABLE_TABLE_POINTS_LEDGER?: string;
+  VIP_POINTS_REQUIRED?: string;
   ENABLE_AIRTABLE_SYNC?: string;
   JOBS_WORKER_BASE_URL?: string;
   CREATE_LINKS_URL?: string;
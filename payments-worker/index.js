@@ -4,6 +4,21 @@
  * =========================================================
  */
 
+import {
+  buildStatement,
+  expiryBatch,
+  normalizeLedgerRows,
+  parseTierThresholds,
+  planRedemption,
+  statementToCsv,
+  summarizeLedger,
+  tierForPoints,
+  tierUpgradeTarget,
+} from "./lib/points.js";
+import { evaluatePromotion, normalizePromoCode, normalizePromotion, redemptionSlot } from "./lib/promotions.js";
+import { createSlipVerifier, matchSlip, parseReceiverIds, slipVerifierMode } from "./lib/slip-verifier.js";
+import { telegramEnqueue, telegramSendMessage } from "./lib/telegram.js";
+
 const LOCK = "payments-production-v10-clean";
 const AIRTABLE_API = "https://api.airtable.com/v0";
 
@@ -143,6 +158,37 @@ function stageEligibleForPoints(stage) {
   return ["deposit", "full", "membership"].includes(stage);
 }
 
+function isRefundableStatus(status) {
+  return ["success", "paid", "verified", "partially_refunded"].includes(toStr(status).toLowerCase());
+}
+
+/**
+ * Work out one refund against an original payment. Points are reversed pro rata to the
+ * cumulative refunded share, minus whatever earlier refunds already reversed.
+ */
+export function planRefund({ original_amount, refunded_before, requested, points_earned, points_reversed_before }) {
+  const remaining = Math.max(0, original_amount - refunded_before);
+  if (remaining <= 0) return { ok: false, error: "payment_already_fully_refunded" };
+
+  const amount = requested == null ? remaining : requested;
+  if (amount > remaining) return { ok: false, error: "refund_exceeds_remaining", remaining_thb: remaining };
+
+  const refunded_after = refunded_before + amount;
+  const full = refunded_after >= original_amount;
+  const reversible = full
+    ? points_earned
+    : Math.floor((points_earned * refunded_after) / original_amount);
+
+  return {
+    ok: true,
+    amount,
+    refunded_after,
+    remaining_after: Math.max(0, original_amount - refunded_after),
+    full,
+    points_to_reverse: Math.max(0, reversible - points_reversed_before),
+  };
+}
+
 function truthy(v) {
   return v === true || v === "true" || v === 1 || v === "1";
 }
@@ -289,15 +335,12 @@ async function createSessionIfMissing(env, payload) {
 /* -------------------------------------------------- */
 /* telegram */
 /* -------------------------------------------------- */
-async function telegramSend(env, text, threadId = null) {
-  const token = toStr(env.TELEGRAM_BOT_TOKEN);
+// Queued through telegram-worker's outbox when TELEGRAM_OUTBOX_URL is set (dedupe, 429 back-off, retries,
+// dead letters); direct one-shot send otherwise or when the outbox cannot be reached.
+async function telegramSend(env, text, threadId = null, { replyMarkup = null, dedupeKey = "" } = {}) {
   const chatId = toStr(env.TELEGRAM_CHAT_ID || "-1003546439681");
   const thread = toStr(threadId || env.TG_THREAD_CONFIRM || "61");
 
-  if (!token) {
-    return { ok: false, skipped: true, reason: "missing_telegram_bot_token" };
-  }
-
   const body = {
     chat_id: chatId,
     text: toStr(text),
@@ -306,15 +349,33 @@ async function telegramSend(env, text, threadId = null) {
   };
 
   if (thread) body.message_thread_id = Number(thread);
+  if (replyMarkup) body.reply_markup = replyMarkup;
 
-  const res = await fetch(`https://api.telegram.org/bot${token}/sendMessage`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(body),
-  });
+  if (toStr(env.TELEGRAM_OUTBOX_URL)) {
+    const queued = await telegramEnqueue(body, env, dedupeKey);
+    if (queued.ok) return queued;
+  }
 
-  const data = await res.json().catch(() => ({}));
-  return { ok: res.ok, status: res.status, data };
+  if (!toStr(env.TELEGRAM_BOT_TOKEN)) {
+    return { ok: false, skipped: true, reason: "missing_telegram_bot_token" };
+  }
+  return telegramSendMessage(env, body);
+}
+
+// Inline buttons on a manual-review intent; taps land on admin-worker /v1/admin/telegram/callback
+// (via telegram-worker's webhook), which calls /v1/payments/notify or /v1/payments/reject.
+// callback_data is capped at 64 bytes by Telegram, so long custom refs get no buttons.
+function paymentIntentKeyboard(paymentRef) {
+  const ref = toStr(paymentRef);
+  if (!/^[A-Za-z0-9_.:-]{1,58}$/.test(ref)) return null;
+  return {
+    inline_keyboard: [
+      [
+        { text: "✅ Verify payment", callback_data: `pi:v:${ref}` },
+        { text: "❌ Reject slip", callback_data: `pi:r:${ref}` },
+      ],
+    ],
+  };
 }
 
 /* -------------------------------------------------- */
@@ -344,6 +405,18 @@ function getPointsLedgerTable(env) {
   return toStr(env.AIRTABLE_TABLE_POINTS_LEDGER || "points_ledger");
 }
 
+function getMembersTable(env) {
+  return toStr(env.AIRTABLE_TABLE_MEMBERS || "members");
+}
+
+function getPromotionsTable(env) {
+  return toStr(env.AIRTABLE_TABLE_PROMOTIONS || "promotions");
+}
+
+function getPromoRedemptionsTable(env) {
+  return toStr(env.AIRTABLE_TABLE_PROMO_REDEMPTIONS || "promo_redemptions");
+}
+
 async function airtableFetch(env, path, init = {}) {
   const apiKey = getAirtableApiKey(env);
   const baseId = getAirtableBaseId(env);
@@ -376,6 +449,26 @@ async function airtableFindFirstByFormula(env, table, formula) {
   return data?.records?.[0] || null;
 }
 
+async function airtableListByFormula(env, table, formula, fields = [], maxPages = 10) {
+  const records = [];
+  let offset = "";
+  for (let i = 0; i < maxPages; i += 1) {
+    const params = new URLSearchParams({ pageSize: "100", filterByFormula: formula });
+    fields.forEach((f) => params.append("fields[]", f));
+    if (offset) params.set("offset", offset);
+    const data = await airtableFetch(env, `${encodeURIComponent(table)}?${params.toString()}`, { method: "GET" });
+    records.push(...(data?.records || []));
+    offset = toStr(data?.offset);
+    if (!offset) break;
+  }
+  return records;
+}
+
+async function airtableCountByFormula(env, table, formula) {
+  const records = await airtableListByFormula(env, table, formula, ["payment_ref"]);
+  return records.length;
+}
+
 async function airtableCreate(env, table, fields) {
   const data = await airtableFetch(env, encodeURIComponent(table), {
     method: "POST",
@@ -384,6 +477,10 @@ async function airtableCreate(env, table, fields) {
   return data?.records?.[0] || null;
 }
 
+async function airtableDelete(env, table, recordId) {
+  return airtableFetch(env, `${encodeURIComponent(table)}/${encodeURIComponent(recordId)}`, { method: "DELETE" });
+}
+
 async function airtablePatch(env, table, recordId, fields) {
   const data = await airtableFetch(env, `${encodeURIComponent(table)}/${encodeURIComponent(recordId)}`, {
     method: "PATCH",
@@ -421,6 +518,214 @@ async function findPointLedgerByPaymentRef(env, paymentRef) {
   return airtableFindFirstByFormula(env, table, formula);
 }
 
+async function findPaymentBySlipTransRef(env, transRef) {
+  const table = getPaymentsTable(env);
+  const formula = `{slip_trans_ref}='${encodeFormulaValue(transRef)}'`;
+  return airtableFindFirstByFormula(env, table, formula);
+}
+
+async function listRefundsForPayment(env, paymentRef) {
+  const formula = `{refund_of}='${encodeFormulaValue(paymentRef)}'`;
+  return airtableListByFormula(env, getPaymentsTable(env), formula);
+}
+
+async function listPointReversalsForPayment(env, paymentRef) {
+  const formula = `AND({refund_of}='${encodeFormulaValue(paymentRef)}',{type}='reversal')`;
+  return airtableListByFormula(env, getPointsLedgerTable(env), formula);
+}
+
+async function listPaidPaymentsForSession(env, sessionId) {
+  const formula =
+    `AND(` +
+    `{session_id}='${encodeFormulaValue(sessionId)}',` +
+    `OR({Payment Status}='success',{Payment Status}='paid',{Payment Status}='verified',` +
+    `{Payment Status}='partially_refunded',{Payment Status}='refunded')` +
+    `)`;
+  return airtableListByFormula(env, getPaymentsTable(env), formula);
+}
+
+/* -------------------------------------------------- */
+/* promotions */
+/* -------------------------------------------------- */
+async function findPromotionByCode(env, code) {
+  const formula = `{code}='${encodeFormulaValue(code)}'`;
+  return airtableFindFirstByFormula(env, getPromotionsTable(env), formula);
+}
+
+async function findPromoRedemptionByPaymentRef(env, paymentRef) {
+  const formula = `{payment_ref}='${encodeFormulaValue(paymentRef)}'`;
+  return airtableFindFirstByFormula(env, getPromoRedemptionsTable(env), formula);
+}
+
+// Tier comes from the member record, never from the request.
+async function memberTierFor(env, memberEmail) {
+  if (!toStr(memberEmail)) return "";
+  const member = await findMemberByEmail(env, memberEmail);
+  return toStr(member?.fields?.[pointsConfig(env).tierField]);
+}
+
+async function checkPromotion(env, { code, amount, payment_stage, member_email, now = Date.now() }) {
+  const record = await findPromotionByCode(env, code);
+  if (!record?.id) return { promo: null, result: { valid: false, reason: "not_found" } };
+
+  const member_tier = await memberTierFor(env, member_email);
+
+  const promo = normalizePromotion(record.fields);
+  const table = getPromoRedemptionsTable(env);
+  const byCode = `{code}='${encodeFormulaValue(code)}'`;
+
+  const total_redemptions = promo.max_redemptions ? await airtableCountByFormula(env, table, byCode) : 0;
+  const member_redemptions =
+    promo.per_member_limit && member_email
+      ? await airtableCountByFormula(
+          env,
+          table,
+          `AND(${byCode},LOWER({member_email})='${encodeFormulaValue(member_email.toLowerCase())}')`
+        )
+      : 0;
+
+  return {
+    promo,
+    record_id: record.id,
+    member_tier,
+    redemption_count: toNum(record.fields?.redemption_count) || 0,
+    result: evaluatePromotion(promo, {
+      amount,
+      payment_stage,
+      member_email,
+      member_tier,
+      now,
+      total_redemptions,
+      member_redemptions,
+    }),
+  };
+}
+
+// Client-claimed promo on /v1/pay/verify => the discount the server agrees to (throws when it does not).
+async function validateClaimedPromo(env, { promo_code, claimed_discount, amount, payment_stage, member_email }) {
+  const { result } = await checkPromotion(env, {
+    code: promo_code,
+    amount: amount + claimed_discount,
+    payment_stage,
+    member_email,
+  });
+  if (!result.valid) throw new Error(`promo_${result.reason}`);
+  if (Math.abs(result.discount_amount - claimed_discount) > 0.009) throw new Error("promo_discount_mismatch");
+  return result.discount_amount;
+}
+
+async function recordPromoRedemption(env, payload) {
+  if (!payload.promo_code) return { ok: true, skipped: true, reason: "no_promo_code" };
+
+  const existing = await findPromoRedemptionByPaymentRef(env, payload.payment_ref);
+  if (existing?.id) return { ok: true, duplicate: true, record_id: existing.id };
+
+  // re-check window, stage, tier and limits; the time window is judged at the payment intent's time
+  const check = await checkPromotion(env, {
+    code: payload.promo_code,
+    amount: payload.original_amount_thb,
+    payment_stage: payload.stage,
+    member_email: payload.member_email,
+    now: Date.parse(toStr(payload.applied_at)) || Date.now(),
+  });
+  if (!check.promo) return { ok: false, skipped: true, reason: "promotion_not_found" };
+  if (!check.result.valid) return { ok: false, skipped: true, reason: check.result.reason };
+  if (Math.abs(check.result.discount_amount - (toNum(payload.discount_thb) || 0)) > 0.009) {
+    return { ok: false, skipped: true, reason: "discount_mismatch", expected_discount_thb: check.result.discount_amount };
+  }
+
+  const table = getPromoRedemptionsTable(env);
+  const created = await airtableCreate(env, table, compact({
+    code: payload.promo_code,
+    payment_ref: payload.payment_ref,
+    session_id: payload.session_id || "",
+    member_email: payload.member_email || "",
+    member_tier: check.member_tier || "",
+    payment_stage: payload.stage,
+    original_amount_thb: payload.original_amount_thb,
+    discount_thb: payload.discount_thb,
+    paid_thb: payload.amount_thb,
+    redeemed_at: nowIso(),
+  }));
+
+  // the limit check above and this write are not atomic: read the ledger back and give up the slot if a
+  // concurrent redemption got there first
+  const rows = (
+    await airtableListByFormula(env, table, `{code}='${encodeFormulaValue(payload.promo_code)}'`, ["payment_ref", "member_email", "redeemed_at"], 100)
+  ).map((r) => ({ id: r.id, payment_ref: r.fields?.payment_ref, member_email: r.fields?.member_email, created_at: r.createdTime || r.fields?.redeemed_at }));
+  const slot = redemptionSlot(check.promo, rows, payload.payment_ref);
+  if (!slot.keep) {
+    if (created?.id) await airtableDelete(env, table, created.id);
+    return { ok: false, skipped: true, reason: slot.reason };
+  }
+
+  await airtablePatch(env, getPromotionsTable(env), check.record_id, {
+    redemption_count: slot.total,
+    last_redeemed_at: nowIso(),
+  });
+
+  return { ok: true, recorded: true, record_id: created?.id || null };
+}
+
+/* -------------------------------------------------- */
+/* slip verification */
+/* -------------------------------------------------- */
+function expectedAmountForStage(fields, stage) {
+  const staged = toNum(fields?.[`${stage}_thb`] ?? fields?.[`${stage}_amount_thb`]);
+  if (staged) return staged;
+
+  const sessionStage = toStr(fields?.payment_type).toLowerCase();
+  if (!sessionStage || sessionStage === stage) return toNum(fields?.amount_thb);
+  return null;
+}
+
+async function runSlipVerification(env, payload) {
+  const verifier = createSlipVerifier(env);
+  if (!verifier) {
+    return { status: "manual_review", source: "off", reasons: ["slip_verifier_off"], slip: null };
+  }
+  if (!payload.receipt_url && !payload.qr_payload) {
+    return { status: "manual_review", source: verifier.name, reasons: ["slip_missing"], slip: null };
+  }
+
+  const result = await verifier.verify({
+    receipt_url: payload.receipt_url,
+    qr_payload: payload.qr_payload,
+  });
+  if (!result.ok) {
+    return { status: "manual_review", source: result.source, reasons: [result.error], slip: null };
+  }
+
+  const slip = result.slip;
+  const session = payload.session_id
+    ? await findSessionBySessionId(env, payload.session_id).catch(() => null)
+    : null;
+
+  // a validated promo discount comes off the session's amount for the stage
+  const stageAmount = expectedAmountForStage(session?.fields, payload.payment_stage);
+  const match = matchSlip(slip, {
+    amount_thb: stageAmount != null && payload.discount_thb ? stageAmount - payload.discount_thb : stageAmount,
+    request_amount_thb: payload.amount,
+    receiver_ids: parseReceiverIds(env.PROMPTPAY_RECEIVER_IDS),
+    not_before: session?.fields?.created_at || "",
+    max_age_hours: toNum(env.SLIP_MAX_AGE_HOURS) || 48,
+  });
+
+  const reasons = [...match.reasons];
+  if (slip.trans_ref) {
+    const used = await findPaymentBySlipTransRef(env, slip.trans_ref);
+    if (used?.id && toStr(used.fields?.payment_ref) !== payload.payment_ref) reasons.push("slip_already_used");
+  }
+  if (!session?.id && payload.session_id) reasons.push("session_not_found");
+
+  return {
+    status: reasons.length ? "manual_review" : "verified",
+    source: result.source,
+    reasons: [...new Set(reasons)],
+    slip,
+  };
+}
+
 /* -------------------------------------------------- */
 /* core actions */
 /* -------------------------------------------------- */
@@ -446,6 +751,13 @@ async function createOrUpdatePaymentIntent(env, payload) {
     "Payment Status": payload.payment_status || "pending",
     "Verification Status": payload.verification_status || "pending",
     "Payment Intent Status (AI)": payload.intent_status || "manual_review",
+    verification_source: payload.verification_source,
+    verification_reasons: payload.verification_reasons,
+    slip_trans_ref: payload.slip_trans_ref,
+    verified_at: payload.verified_at,
+    verified_by: payload.verified_by,
+    promo_code: payload.promo_code,
+    discount_thb: payload.discount_thb,
     "Payment Date": payload.paid_at || nowIso(),
     "Created At": payload.created_at || nowIso(),
   });
@@ -520,14 +832,159 @@ async function awardPointsIfEligible(env, payload) {
     created_at: nowIso(),
   });
 
+  let tier_upgrade = { ok: true, skipped: true, reason: "no_member_email" };
+  if (payload.member_email) {
+    try {
+      tier_upgrade = await applyTierUpgrade(env, payload.member_email);
+    } catch (err) {
+      tier_upgrade = { ok: false, error: String(err?.message || err) };
+    }
+  }
+
   return {
     ok: true,
     awarded: true,
     record_id: record?.id || null,
     points,
+    tier_upgrade,
+  };
+}
+
+/* -------------------------------------------------- */
+/* points service */
+/* -------------------------------------------------- */
+function pointsConfig(env) {
+  return {
+    // unset => 365; "0" turns expiry off
+    expiryDays: toStr(env.POINTS_EXPIRY_DAYS) === "" ? 365 : toNum(env.POINTS_EXPIRY_DAYS) ?? 365,
+    thresholds: parseTierThresholds(env.POINTS_TIER_THRESHOLDS),
+    thbPerPoint: toNum(env.POINTS_REDEEM_THB_PER_POINT) || 1,
+    minRedeem: toNum(env.POINTS_REDEEM_MIN) || 0,
+    tierField: toStr(env.MEMBER_TIER_FIELD || "tier"),
   };
 }
 
+function normalizeEmail(v) {
+  return toStr(v).toLowerCase();
+}
+
+async function listLedgerForMember(env, memberEmail) {
+  const formula = `LOWER({member_email})='${encodeFormulaValue(normalizeEmail(memberEmail))}'`;
+  return normalizeLedgerRows(await airtableListByFormula(env, getPointsLedgerTable(env), formula));
+}
+
+async function loadPointsSummary(env, memberEmail, now = Date.now()) {
+  const rows = await listLedgerForMember(env, memberEmail);
+  return { rows, summary: summarizeLedger(rows, { now, expiryDays: pointsConfig(env).expiryDays }) };
+}
+
+async function findMemberByEmail(env, memberEmail) {
+  const formula = `LOWER({email})='${encodeFormulaValue(normalizeEmail(memberEmail))}'`;
+  return airtableFindFirstByFormula(env, getMembersTable(env), formula);
+}
+
+function nextTierInfo(qualifyingPoints, thresholds) {
+  const next = thresholds.find((t) => t.points > qualifyingPoints);
+  return next ? { tier: next.tier, points_required: next.points, points_needed: next.points - qualifyingPoints } : null;
+}
+
+/**
+ * Upgrade-only: move the member's tier up when qualifying points cross a threshold.
+ */
+async function applyTierUpgrade(env, memberEmail) {
+  const cfg = pointsConfig(env);
+  const { summary } = await loadPointsSummary(env, memberEmail);
+
+  const member = await findMemberByEmail(env, memberEmail);
+  if (!member?.id) return { ok: true, skipped: true, reason: "member_not_found" };
+
+  const current = toStr(member.fields?.[cfg.tierField]);
+  const target = tierUpgradeTarget(current, summary.qualifying_points, cfg.thresholds);
+  if (!target) return { ok: true, upgraded: false, tier: current || null };
+
+  await airtablePatch(env, getMembersTable(env), member.id, {
+    [cfg.tierField]: target,
+    tier_upgraded_at: nowIso(),
+  });
+
+  try {
+    await telegramSend(
+      env,
+      [
+        "⭐ <b>TIER UPGRADE</b>",
+        `Member: ${esc(memberEmail)}`,
+        `Tier: <b>${esc(current || "-")}</b> → <b>${esc(target)}</b>`,
+        `Qualifying points: <b>${Number(summary.qualifying_points)}</b>`,
+      ].join("\n"),
+      env.TG_THREAD_POINTS || "17",
+      { dedupeKey: `tier:${memberEmail}:${target}` }
+    );
+  } catch (_) {}
+
+  return { ok: true, upgraded: true, from: current || null, to: target };
+}
+
+// null when the session has no balance field: Airtable leaves empty fields out, and toNum("") is 0
+function sessionOutstandingThb(fields) {
+  const raw = [fields?.balance_thb, fields?.final_thb, fields?.final_amount_thb].find((v) => toStr(v) !== "");
+  const due = raw === undefined ? null : toNum(raw);
+  if (due == null) return null;
+  return Math.max(0, due - (toNum(fields?.points_discount_thb) || 0));
+}
+
+/**
+ * Write `expire` rows for every member holding points past POINTS_EXPIRY_DAYS.
+ * Idempotent per member per day (payment_ref expire_<email>_<YYYYMMDD>).
+ */
+const POINTS_EXPIRY_CURSOR_KEY = "points:expiry_cursor";
+
+async function runPointsExpiry(env, { dryRun = false, limit = 50, now = Date.now() } = {}) {
+  const { expiryDays } = pointsConfig(env);
+  if (!expiryDays || expiryDays <= 0) return { ok: true, skipped: true, reason: "expiry_disabled" };
+
+  const cutoff = new Date(now - expiryDays * 24 * 60 * 60 * 1000).toISOString();
+  const candidates = await airtableListByFormula(
+    env,
+    getPointsLedgerTable(env),
+    `AND({type}='earn',IS_BEFORE({created_at},'${cutoff}'))`,
+    ["member_email"],
+    100
+  );
+  // members are paged through with a cursor so members already written off don't hold the batch forever
+  const kv = env.PAY_SESSIONS_KV || null;
+  const cursor = kv ? toStr(await kv.get(POINTS_EXPIRY_CURSOR_KEY)) : "";
+  const { batch: emails, next_cursor } = expiryBatch(
+    candidates.map((r) => normalizeEmail(r.fields?.member_email)),
+    { cursor, limit }
+  );
+  if (kv && !dryRun) await kv.put(POINTS_EXPIRY_CURSOR_KEY, next_cursor);
+
+  const day = new Date(now).toISOString().slice(0, 10).replace(/-/g, "");
+  const results = [];
+  for (const email of emails) {
+    const { summary } = await loadPointsSummary(env, email, now);
+    if (summary.expire_due <= 0) continue;
+
+    const payment_ref = `expire_${email}_${day}`;
+    if (dryRun) {
+      results.push({ member_email: email, points: summary.expire_due, dry_run: true });
+      continue;
+    }
+    if ((await findPointLedgerByPaymentRef(env, payment_ref))?.id) continue;
+
+    const record = await airtableCreate(env, getPointsLedgerTable(env), {
+      payment_ref,
+      member_email: email,
+      points: -summary.expire_due,
+      type: "expire",
+      created_at: nowIso(),
+    });
+    results.push({ member_email: email, points: summary.expire_due, record_id: record?.id || null });
+  }
+
+  return { ok: true, cutoff, cursor, next_cursor, checked: emails.length, expired: results };
+}
+
 /* -------------------------------------------------- */
 /* handlers */
 /* -------------------------------------------------- */
@@ -548,6 +1005,7 @@ async function handlePing(req, env) {
         telegram_chat_id: toStr(env.TELEGRAM_CHAT_ID || "-1003546439681"),
         tg_thread_confirm: toStr(env.TG_THREAD_CONFIRM || "61"),
         tg_thread_points: toStr(env.TG_THREAD_POINTS || "17"),
+        slip_verifier: slipVerifierMode(env),
       },
     })
   );
@@ -565,8 +1023,10 @@ async function handleVerify(req, env) {
     const package_code = toStr(body.package_code || body.package);
     const notes = toStr(body.notes || body.note);
     const receipt_url = toStr(body.receipt_url || body.slip_url);
-    const paid_at = toStr(body.paid_at || nowIso());
+    // submission time; a verified payment takes the bank's transfer time from the slip instead
+    const paid_at = nowIso();
     const payment_ref = toStr(body.payment_ref || body.transaction_ref || makePaymentRef("pay"));
+    const promo_code = normalizePromoCode(body.promo_code);
     const verify_strict = truthy(env.VERIFY_STRICT);
 
     const duplicateByRef = await findPaymentByPaymentRef(env, payment_ref);
@@ -603,6 +1063,51 @@ async function handleVerify(req, env) {
       );
     }
 
+    const discount_thb = promo_code
+      ? await validateClaimedPromo(env, {
+          promo_code,
+          claimed_discount: toNum(body.discount_amount ?? body.discount_thb) || 0,
+          amount,
+          payment_stage,
+          member_email,
+        })
+      : null;
+
+    let verification = await runSlipVerification(env, {
+      session_id,
+      payment_stage,
+      payment_ref,
+      receipt_url,
+      qr_payload: toStr(body.slip_qr_payload || body.qr_payload),
+      amount,
+      discount_thb,
+    });
+
+    // a discounted slip auto-verifies only once its redemption is recorded (limits re-checked there, slot
+    // given up on a lost race); otherwise it waits for a human like any other mismatch
+    let promo_redemption = { ok: true, skipped: true, reason: promo_code ? "not_verified" : "no_promo_code" };
+    if (verification.status === "verified" && promo_code) {
+      promo_redemption = await recordPromoRedemption(env, {
+        promo_code,
+        payment_ref,
+        stage: payment_stage,
+        session_id,
+        member_email,
+        amount_thb: amount,
+        discount_thb,
+        original_amount_thb: amount + (discount_thb || 0),
+        applied_at: nowIso(),
+      });
+      if (!promo_redemption.ok) {
+        verification = {
+          ...verification,
+          status: "manual_review",
+          reasons: [...verification.reasons, `promo_${promo_redemption.reason}`],
+        };
+      }
+    }
+    const verified = verification.status === "verified";
+
     const paymentWrite = await createOrUpdatePaymentIntent(env, {
       session_id,
       payment_stage,
@@ -612,27 +1117,62 @@ async function handleVerify(req, env) {
       package_code,
       notes,
       receipt_url,
-      paid_at,
+      paid_at: verified && verification.slip?.paid_at ? verification.slip.paid_at : paid_at,
       payment_ref,
-      payment_status: "pending",
-      verification_status: "pending",
-      intent_status: receipt_url ? "manual_slip_submitted" : "manual_review",
+      payment_status: verified ? "paid" : "pending",
+      verification_status: verification.status,
+      intent_status: verified ? "auto_verified" : receipt_url ? "manual_slip_submitted" : "manual_review",
+      verification_source: verification.source,
+      verification_reasons: verification.reasons.join(", "),
+      slip_trans_ref: verification.slip?.trans_ref || undefined,
+      verified_at: verified ? nowIso() : undefined,
+      promo_code: promo_code || undefined,
+      discount_thb: discount_thb ?? undefined,
       created_at: nowIso(),
     });
 
+    const session_updated = verified
+      ? await updateSessionFromPayment(env, {
+          payment_ref,
+          stage: payment_stage,
+          session_id,
+          amount_thb: amount,
+          member_email,
+          package_code,
+          receipt_url,
+          paid_at: verification.slip?.paid_at || paid_at,
+        })
+      : { ok: false, skipped: true, reason: "not_verified" };
+
+    const points_ledger = verified
+      ? await awardPointsIfEligible(env, {
+          payment_ref,
+          stage: payment_stage,
+          session_id,
+          amount_thb: amount,
+          member_email,
+          package_code,
+        })
+      : { ok: true, skipped: true, reason: "not_verified" };
+
     try {
       await telegramSend(
         env,
         [
-          "🧾 <b>PAYMENT INTENT CREATED</b>",
+          verified ? "✅ <b>SLIP AUTO-VERIFIED</b>" : "🧾 <b>PAYMENT INTENT CREATED</b>",
           `Session: <code>${esc(session_id)}</code>`,
           `Stage: <b>${esc(payment_stage)}</b>`,
           `Amount: <b>${Number(amount || 0)} THB</b>`,
           `Payment Ref: <code>${esc(payment_ref)}</code>`,
           package_code ? `Package: <b>${esc(package_code)}</b>` : "",
           member_email ? `Member: ${esc(member_email)}` : "",
+          verified ? "" : `Review: <b>manual_review</b> (${esc(verification.reasons.join(", "))})`,
         ].filter(Boolean).join("\n"),
-        env.TG_THREAD_CONFIRM || "61"
+        env.TG_THREAD_CONFIRM || "61",
+        {
+          replyMarkup: verified ? null : paymentIntentKeyboard(payment_ref),
+          dedupeKey: `intent:${payment_ref}:${verification.status}`,
+        }
       );
     } catch (_) {}
 
@@ -647,8 +1187,16 @@ async function handleVerify(req, env) {
         amount,
         payment_method,
         payment_write: paymentWrite,
-        status: "pending",
-        verification_status: "pending",
+        status: verified ? "paid" : "pending",
+        verification_status: verification.status,
+        verification: {
+          source: verification.source,
+          reasons: verification.reasons,
+          slip: verification.slip,
+        },
+        session_updated,
+        points_ledger,
+        promo_redemption,
       })
     );
   } catch (err) {
@@ -669,14 +1217,40 @@ async function handleNotify(req, env) {
 
   try {
     const payment_ref = toStr(assertRequired(body.payment_ref || body.transaction_ref, "payment_ref"));
-    const stage = normalizeStage(body.stage || body.payment_stage || body.payment_type || "deposit");
-    const session_id = toStr(body.session_id);
-    const amount_thb = ensurePositiveNumber(body.amount_thb || body.amount, "amount_thb");
-    const member_email = toStr(body.member_email || body.email);
-    const package_code = toStr(body.package_code || body.package);
-    const payment_method = toStr(body.payment_method || "promptpay");
-    const receipt_url = toStr(body.receipt_url || body.slip_url);
+
+    // anything the caller leaves out (e.g. a Telegram "verify payment" tap sends only payment_ref)
+    // falls back to the intent written by /v1/pay/verify.
+    const existingPayment = await findPaymentByPaymentRef(env, payment_ref);
+    const ef = existingPayment?.fields || {};
+
+    // a second verify (e.g. a stale Telegram button) must not reopen a rejected or refunded payment,
+    // nor re-run the session update and points award
+    const current_status = toStr(ef["Payment Status"]).toLowerCase();
+    if (["success", "paid", "verified"].includes(current_status)) {
+      return withCors(req, env, jsonResponse({ ok: true, idempotent: true, payment_ref, payment_status: current_status }));
+    }
+    if (["rejected", "refunded", "partially_refunded"].includes(current_status)) {
+      return withCors(
+        req,
+        env,
+        jsonResponse({ ok: false, error: "payment_not_verifiable", payment_ref, payment_status: current_status }, 409)
+      );
+    }
+    const stage = normalizeStage(body.stage || body.payment_stage || body.payment_type || ef.payment_type || ef.payment_stage || "deposit");
+    const session_id = toStr(body.session_id || ef.session_id);
+    const amount_thb = ensurePositiveNumber(body.amount_thb || body.amount || ef.amount_thb || ef.amount, "amount_thb");
+    const member_email = toStr(body.member_email || body.email || ef.member_email);
+    const package_code = toStr(body.package_code || body.package || ef.package_code);
+    const payment_method = toStr(body.payment_method || ef["Payment Method"] || "promptpay");
+    const receipt_url = toStr(body.receipt_url || body.slip_url || ef.receipt_url);
     const paid_at = toStr(body.paid_at || nowIso());
+    const verified_by = toStr(body.verified_by || body.actor);
+
+    // promo applied at verify time lives on the payment record; notify may also pass it explicitly.
+    const promo_code = normalizePromoCode(body.promo_code || existingPayment?.fields?.promo_code);
+    const discount_thb = promo_code
+      ? toNum(body.discount_amount ?? body.discount_thb ?? existingPayment?.fields?.discount_thb) || 0
+      : null;
 
     const paymentWrite = await createOrUpdatePaymentIntent(env, {
       session_id,
@@ -691,9 +1265,27 @@ async function handleNotify(req, env) {
       payment_status: "paid",
       verification_status: "verified",
       intent_status: receipt_url ? "manual_slip_submitted" : "manual_review",
+      verified_by: verified_by || undefined,
+      verified_at: verified_by ? nowIso() : undefined,
+      promo_code: promo_code || undefined,
+      discount_thb: discount_thb ?? undefined,
       created_at: nowIso(),
     });
 
+    const promo_redemption = promo_code
+      ? await recordPromoRedemption(env, {
+          promo_code,
+          payment_ref,
+          stage,
+          session_id,
+          member_email,
+          amount_thb,
+          discount_thb,
+          original_amount_thb: amount_thb + (discount_thb || 0),
+          applied_at: toStr(ef.created_at),
+        })
+      : { ok: true, skipped: true, reason: "no_promo_code" };
+
     const session_updated = session_id
       ? await updateSessionFromPayment(env, {
           payment_ref,
@@ -727,9 +1319,12 @@ async function handleNotify(req, env) {
           package_code ? `Package: <b>${esc(package_code)}</b>` : "",
           amount_thb ? `Amount: <b>${Number(amount_thb)} THB</b>` : "",
           member_email ? `Member: ${esc(member_email)}` : "",
+          verified_by ? `Verified by: <b>${esc(verified_by)}</b>` : "",
+          promo_code ? `Promo: <b>${esc(promo_code)}</b> (-${Number(discount_thb || 0)} THB)` : "",
           session_updated?.ok ? "Session updated: <b>yes</b>" : "Session updated: <b>no</b>",
         ].filter(Boolean).join("\n"),
-        env.TG_THREAD_CONFIRM || "61"
+        env.TG_THREAD_CONFIRM || "61",
+        { dedupeKey: `paid:${payment_ref}` }
       );
     } catch (_) {}
 
@@ -744,7 +1339,8 @@ async function handleNotify(req, env) {
             amount_thb ? `Amount: <b>${Number(amount_thb)} THB</b>` : "",
             member_email ? `Member: ${esc(member_email)}` : "",
           ].filter(Boolean).join("\n"),
-          env.TG_THREAD_POINTS || "17"
+          env.TG_THREAD_POINTS || "17",
+          { dedupeKey: `points:${payment_ref}` }
         );
       } catch (_) {}
     }
@@ -761,6 +1357,7 @@ async function handleNotify(req, env) {
         payment_write: paymentWrite,
         session_updated,
         points_ledger,
+        promo_redemption,
       })
     );
   } catch (err) {
@@ -909,21 +1506,246 @@ async function handleConfirmLink(req, env) {
   }
 }
 
+async function handleRefund(req, env) {
+  if (!isInternalAuthed(req, env)) {
+    return withCors(req, env, jsonResponse({ ok: false, error: "unauthorized" }, 401));
+  }
+
+  const body = await readJson(req);
+
+  try {
+    const payment_ref = toStr(assertRequired(body.payment_ref || body.transaction_ref, "payment_ref"));
+    const reason = toStr(assertRequired(body.reason, "reason"));
+    const requested = body.amount_thb == null && body.amount == null
+      ? null
+      : ensurePositiveNumber(body.amount_thb ?? body.amount, "amount_thb");
+    const refund_ref = toStr(body.refund_ref || body.idempotency_key || makePaymentRef("refund"));
+    const refunded_by = toStr(body.refunded_by || body.actor || "admin");
+
+    const duplicate = await findPaymentByPaymentRef(env, refund_ref);
+    if (duplicate?.id) {
+      return withCors(
+        req,
+        env,
+        jsonResponse({
+          ok: true,
+          duplicated: true,
+          idempotent: true,
+          reason: "refund_ref_already_exists",
+          refund_ref,
+          payment_ref,
+          existing_record_id: duplicate.id,
+        })
+      );
+    }
+
+    const original = await findPaymentByPaymentRef(env, payment_ref);
+    if (!original?.id) throw new Error("payment_not_found");
+
+    const of = original.fields || {};
+    if (toStr(of.payment_type) === "refund") throw new Error("cannot_refund_a_refund");
+    if (!isRefundableStatus(of["Payment Status"])) throw new Error("payment_not_refundable");
+
+    const original_amount = toNum(of.amount_thb ?? of.amount) || 0;
+    if (original_amount <= 0) throw new Error("original_amount_unknown");
+
+    const session_id = toStr(of.session_id);
+    const stage = toStr(of.payment_type || of.payment_stage);
+    const member_email = toStr(of.member_email);
+
+    const previousRefunds = await listRefundsForPayment(env, payment_ref);
+    const refunded_before = previousRefunds.reduce((sum, r) => sum + Math.abs(toNum(r.fields?.amount_thb) || 0), 0);
+
+    const earned = await findPointLedgerByPaymentRef(env, payment_ref);
+    const points_earned = Math.max(0, toNum(earned?.fields?.points) || 0);
+    const previousReversals = points_earned ? await listPointReversalsForPayment(env, payment_ref) : [];
+    const points_reversed_before = previousReversals.reduce((sum, r) => sum + Math.abs(toNum(r.fields?.points) || 0), 0);
+
+    const plan = planRefund({ original_amount, refunded_before, requested, points_earned, points_reversed_before });
+    if (!plan.ok) {
+      return withCors(req, env, jsonResponse({ ok: false, payment_ref, ...plan }, 409));
+    }
+
+    const refunded_at = nowIso();
+
+    // negative ledger entry, linked to the original payment
+    const refundRecord = await airtableCreate(env, getPaymentsTable(env), compact({
+      payment_ref: refund_ref,
+      refund_of: payment_ref,
+      session_id,
+      payment_stage: "refund",
+      payment_type: "refund",
+      amount_thb: -plan.amount,
+      amount: -plan.amount,
+      member_email,
+      package_code: toStr(of.package_code),
+      notes: reason,
+      refund_reason: reason,
+      refunded_by,
+      "Payment Method": toStr(of["Payment Method"] || "promptpay"),
+      "Payment Status": "refunded",
+      "Payment Date": refunded_at,
+      "Created At": refunded_at,
+    }));
+
+    await airtablePatch(env, getPaymentsTable(env), original.id, {
+      "Payment Status": plan.full ? "refunded" : "partially_refunded",
+      refunded_thb: plan.refunded_after,
+      refunded_at,
+    });
+
+    let session_updated = { ok: false, skipped: true, reason: "missing_session_id" };
+    if (session_id) {
+      const session = await findSessionBySessionId(env, session_id);
+      if (session?.id) {
+        const rows = await listPaidPaymentsForSession(env, session_id);
+        const net_paid_thb = rows.reduce((sum, r) => sum + (toNum(r.fields?.amount_thb) || 0), 0);
+        const refunded_thb = rows.reduce((sum, r) => {
+          const amt = toNum(r.fields?.amount_thb) || 0;
+          return amt < 0 ? sum + Math.abs(amt) : sum;
+        }, 0);
+        const fully_refunded = net_paid_thb <= 0;
+
+        await airtablePatch(env, getSessionsTable(env), session.id, compact({
+          paid_total_thb: net_paid_thb,
+          refunded_thb,
+          last_refund_ref: refund_ref,
+          refunded_at,
+          "Payment Status": fully_refunded ? "refunded" : "partially_refunded",
+          status: fully_refunded ? "refunded" : undefined,
+          "Session Status": fully_refunded ? "refunded" : undefined,
+        }));
+        session_updated = { ok: true, session_record_id: session.id, paid_total_thb: net_paid_thb, refunded_thb };
+      } else {
+        session_updated = { ok: false, skipped: true, reason: "session_not_found" };
+      }
+    }
+
+    let points_clawback = { ok: true, skipped: true, reason: points_earned ? "nothing_to_reverse" : "no_points_awarded" };
+    if (plan.points_to_reverse > 0) {
+      const reversal = await airtableCreate(env, getPointsLedgerTable(env), {
+        payment_ref: refund_ref,
+        refund_of: payment_ref,
+        session_id,
+        member_email,
+        package_code: toStr(of.package_code),
+        amount_thb: -plan.amount,
+        points: -plan.points_to_reverse,
+        type: "reversal",
+        payment_type: stage,
+        created_at: refunded_at,
+      });
+      points_clawback = { ok: true, reversed: true, record_id: reversal?.id || null, points: -plan.points_to_reverse };
+    }
+
+    try {
+      await telegramSend(
+        env,
+        [
+          plan.full ? "↩️ <b>PAYMENT REFUNDED</b>" : "↩️ <b>PARTIAL REFUND</b>",
+          `Ref: <code>${esc(payment_ref)}</code>`,
+          `Refund Ref: <code>${esc(refund_ref)}</code>`,
+          session_id ? `Session: <code>${esc(session_id)}</code>` : "",
+          `Refund: <b>${Number(plan.amount)} THB</b> of ${Number(original_amount)} THB`,
+          `Remaining paid: <b>${Number(plan.remaining_after)} THB</b>`,
+          points_clawback.reversed ? `Points reversed: <b>${Number(points_clawback.points)}</b>` : "",
+          member_email ? `Member: ${esc(member_email)}` : "",
+          `Reason: ${esc(reason)}`,
+          `By: ${esc(refunded_by)}`,
+        ].filter(Boolean).join("\n"),
+        env.TG_THREAD_CONFIRM || "61",
+        { dedupeKey: `refund:${refund_ref}` }
+      );
+    } catch (_) {}
+
+    return withCors(
+      req,
+      env,
+      jsonResponse({
+        ok: true,
+        payment_ref,
+        refund_ref,
+        refund_record_id: refundRecord?.id || null,
+        amount_thb: plan.amount,
+        refunded_total_thb: plan.refunded_after,
+        remaining_thb: plan.remaining_after,
+        full_refund: plan.full,
+        session_updated,
+        points_clawback,
+      })
+    );
+  } catch (err) {
+    return withCors(
+      req,
+      env,
+      jsonResponse({ ok: false, error: String(err?.message || err) }, 400)
+    );
+  }
+}
+
+// Manual review said no: the slip on a pending intent is rejected. Paid payments go through /v1/payments/refund.
+async function handleSlipReject(req, env) {
+  if (!isInternalAuthed(req, env)) {
+    return withCors(req, env, jsonResponse({ ok: false, error: "unauthorized" }, 401));
+  }
+
+  const body = await readJson(req);
+
+  try {
+    const payment_ref = toStr(assertRequired(body.payment_ref || body.transaction_ref, "payment_ref"));
+    const rejected_by = toStr(body.rejected_by || body.actor || "admin");
+    const reason = toStr(body.reason || "slip_rejected");
+
+    const payment = await findPaymentByPaymentRef(env, payment_ref);
+    if (!payment?.id) {
+      return withCors(req, env, jsonResponse({ ok: false, error: "payment_not_found", payment_ref }, 404));
+    }
+
+    const status = toStr(payment.fields?.["Payment Status"]).toLowerCase();
+    if (status === "rejected") {
+      return withCors(req, env, jsonResponse({ ok: true, idempotent: true, payment_ref, payment_status: "rejected" }));
+    }
+    if (isRefundableStatus(status) || status === "refunded") {
+      return withCors(req, env, jsonResponse({ ok: false, error: "payment_already_paid", payment_ref, payment_status: status }, 409));
+    }
+
+    await airtablePatch(env, getPaymentsTable(env), payment.id, {
+      "Payment Status": "rejected",
+      "Verification Status": "rejected",
+      "Payment Intent Status (AI)": "slip_rejected",
+      verification_reasons: reason,
+      rejected_by,
+      rejected_at: nowIso(),
+    });
+
+    return withCors(
+      req,
+      env,
+      jsonResponse({ ok: true, payment_ref, payment_status: "rejected", rejected_by, record_id: payment.id })
+    );
+  } catch (err) {
+    return withCors(
+      req,
+      env,
+      jsonResponse({ ok: false, error: String(err?.message || err) }, 400)
+    );
+  }
+}
+
 async function handlePromoValidate(req, env) {
   const body = await readJson(req);
 
   try {
     const amount = ensurePositiveNumber(body.amount, "amount");
-    const code = toStr(body.code || body.promo_code).toUpperCase();
+    const code = normalizePromoCode(body.code || body.promo_code);
+    const payment_stage = toStr(body.payment_stage || body.payment_type).toLowerCase();
+    const member_email = toStr(body.member_email || body.email);
 
-    const catalog = {
-      SONGKRAN5: { type: "percent", value: 5, active: true },
-      SONGKRAN10: { type: "percent", value: 10, active: true },
-      WELCOME100: { type: "fixed", value: 100, active: true },
-    };
+    const { result } = code
+      ? await checkPromotion(env, { code, amount, payment_stage, member_email })
+      : { result: { valid: false, reason: "not_found" } };
 
-    const promo = catalog[code];
-    if (!promo?.active) {
+    if (!result.valid) {
       return withCors(
         req,
         env,
@@ -931,6 +1753,7 @@ async function handlePromoValidate(req, env) {
           ok: true,
           valid: false,
           code,
+          reason: result.reason,
           amount,
           discount_amount: 0,
           discounted_amount: amount,
@@ -938,10 +1761,6 @@ async function handlePromoValidate(req, env) {
       );
     }
 
-    let discount = 0;
-    if (promo.type === "percent") discount = Math.floor((amount * promo.value) / 100);
-    if (promo.type === "fixed") discount = Math.min(amount, promo.value);
-
     return withCors(
       req,
       env,
@@ -950,8 +1769,8 @@ async function handlePromoValidate(req, env) {
         valid: true,
         code,
         amount,
-        discount_amount: discount,
-        discounted_amount: Math.max(0, amount - discount),
+        discount_amount: result.discount_amount,
+        discounted_amount: result.discounted_amount,
       })
     );
   } catch (err) {
@@ -1034,6 +1853,194 @@ async function handleInternalPay(req, env) {
   );
 }
 
+async function handlePointsBalance(req, env) {
+  if (!isInternalAuthed(req, env)) {
+    return withCors(req, env, jsonResponse({ ok: false, error: "unauthorized" }, 401));
+  }
+
+  try {
+    const url = new URL(req.url);
+    const member_email = normalizeEmail(assertRequired(url.searchParams.get("member_email"), "member_email"));
+    const cfg = pointsConfig(env);
+    const { summary } = await loadPointsSummary(env, member_email);
+
+    return withCors(
+      req,
+      env,
+      jsonResponse({
+        ok: true,
+        member_email,
+        ...summary,
+        tier: {
+          earned_tier: tierForPoints(summary.qualifying_points, cfg.thresholds) || null,
+          next: nextTierInfo(summary.qualifying_points, cfg.thresholds),
+          thresholds: cfg.thresholds,
+        },
+        redeem: { thb_per_point: cfg.thbPerPoint, min_points: cfg.minRedeem },
+      })
+    );
+  } catch (err) {
+    return withCors(req, env, jsonResponse({ ok: false, error: String(err?.message || err) }, 400));
+  }
+}
+
+async function handlePointsRedeem(req, env) {
+  if (!isInternalAuthed(req, env)) {
+    return withCors(req, env, jsonResponse({ ok: false, error: "unauthorized" }, 401));
+  }
+
+  const body = await readJson(req);
+
+  try {
+    const member_email = normalizeEmail(assertRequired(body.member_email || body.email, "member_email"));
+    const session_id = toStr(assertRequired(body.session_id, "session_id"));
+    const redeem_ref = toStr(body.redeem_ref || body.idempotency_key || makePaymentRef("redeem"));
+
+    const duplicate = await findPointLedgerByPaymentRef(env, redeem_ref);
+    if (duplicate?.id) {
+      return withCors(
+        req,
+        env,
+        jsonResponse({
+          ok: true,
+          duplicated: true,
+          idempotent: true,
+          redeem_ref,
+          existing_record_id: duplicate.id,
+          points: Math.abs(toNum(duplicate.fields?.points) || 0),
+        })
+      );
+    }
+
+    const session = await findSessionBySessionId(env, session_id);
+    if (!session?.id) throw new Error("session_not_found");
+
+    const cfg = pointsConfig(env);
+    const { summary } = await loadPointsSummary(env, member_email);
+    const plan = planRedemption({
+      balance: summary.balance,
+      points: body.points,
+      thb_per_point: cfg.thbPerPoint,
+      min_points: cfg.minRedeem,
+      outstanding_thb: sessionOutstandingThb(session.fields),
+    });
+    if (!plan.ok) {
+      return withCors(req, env, jsonResponse({ ok: false, member_email, session_id, ...plan }, 409));
+    }
+
+    const record = await airtableCreate(env, getPointsLedgerTable(env), {
+      payment_ref: redeem_ref,
+      session_id,
+      member_email,
+      amount_thb: -plan.discount_thb,
+      points: -plan.points,
+      type: "redeem",
+      created_at: nowIso(),
+    });
+
+    // two redeems racing on the same balance both pass the check above; whichever finds the balance
+    // negative once its own row is written backs out
+    const { summary: after } = await loadPointsSummary(env, member_email);
+    if (after.balance < 0) {
+      if (record?.id) await airtableDelete(env, getPointsLedgerTable(env), record.id);
+      return withCors(
+        req,
+        env,
+        jsonResponse(
+          { ok: false, member_email, session_id, error: "insufficient_points", balance: Math.max(0, after.balance + plan.points) },
+          409
+        )
+      );
+    }
+
+    await airtablePatch(env, getSessionsTable(env), session.id, {
+      points_redeemed: (toNum(session.fields?.points_redeemed) || 0) + plan.points,
+      points_discount_thb: (toNum(session.fields?.points_discount_thb) || 0) + plan.discount_thb,
+    });
+
+    try {
+      await telegramSend(
+        env,
+        [
+          "🎁 <b>POINTS REDEEMED</b>",
+          `Member: ${esc(member_email)}`,
+          `Session: <code>${esc(session_id)}</code>`,
+          `Points: <b>${Number(plan.points)}</b> → <b>-${Number(plan.discount_thb)} THB</b>`,
+          `Balance: <b>${Number(after.balance)}</b>`,
+        ].join("\n"),
+        env.TG_THREAD_POINTS || "17",
+        { dedupeKey: `redeem:${redeem_ref}` }
+      );
+    } catch (_) {}
+
+    return withCors(
+      req,
+      env,
+      jsonResponse({
+        ok: true,
+        redeem_ref,
+        record_id: record?.id || null,
+        member_email,
+        session_id,
+        points: plan.points,
+        discount_thb: plan.discount_thb,
+        balance_after: after.balance,
+      })
+    );
+  } catch (err) {
+    return withCors(req, env, jsonResponse({ ok: false, error: String(err?.message || err) }, 400));
+  }
+}
+
+async function handlePointsStatement(req, env) {
+  if (!isInternalAuthed(req, env)) {
+    return withCors(req, env, jsonResponse({ ok: false, error: "unauthorized" }, 401));
+  }
+
+  try {
+    const url = new URL(req.url);
+    const member_email = normalizeEmail(assertRequired(url.searchParams.get("member_email"), "member_email"));
+    const { rows, summary } = await loadPointsSummary(env, member_email);
+    const statement = buildStatement(rows);
+
+    if (toStr(url.searchParams.get("format")).toLowerCase() === "csv") {
+      return withCors(
+        req,
+        env,
+        new Response(statementToCsv(statement), {
+          status: 200,
+          headers: {
+            "Content-Type": "text/csv; charset=utf-8",
+            "Content-Disposition": `attachment; filename="points-${member_email.replace(/[^a-z0-9._-]/g, "_")}.csv"`,
+          },
+        })
+      );
+    }
+
+    return withCors(req, env, jsonResponse({ ok: true, member_email, balance: summary.balance, entries: statement }));
+  } catch (err) {
+    return withCors(req, env, jsonResponse({ ok: false, error: String(err?.message || err) }, 400));
+  }
+}
+
+async function handlePointsExpireRun(req, env) {
+  if (!isInternalAuthed(req, env)) {
+    return withCors(req, env, jsonResponse({ ok: false, error: "unauthorized" }, 401));
+  }
+
+  const body = await readJson(req);
+
+  try {
+    const out = await runPointsExpiry(env, {
+      dryRun: truthy(body.dry_run),
+      limit: toNum(body.limit) || 50,
+    });
+    return withCors(req, env, jsonResponse(out));
+  } catch (err) {
+    return withCors(req, env, jsonResponse({ ok: false, error: String(err?.message || err) }, 400));
+  }
+}
+
 /* -------------------------------------------------- */
 /* worker */
 /* -------------------------------------------------- */
@@ -1074,6 +2081,39 @@ export default {
       return handleNotify(req, env);
     }
 
+    if (method === "POST" && path === "/v1/payments/refund") {
+      return handleRefund(req, env);
+    }
+
+    if (method === "POST" && path === "/v1/payments/reject") {
+      return handleSlipReject(req, env);
+    }
+
+    if (method === "GET" && path === "/v1/points/balance") {
+      return handlePointsBalance(req, env);
+    }
+
+    if (method === "POST" && path === "/v1/points/redeem") {
+      return handlePointsRedeem(req, env);
+    }
+
+    if (method === "GET" && path === "/v1/points/statement") {
+      return handlePointsStatement(req, env);
+    }
+
+    if (method === "POST" && path === "/v1/points/expire/run") {
+      return handlePointsExpireRun(req, env);
+    }
+
     return withCors(req, env, jsonResponse({ ok: false, error: "not_found" }, 404));
   },
+
+  // Cron: daily points expiry
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(
+      runPointsExpiry(env, { limit: toNum(env.POINTS_EXPIRY_BATCH) || 50 }).catch((err) =>
+        console.error("points_expiry_failed", String(err?.message || err))
+      )
+    );
+  },
 };
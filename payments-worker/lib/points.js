@@ -0,0 +1,195 @@
+// payments-worker/lib/points.js
+// Points balance / expiry / tier / redemption, all derived from points ledger rows
+// (AIRTABLE_TABLE_POINTS_LEDGER). Row types, all signed `points`:
+//   earn      +  awardPointsIfEligible (/v1/payments/notify)
+//   reversal  -  refund clawback (/v1/payments/refund)
+//   redeem    -  /v1/points/redeem (discount against a session)
+//   expire    -  expiry run, FIFO over earn rows older than POINTS_EXPIRY_DAYS
+//
+// A reversal carries refund_of (the refunded payment_ref) and comes out of that payment's own earn lot;
+// other negative rows consume the oldest lots first.
+//
+// Balance is always sum(points); expiry only decides which `expire` rows to write.
+
+import { num, str, toMs } from "./util.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Lowest -> highest. Upgrades only ever move right.
+export const TIER_ORDER = ["guest", "standard", "premium", "vip", "svip", "blackcard"];
+
+export function tierRank(tier) {
+  return TIER_ORDER.indexOf(str(tier).toLowerCase().replace(/[\s_-]+/g, ""));
+}
+
+/**
+ * "vip:1200,svip:3000" => [{ tier:"vip", points:1200 }, { tier:"svip", points:3000 }]
+ */
+export function parseTierThresholds(csv) {
+  return str(csv || "vip:1200")
+    .split(",")
+    .map((pair) => {
+      const [tier, points] = pair.split(":");
+      return { tier: str(tier).toLowerCase(), points: num(points) };
+    })
+    .filter((t) => tierRank(t.tier) >= 0 && t.points > 0)
+    .sort((a, b) => a.points - b.points);
+}
+
+export function normalizeLedgerRows(records = []) {
+  return records
+    .map((rec) => {
+      const f = rec.fields || {};
+      return {
+        id: rec.id || "",
+        type: str(f.type).toLowerCase() || "earn",
+        points: num(f.points),
+        at: toMs(f.created_at) || toMs(rec.createdTime),
+        payment_ref: str(f.payment_ref),
+        refund_of: str(f.refund_of),
+        session_id: str(f.session_id),
+        amount_thb: num(f.amount_thb),
+        note: str(f.note || f.reason),
+      };
+    })
+    .sort((a, b) => a.at - b.at);
+}
+
+/**
+ * FIFO: every negative row consumes the oldest earn lots first (a refund reversal starts with the lot of
+ * the payment it refunds); lots still holding points past their expiry are what an expiry run should write off.
+ */
+function earnLots(rows, expiryDays) {
+  const lots = [];
+  let debt = 0; // negatives recorded before any earn (should not happen, but keep the math honest)
+
+  for (const row of rows) {
+    if (row.points > 0) {
+      lots.push({ payment_ref: row.payment_ref, remaining: row.points, expires_at: expiryDays > 0 ? row.at + expiryDays * DAY_MS : 0 });
+      continue;
+    }
+    let spend = -row.points + debt;
+    debt = 0;
+    const own = row.type === "reversal" && row.refund_of ? lots.find((l) => l.payment_ref === row.refund_of) : null;
+    for (const lot of own ? [own, ...lots.filter((l) => l !== own)] : lots) {
+      if (spend <= 0) break;
+      const take = Math.min(lot.remaining, spend);
+      lot.remaining -= take;
+      spend -= take;
+    }
+    debt = spend;
+  }
+  return lots;
+}
+
+/**
+ * => { balance, earned, reversed, redeemed, expired, qualifying_points, expire_due, expiring_soon:{ points, before } }
+ */
+export function summarizeLedger(rows, { now = Date.now(), expiryDays = 365, soonDays = 30 } = {}) {
+  const totals = { earn: 0, reversal: 0, redeem: 0, expire: 0 };
+  let balance = 0;
+  for (const row of rows) {
+    balance += row.points;
+    if (row.type in totals) totals[row.type] += row.points;
+  }
+
+  const lots = earnLots(rows, expiryDays).filter((l) => l.remaining > 0 && l.expires_at);
+  const expire_due = lots.filter((l) => l.expires_at <= now).reduce((s, l) => s + l.remaining, 0);
+  const soon = lots.filter((l) => l.expires_at > now && l.expires_at <= now + soonDays * DAY_MS);
+
+  return {
+    balance,
+    earned: totals.earn,
+    reversed: -totals.reversal,
+    redeemed: -totals.redeem,
+    expired: -totals.expire,
+    // tier progress counts what was earned and kept (refunds clawed back), not what was spent
+    qualifying_points: totals.earn + totals.reversal,
+    expire_due: Math.min(expire_due, Math.max(0, balance)),
+    expiring_soon: {
+      points: soon.reduce((s, l) => s + l.remaining, 0),
+      before: soon.length ? new Date(Math.max(...soon.map((l) => l.expires_at))).toISOString() : null,
+    },
+  };
+}
+
+/**
+ * Next slice of members for the expiry run, in email order after `cursor`. The cursor is stored between
+ * runs so a batch limit never pins the run to the same first N members; past the last one it wraps.
+ * => { batch, next_cursor }   next_cursor "" = the next run starts from the beginning
+ */
+export function expiryBatch(emails, { cursor = "", limit = 50 } = {}) {
+  const sorted = [...new Set(emails.map(str).filter(Boolean))].sort();
+  const start = sorted.findIndex((email) => email > str(cursor));
+  const rest = sorted.slice(start < 0 ? 0 : start);
+  const batch = rest.slice(0, Math.max(1, limit));
+  return { batch, next_cursor: rest.length > batch.length ? batch[batch.length - 1] : "" };
+}
+
+/**
+ * Highest threshold reached, or "" when none.
+ */
+export function tierForPoints(points, thresholds) {
+  let tier = "";
+  for (const t of thresholds) if (points >= t.points) tier = t.tier;
+  return tier;
+}
+
+// Upgrade only: never move a member down (or sideways off a manually set tier).
+export function tierUpgradeTarget(currentTier, qualifyingPoints, thresholds) {
+  const target = tierForPoints(qualifyingPoints, thresholds);
+  if (!target) return "";
+  return tierRank(target) > tierRank(currentTier) ? target : "";
+}
+
+/**
+ * ctx = { balance, points, thb_per_point, min_points, outstanding_thb }
+ * => { ok:true, points, discount_thb } | { ok:false, error, ... }
+ */
+export function planRedemption({ balance, points, thb_per_point = 1, min_points = 0, outstanding_thb = null }) {
+  const want = Math.floor(num(points));
+  if (want <= 0) return { ok: false, error: "invalid_points" };
+  if (min_points && want < min_points) return { ok: false, error: "points_below_minimum", min_points };
+  if (want > balance) return { ok: false, error: "insufficient_points", balance };
+
+  const discount_thb = want * thb_per_point;
+  if (outstanding_thb != null && discount_thb > outstanding_thb) {
+    return {
+      ok: false,
+      error: "discount_exceeds_outstanding",
+      outstanding_thb,
+      max_points: Math.floor(outstanding_thb / thb_per_point),
+    };
+  }
+  return { ok: true, points: want, discount_thb };
+}
+
+function csvCell(v) {
+  const s = String(v ?? "");
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Statement rows with a running balance, oldest first.
+ */
+export function buildStatement(rows) {
+  let running = 0;
+  return rows.map((row) => {
+    running += row.points;
+    return {
+      date: row.at ? new Date(row.at).toISOString() : "",
+      type: row.type,
+      points: row.points,
+      balance: running,
+      payment_ref: row.payment_ref,
+      session_id: row.session_id,
+      amount_thb: row.amount_thb || "",
+      note: row.note,
+    };
+  });
+}
+
+export function statementToCsv(statement) {
+  const cols = ["date", "type", "points", "balance", "payment_ref", "session_id", "amount_thb", "note"];
+  return [cols.join(","), ...statement.map((r) => cols.map((c) => csvCell(r[c])).join(","))].join("\n");
+}
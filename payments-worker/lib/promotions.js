@@ -0,0 +1,129 @@
+// payments-worker/lib/promotions.js
+// Managed promotions (Airtable table AIRTABLE_TABLE_PROMOTIONS, written by admin-worker).
+//
+// Promotion record fields:
+//   code, type (percent|fixed), value, active,
+//   starts_at, ends_at, max_redemptions, per_member_limit, min_amount_thb,
+//   allowed_stages, allowed_tiers (multi-select or comma list; empty = any)
+//
+// Redemptions are counted from the ledger (AIRTABLE_TABLE_PROMO_REDEMPTIONS), which
+// /v1/payments/notify writes once per payment_ref.
+
+import { normalizeTier, num, str, toMs } from "./util.js";
+
+// The codes /v1/promo/validate hard-coded before the managed catalog (no window, no limits);
+// scripts/seed-promotions.mjs writes them into the promotions table.
+export const LEGACY_PROMOTIONS = [
+  { code: "SONGKRAN5", type: "percent", value: 5, active: true },
+  { code: "SONGKRAN10", type: "percent", value: 10, active: true },
+  { code: "WELCOME100", type: "fixed", value: 100, active: true },
+];
+
+function toList(v) {
+  const raw = Array.isArray(v) ? v : str(v).split(",");
+  return raw.map((s) => str(s).toLowerCase()).filter(Boolean);
+}
+
+function tierKey(v) {
+  return normalizeTier(str(v).replace(/[\s-]+/g, "_"));
+}
+
+export function normalizePromoCode(v) {
+  return str(v).toUpperCase().replace(/\s+/g, "");
+}
+
+export function normalizePromotion(fields = {}) {
+  const type = str(fields.type).toLowerCase() === "fixed" ? "fixed" : "percent";
+  return {
+    code: normalizePromoCode(fields.code),
+    type,
+    value: num(fields.value),
+    active: fields.active === true || ["true", "1", "yes"].includes(str(fields.active).toLowerCase()),
+    starts_at: str(fields.starts_at),
+    ends_at: str(fields.ends_at),
+    max_redemptions: num(fields.max_redemptions),
+    per_member_limit: num(fields.per_member_limit),
+    min_amount_thb: num(fields.min_amount_thb),
+    allowed_stages: toList(fields.allowed_stages),
+    allowed_tiers: toList(fields.allowed_tiers).map(tierKey),
+  };
+}
+
+export function computeDiscount(promo, amount) {
+  let discount = 0;
+  if (promo.type === "percent") discount = Math.floor((amount * Math.min(100, promo.value)) / 100);
+  if (promo.type === "fixed") discount = Math.min(amount, promo.value);
+  return Math.max(0, discount);
+}
+
+/**
+ * Check a normalized promotion against a payment context.
+ * ctx = { amount, payment_stage, member_email, member_tier, now, total_redemptions, member_redemptions }
+ * => { valid:true, discount_amount, discounted_amount } | { valid:false, reason }
+ */
+export function evaluatePromotion(promo, ctx = {}) {
+  if (!promo) return { valid: false, reason: "not_found" };
+  if (!promo.active || promo.value <= 0) return { valid: false, reason: "inactive" };
+
+  const now = Number(ctx.now || Date.now());
+  const startsAt = toMs(promo.starts_at);
+  const endsAt = toMs(promo.ends_at);
+  if (startsAt && now < startsAt) return { valid: false, reason: "not_started" };
+  if (endsAt && now > endsAt) return { valid: false, reason: "expired" };
+
+  const amount = num(ctx.amount);
+  if (promo.min_amount_thb && amount < promo.min_amount_thb) {
+    return { valid: false, reason: "below_min_amount", min_amount_thb: promo.min_amount_thb };
+  }
+
+  const stage = str(ctx.payment_stage).toLowerCase();
+  if (promo.allowed_stages.length && !promo.allowed_stages.includes(stage)) {
+    return { valid: false, reason: "stage_not_allowed", allowed_stages: promo.allowed_stages };
+  }
+
+  const tier = tierKey(ctx.member_tier);
+  if (promo.allowed_tiers.length && !promo.allowed_tiers.includes(tier)) {
+    return { valid: false, reason: "tier_not_allowed", allowed_tiers: promo.allowed_tiers };
+  }
+
+  if (promo.max_redemptions && num(ctx.total_redemptions) >= promo.max_redemptions) {
+    return { valid: false, reason: "max_redemptions_reached" };
+  }
+
+  if (promo.per_member_limit) {
+    if (!str(ctx.member_email)) return { valid: false, reason: "member_required" };
+    if (num(ctx.member_redemptions) >= promo.per_member_limit) {
+      return { valid: false, reason: "member_limit_reached" };
+    }
+  }
+
+  const discount = computeDiscount(promo, amount);
+  return {
+    valid: true,
+    discount_amount: discount,
+    discounted_amount: Math.max(0, amount - discount),
+  };
+}
+
+/**
+ * Redemption rows for one code are read back right after a new row is written; rows count in creation
+ * order (created_at, then id), so concurrent writers agree on who got the last slots. A row past
+ * max_redemptions, or past the member's per_member_limit, lost the race and has to be voided.
+ * rows = [{ id, payment_ref, member_email, created_at }]
+ * => { keep:true, total } | { keep:false, reason, total }
+ */
+export function redemptionSlot(promo, rows, paymentRef) {
+  const ordered = [...rows].sort((a, b) => (toMs(a.created_at) || 0) - (toMs(b.created_at) || 0) || str(a.id).localeCompare(str(b.id)));
+  const index = ordered.findIndex((r) => str(r.payment_ref) === str(paymentRef));
+  const total = ordered.length;
+  if (index < 0) return { keep: false, reason: "redemption_missing", total };
+
+  if (promo.max_redemptions && index >= promo.max_redemptions) return { keep: false, reason: "max_redemptions_reached", total };
+
+  const member = str(ordered[index].member_email).toLowerCase();
+  if (promo.per_member_limit && member) {
+    const memberIndex = ordered.slice(0, index).filter((r) => str(r.member_email).toLowerCase() === member).length;
+    if (memberIndex >= promo.per_member_limit) return { keep: false, reason: "member_limit_reached", total };
+  }
+  return { keep: true, total };
+}
@@ -0,0 +1,149 @@
+// payments-worker/lib/promptpay.js
+// EMVCo QR (Thai QR / PromptPay) parsing.
+//
+// Two payload shapes show up on slips:
+//   - PromptPay credit transfer / bill payment QR (tag 29/30 + 54 amount)
+//   - bank slip "mini QR" (tag 00 template: 00 api id, 01 sending bank, 02 trans ref)
+// Both are plain TLV: 2-digit id, 2-digit length, value.
+
+const PROMPTPAY_AID = "A000000677010111";
+const PROMPTPAY_BILLER_AID = "A000000677010112";
+const THB_CURRENCY = "764";
+
+// Templates whose value is itself TLV.
+const TEMPLATE_IDS = new Set(["62", "64"]);
+function isTemplateId(id) {
+  const n = Number(id);
+  return (n >= 26 && n <= 51) || (n >= 80 && n <= 99) || TEMPLATE_IDS.has(id);
+}
+
+function str(v) {
+  return (v ?? "").toString().trim();
+}
+
+/**
+ * Parse a flat TLV string. Returns null when the string is not well formed.
+ */
+export function parseTlv(payload) {
+  const s = str(payload);
+  const out = [];
+  let i = 0;
+  while (i < s.length) {
+    if (i + 4 > s.length) return null;
+    const id = s.slice(i, i + 2);
+    const len = Number(s.slice(i + 2, i + 4));
+    if (!/^\d{2}$/.test(id) || !Number.isInteger(len)) return null;
+    const value = s.slice(i + 4, i + 4 + len);
+    if (value.length !== len) return null;
+    out.push({ id, value });
+    i += 4 + len;
+  }
+  return out;
+}
+
+/**
+ * CRC-16/CCITT-FALSE as used by EMVCo tag 63 (computed over everything up to and including "6304").
+ */
+export function crc16(text) {
+  let crc = 0xffff;
+  for (let i = 0; i < text.length; i += 1) {
+    crc ^= text.charCodeAt(i) << 8;
+    for (let b = 0; b < 8; b += 1) {
+      crc = crc & 0x8000 ? (crc << 1) ^ 0x1021 : crc << 1;
+      crc &= 0xffff;
+    }
+  }
+  return crc.toString(16).toUpperCase().padStart(4, "0");
+}
+
+function toTagMap(list) {
+  const tags = {};
+  for (const { id, value } of list) {
+    let v = value;
+    // tag 00 is "payload format indicator" (01) on merchant QR but a template on slip mini QR.
+    if (isTemplateId(id) || (id === "00" && value.length > 2)) {
+      const nested = parseTlv(value);
+      if (nested) v = toTagMap(nested);
+    }
+    tags[id] = v;
+  }
+  return tags;
+}
+
+/**
+ * Parse an EMVCo payload into a tag map. Nested templates become objects.
+ * => { ok, tags, crc_valid } | { ok:false, error }
+ */
+export function parseEmvco(payload) {
+  const s = str(payload);
+  if (!s) return { ok: false, error: "empty_payload" };
+
+  const list = parseTlv(s);
+  if (!list || !list.length) return { ok: false, error: "malformed_payload" };
+
+  const tags = toTagMap(list);
+
+  // Slip mini QR uses tag 91 for its checksum; merchant QR uses 63.
+  let crc_valid = null;
+  const crcAt = s.lastIndexOf("6304");
+  if (tags["63"] && crcAt === s.length - 8) {
+    crc_valid = crc16(s.slice(0, crcAt + 4)) === String(tags["63"]).toUpperCase();
+  }
+
+  return { ok: true, tags, crc_valid };
+}
+
+/**
+ * Digits-only PromptPay id. Mobile numbers are encoded as 0066XXXXXXXXX in the QR,
+ * normalize them back to the local 0XXXXXXXXX form so they compare with config.
+ */
+export function normalizePromptPayId(v) {
+  const digits = str(v).replace(/\D/g, "");
+  if (/^0066\d{9}$/.test(digits)) return `0${digits.slice(4)}`;
+  if (/^66\d{9}$/.test(digits)) return `0${digits.slice(2)}`;
+  return digits;
+}
+
+function readReceiver(tags) {
+  const transfer = tags["29"];
+  if (transfer && typeof transfer === "object" && transfer["00"] === PROMPTPAY_AID) {
+    if (transfer["01"]) return { type: "mobile", value: normalizePromptPayId(transfer["01"]) };
+    if (transfer["02"]) return { type: "national_id", value: normalizePromptPayId(transfer["02"]) };
+    if (transfer["03"]) return { type: "ewallet", value: normalizePromptPayId(transfer["03"]) };
+    if (transfer["04"]) return { type: "bank_account", value: normalizePromptPayId(transfer["04"]) };
+  }
+
+  const bill = tags["30"];
+  if (bill && typeof bill === "object" && bill["00"] === PROMPTPAY_BILLER_AID) {
+    return { type: "biller", value: str(bill["01"]), ref1: str(bill["02"]), ref2: str(bill["03"]) };
+  }
+
+  return null;
+}
+
+/**
+ * Pull the fields slip verification cares about out of a payload.
+ * Missing values come back as null; the matcher decides what that means.
+ */
+export function readPromptPaySlip(payload) {
+  const parsed = parseEmvco(payload);
+  if (!parsed.ok) return parsed;
+
+  const { tags } = parsed;
+  const mini = tags["00"] && typeof tags["00"] === "object" ? tags["00"] : null;
+  const amount = Number(tags["54"]);
+
+  return {
+    ok: true,
+    kind: mini ? "slip_mini_qr" : "promptpay_qr",
+    crc_valid: parsed.crc_valid,
+    amount_thb: Number.isFinite(amount) && amount > 0 ? amount : null,
+    currency: str(tags["53"]) || null,
+    currency_ok: !tags["53"] || str(tags["53"]) === THB_CURRENCY,
+    country: str(tags["58"] || tags["51"]) || null,
+    receiver: readReceiver(tags),
+    sending_bank: mini ? str(mini["01"]) || null : null,
+    trans_ref: mini ? str(mini["02"]) || null : null,
+    tags,
+  };
+}
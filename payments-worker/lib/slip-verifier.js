@@ -0,0 +1,227 @@
+// payments-worker/lib/slip-verifier.js
+// Slip verification stage for /v1/pay/verify.
+//
+// A verifier turns a submitted slip into normalized facts:
+//   verify({ receipt_url, qr_payload })
+//     => { ok:true, source, slip:{ amount_thb, receiver, paid_at, trans_ref, qr_kind } }
+//      | { ok:false, source, error }
+//
+// Implementations (env.SLIP_VERIFIER):
+//   - "off" (default): skip; every slip stays at manual_review.
+//   - "http": POSTs the slip to SLIP_VERIFIER_URL. That service downloads receipt_url, decodes the slip
+//     QR from the image and confirms the transfer with the bank; only its answer counts as slip facts.
+//     The worker itself does not decode images (no image/QR decoder runs here).
+//   - "stub": tests only (createSlipVerifier needs allowStub); facts come from fixtures keyed by receipt_url.
+//
+// Nothing the client sends (qr_payload, paid_at, amount) is ever a slip fact: a PromptPay request QR
+// carries the receiver and amount and can be replayed by anyone. qr_payload is only passed on to the
+// verifier service as a hint.
+//
+// matchSlip() compares those facts with what the session expects; any mismatch keeps the
+// payment at manual_review with the reasons stored.
+
+import { normalizePromptPayId, readPromptPaySlip } from "./promptpay.js";
+
+function str(v) {
+  return (v ?? "").toString().trim();
+}
+
+function numOrNull(v) {
+  const n = Number(str(v).replace(/,/g, ""));
+  return str(v) && Number.isFinite(n) ? n : null;
+}
+
+function isoOrNull(v) {
+  if (!str(v)) return null;
+  const t = Date.parse(str(v));
+  return Number.isFinite(t) ? new Date(t).toISOString() : null;
+}
+
+function slipFromQr(qrPayload) {
+  if (!str(qrPayload)) return { slip: {}, error: null };
+  const qr = readPromptPaySlip(qrPayload);
+  if (!qr.ok) return { slip: {}, error: `qr_${qr.error}` };
+  if (qr.crc_valid === false) return { slip: {}, error: "qr_crc_invalid" };
+  if (!qr.currency_ok) return { slip: {}, error: "qr_currency_not_thb" };
+  return {
+    slip: {
+      amount_thb: qr.amount_thb,
+      receiver: qr.receiver?.value || null,
+      trans_ref: qr.trans_ref,
+      sending_bank: qr.sending_bank,
+      qr_kind: qr.kind,
+    },
+    error: null,
+  };
+}
+
+function mergeSlip(primary, fallback) {
+  const out = { ...fallback };
+  for (const [k, v] of Object.entries(primary)) {
+    if (v !== null && v !== undefined && v !== "") out[k] = v;
+  }
+  return out;
+}
+
+/**
+ * Offline verifier for tests. `fixtures` maps receipt_url -> { qr_payload?, amount_thb?, receiver?, paid_at?, trans_ref? }.
+ */
+export function createStubVerifier(fixtures = {}) {
+  return {
+    name: "stub",
+    async verify(input = {}) {
+      const fixture = fixtures[str(input.receipt_url)];
+      if (!fixture) return { ok: false, source: "stub", error: "slip_payload_missing" };
+
+      const { slip, error } = slipFromQr(fixture.qr_payload);
+      if (error) return { ok: false, source: "stub", error };
+
+      return {
+        ok: true,
+        source: "stub",
+        slip: mergeSlip(
+          {
+            amount_thb: numOrNull(fixture.amount_thb),
+            receiver: str(fixture.receiver) || null,
+            trans_ref: str(fixture.trans_ref) || null,
+            paid_at: isoOrNull(fixture.paid_at),
+          },
+          slip
+        ),
+      };
+    },
+  };
+}
+
+/**
+ * Remote verifier. The service receives { receipt_url, qr_payload } and answers with any of
+ * { qr_payload, amount|amount_thb, receiver|receiver_account, paid_at|transaction_time, trans_ref|transRef }.
+ */
+export function createHttpVerifier({ url, token = "", fetchImpl = fetch } = {}) {
+  return {
+    name: "http",
+    async verify(input = {}) {
+      if (!str(url)) return { ok: false, source: "http", error: "missing_slip_verifier_url" };
+
+      let res;
+      let data;
+      try {
+        res = await fetchImpl(url, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            ...(token ? { Authorization: `Bearer ${token}` } : {}),
+          },
+          body: JSON.stringify({ receipt_url: str(input.receipt_url), qr_payload: str(input.qr_payload) }),
+        });
+        data = await res.json().catch(() => null);
+      } catch (err) {
+        return { ok: false, source: "http", error: `slip_verifier_unreachable:${String(err?.message || err)}` };
+      }
+
+      if (!res.ok || !data || data.ok === false) {
+        return { ok: false, source: "http", error: str(data?.error) || `slip_verifier_http_${res.status}` };
+      }
+
+      const { slip, error } = slipFromQr(data.qr_payload);
+      if (error) return { ok: false, source: "http", error };
+
+      return {
+        ok: true,
+        source: "http",
+        slip: mergeSlip(
+          {
+            amount_thb: numOrNull(data.amount_thb ?? data.amount),
+            receiver: str(data.receiver_account || data.receiver) || null,
+            trans_ref: str(data.trans_ref || data.transRef) || null,
+            paid_at: isoOrNull(data.paid_at || data.transaction_time),
+          },
+          slip
+        ),
+      };
+    },
+  };
+}
+
+export function slipVerifierMode(env = {}) {
+  const mode = str(env.SLIP_VERIFIER || "off").toLowerCase();
+  return mode === "http" || mode === "stub" ? mode : "off";
+}
+
+// null = off. "stub" is refused unless the caller is a test passing allowStub.
+export function createSlipVerifier(env = {}, { fixtures, fetchImpl, allowStub = false } = {}) {
+  const mode = slipVerifierMode(env);
+  if (mode === "http") {
+    return createHttpVerifier({ url: env.SLIP_VERIFIER_URL, token: str(env.SLIP_VERIFIER_TOKEN), fetchImpl });
+  }
+  if (mode === "stub" && allowStub) return createStubVerifier(fixtures);
+  return null;
+}
+
+export function parseReceiverIds(value) {
+  return str(value)
+    .split(",")
+    .map((s) => normalizePromptPayId(s))
+    .filter(Boolean);
+}
+
+function receiverMatches(receiver, allowed) {
+  const raw = str(receiver);
+  const digits = normalizePromptPayId(raw);
+  if (!digits) return false;
+  if (allowed.includes(digits)) return true;
+
+  // Bank slips mask the receiver (e.g. "xxx-x-x1234-x"); accept when the visible tail matches.
+  if (/x/i.test(raw) && digits.length >= 4) {
+    return allowed.some((id) => id.includes(digits));
+  }
+  return false;
+}
+
+function sameAmount(a, b) {
+  return Math.abs(Number(a) - Number(b)) <= 0.009;
+}
+
+/**
+ * Compare slip facts with expectations.
+ * expected = { amount_thb, request_amount_thb?, receiver_ids[], not_before?, now?, max_age_hours?, future_skew_minutes? }
+ *   amount_thb is the session's amount for the stage; request_amount_thb is what the client claims it paid.
+ * => { matched, reasons[] }
+ */
+export function matchSlip(slip = {}, expected = {}) {
+  const reasons = [];
+  const now = Number(expected.now || Date.now());
+
+  const expectedAmount = numOrNull(expected.amount_thb);
+  const slipAmount = numOrNull(slip.amount_thb);
+  if (expectedAmount === null) reasons.push("expected_amount_unknown");
+  else if (slipAmount === null) reasons.push("slip_amount_missing");
+  else if (!sameAmount(slipAmount, expectedAmount)) reasons.push("amount_mismatch");
+
+  const requestAmount = numOrNull(expected.request_amount_thb);
+  if (requestAmount !== null && slipAmount !== null && !sameAmount(slipAmount, requestAmount)) {
+    reasons.push("request_amount_mismatch");
+  }
+
+  // without the bank's transaction reference a slip cannot be checked for reuse
+  if (!str(slip.trans_ref)) reasons.push("slip_trans_ref_missing");
+
+  const receiverIds = Array.isArray(expected.receiver_ids) ? expected.receiver_ids : [];
+  if (!receiverIds.length) reasons.push("receiver_not_configured");
+  else if (!str(slip.receiver)) reasons.push("slip_receiver_missing");
+  else if (!receiverMatches(slip.receiver, receiverIds)) reasons.push("receiver_mismatch");
+
+  const paidAt = Date.parse(str(slip.paid_at));
+  if (!Number.isFinite(paidAt)) {
+    reasons.push("slip_timestamp_missing");
+  } else {
+    const skewMs = Number(expected.future_skew_minutes ?? 5) * 60 * 1000;
+    const maxAgeMs = Number(expected.max_age_hours ?? 48) * 60 * 60 * 1000;
+    const notBefore = Date.parse(str(expected.not_before));
+    if (paidAt > now + skewMs) reasons.push("slip_timestamp_in_future");
+    else if (paidAt < now - maxAgeMs) reasons.push("slip_too_old");
+    else if (Number.isFinite(notBefore) && paidAt < notBefore) reasons.push("slip_before_session_created");
+  }
+
+  return { matched: reasons.length === 0, reasons };
+}
@@ -0,0 +1,44 @@
+import assert from "node:assert/strict";
+import worker from "./index.js";
+
+const env = { INTERNAL_TOKEN: "it", AIRTABLE_API_KEY: "k", AIRTABLE_BASE_ID: "app" };
+const realFetch = globalThis.fetch;
+
+// /v1/payments/notify on a payment that is no longer pending (a stale Telegram "verify" tap)
+async function notify(status) {
+  const writes = [];
+  globalThis.fetch = async (url, init = {}) => {
+    if ((init.method || "GET") !== "GET") writes.push(String(url));
+    const fields = { payment_ref: "pay_1", session_id: "S1", amount_thb: 3000, payment_type: "deposit", "Payment Status": status };
+    return new Response(JSON.stringify({ records: [{ id: "recPay", fields }] }), { status: 200 });
+  };
+  const res = await worker.fetch(
+    new Request("https://pay.example/v1/payments/notify", {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "X-Internal-Token": "it" },
+      body: JSON.stringify({ payment_ref: "pay_1", verified_by: "mint" }),
+    }),
+    env
+  );
+  return { status: res.status, body: await res.json(), writes };
+}
+
+try {
+  for (const status of ["rejected", "refunded", "partially_refunded"]) {
+    const out = await notify(status);
+    assert.equal(out.status, 409, status);
+    assert.deepEqual(out.body, { ok: false, error: "payment_not_verifiable", payment_ref: "pay_1", payment_status: status });
+    assert.deepEqual(out.writes, []);
+  }
+
+  for (const status of ["paid", "verified"]) {
+    const out = await notify(status);
+    assert.equal(out.status, 200);
+    assert.deepEqual(out.body, { ok: true, idempotent: true, payment_ref: "pay_1", payment_status: status });
+    assert.deepEqual(out.writes, []);
+  }
+} finally {
+  globalThis.fetch = realFetch;
+}
+
+console.log("notify tests passed");
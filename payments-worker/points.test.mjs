@@ -0,0 +1,76 @@
+import assert from "node:assert/strict";
+import {
+  buildStatement,
+  expiryBatch,
+  normalizeLedgerRows,
+  parseTierThresholds,
+  planRedemption,
+  statementToCsv,
+  summarizeLedger,
+  tierUpgradeTarget,
+} from "./lib/points.js";
+
+const row = (type, points, created_at, extra = {}) => ({ id: `rec_${created_at}`, fields: { type, points, created_at, ...extra } });
+
+const rows = normalizeLedgerRows([
+  row("redeem", -50, "2025-12-01T00:00:00Z"),
+  row("earn", 100, "2025-01-10T00:00:00Z", { payment_ref: "PAY-1" }),
+  row("earn", 300, "2025-11-01T00:00:00Z"),
+  row("reversal", -20, "2025-11-02T00:00:00Z"),
+]);
+assert.deepEqual(rows.map((r) => r.type), ["earn", "earn", "reversal", "redeem"]);
+
+// FIFO: the 70 spent/reversed points come out of the January lot, 30 of it is past 365 days
+const now = Date.parse("2026-02-01T00:00:00Z");
+const summary = summarizeLedger(rows, { now, expiryDays: 365 });
+assert.equal(summary.balance, 330);
+assert.equal(summary.earned, 400);
+assert.equal(summary.reversed, 20);
+assert.equal(summary.redeemed, 50);
+assert.equal(summary.qualifying_points, 380);
+assert.equal(summary.expire_due, 30);
+
+// once the expire row exists nothing more is due
+const afterExpiry = summarizeLedger([...rows, ...normalizeLedgerRows([row("expire", -30, "2026-02-01T00:00:00Z")])], { now, expiryDays: 365 });
+assert.equal(afterExpiry.balance, 300);
+assert.equal(afterExpiry.expire_due, 0);
+assert.equal(afterExpiry.expired, 30);
+assert.equal(summarizeLedger(rows, { now, expiryDays: 0 }).expire_due, 0);
+
+// a refund reversal comes out of the refunded payment's own lot, not the oldest one
+const refunded = summarizeLedger(
+  normalizeLedgerRows([
+    row("earn", 100, "2025-01-10T00:00:00Z", { payment_ref: "PAY-1" }),
+    row("earn", 300, "2025-11-01T00:00:00Z", { payment_ref: "PAY-2" }),
+    row("reversal", -150, "2025-11-02T00:00:00Z", { payment_ref: "RF-1", refund_of: "PAY-2" }),
+  ]),
+  { now, expiryDays: 365 }
+);
+assert.equal(refunded.balance, 250);
+assert.equal(refunded.expire_due, 100);
+
+// the expiry run pages through members instead of re-reading the first batch every day
+const members = ["d@x", "a@x", "c@x", "b@x", "a@x", ""];
+assert.deepEqual(expiryBatch(members, { limit: 2 }), { batch: ["a@x", "b@x"], next_cursor: "b@x" });
+assert.deepEqual(expiryBatch(members, { cursor: "b@x", limit: 2 }), { batch: ["c@x", "d@x"], next_cursor: "" });
+assert.deepEqual(expiryBatch(members, { cursor: "d@x", limit: 2 }), { batch: ["a@x", "b@x"], next_cursor: "b@x" });
+assert.deepEqual(expiryBatch([], { cursor: "b@x" }), { batch: [], next_cursor: "" });
+
+const thresholds = parseTierThresholds("svip:3000, vip:1200, bogus:5");
+assert.deepEqual(thresholds, [{ tier: "vip", points: 1200 }, { tier: "svip", points: 3000 }]);
+assert.equal(tierUpgradeTarget("standard", 1250, thresholds), "vip");
+assert.equal(tierUpgradeTarget("vip", 1250, thresholds), "");
+assert.equal(tierUpgradeTarget("Black Card", 5000, thresholds), "");
+assert.equal(tierUpgradeTarget("", 100, thresholds), "");
+
+assert.deepEqual(planRedemption({ balance: 330, points: 200, thb_per_point: 1, outstanding_thb: 5000 }), { ok: true, points: 200, discount_thb: 200 });
+assert.equal(planRedemption({ balance: 330, points: 400 }).error, "insufficient_points");
+assert.equal(planRedemption({ balance: 330, points: 10, min_points: 50 }).error, "points_below_minimum");
+assert.equal(planRedemption({ balance: 330, points: 300, thb_per_point: 10, outstanding_thb: 1000 }).max_points, 100);
+assert.equal(planRedemption({ balance: 330, points: 0 }).error, "invalid_points");
+
+const statement = buildStatement(rows);
+assert.deepEqual(statement.map((r) => r.balance), [100, 400, 380, 330]);
+assert.equal(statementToCsv(statement).split("\n")[1], "2025-01-10T00:00:00.000Z,earn,100,100,PAY-1,,,");
+
+console.log("points tests passed");
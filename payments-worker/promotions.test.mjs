@@ -0,0 +1,74 @@
+import assert from "node:assert/strict";
+import { LEGACY_PROMOTIONS, evaluatePromotion, normalizePromoCode, normalizePromotion, redemptionSlot } from "./lib/promotions.js";
+
+const now = Date.parse("2026-04-13T10:00:00Z");
+
+const songkran = normalizePromotion({
+  code: "songkran10",
+  type: "percent",
+  value: 10,
+  active: true,
+  starts_at: "2026-04-10T00:00:00Z",
+  ends_at: "2026-04-16T00:00:00Z",
+  max_redemptions: 100,
+  per_member_limit: 1,
+  min_amount_thb: 1000,
+  allowed_stages: "deposit, full",
+  allowed_tiers: ["Black Card", "vip"],
+});
+assert.equal(songkran.code, "SONGKRAN10");
+assert.deepEqual(songkran.allowed_tiers, ["blackcard", "vip"]);
+assert.equal(normalizePromoCode(" welcome 100 "), "WELCOME100");
+
+const ctx = {
+  amount: 5000,
+  payment_stage: "deposit",
+  member_email: "a@b.co",
+  member_tier: "black_card",
+  now,
+  total_redemptions: 3,
+  member_redemptions: 0,
+};
+assert.deepEqual(evaluatePromotion(songkran, ctx), { valid: true, discount_amount: 500, discounted_amount: 4500 });
+
+assert.equal(evaluatePromotion(songkran, { ...ctx, now: Date.parse("2026-04-20T00:00:00Z") }).reason, "expired");
+assert.equal(evaluatePromotion(songkran, { ...ctx, now: Date.parse("2026-04-01T00:00:00Z") }).reason, "not_started");
+assert.equal(evaluatePromotion(songkran, { ...ctx, amount: 900 }).reason, "below_min_amount");
+assert.equal(evaluatePromotion(songkran, { ...ctx, payment_stage: "tips" }).reason, "stage_not_allowed");
+assert.equal(evaluatePromotion(songkran, { ...ctx, member_tier: "standard" }).reason, "tier_not_allowed");
+assert.equal(evaluatePromotion(songkran, { ...ctx, total_redemptions: 100 }).reason, "max_redemptions_reached");
+assert.equal(evaluatePromotion(songkran, { ...ctx, member_redemptions: 1 }).reason, "member_limit_reached");
+assert.equal(evaluatePromotion(songkran, { ...ctx, member_email: "" }).reason, "member_required");
+assert.equal(evaluatePromotion({ ...songkran, active: false }, ctx).reason, "inactive");
+assert.equal(evaluatePromotion(null, ctx).reason, "not_found");
+
+const welcome = normalizePromotion({ code: "WELCOME100", type: "fixed", value: 100, active: true });
+assert.deepEqual(evaluatePromotion(welcome, { amount: 80 }), { valid: true, discount_amount: 80, discounted_amount: 0 });
+
+// the seeded legacy codes price like the old hard-coded ones
+const legacy = Object.fromEntries(LEGACY_PROMOTIONS.map((p) => [p.code, normalizePromotion(p)]));
+assert.deepEqual(Object.keys(legacy), ["SONGKRAN5", "SONGKRAN10", "WELCOME100"]);
+assert.equal(evaluatePromotion(legacy.SONGKRAN5, { amount: 1000 }).discount_amount, 50);
+assert.equal(evaluatePromotion(legacy.SONGKRAN10, { amount: 1000, payment_stage: "final" }).discount_amount, 100);
+assert.equal(evaluatePromotion(legacy.WELCOME100, { amount: 1000 }).discount_amount, 100);
+
+// concurrent redemptions: creation order decides who keeps the last slots
+const limited = normalizePromotion({ code: "LAST2", type: "fixed", value: 100, active: true, max_redemptions: 2, per_member_limit: 1 });
+const ledger = [
+  { id: "rec3", payment_ref: "P3", member_email: "c@x", created_at: "2026-04-13T10:00:02Z" },
+  { id: "rec1", payment_ref: "P1", member_email: "a@x", created_at: "2026-04-13T10:00:00Z" },
+  { id: "rec2", payment_ref: "P2", member_email: "A@x", created_at: "2026-04-13T10:00:01Z" },
+];
+assert.deepEqual(redemptionSlot(limited, ledger, "P1"), { keep: true, total: 3 });
+assert.deepEqual(redemptionSlot(limited, ledger, "P2"), { keep: false, reason: "member_limit_reached", total: 3 });
+assert.deepEqual(redemptionSlot(limited, ledger, "P3"), { keep: false, reason: "max_redemptions_reached", total: 3 });
+// same timestamp: the record id breaks the tie the same way for every writer
+const tied = [
+  { id: "recB", payment_ref: "PB", member_email: "b@x", created_at: "2026-04-13T10:00:00Z" },
+  { id: "recA", payment_ref: "PA", member_email: "a@x", created_at: "2026-04-13T10:00:00Z" },
+];
+assert.equal(redemptionSlot({ ...limited, max_redemptions: 1 }, tied, "PA").keep, true);
+assert.equal(redemptionSlot({ ...limited, max_redemptions: 1 }, tied, "PB").keep, false);
+assert.equal(redemptionSlot(limited, ledger, "P9").reason, "redemption_missing");
+
+console.log("promotions tests passed");
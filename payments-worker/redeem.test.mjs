@@ -0,0 +1,105 @@
+import assert from "node:assert/strict";
+import worker from "./index.js";
+
+const env = { INTERNAL_TOKEN: "it", AIRTABLE_API_KEY: "k", AIRTABLE_BASE_ID: "app" };
+const realFetch = globalThis.fetch;
+
+// fake Airtable: one session, the member's ledger rows
+function airtable({ session, ledger, onCreate = () => {} }) {
+  const log = [];
+  globalThis.fetch = async (url, init = {}) => {
+    const u = new URL(url);
+    const method = init.method || "GET";
+    const table = decodeURIComponent(u.pathname.split("/")[3]);
+    log.push(`${method} ${table}`);
+    const ok = (data) => new Response(JSON.stringify(data), { status: 200 });
+
+    if (table === "sessions") return method === "GET" ? ok({ records: [session] }) : ok({ id: session.id });
+    if (method === "POST") {
+      const rec = { id: `recL${ledger.length}`, fields: JSON.parse(init.body).records[0].fields };
+      ledger.push(rec);
+      onCreate(ledger);
+      return ok({ records: [rec] });
+    }
+    if (method === "DELETE") {
+      const id = decodeURIComponent(u.pathname.split("/")[4]);
+      ledger.splice(ledger.findIndex((r) => r.id === id), 1);
+      return ok({ deleted: true, id });
+    }
+    const formula = u.searchParams.get("filterByFormula") || "";
+    const ref = formula.match(/^\{payment_ref\}='(.*)'$/);
+    return ok({ records: ref ? ledger.filter((r) => r.fields.payment_ref === ref[1]) : ledger });
+  };
+  return log;
+}
+
+function redeem(body) {
+  return worker.fetch(
+    new Request("https://pay.example/v1/points/redeem", {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "X-Internal-Token": "it" },
+      body: JSON.stringify({ member_email: "a@b.co", session_id: "S1", ...body }),
+    }),
+    env
+  );
+}
+
+const earned = () => [{ id: "recE", fields: { type: "earn", points: 100, member_email: "a@b.co", created_at: new Date().toISOString() } }];
+
+try {
+  // a session without balance_thb / final_thb / final_amount_thb (Airtable omits empty fields) has no cap
+  let ledger = earned();
+  airtable({ session: { id: "recS", fields: { session_id: "S1", amount_thb: 9000 } }, ledger });
+  let res = await redeem({ points: 50, redeem_ref: "r1" });
+  let body = await res.json();
+  assert.equal(res.status, 200, JSON.stringify(body));
+  assert.equal(body.discount_thb, 50);
+  assert.equal(body.balance_after, 50);
+
+  // an outstanding balance still caps the discount
+  ledger = earned();
+  airtable({ session: { id: "recS", fields: { session_id: "S1", balance_thb: 30 } }, ledger });
+  res = await redeem({ points: 50, redeem_ref: "r2" });
+  body = await res.json();
+  assert.equal(res.status, 409);
+  assert.equal(body.error, "discount_exceeds_outstanding");
+  assert.equal(body.max_points, 30);
+
+  // a concurrent redeem spent the balance between the check and the write: this one backs out
+  ledger = earned();
+  airtable({
+    session: { id: "recS", fields: { session_id: "S1" } },
+    ledger,
+    onCreate: (rows) => {
+      if (!rows.some((r) => r.id === "recOther")) {
+        rows.push({ id: "recOther", fields: { type: "redeem", points: -80, member_email: "a@b.co", created_at: new Date().toISOString() } });
+      }
+    },
+  });
+  res = await redeem({ points: 50, redeem_ref: "r3" });
+  body = await res.json();
+  assert.equal(res.status, 409);
+  assert.equal(body.error, "insufficient_points");
+  assert.equal(body.balance, 20);
+  assert.deepEqual(ledger.map((r) => r.id).sort(), ["recE", "recOther"]);
+
+  // POINTS_EXPIRY_DAYS unset means the 365-day default, not expiry switched off
+  airtable({ session: { id: "recS", fields: {} }, ledger: [] });
+  const expire = (vars) =>
+    worker.fetch(
+      new Request("https://pay.example/v1/points/expire/run", {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "X-Internal-Token": "it" },
+        body: JSON.stringify({ dry_run: true }),
+      }),
+      { ...env, ...vars }
+    ).then((r) => r.json());
+  const defaulted = await expire({});
+  assert.equal(defaulted.skipped, undefined);
+  assert.equal(Date.parse(defaulted.cutoff) < Date.now() - 364 * 24 * 3600 * 1000, true);
+  assert.equal((await expire({ POINTS_EXPIRY_DAYS: "0" })).reason, "expiry_disabled");
+} finally {
+  globalThis.fetch = realFetch;
+}
+
+console.log("redeem tests passed");
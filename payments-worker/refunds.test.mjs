@@ -0,0 +1,60 @@
+import assert from "node:assert/strict";
+import { planRefund } from "./index.js";
+
+const payment = { original_amount: 3000, refunded_before: 0, points_earned: 30, points_reversed_before: 0 };
+
+// partial refund: points reversed pro rata, rounded down
+const partial = planRefund({ ...payment, requested: 1000 });
+assert.deepEqual(partial, {
+  ok: true,
+  amount: 1000,
+  refunded_after: 1000,
+  remaining_after: 2000,
+  full: false,
+  points_to_reverse: 10,
+});
+assert.equal(planRefund({ ...payment, requested: 1450 }).points_to_reverse, 14);
+
+// second partial refund: only the points not already reversed
+const second = planRefund({ ...payment, refunded_before: 1000, points_reversed_before: 10, requested: 1000 });
+assert.equal(second.refunded_after, 2000);
+assert.equal(second.full, false);
+assert.equal(second.points_to_reverse, 10);
+
+// rounding losses are caught up on the final refund
+const rounded = { original_amount: 1000, points_earned: 10 };
+const r1 = planRefund({ ...rounded, refunded_before: 0, points_reversed_before: 0, requested: 150 });
+assert.equal(r1.points_to_reverse, 1);
+const r2 = planRefund({ ...rounded, refunded_before: 150, points_reversed_before: 1, requested: 850 });
+assert.equal(r2.full, true);
+assert.equal(r2.points_to_reverse, 9);
+
+// full refund: every point earned is reversed
+const full = planRefund({ ...payment, requested: 3000 });
+assert.equal(full.full, true);
+assert.equal(full.remaining_after, 0);
+assert.equal(full.points_to_reverse, 30);
+
+// no amount requested: refund whatever remains
+const rest = planRefund({ ...payment, refunded_before: 1000, points_reversed_before: 10, requested: null });
+assert.equal(rest.amount, 2000);
+assert.equal(rest.full, true);
+assert.equal(rest.points_to_reverse, 20);
+
+// over-refund is rejected with what is left
+assert.deepEqual(planRefund({ ...payment, refunded_before: 2500, requested: 600 }), {
+  ok: false,
+  error: "refund_exceeds_remaining",
+  remaining_thb: 500,
+});
+
+// nothing left to refund
+assert.deepEqual(planRefund({ ...payment, refunded_before: 3000, points_reversed_before: 30, requested: 1 }), {
+  ok: false,
+  error: "payment_already_fully_refunded",
+});
+
+// no points earned: nothing to reverse
+assert.equal(planRefund({ ...payment, points_earned: 0, requested: 3000 }).points_to_reverse, 0);
+
+console.log("refund tests passed");
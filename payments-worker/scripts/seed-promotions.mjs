@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+// Seeds the promotions table with the codes /v1/promo/validate used to hard-code, so codes customers
+// already hold keep working once the managed catalog is live. Run it before deploying that change.
+//
+// Usage (from payments-worker):
+//   AIRTABLE_API_KEY=... AIRTABLE_BASE_ID=... node scripts/seed-promotions.mjs --dry-run
+//   AIRTABLE_API_KEY=... AIRTABLE_BASE_ID=... node scripts/seed-promotions.mjs
+//
+// Codes that already exist are left alone (edit or disable them from admin-worker /v1/admin/promotions/*).
+// AIRTABLE_TABLE_PROMOTIONS overrides the table (default "promotions").
+
+import { LEGACY_PROMOTIONS } from "../lib/promotions.js";
+
+const apiKey = process.env.AIRTABLE_API_KEY || "";
+const baseId = process.env.AIRTABLE_BASE_ID || "";
+const table = process.env.AIRTABLE_TABLE_PROMOTIONS || "promotions";
+const dryRun = process.argv.includes("--dry-run");
+
+if (!apiKey || !baseId) {
+  console.error("AIRTABLE_API_KEY and AIRTABLE_BASE_ID are required");
+  process.exit(2);
+}
+
+async function airtable(path, init = {}) {
+  const res = await fetch(`https://api.airtable.com/v0/${baseId}/${encodeURIComponent(table)}${path}`, {
+    ...init,
+    headers: { Authorization: `Bearer ${apiKey}`, "Content-Type": "application/json" },
+  });
+  const data = await res.json().catch(() => null);
+  if (!res.ok) throw new Error(`airtable_${res.status}: ${JSON.stringify(data)}`);
+  return data;
+}
+
+for (const promo of LEGACY_PROMOTIONS) {
+  const params = new URLSearchParams({ maxRecords: "1", filterByFormula: `UPPER({code})='${promo.code}'` });
+  const existing = (await airtable(`?${params}`)).records?.[0];
+  if (existing) {
+    console.log(`${promo.code}: exists (${existing.id}), left as is`);
+    continue;
+  }
+  if (dryRun) {
+    console.log(`${promo.code}: would create ${JSON.stringify(promo)}`);
+    continue;
+  }
+  const created = await airtable("", { method: "POST", body: JSON.stringify({ records: [{ fields: promo }], typecast: true }) });
+  console.log(`${promo.code}: created ${created.records?.[0]?.id || ""}`);
+}
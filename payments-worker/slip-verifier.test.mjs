@@ -0,0 +1,119 @@
+import assert from "node:assert/strict";
+import { crc16, normalizePromptPayId, parseEmvco, readPromptPaySlip } from "./lib/promptpay.js";
+import { createHttpVerifier, createSlipVerifier, createStubVerifier, matchSlip, parseReceiverIds } from "./lib/slip-verifier.js";
+
+function tlv(id, value) {
+  return `${id}${String(value.length).padStart(2, "0")}${value}`;
+}
+function withCrc(body) {
+  const head = `${body}6304`;
+  return `${head}${crc16(head)}`;
+}
+
+// PromptPay credit transfer to mobile 081-234-5678, 1,500 THB
+const promptpayQr = withCrc(
+  tlv("00", "01") +
+  tlv("01", "12") +
+  tlv("29", tlv("00", "A000000677010111") + tlv("01", "0066812345678")) +
+  tlv("53", "764") +
+  tlv("54", "1500.00") +
+  tlv("58", "TH")
+);
+
+const parsed = parseEmvco(promptpayQr);
+assert.equal(parsed.ok, true);
+assert.equal(parsed.crc_valid, true);
+assert.equal(parsed.tags["29"]["00"], "A000000677010111");
+
+const slip = readPromptPaySlip(promptpayQr);
+assert.equal(slip.kind, "promptpay_qr");
+assert.equal(slip.amount_thb, 1500);
+assert.deepEqual(slip.receiver, { type: "mobile", value: "0812345678" });
+
+const tampered = promptpayQr.replace("1500.00", "1900.00");
+assert.equal(parseEmvco(tampered).crc_valid, false);
+assert.equal(parseEmvco("0102").ok, false);
+
+// Bank slip mini QR: api id / sending bank / trans ref
+const miniQr = tlv("00", tlv("00", "000001") + tlv("01", "004") + tlv("02", "015123093012ABC01234")) + tlv("51", "TH") + tlv("91", "8F1C");
+const mini = readPromptPaySlip(miniQr);
+assert.equal(mini.kind, "slip_mini_qr");
+assert.equal(mini.sending_bank, "004");
+assert.equal(mini.trans_ref, "015123093012ABC01234");
+
+assert.equal(normalizePromptPayId("+66 81 234 5678"), "0812345678");
+assert.deepEqual(parseReceiverIds("081-234-5678, 1234567890123"), ["0812345678", "1234567890123"]);
+
+const now = Date.parse("2026-03-01T10:00:00Z");
+const expected = {
+  amount_thb: 1500,
+  receiver_ids: ["0812345678"],
+  not_before: "2026-03-01T08:00:00Z",
+  now,
+};
+
+const stub = createStubVerifier({
+  "https://cdn.example/ok.jpg": { qr_payload: promptpayQr, paid_at: "2026-03-01T09:30:00Z", trans_ref: "T0" },
+  "https://cdn.example/tampered.jpg": { qr_payload: tampered },
+});
+const ok = await stub.verify({ receipt_url: "https://cdn.example/ok.jpg" });
+assert.equal(ok.ok, true);
+assert.deepEqual(matchSlip(ok.slip, expected), { matched: true, reasons: [] });
+
+// the client's own QR and transfer time are never slip facts
+assert.equal((await stub.verify({ qr_payload: promptpayQr, paid_at: "2026-03-01T09:30:00Z" })).error, "slip_payload_missing");
+
+const wrongAmount = matchSlip({ ...ok.slip, amount_thb: 1400 }, expected);
+assert.equal(wrongAmount.matched, false);
+assert.deepEqual(wrongAmount.reasons, ["amount_mismatch"]);
+
+// the amount the client claims must match the slip too
+assert.deepEqual(matchSlip(ok.slip, { ...expected, request_amount_thb: 1000 }).reasons, ["request_amount_mismatch"]);
+assert.deepEqual(matchSlip({ ...ok.slip, trans_ref: null }, expected).reasons, ["slip_trans_ref_missing"]);
+
+const late = matchSlip({ ...ok.slip, paid_at: "2026-03-01T07:00:00Z", receiver: "0899999999" }, expected);
+assert.deepEqual(late.reasons, ["receiver_mismatch", "slip_before_session_created"]);
+
+assert.equal(matchSlip({ ...ok.slip, receiver: "xxx-x-x5678-x" }, expected).matched, true);
+assert.deepEqual(matchSlip({}, { now }).reasons, [
+  "expected_amount_unknown",
+  "slip_trans_ref_missing",
+  "receiver_not_configured",
+  "slip_timestamp_missing",
+]);
+
+assert.equal((await stub.verify({ receipt_url: "https://cdn.example/tampered.jpg" })).error, "qr_crc_invalid");
+assert.equal((await stub.verify({})).error, "slip_payload_missing");
+
+// off unless configured; the stub only exists for tests
+assert.equal(createSlipVerifier({}), null);
+assert.equal(createSlipVerifier({ SLIP_VERIFIER: "stub" }), null);
+assert.equal(createSlipVerifier({ SLIP_VERIFIER: "stub" }, { allowStub: true }).name, "stub");
+assert.equal(createSlipVerifier({ SLIP_VERIFIER: "http", SLIP_VERIFIER_URL: "https://slip.example" }).name, "http");
+
+const fixtures = createStubVerifier({
+  "https://cdn.example/slip.jpg": { qr_payload: miniQr, amount_thb: 1500, receiver: "0812345678", paid_at: "2026-03-01T09:00:00Z" },
+});
+const fromFixture = await fixtures.verify({ receipt_url: "https://cdn.example/slip.jpg" });
+assert.equal(fromFixture.slip.trans_ref, "015123093012ABC01234");
+assert.equal(matchSlip(fromFixture.slip, expected).matched, true);
+
+const http = createHttpVerifier({
+  url: "https://slip.example/verify",
+  fetchImpl: async (_url, init) => {
+    assert.equal(JSON.parse(init.body).receipt_url, "https://cdn.example/slip.jpg");
+    return new Response(JSON.stringify({ ok: true, amount: "1,500", receiver_account: "081-234-5678", transaction_time: "2026-03-01T09:45:00Z", transRef: "T1" }));
+  },
+});
+const remote = await http.verify({ receipt_url: "https://cdn.example/slip.jpg", qr_payload: promptpayQr });
+assert.equal(remote.slip.amount_thb, 1500);
+assert.equal(remote.slip.trans_ref, "T1");
+assert.equal(matchSlip(remote.slip, expected).matched, true);
+
+// a service that answers without slip facts does not inherit the client's QR
+const empty = createHttpVerifier({ url: "https://slip.example/verify", fetchImpl: async () => new Response(JSON.stringify({ ok: true })) });
+const bare = await empty.verify({ receipt_url: "https://cdn.example/slip.jpg", qr_payload: promptpayQr });
+assert.equal(bare.slip.amount_thb, undefined);
+assert.equal(matchSlip(bare.slip, expected).matched, false);
+
+console.log("slip verifier tests passed");
@@ -0,0 +1,106 @@
+import assert from "node:assert/strict";
+import worker from "./index.js";
+
+const env = {
+  AIRTABLE_API_KEY: "k",
+  AIRTABLE_BASE_ID: "app",
+  SLIP_VERIFIER: "http",
+  SLIP_VERIFIER_URL: "https://slip.example/verify",
+  PROMPTPAY_RECEIVER_IDS: "0812345678",
+};
+const realFetch = globalThis.fetch;
+const minutesAgo = (m) => new Date(Date.now() - m * 60 * 1000).toISOString();
+
+// fake slip verifier + Airtable: a 1000 THB deposit, SONGKRAN10 in the catalog, the redemption ledger
+function backend({ promo, redemptions, onRedemption = () => {} }) {
+  const tables = {
+    sessions: [{ id: "recS", fields: { session_id: "S1", deposit_thb: 1000, created_at: minutesAgo(60) } }],
+    promotions: [{ id: "recP", fields: promo }],
+    promo_redemptions: redemptions,
+  };
+  const created = {};
+  globalThis.fetch = async (url, init = {}) => {
+    const ok = (data) => new Response(JSON.stringify(data), { status: 200 });
+    if (String(url) === env.SLIP_VERIFIER_URL) {
+      return ok({ ok: true, amount_thb: 900, receiver: "0812345678", paid_at: minutesAgo(5), trans_ref: "T900" });
+    }
+    const u = new URL(url);
+    const method = init.method || "GET";
+    const table = decodeURIComponent(u.pathname.split("/")[3]);
+    const rows = tables[table] || [];
+
+    if (method === "POST") {
+      const rec = { id: `rec${table}${rows.length}`, createdTime: new Date().toISOString(), fields: JSON.parse(init.body).records[0].fields };
+      (created[table] ||= []).push(rec.fields);
+      if (table === "promo_redemptions") {
+        rows.push(rec);
+        onRedemption(rows);
+      }
+      return ok({ records: [rec] });
+    }
+    if (method === "DELETE") {
+      const id = decodeURIComponent(u.pathname.split("/")[4]);
+      rows.splice(rows.findIndex((r) => r.id === id), 1);
+      return ok({ deleted: true, id });
+    }
+    if (method === "PATCH") return ok({ id: decodeURIComponent(u.pathname.split("/")[4]) });
+    if (table === "promo_redemptions") {
+      const ref = (u.searchParams.get("filterByFormula") || "").match(/^\{payment_ref\}='(.*)'$/);
+      return ok({ records: ref ? rows.filter((r) => r.fields.payment_ref === ref[1]) : rows });
+    }
+    return ok({ records: table === "payments" ? [] : rows });
+  };
+  return created;
+}
+
+async function verify(payment_ref) {
+  const res = await worker.fetch(
+    new Request("https://pay.example/v1/pay/verify", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        session_id: "S1",
+        payment_stage: "deposit",
+        amount: 900,
+        promo_code: "songkran10",
+        discount_thb: 100,
+        member_email: "a@b.co",
+        receipt_url: "https://files.example/slip.jpg",
+        payment_ref,
+      }),
+    }),
+    env
+  );
+  return res.json();
+}
+
+const songkran = { code: "SONGKRAN10", type: "percent", value: 10, active: true };
+
+try {
+  // the slip pays the session's deposit less the validated discount: auto-verified, redemption recorded
+  let redemptions = [];
+  let created = backend({ promo: songkran, redemptions });
+  let body = await verify("pay_v1");
+  assert.equal(body.verification_status, "verified", JSON.stringify(body.verification));
+  assert.equal(body.promo_redemption.recorded, true);
+  assert.deepEqual(redemptions.map((r) => [r.fields.payment_ref, r.fields.discount_thb, r.fields.original_amount_thb]), [["pay_v1", 100, 1000]]);
+  assert.equal(created.payments[0]["Payment Status"], "paid");
+
+  // the last slot went to a concurrent redemption: the row is given back and the payment waits for a human
+  redemptions = [];
+  created = backend({
+    promo: { ...songkran, max_redemptions: 1 },
+    redemptions,
+    onRedemption: (rows) =>
+      rows.push({ id: "recOther", createdTime: minutesAgo(1), fields: { code: "SONGKRAN10", payment_ref: "pay_other", member_email: "c@d.co" } }),
+  });
+  body = await verify("pay_v2");
+  assert.equal(body.verification_status, "manual_review");
+  assert.deepEqual(body.verification.reasons, ["promo_max_redemptions_reached"]);
+  assert.deepEqual(redemptions.map((r) => r.id), ["recOther"]);
+  assert.equal(created.payments[0]["Payment Status"], "pending");
+} finally {
+  globalThis.fetch = realFetch;
+}
+
+console.log("verify tests passed");
@@ -0,0 +1,112 @@
+import assert from "node:assert/strict";
+import {
+  buildSosText,
+  checkStale,
+  evaluateModelLocation,
+  haversineMeters,
+  parseMeetingPoint,
+  telegramOpsSend,
+} from "./src/safety.js";
+
+// haversine: same point, ~111 km per degree of latitude, symmetric
+const lobby = { lat: 13.7466, lng: 100.5393 };
+assert.equal(haversineMeters(lobby, lobby), 0);
+const degree = haversineMeters({ lat: 0, lng: 100 }, { lat: 1, lng: 100 });
+assert.ok(Math.abs(degree - 111195) < 10, `one degree of latitude: ${degree}`);
+const across = haversineMeters(lobby, { lat: 13.7476, lng: 100.5393 });
+assert.ok(Math.abs(across - 111) < 1, `0.001 deg: ${across}`);
+assert.equal(haversineMeters(lobby, { lat: 13.75, lng: 100.54 }), haversineMeters({ lat: 13.75, lng: 100.54 }, lobby));
+
+assert.deepEqual(parseMeetingPoint({ meeting_point_lat: "13.7466", meeting_point_lng: "100.5393", meeting_point_text: "Lobby" }), { ...lobby, text: "Lobby" });
+assert.equal(parseMeetingPoint({ lat: 95, lng: 100 }), null);
+assert.equal(parseMeetingPoint({ lat: "", lng: 100 }), null);
+
+// geofence
+const enRoute = { job_id: "JOB-1", status: "en_route", meeting_point: { ...lobby, text: "Lobby" }, en_route_at: 1_000_000 };
+assert.equal(evaluateModelLocation({}, { status: "en_route" }, lobby), null);
+
+const near = evaluateModelLocation({}, enRoute, { lat: 13.7470, lng: 100.5393 });
+assert.equal(near.inside, true);
+assert.equal(near.radius_m, 150);
+assert.equal(near.auto_arrive, true);
+
+const far = evaluateModelLocation({}, enRoute, { lat: 13.7566, lng: 100.5393 });
+assert.equal(far.inside, false);
+assert.equal(far.auto_arrive, false);
+assert.ok(far.distance_m > 1000);
+
+assert.equal(evaluateModelLocation({ GEOFENCE_RADIUS_M: "30" }, enRoute, { lat: 13.7470, lng: 100.5393 }).inside, false);
+assert.equal(evaluateModelLocation({ GEOFENCE_RADIUS_M: "30" }, { ...enRoute, radius_m: 100 }, { lat: 13.7470, lng: 100.5393 }).inside, true);
+assert.equal(evaluateModelLocation({}, { ...enRoute, arrived_auto_at: 5 }, lobby).auto_arrive, false);
+assert.equal(evaluateModelLocation({}, { ...enRoute, status: "arrived" }, lobby).auto_arrive, false);
+
+// stale check
+const min = 60 * 1000;
+assert.equal(checkStale({}, { ...enRoute, status: "arrived" }, null).reason, "not_en_route");
+assert.equal(checkStale({}, { status: "en_route" }, null).reason, "no_reference");
+
+const fresh = checkStale({}, enRoute, { ts: 2_000_000 }, 2_000_000 + 5 * min);
+assert.equal(fresh.stale, false);
+assert.equal(fresh.next_check_at, 2_000_000 + 10 * min);
+
+const stale = checkStale({}, enRoute, { ts: 2_000_000 }, 2_000_000 + 12 * min);
+assert.deepEqual(stale, { stale: true, since: 2_000_000, minutes: 12 });
+assert.equal(checkStale({}, { ...enRoute, stale_alerted_for: 2_000_000 }, { ts: 2_000_000 }, 2_000_000 + 12 * min).already_alerted, true);
+
+// no model location yet: measured from en_route_at
+assert.equal(checkStale({}, enRoute, null, enRoute.en_route_at + 11 * min).since, enRoute.en_route_at);
+assert.equal(checkStale({ LOCATION_STALE_MINUTES: "3" }, enRoute, { ts: 2_000_000 }, 2_000_000 + 4 * min).stale, true);
+
+// SOS location: own coordinates, else the last known location with its age
+const from = { role: "model", name: "Kenji" };
+const own = buildSosText(enRoute, from, { text: "help", lat: 13.75, lng: 100.54 }, { lat: 1, lng: 2, ts: 0 });
+assert.match(own, /Location: https:\/\/maps\.google\.com\/\?q=13\.75,100\.54/);
+assert.doesNotMatch(own, /Last known/);
+
+const old = buildSosText(enRoute, from, { text: "help" }, { lat: 13.7, lng: 100.5, ts: 2_000_000, role: "customer" }, 2_000_000 + 25 * min);
+assert.match(old, /Last known location \(25 min ago, customer\): https:\/\/maps\.google\.com\/\?q=13\.7,100\.5/);
+
+assert.match(buildSosText(enRoute, from, {}, { lat: 13.7, lng: 100.5 }), /Last known location \(age unknown\)/);
+assert.match(buildSosText(null, from, { text: "<b>" }, null), /Location: unknown/);
+assert.match(buildSosText(null, from, { text: "<b>" }, null), /Message: &lt;b&gt;/);
+
+// ops alerts: outbox first, direct send only as fallback
+const realFetch = globalThis.fetch;
+const calls = [];
+try {
+  globalThis.fetch = async (url, init) => {
+    calls.push({ url: String(url), body: JSON.parse(init.body), headers: init.headers });
+    return new Response(JSON.stringify({ ok: true, queued: true }), { status: 200 });
+  };
+  const env = { TELEGRAM_OUTBOX_URL: "https://tg.example/telegram/internal/send", INTERNAL_TOKEN: "it", TG_THREAD_CONFIRM: "21" };
+  const queued = await telegramOpsSend(env, "hi", { dedupeKey: "rt_stale:JOB-1:1" });
+  assert.equal(queued.ok, true);
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].url, env.TELEGRAM_OUTBOX_URL);
+  assert.equal(calls[0].headers["X-Internal-Token"], "it");
+  assert.equal(calls[0].body.dedupe_key, "rt_stale:JOB-1:1");
+  assert.equal(calls[0].body.message.message_thread_id, 21);
+  assert.equal("chat_id" in calls[0].body.message, false);
+
+  calls.length = 0;
+  globalThis.fetch = async (url, init) => {
+    calls.push({ url: String(url), body: JSON.parse(init.body) });
+    if (String(url).includes("tg.example")) return new Response(JSON.stringify({ ok: false, error: "unauthorized" }), { status: 401 });
+    return new Response(JSON.stringify({ ok: true, result: { message_id: 1 } }), { status: 200 });
+  };
+  const direct = await telegramOpsSend({ ...env, TELEGRAM_BOT_TOKEN: "bt", TELEGRAM_CHAT_ID: "-100" }, "hi");
+  assert.equal(direct.ok, true);
+  assert.equal(calls.length, 2);
+  assert.match(calls[1].url, /api\.telegram\.org\/botbt\/sendMessage/);
+  assert.equal(calls[1].body.chat_id, "-100");
+
+  const failed = await telegramOpsSend(env, "hi");
+  assert.equal(failed.ok, false);
+  assert.equal(failed.outbox_error, "unauthorized");
+
+  assert.equal((await telegramOpsSend({}, "hi")).skipped, true);
+} finally {
+  globalThis.fetch = realFetch;
+}
+
+console.log("safety tests passed");
@@ -1,12 +1,38 @@
 // realtime-worker — LOCK v2026-LOCK-RT-01
 // Purpose: WebSocket rooms (chat/location), room-token issuing via internal endpoint.
 // Video call: intended via provider tokens (Daily/Twilio) — not implemented in this minimal deploy.
+//
+// Room identity: every token maps to a role (customer | model | admin).
+//   - customer/model messages are stamped with `from` and sent to the *other* sockets (sender gets an ack)
+//   - chat/photo_meta are persisted (bounded by ROOM_HISTORY_LIMIT) and replayed on (re)connect
+//   - admin is a silent, read-only observer (no presence event, messages rejected)
+//   - /close expires all tokens and disconnects everyone (session reached `separated`)
+//
+// Safety (see ./safety.js): events-worker pushes en_route/arrived + meeting point via /state.
+//   - model locations are geofenced; entering the radius while en_route auto-transitions to `arrived`
+//   - while en_route, a DO alarm alerts ops when no model location arrives for LOCATION_STALE_MINUTES
+//   - `sos` (customer/model) is persisted, fanned out to everyone (admins included) and sent to ops
+
+import {
+  buildSosText,
+  buildStaleText,
+  checkStale,
+  evaluateModelLocation,
+  parseMeetingPoint,
+  requestAutoArrived,
+  staleMinutes,
+  telegramOpsSend,
+} from "./safety.js";
+
+const ROLES = ["customer", "model", "admin"];
+const PERSISTED_TYPES = ["chat", "photo_meta", "sos"];
+const MSG_PREFIX = "msg:";
 
 export class RoomDO {
   constructor(state, env) {
     this.state = state;
     this.env = env;
-    this.sockets = new Set();
+    this.sockets = new Map(); // ws -> { role, name }
   }
 
   async fetch(req) {
@@ -16,34 +42,78 @@ export class RoomDO {
     if (url.hostname === "do.local" && url.pathname === "/store_tokens" && req.method === "POST") {
       const data = await req.json().catch(() => null);
       if (!data?.customer || !data?.model) return new Response("bad_request", { status: 400 });
-      await this.state.storage.put("room_tokens", { customer: String(data.customer), model: String(data.model) });
+      await this.state.storage.put("room_tokens", {
+        customer: String(data.customer),
+        model: String(data.model),
+        admin: data.admin ? String(data.admin) : "",
+        names: {
+          customer: String(data.names?.customer || ""),
+          model: String(data.names?.model || ""),
+        },
+        opened_at: Date.now(),
+        closed_at: null,
+      });
       return new Response("ok", { status: 200 });
     }
 
+    // Internal: close room (expire tokens, drop sockets)
+    if (url.hostname === "do.local" && url.pathname === "/close" && req.method === "POST") {
+      const data = await req.json().catch(() => ({}));
+      const closed = await this._close(String(data?.reason || "room_closed"));
+      return new Response(JSON.stringify({ ok: true, ...closed }), {
+        status: 200,
+        headers: { "Content-Type": "application/json" },
+      });
+    }
+
+    // Internal: session state + meeting point (from events-worker transitions)
+    if (url.hostname === "do.local" && url.pathname === "/state" && req.method === "POST") {
+      const data = await req.json().catch(() => null);
+      if (!data?.status) return new Response("bad_request", { status: 400 });
+      const safety = await this._setState(data);
+      return new Response(JSON.stringify({ ok: true, safety }), {
+        status: 200,
+        headers: { "Content-Type": "application/json" },
+      });
+    }
+
     // WebSocket upgrade
     if (url.pathname === "/v1/rt/ws") {
       const token = (url.searchParams.get("token") || "").trim();
       const room = (url.searchParams.get("room") || "").trim();
+      const since = Number(url.searchParams.get("since") || 0);
 
       if (!room) return new Response("bad_request", { status: 400 });
 
-      const ok = await this._checkRoomToken(token);
-      if (!ok) return new Response("unauthorized", { status: 401 });
+      const identity = await this._identify(token);
+      if (!identity) return new Response("unauthorized", { status: 401 });
 
       const pair = new WebSocketPair();
       const client = pair[0];
       const server = pair[1];
 
       server.accept();
-      this.sockets.add(server);
+      this.sockets.set(server, identity);
 
       server.addEventListener("message", (evt) => this._onMessage(server, evt.data, room));
-      server.addEventListener("close", () => this.sockets.delete(server));
-      server.addEventListener("error", () => this.sockets.delete(server));
+      server.addEventListener("close", () => this._leave(server));
+      server.addEventListener("error", () => this._leave(server));
 
-      // hello + last_location (if any)
+      // hello + last_location (if any) + history replay
       const lastLoc = await this.state.storage.get("last_location");
-      server.send(JSON.stringify({ type: "hello", room, ts: Date.now(), last_location: lastLoc || null }));
+      server.send(JSON.stringify({
+        type: "hello",
+        room,
+        ts: Date.now(),
+        you: identity,
+        online: this._online(),
+        last_location: lastLoc || null,
+      }));
+      server.send(JSON.stringify({ type: "history", room, messages: await this._history(since) }));
+
+      if (identity.role !== "admin") {
+        this._broadcast({ type: "presence", room, role: identity.role, name: identity.name, status: "joined", server_ts: Date.now() }, server);
+      }
 
       return new Response(null, { status: 101, webSocket: client });
     }
@@ -51,11 +121,147 @@ export class RoomDO {
     return new Response("not_found", { status: 404 });
   }
 
-  async _checkRoomToken(token) {
-    if (!token) return false;
+  async _identify(token) {
+    if (!token) return null;
+    const data = await this.state.storage.get("room_tokens");
+    if (!data || data.closed_at) return null;
+
+    const role = ROLES.find((r) => data[r] && token === data[r]);
+    if (!role) return null;
+    return { role, name: String(data.names?.[role] || "") };
+  }
+
+  _online() {
+    const roles = new Set();
+    for (const meta of this.sockets.values()) {
+      if (meta.role !== "admin") roles.add(meta.role);
+    }
+    return [...roles];
+  }
+
+  _leave(ws) {
+    const meta = this.sockets.get(ws);
+    if (!this.sockets.delete(ws)) return;
+    if (meta && meta.role !== "admin") {
+      this._broadcast({ type: "presence", role: meta.role, name: meta.name, status: "left", server_ts: Date.now() }, ws);
+    }
+  }
+
+  _broadcast(out, exclude = null) {
+    const text = JSON.stringify(out);
+    for (const s of this.sockets.keys()) {
+      if (s === exclude) continue;
+      try { s.send(text); } catch {}
+    }
+  }
+
+  _historyLimit() {
+    const n = Number(this.env.ROOM_HISTORY_LIMIT || 200);
+    return Number.isFinite(n) && n > 0 ? Math.floor(n) : 200;
+  }
+
+  async _persist(out) {
+    const seq = ((await this.state.storage.get("msg_seq")) || 0) + 1;
+    await this.state.storage.put({
+      msg_seq: seq,
+      [`${MSG_PREFIX}${String(seq).padStart(12, "0")}`]: { ...out, seq },
+    });
+
+    const drop = seq - this._historyLimit();
+    if (drop > 0) await this.state.storage.delete(`${MSG_PREFIX}${String(drop).padStart(12, "0")}`);
+    return seq;
+  }
+
+  async _history(since = 0) {
+    const entries = await this.state.storage.list({ prefix: MSG_PREFIX, limit: this._historyLimit() });
+    return [...entries.values()].filter((m) => !since || Number(m.seq) > since);
+  }
+
+  async _close(reason) {
     const data = await this.state.storage.get("room_tokens");
-    if (!data) return false;
-    return token === data.customer || token === data.model;
+    if (data && !data.closed_at) {
+      await this.state.storage.put("room_tokens", {
+        ...data,
+        customer: "",
+        model: "",
+        admin: "",
+        closed_at: Date.now(),
+        closed_reason: reason,
+      });
+    }
+
+    const text = JSON.stringify({ type: "closed", reason, server_ts: Date.now() });
+    let count = 0;
+    for (const s of this.sockets.keys()) {
+      try { s.send(text); s.close(4000, reason); } catch {}
+      count++;
+    }
+    this.sockets.clear();
+
+    return { closed_sockets: count, already_closed: Boolean(data?.closed_at) };
+  }
+
+  async _setState(data) {
+    const prev = (await this.state.storage.get("safety")) || {};
+    const status = String(data.status);
+    const now = Date.now();
+
+    const safety = {
+      ...prev,
+      job_id: String(data.job_id || prev.job_id || ""),
+      status,
+      meeting_point: parseMeetingPoint(data.meeting_point) || prev.meeting_point || null,
+      radius_m: Number(data.radius_m) > 0 ? Number(data.radius_m) : prev.radius_m || null,
+      en_route_at: status === "en_route" ? prev.en_route_at || now : prev.en_route_at || null,
+    };
+    await this.state.storage.put("safety", safety);
+
+    if (status === "en_route") await this.state.storage.setAlarm(now + staleMinutes(this.env) * 60 * 1000);
+    else await this.state.storage.deleteAlarm();
+
+    this._broadcast({ type: "status", status, meeting_point: safety.meeting_point, server_ts: now });
+    return safety;
+  }
+
+  async alarm() {
+    const safety = await this.state.storage.get("safety");
+    const lastModel = await this.state.storage.get("last_model_location");
+    const check = checkStale(this.env, safety, lastModel);
+
+    if (check.next_check_at) {
+      await this.state.storage.setAlarm(check.next_check_at);
+      return;
+    }
+    if (!check.stale) return;
+
+    await this.state.storage.put("safety", { ...safety, stale_alerted_for: check.since });
+    const out = { type: "safety_alert", alert: "location_stale", minutes: check.minutes, last_location: lastModel || null, server_ts: Date.now() };
+    for (const [s, meta] of this.sockets) {
+      if (meta.role !== "admin") continue;
+      try { s.send(JSON.stringify(out)); } catch {}
+    }
+    const sent = await telegramOpsSend(this.env, buildStaleText(safety, check, lastModel), {
+      dedupeKey: `rt_stale:${safety.job_id || ""}:${check.since}`,
+    }).catch((err) => ({ ok: false, error: String(err?.message || err) }));
+    if (!sent.ok) console.log(JSON.stringify({ event: "ops_alert_failed", alert: "location_stale", job_id: safety.job_id || null, ...sent }));
+  }
+
+  async _onModelLocation(loc) {
+    await this.state.storage.put("last_model_location", loc);
+
+    const safety = await this.state.storage.get("safety");
+    if (!safety) return;
+    if (safety.status === "en_route") await this.state.storage.setAlarm(loc.ts + staleMinutes(this.env) * 60 * 1000);
+
+    const geo = evaluateModelLocation(this.env, safety, loc);
+    if (!geo) return;
+    this._broadcast({ type: "geofence", inside: geo.inside, distance_m: geo.distance_m, radius_m: geo.radius_m, server_ts: loc.ts });
+    if (!geo.auto_arrive) return;
+
+    await this.state.storage.put("safety", { ...safety, status: "arrived", arrived_auto_at: loc.ts });
+    await this.state.storage.deleteAlarm();
+    const events = await requestAutoArrived(this.env, safety, geo).catch((err) => ({ ok: false, error: String(err?.message || err) }));
+    this._broadcast({ type: "status", status: "arrived", auto: true, distance_m: geo.distance_m, events_ok: Boolean(events.ok), server_ts: Date.now() });
   }
 
   async _onMessage(ws, raw, room) {
@@ -64,22 +270,38 @@ export class RoomDO {
 
     // Very small allowlist
     const type = String(msg?.type || "");
-    if (!["ping", "chat", "location", "photo_meta"].includes(type)) return;
+    if (!["ping", "chat", "location", "photo_meta", "sos"].includes(type)) return;
 
     if (type === "ping") {
       ws.send(JSON.stringify({ type: "pong", ts: Date.now() }));
       return;
     }
 
-    const out = { ...msg, room, server_ts: Date.now() };
-    const text = JSON.stringify(out);
-
-    for (const s of this.sockets) {
-      try { s.send(text); } catch {}
+    const meta = this.sockets.get(ws);
+    if (!meta) return;
+    if (meta.role === "admin") {
+      ws.send(JSON.stringify({ type: "error", error: "observer_read_only", ref: msg.client_id || null }));
+      return;
     }
 
+    const out = { ...msg, type, room, from: { role: meta.role, name: meta.name }, server_ts: Date.now() };
+    if (PERSISTED_TYPES.includes(type)) out.seq = await this._persist(out);
+
+    this._broadcast(out, ws);
+    ws.send(JSON.stringify({ type: "ack", ref: msg.client_id || null, seq: out.seq || null, server_ts: out.server_ts }));
+
     if (type === "location" && typeof msg.lat === "number" && typeof msg.lng === "number") {
-      await this.state.storage.put("last_location", { lat: msg.lat, lng: msg.lng, ts: Date.now() });
+      const loc = { lat: msg.lat, lng: msg.lng, ts: out.server_ts, role: meta.role };
+      await this.state.storage.put("last_location", loc);
+      if (meta.role === "model") await this._onModelLocation(loc);
+    }
+
+    if (type === "sos") {
+      const safety = await this.state.storage.get("safety");
+      const lastLoc = await this.state.storage.get("last_location");
+      const sent = await telegramOpsSend(this.env, buildSosText(safety, meta, msg, lastLoc, out.server_ts))
+        .catch((err) => ({ ok: false, error: String(err?.message || err) }));
+      if (!sent.ok) console.log(JSON.stringify({ event: "ops_alert_failed", alert: "sos", job_id: safety?.job_id || null, ...sent }));
     }
   }
 }
@@ -130,32 +352,90 @@ export default {
 
       const customer = crypto.randomUUID();
       const model = crypto.randomUUID();
+      const admin = crypto.randomUUID();
 
       const id = env.ROOM.idFromName(roomName);
       const stub = env.ROOM.get(id);
 
       await stub.fetch("https://do.local/store_tokens", {
         method: "POST",
-        body: JSON.stringify({ customer, model }),
+        body: JSON.stringify({
+          customer,
+          model,
+          admin,
+          names: {
+            customer: String(body.customer_name || ""),
+            model: String(body.model_name || body.model_code || ""),
+          },
+        }),
       });
 
       const webBase = String(env.WEB_BASE_URL || "").replace(/\/+$/, "");
       // You can host /live in Webflow and point it to WS endpoint
       const liveCustomerUrl = `${webBase}/live?room=${encodeURIComponent(roomName)}&token=${encodeURIComponent(customer)}`;
       const liveModelUrl = `${webBase}/live?room=${encodeURIComponent(roomName)}&token=${encodeURIComponent(model)}`;
+      const liveAdminUrl = `${webBase}/live?room=${encodeURIComponent(roomName)}&token=${encodeURIComponent(admin)}&observer=1`;
 
       return new Response(JSON.stringify({
         ok: true,
         job_id: jobId,
         room: roomName,
         live_customer_url: liveCustomerUrl,
-        live_model_url: liveModelUrl
+        live_model_url: liveModelUrl,
+        live_admin_url: liveAdminUrl
       }), {
         status: 200,
         headers: new Headers({ "Content-Type": "application/json", ...Object.fromEntries(cors) }),
       });
     }
 
+    // Internal: close room (session reached `separated`) — expires all tokens
+    if (method === "POST" && url.pathname === "/v1/rt/room/close") {
+      if (!requireInternal(req, env)) return new Response("unauthorized", { status: 401, headers: cors });
+
+      const body = await req.json().catch(() => null);
+      const roomName = body?.room ? String(body.room) : body?.job_id ? `room:${String(body.job_id)}` : "";
+      if (!roomName) return new Response("bad_request", { status: 400, headers: cors });
+
+      const stub = env.ROOM.get(env.ROOM.idFromName(roomName));
+      const res = await stub.fetch("https://do.local/close", {
+        method: "POST",
+        body: JSON.stringify({ reason: String(body.reason || "session_separated") }),
+      });
+      const closed = await res.json().catch(() => ({ ok: false }));
+
+      return new Response(JSON.stringify({ ...closed, room: roomName }), {
+        status: 200,
+        headers: new Headers({ "Content-Type": "application/json", ...Object.fromEntries(cors) }),
+      });
+    }
+
+    // Internal: session state + meeting point (events-worker on en_route / arrived)
+    if (method === "POST" && url.pathname === "/v1/rt/room/state") {
+      if (!requireInternal(req, env)) return new Response("unauthorized", { status: 401, headers: cors });
+
+      const body = await req.json().catch(() => null);
+      const roomName = body?.room ? String(body.room) : body?.job_id ? `room:${String(body.job_id)}` : "";
+      if (!roomName || !body?.status) return new Response("bad_request", { status: 400, headers: cors });
+
+      const stub = env.ROOM.get(env.ROOM.idFromName(roomName));
+      const res = await stub.fetch("https://do.local/state", {
+        method: "POST",
+        body: JSON.stringify({
+          job_id: body.job_id || roomName.replace(/^room:/, ""),
+          status: String(body.status),
+          meeting_point: body.meeting_point || null,
+          radius_m: body.radius_m,
+        }),
+      });
+      const out = await res.json().catch(() => ({ ok: false }));
+
+      return new Response(JSON.stringify({ ...out, room: roomName }), {
+        status: res.ok ? 200 : 400,
+        headers: new Headers({ "Content-Type": "application/json", ...Object.fromEntries(cors) }),
+      });
+    }
+
     // Public: WebSocket endpoint routed to DO
     if (method === "GET" && url.pathname === "/v1/rt/ws") {
       const room = (url.searchParams.get("room") || "").trim();
@@ -0,0 +1,197 @@
+// realtime-worker/src/safety.js
+// Location safety for en_route / arrived:
+//   - geofence against the job meeting point (pushed by events-worker)
+//   - auto `arrived` when the model enters the radius
+//   - stale-location check (DO alarm) while en_route
+//   - SOS fan-out to the ops Telegram thread
+
+const EARTH_RADIUS_M = 6371000;
+
+function toRad(deg) {
+  return (deg * Math.PI) / 180;
+}
+
+function numOrNull(v) {
+  if (v === null || v === undefined || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function escHtml(s) {
+  return String(s || "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+export function haversineMeters(a, b) {
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+export function parseMeetingPoint(input) {
+  const lat = numOrNull(input?.lat ?? input?.meeting_point_lat);
+  const lng = numOrNull(input?.lng ?? input?.meeting_point_lng);
+  if (lat === null || lng === null || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  return { lat, lng, text: String(input?.text ?? input?.meeting_point_text ?? "") };
+}
+
+export function geofenceRadius(env, safety) {
+  const n = numOrNull(safety?.radius_m) ?? numOrNull(env.GEOFENCE_RADIUS_M);
+  return n && n > 0 ? n : 150;
+}
+
+export function staleMinutes(env) {
+  const n = numOrNull(env.LOCATION_STALE_MINUTES);
+  return n && n > 0 ? n : 10;
+}
+
+/**
+ * Check a model location against the meeting point.
+ * => null (no meeting point) | { inside, distance_m, radius_m, auto_arrive }
+ */
+export function evaluateModelLocation(env, safety, loc) {
+  const point = safety?.meeting_point;
+  if (!point) return null;
+
+  const distance_m = Math.round(haversineMeters(point, loc));
+  const radius_m = geofenceRadius(env, safety);
+  const inside = distance_m <= radius_m;
+
+  return {
+    inside,
+    distance_m,
+    radius_m,
+    auto_arrive: inside && safety.status === "en_route" && !safety.arrived_auto_at,
+  };
+}
+
+/**
+ * While en_route: stale when the last model location (or the en_route time when none yet)
+ * is older than N minutes, and we have not already alerted for that same gap.
+ */
+export function checkStale(env, safety, lastModelLocation, now = Date.now()) {
+  if (safety?.status !== "en_route") return { stale: false, reason: "not_en_route" };
+
+  const since = Number(lastModelLocation?.ts || safety.en_route_at || 0);
+  if (!since) return { stale: false, reason: "no_reference" };
+
+  const limitMs = staleMinutes(env) * 60 * 1000;
+  const age = now - since;
+  if (age < limitMs) return { stale: false, next_check_at: since + limitMs };
+  if (safety.stale_alerted_for === since) return { stale: false, already_alerted: true };
+
+  return { stale: true, since, minutes: Math.floor(age / 60000) };
+}
+
+export function buildStaleText(safety, check, lastModelLocation) {
+  return [
+    "⚠️ <b>LOCATION STALE (en_route)</b>",
+    safety.job_id ? `Job: <code>${escHtml(safety.job_id)}</code>` : "",
+    `No model location for <b>${Number(check.minutes)} min</b>`,
+    lastModelLocation ? `Last: ${lastModelLocation.lat.toFixed(5)},${lastModelLocation.lng.toFixed(5)}` : "Last: none since en_route",
+    safety.meeting_point?.text ? `Meeting point: ${escHtml(safety.meeting_point.text)}` : "",
+  ].filter(Boolean).join("\n");
+}
+
+/**
+ * The SOS message's own coordinates when it has them; otherwise the room's last known location,
+ * labelled with its age so ops do not read an old fix as the current position.
+ */
+export function buildSosText(safety, from, msg, lastLocation, now = Date.now()) {
+  const msgLat = numOrNull(msg?.lat);
+  const msgLng = numOrNull(msg?.lng);
+  const fallback = numOrNull(lastLocation?.lat) !== null && numOrNull(lastLocation?.lng) !== null;
+
+  let location = "Location: unknown";
+  if (msgLat !== null && msgLng !== null) {
+    location = `Location: https://maps.google.com/?q=${msgLat},${msgLng}`;
+  } else if (fallback) {
+    const ts = Number(lastLocation.ts || 0);
+    const age = ts ? ` (${Math.max(0, Math.floor((now - ts) / 60000))} min ago${lastLocation.role ? `, ${escHtml(lastLocation.role)}` : ""})` : " (age unknown)";
+    location = `Last known location${age}: https://maps.google.com/?q=${lastLocation.lat},${lastLocation.lng}`;
+  }
+
+  return [
+    "🆘 <b>SOS</b>",
+    safety?.job_id ? `Job: <code>${escHtml(safety.job_id)}</code>` : "",
+    `From: <b>${escHtml(from.role)}</b>${from.name ? ` (${escHtml(from.name)})` : ""}`,
+    safety?.status ? `Status: <b>${escHtml(safety.status)}</b>` : "",
+    msg?.text ? `Message: ${escHtml(msg.text)}` : "",
+    location,
+  ].filter(Boolean).join("\n");
+}
+
+// Ops alerts go through telegram-worker's outbox when TELEGRAM_OUTBOX_URL is set (dedupe, 429 back-off,
+// retries; the outbox fills in its own TELEGRAM_CHAT_ID); otherwise, or if the outbox is unreachable,
+// they are sent once directly.
+export async function telegramOpsSend(env, text, { dedupeKey = "" } = {}) {
+  const chatId = String(env.TELEGRAM_CHAT_ID || "").trim();
+  const threadId = Number(env.TG_THREAD_OPS || env.TG_THREAD_CONFIRM || 0);
+  const message = {
+    ...(chatId ? { chat_id: chatId } : {}),
+    ...(threadId ? { message_thread_id: threadId } : {}),
+    text,
+    parse_mode: "HTML",
+    disable_web_page_preview: true,
+  };
+
+  const outboxUrl = String(env.TELEGRAM_OUTBOX_URL || "").trim();
+  let queued = null;
+  if (outboxUrl) {
+    queued = await telegramEnqueue(env, outboxUrl, message, dedupeKey);
+    if (queued.ok) return queued;
+  }
+
+  const token = String(env.TELEGRAM_BOT_TOKEN || "").trim();
+  if (!token || !chatId) return { ok: false, skipped: !queued, reason: "missing_telegram_env", outbox_error: queued?.error || null };
+
+  const res = await fetch(`https://api.telegram.org/bot${token}/sendMessage`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ ...message, chat_id: chatId }),
+  });
+  const data = await res.json().catch(() => null);
+  if (!res.ok || data?.ok === false) return { ok: false, status: res.status, error: data?.description || `telegram_http_${res.status}` };
+  return { ok: true };
+}
+
+async function telegramEnqueue(env, url, message, dedupeKey) {
+  try {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "X-Internal-Token": env.INTERNAL_TOKEN || "" },
+      body: JSON.stringify({ message, dedupe_key: dedupeKey || "" }),
+    });
+    const data = await res.json().catch(() => null);
+    if (!res.ok || !data?.ok) return { ok: false, status: res.status, error: data?.error || `outbox_http_${res.status}` };
+    return { ok: true, queued: Boolean(data.queued), duplicate: Boolean(data.duplicate) };
+  } catch (err) {
+    return { ok: false, error: String(err?.message || err) };
+  }
+}
+
+/**
+ * Ask events-worker to move the session to `arrived` (state machine still validates it).
+ */
+export async function requestAutoArrived(env, safety, detail) {
+  const base = String(env.EVENTS_BASE_URL || "").trim().replace(/\/+$/, "");
+  const key = String(env.CONFIRM_KEY || "").trim();
+  if (!base || !key) return { ok: false, skipped: true, reason: "missing_events_env" };
+
+  const res = await fetch(`${base}/v1/sessions/transition`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-Confirm-Key": key },
+    body: JSON.stringify({
+      job_id: safety.job_id,
+      to: "arrived",
+      actor: "realtime-worker",
+      actor_role: "system",
+      reason: `geofence: ${detail.distance_m}m <= ${detail.radius_m}m`,
+      idempotency_key: `rt_auto_arrived:${safety.job_id}`,
+    }),
+  });
+  const data = await res.json().catch(() => null);
+  return { ok: res.ok, status: res.status, error: data?.error || null };
+}
@@ -0,0 +1,92 @@
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import {
+  formatMembers,
+  formatPayment,
+  formatPending,
+  formatSession,
+  formatToday,
+  helpText,
+  parseCommand,
+} from "./lib/commands.js";
+import { operatorByTelegramId, telegramOperators } from "./lib/operators.js";
+
+// lib/operators.js is a copy of admin-worker/src/operators.js
+const source = readFileSync(new URL("../admin-worker/src/operators.js", import.meta.url), "utf8");
+const copy = readFileSync(new URL("./lib/operators.js", import.meta.url), "utf8");
+assert.equal(copy, source, "lib/operators.js is out of date; copy it from admin-worker/src/operators.js");
+
+// parseCommand
+assert.deepEqual(parseCommand("/pay pay_123"), { name: "pay", args: "pay_123" });
+assert.deepEqual(parseCommand("/PAY@MMDBot pay_123", "@mmdbot"), { name: "pay", args: "pay_123" });
+assert.equal(parseCommand("/pay@OtherBot pay_123", "MMDBot"), null);
+assert.deepEqual(parseCommand("/pay@OtherBot pay_123"), { name: "pay", args: "pay_123" });
+assert.deepEqual(parseCommand("/today"), { name: "today", args: "" });
+assert.deepEqual(parseCommand("/member  Somchai Jaidee \n"), { name: "member", args: "Somchai Jaidee" });
+assert.equal(parseCommand("/unknown x"), null);
+assert.equal(parseCommand("pay pay_123"), null);
+assert.equal(parseCommand(""), null);
+assert.match(helpText(), /\/session &lt;session_id&gt; — state, payments, timeline/);
+
+// operators: TELEGRAM_OPERATORS plus pricing approvers (legacy per / ewvon ids when PRICING_APPROVERS is empty)
+const env = { TELEGRAM_OPERATORS: "Mint:100, bad, :200", PRICING_APPROVERS: "per:111,mint:100" };
+assert.deepEqual(telegramOperators(env), [
+  { name: "mint", telegram_id: "100" },
+  { name: "per", telegram_id: "111" },
+]);
+assert.deepEqual(operatorByTelegramId(env, 111), { name: "per", telegram_id: "111" });
+assert.equal(operatorByTelegramId(env, "200"), null);
+assert.equal(operatorByTelegramId(env, ""), null);
+assert.equal(operatorByTelegramId({ PRICING_REVIEW_TELEGRAM_EWVON_ID: "9" }, "9").name, "ewvon");
+
+// formatSession: events-worker state first, payments, last lines of the timeline
+const session = formatSession({
+  session: { fields: { session_id: "S1", "Session Status": "confirmed", "Payment Status": "deposit_paid", client_name: "A<b>", model_name: "Kenji", job_date: "2026-10-20", start_time: "20:00", end_time: "23:00" } },
+  state: { status: "en_route" },
+  payments: [{ fields: { payment_ref: "pay_1", payment_type: "deposit", amount_thb: "3,000", "Payment Status": "paid" } }],
+  timeline: [
+    { at: "2026-10-19T08:05:00.000Z", event: "session_created", detail: "" },
+    { at: "2026-10-20T13:00:00.000Z", event: "en_route", detail: "confirmed → en_route · by model" },
+  ],
+});
+assert.match(session, /Status: <b>en_route<\/b> · Payment: <b>deposit_paid<\/b>/);
+assert.match(session, /Client: A&lt;b&gt; · Model: Kenji/);
+assert.match(session, /When: 2026-10-20 20:00 – 23:00/);
+assert.match(session, /• <code>pay_1<\/code> deposit 3000 THB · paid/);
+assert.match(session, /• 10-19 15:05 session_created\n/);
+assert.match(session, /• 10-20 20:00 en_route — confirmed → en_route · by model/);
+assert.match(formatSession({ session: { fields: { status: "confirmed" } } }), /Status: <b>confirmed<\/b>/);
+assert.doesNotMatch(formatSession({ session: { fields: {} } }), /Timeline|Payments/);
+
+// formatPayment
+const payment = formatPayment({
+  payment: { fields: { payment_ref: "pay_1", "Payment Status": "partially_refunded", "Verification Status": "verified", payment_type: "final", amount_thb: 7000, session_id: "S1", verified_by: "mint" } },
+  refunds: [{ fields: { payment_ref: "refund_1", payment_type: "refund", amount_thb: -2000, "Payment Status": "refunded" } }],
+});
+assert.match(payment, /Stage: final · Amount: <b>7000 THB<\/b>/);
+assert.match(payment, /Verified by: mint/);
+assert.match(payment, /<b>Refunds<\/b>\n• <code>refund_1<\/code> refund -2000 THB · refunded/);
+
+// formatMembers
+assert.equal(formatMembers({ items: [] }, "<x>"), "No member matches <b>&lt;x&gt;</b>.");
+const members = formatMembers({ items: [{ fields: { name: "Somchai", telegram_username: "som", tier: "svip", status: "active", memberstack_id: "mem_1" } }], next_cursor: "c" }, "som");
+assert.match(members, /• <b>Somchai<\/b> @som · svip · active · <code>mem_1<\/code>/);
+assert.match(members, /more, narrow the search/);
+
+// formatToday: capped at 15 lines
+assert.equal(formatToday({ date: "2026-10-19", items: [] }), "No sessions on <b>2026-10-19</b>.");
+const many = Array.from({ length: 17 }, (_, i) => ({ id: `rec${i}`, fields: { session_id: `S${i}`, start_time: "20:00", client_name: "A", model_name: "B", status: "confirmed" } }));
+const today = formatToday({ date: "2026-10-19", items: many });
+assert.match(today, /— 17 session\(s\)/);
+assert.equal((today.match(/^• /gm) || []).length, 15);
+assert.match(today, /… and 2 more$/);
+
+// formatPending
+const pending = formatPending({
+  payments: [{ payment_ref: "pay_9", payment_type: "deposit", amount_thb: 1500, created_at: "2026-10-19T17:30:00Z" }],
+  pricing_reviews: [{ id: "recR", pricing_review_id: "PR-1", member_name: "Somchai", status: "escalated", assigned_to: "per" }],
+});
+assert.match(pending, /<b>Unverified payments<\/b> \(1\)\n• <code>pay_9<\/code> deposit 1500 THB · 10-20 00:30/);
+assert.match(pending, /<b>Pricing reviews waiting<\/b> \(1\)\n• <code>PR-1<\/code> Somchai · escalated · per/);
+
+console.log("commands tests passed");
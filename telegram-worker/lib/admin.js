@@ -0,0 +1,47 @@
+import { str } from "./util.js";
+
+// Calls into admin-worker (ADMIN_WORKER_BASE_URL + ADMIN_WORKER_TOKEN).
+
+// Inline-keyboard taps are handled by admin-worker (/v1/admin/telegram/callback), which owns the
+// pricing / payment / handoff actions and edits the original message.
+export async function forwardCallbackQuery(callbackQuery, env) {
+  const base = str(env.ADMIN_WORKER_BASE_URL).replace(/\/+$/, "");
+  if (!base || !env.ADMIN_WORKER_TOKEN) {
+    return { ok: false, skipped: true, reason: "missing_admin_worker_env" };
+  }
+
+  try {
+    const res = await fetch(`${base}/v1/admin/telegram/callback`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${env.ADMIN_WORKER_TOKEN}`,
+      },
+      body: JSON.stringify({ callback_query: callbackQuery }),
+    });
+    const data = await res.json().catch(() => null);
+    if (!res.ok || !data?.ok) return { ok: false, status: res.status, error: data?.error || `admin_http_${res.status}` };
+    return { ok: true, action: data.action || null, domain: data.domain || null };
+  } catch (err) {
+    return { ok: false, error: String(err?.message || err) };
+  }
+}
+
+// GET an admin-worker read route => { ok, status, data }
+export async function adminGet(env, path, params = {}) {
+  const base = str(env.ADMIN_WORKER_BASE_URL).replace(/\/+$/, "");
+  if (!base || !env.ADMIN_WORKER_TOKEN) {
+    return { ok: false, status: 0, data: { error: "missing_admin_worker_env" } };
+  }
+
+  const qs = new URLSearchParams(Object.entries(params).filter(([, v]) => str(v))).toString();
+  try {
+    const res = await fetch(`${base}${path}${qs ? `?${qs}` : ""}`, {
+      headers: { Authorization: `Bearer ${env.ADMIN_WORKER_TOKEN}` },
+    });
+    const data = await res.json().catch(() => null);
+    return { ok: res.ok && Boolean(data?.ok), status: res.status, data: data || {} };
+  } catch (err) {
+    return { ok: false, status: 0, data: { error: String(err?.message || err) } };
+  }
+}
@@ -0,0 +1,189 @@
+import { adminGet } from "./admin.js";
+import { escapeHtml, num, str } from "./util.js";
+
+// Operator slash commands in the ops group. Only operators get an answer: TELEGRAM_OPERATORS plus the
+// pricing approvers, the same people admin-worker lets use its inline buttons (lib/operators.js is a copy
+// of admin-worker/src/operators.js); everyone else is ignored silently. All data comes from admin-worker
+// read routes.
+export const COMMANDS = {
+  session: { usage: "/session <session_id>", help: "state, payments, timeline" },
+  pay: { usage: "/pay <payment_ref>", help: "payment status" },
+  member: { usage: "/member <name | @username | memberstack id>", help: "find a member" },
+  today: { usage: "/today", help: "sessions scheduled today" },
+  pending: { usage: "/pending", help: "unverified payments + waiting pricing reviews" },
+  help: { usage: "/help", help: "this list" },
+};
+
+const MAX_LINES = 15;
+
+// "/pay@MMDBot pay_123" => { name: "pay", args: "pay_123" }; commands addressed to another bot => null
+export function parseCommand(text, botUsername = "") {
+  const m = str(text).match(/^\/([a-z_]+)(?:@([A-Za-z0-9_]+))?(?:\s+([\s\S]*))?$/i);
+  if (!m) return null;
+  if (m[2] && botUsername && m[2].toLowerCase() !== str(botUsername).replace(/^@/, "").toLowerCase()) return null;
+  const name = m[1].toLowerCase();
+  if (!COMMANDS[name]) return null;
+  return { name, args: str(m[3]) };
+}
+
+// => HTML reply text
+export async function runCommand(cmd, env) {
+  switch (cmd.name) {
+    case "session":
+      return cmd.args ? sessionReply(env, cmd.args.split(/\s+/)[0]) : usage("session");
+    case "pay":
+      return cmd.args ? payReply(env, cmd.args.split(/\s+/)[0]) : usage("pay");
+    case "member":
+      return cmd.args ? memberReply(env, cmd.args) : usage("member");
+    case "today":
+      return todayReply(env);
+    case "pending":
+      return pendingReply(env);
+    default:
+      return helpText();
+  }
+}
+
+export function helpText() {
+  return ["<b>Operator commands</b>", ...Object.values(COMMANDS).map((c) => `${escapeHtml(c.usage)} — ${escapeHtml(c.help)}`)].join("\n");
+}
+
+export function formatSession(data) {
+  const f = data.session?.fields || {};
+  const lines = [
+    `<b>📅 Session</b> <code>${escapeHtml(f.session_id || "-")}</code>`,
+    `Status: <b>${escapeHtml(data.state?.status || f["Session Status"] || f.status || "-")}</b> · Payment: <b>${escapeHtml(f["Payment Status"] || "-")}</b>`,
+  ];
+  if (f.client_name || f.model_name) lines.push(`Client: ${escapeHtml(f.client_name || "-")} · Model: ${escapeHtml(f.model_name || "-")}`);
+  if (f.job_date) lines.push(`When: ${escapeHtml([f.job_date, f.start_time, f.end_time && `– ${f.end_time}`].filter(Boolean).join(" "))}`);
+  if (f.location_name) lines.push(`Where: ${escapeHtml(f.location_name)}`);
+
+  const payments = data.payments || [];
+  if (payments.length) {
+    lines.push("", "<b>Payments</b>");
+    for (const p of payments.slice(0, MAX_LINES)) lines.push(`• ${paymentLine(p.fields || {})}`);
+  }
+
+  const timeline = data.timeline || [];
+  if (timeline.length) {
+    lines.push("", "<b>Timeline</b>");
+    for (const e of timeline.slice(-MAX_LINES)) {
+      lines.push(`• ${escapeHtml(shortTime(e.at))} ${escapeHtml(e.event)}${e.detail ? ` — ${escapeHtml(e.detail)}` : ""}`);
+    }
+  }
+  return lines.join("\n");
+}
+
+export function formatPayment(data) {
+  const f = data.payment?.fields || {};
+  const lines = [
+    `<b>💳 Payment</b> <code>${escapeHtml(f.payment_ref || "-")}</code>`,
+    `Status: <b>${escapeHtml(f["Payment Status"] || "-")}</b> · Verification: <b>${escapeHtml(f["Verification Status"] || "-")}</b>`,
+    `Stage: ${escapeHtml(f.payment_type || f.payment_stage || "-")} · Amount: <b>${num(f.amount_thb ?? f.amount)} THB</b>`,
+  ];
+  if (f.session_id) lines.push(`Session: <code>${escapeHtml(f.session_id)}</code>`);
+  if (f.member_email) lines.push(`Member: ${escapeHtml(f.member_email)}`);
+  if (f.verified_by || f.rejected_by) lines.push(f.verified_by ? `Verified by: ${escapeHtml(f.verified_by)}` : `Rejected by: ${escapeHtml(f.rejected_by)}`);
+  if (f.promo_code) lines.push(`Promo: ${escapeHtml(f.promo_code)} (-${num(f.discount_thb)} THB)`);
+
+  const refunds = data.refunds || [];
+  if (refunds.length) {
+    lines.push("", "<b>Refunds</b>");
+    for (const r of refunds.slice(0, MAX_LINES)) lines.push(`• ${paymentLine(r.fields || {})}`);
+  }
+  return lines.join("\n");
+}
+
+export function formatMembers(data, query) {
+  const items = data.items || [];
+  if (!items.length) return `No member matches <b>${escapeHtml(query)}</b>.`;
+  const lines = [`<b>👤 Members</b> matching <b>${escapeHtml(query)}</b>`];
+  for (const m of items.slice(0, MAX_LINES)) {
+    const f = m.fields || {};
+    const handle = f.telegram_username ? ` @${escapeHtml(f.telegram_username)}` : "";
+    lines.push(
+      `• <b>${escapeHtml(f.name || f.nickname || "-")}</b>${handle} · ${escapeHtml(f.tier || "-")} · ${escapeHtml(f.status || "-")}` +
+        (f.memberstack_id ? ` · <code>${escapeHtml(f.memberstack_id)}</code>` : "")
+    );
+  }
+  if (data.next_cursor) lines.push("… more, narrow the search");
+  return lines.join("\n");
+}
+
+export function formatToday(data) {
+  const items = data.items || [];
+  if (!items.length) return `No sessions on <b>${escapeHtml(data.date || "today")}</b>.`;
+  const lines = [`<b>📅 Today</b> ${escapeHtml(data.date || "")} — ${items.length} session(s)`];
+  for (const s of items.slice(0, MAX_LINES)) {
+    const f = s.fields || {};
+    lines.push(
+      `• ${escapeHtml(f.start_time || "--:--")} <code>${escapeHtml(f.session_id || s.id)}</code> ` +
+        `${escapeHtml(f.client_name || "-")} × ${escapeHtml(f.model_name || "-")} · ${escapeHtml(f["Session Status"] || f.status || "-")}`
+    );
+  }
+  if (items.length > MAX_LINES) lines.push(`… and ${items.length - MAX_LINES} more`);
+  return lines.join("\n");
+}
+
+export function formatPending(data) {
+  const payments = data.payments || [];
+  const reviews = data.pricing_reviews || [];
+  const lines = [`<b>⏳ Pending</b>`, "", `<b>Unverified payments</b> (${payments.length})`];
+  for (const p of payments.slice(0, MAX_LINES)) {
+    lines.push(`• <code>${escapeHtml(p.payment_ref || "-")}</code> ${escapeHtml(p.payment_type || "-")} ${num(p.amount_thb)} THB · ${escapeHtml(shortTime(p.created_at))}`);
+  }
+  lines.push("", `<b>Pricing reviews waiting</b> (${reviews.length})`);
+  for (const r of reviews.slice(0, MAX_LINES)) {
+    lines.push(
+      `• <code>${escapeHtml(r.pricing_review_id || r.id)}</code> ${escapeHtml(r.member_name || "-")} · ${escapeHtml(r.status || "-")}` +
+        (r.assigned_to ? ` · ${escapeHtml(r.assigned_to)}` : "")
+    );
+  }
+  return lines.join("\n");
+}
+
+async function sessionReply(env, sessionId) {
+  const r = await adminGet(env, "/v1/admin/sessions/get", { session_id: sessionId });
+  return r.ok ? formatSession(r.data) : failure(r, `session ${sessionId}`);
+}
+
+async function payReply(env, paymentRef) {
+  const r = await adminGet(env, "/v1/admin/payments/get", { payment_ref: paymentRef });
+  return r.ok ? formatPayment(r.data) : failure(r, `payment ${paymentRef}`);
+}
+
+async function memberReply(env, query) {
+  const q = query.replace(/^@/, "");
+  const r = await adminGet(env, "/v1/admin/members/list", { q, limit: 5 });
+  return r.ok ? formatMembers(r.data, query) : failure(r, "member search");
+}
+
+async function todayReply(env) {
+  const r = await adminGet(env, "/v1/admin/sessions/today");
+  return r.ok ? formatToday(r.data) : failure(r, "today");
+}
+
+async function pendingReply(env) {
+  const r = await adminGet(env, "/v1/admin/ops/pending", { limit: MAX_LINES });
+  return r.ok ? formatPending(r.data) : failure(r, "pending");
+}
+
+function paymentLine(f) {
+  return `<code>${escapeHtml(f.payment_ref || "-")}</code> ${escapeHtml(f.payment_type || "-")} ${num(f.amount_thb ?? f.amount)} THB · ${escapeHtml(f["Payment Status"] || "-")}`;
+}
+
+function failure(r, what) {
+  if (r.status === 404) return `Not found: ${escapeHtml(what)}`;
+  return `⚠️ Could not load ${escapeHtml(what)} (${escapeHtml(r.data?.error || `http_${r.status}`)})`;
+}
+
+function usage(name) {
+  return `Usage: ${escapeHtml(COMMANDS[name].usage)}`;
+}
+
+// "2026-10-19T08:05:00.000Z" => "10-19 15:05" (Bangkok)
+function shortTime(value) {
+  const ms = Date.parse(str(value));
+  if (!Number.isFinite(ms)) return "-";
+  return new Date(ms + 7 * 60 * 60 * 1000).toISOString().slice(5, 16).replace("T", " ");
+}
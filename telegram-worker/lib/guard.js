@@ -8,10 +8,35 @@ export function requireConfirmKey(req, env) {
   }
 }
 
+// X-Internal-Token, or "Authorization: Bearer" (events-worker sends the bearer form). Fails closed:
+// without INTERNAL_API_TOKEN the internal routes (send, outbox stats) accept nothing.
 export function requireInternalToken(req, env) {
-  if (!env.INTERNAL_API_TOKEN) return;
-  const key = req.headers.get("X-Internal-Token") || "";
-  if (key !== env.INTERNAL_API_TOKEN) {
+  if (!env.INTERNAL_API_TOKEN) {
+    throw new HttpError(500, { ok: false, error: "missing_internal_token" });
+  }
+  const auth = req.headers.get("Authorization") || "";
+  const key = req.headers.get("X-Internal-Token") || (auth.startsWith("Bearer ") ? auth.slice(7).trim() : "");
+  if (!timingSafeEqual(key, env.INTERNAL_API_TOKEN)) {
     throw new HttpError(403, { ok: false, error: "internal_token_required" });
   }
 }
+
+// Telegram echoes the secret_token given to setWebhook in this header. Fails closed: without
+// TELEGRAM_WEBHOOK_SECRET the webhook accepts nothing.
+export function requireTelegramWebhookSecret(req, env) {
+  if (!env.TELEGRAM_WEBHOOK_SECRET) {
+    throw new HttpError(500, { ok: false, error: "missing_webhook_secret" });
+  }
+  const got = req.headers.get("X-Telegram-Bot-Api-Secret-Token") || "";
+  if (!timingSafeEqual(got, env.TELEGRAM_WEBHOOK_SECRET)) {
+    throw new HttpError(403, { ok: false, error: "webhook_secret_invalid" });
+  }
+}
+
+function timingSafeEqual(a, b) {
+  const x = new TextEncoder().encode(String(a));
+  const y = new TextEncoder().encode(String(b));
+  let diff = x.length ^ y.length;
+  for (let i = 0; i < Math.max(x.length, y.length); i++) diff |= (x[i] || 0) ^ (y[i] || 0);
+  return diff === 0;
+}
@@ -0,0 +1,58 @@
+// admin-worker/src/operators.js
+// Who may act on Telegram: pricing approvers and operators.
+// telegram-worker/lib/operators.js is a verbatim copy (its tests check the two stay identical) —
+// edit this file, then copy it over.
+//
+//   PRICING_APPROVERS   "name:<tg id>,…" (empty = the legacy PRICING_REVIEW_TELEGRAM_PER_ID / _EWVON_ID)
+//   TELEGRAM_OPERATORS  "name:<tg id>,…"; approvers are always operators too
+//
+// Approvers price reviews; operators verify payments, take handoffs and run the bot's slash commands.
+
+/**
+ * => [{ name, telegram_id }] from PRICING_APPROVERS, else the legacy per / ewvon DM ids.
+ */
+export function parseApprovers(env) {
+  const list = parsePairs(env.PRICING_APPROVERS);
+  if (list.length) return list;
+
+  return [
+    { name: "per", telegram_id: asString(env.PRICING_REVIEW_TELEGRAM_PER_ID) },
+    { name: "ewvon", telegram_id: asString(env.PRICING_REVIEW_TELEGRAM_EWVON_ID) },
+  ].filter((a) => a.telegram_id);
+}
+
+export function approverByTelegramId(env, telegramId) {
+  const id = asString(telegramId);
+  return (id && parseApprovers(env).find((a) => a.telegram_id === id)) || null;
+}
+
+/**
+ * => [{ name, telegram_id }] allowed to verify payments / take handoffs / run commands.
+ */
+export function telegramOperators(env) {
+  const out = parsePairs(env.TELEGRAM_OPERATORS).filter((o) => o.telegram_id);
+  for (const approver of parseApprovers(env)) {
+    if (approver.telegram_id && !out.some((o) => o.telegram_id === approver.telegram_id)) out.push(approver);
+  }
+  return out;
+}
+
+export function operatorByTelegramId(env, telegramId) {
+  const id = asString(telegramId);
+  return (id && telegramOperators(env).find((o) => o.telegram_id === id)) || null;
+}
+
+function parsePairs(value) {
+  return asString(value)
+    .split(",")
+    .map((pair) => {
+      const [name, telegramId] = pair.split(":");
+      return { name: asString(name).toLowerCase(), telegram_id: asString(telegramId) };
+    })
+    .filter((o) => o.name);
+}
+
+function asString(value) {
+  if (value === null || value === undefined) return "";
+  return String(value).trim();
+}
@@ -0,0 +1,122 @@
+import { buildNotifyMessage } from "./telegram.js";
+import { str } from "./util.js";
+
+// Outbox policy (pure; the Durable Object in src/outbox.js does the storage and scheduling).
+//
+//   delivered     2xx                      -> removed from the queue
+//   rate_limited  429                      -> whole queue paused for retry_after, attempt not counted
+//   retry         network error / 5xx      -> exponential backoff (base * 2^(attempt-1), capped)
+//   permanent     any other 4xx            -> dead letter right away (bad chat / thread / HTML)
+//
+// A message that fails OUTBOX_MAX_ATTEMPTS times is dead-lettered too.
+
+export const OUTBOX_DEFAULTS = {
+  maxAttempts: 6,
+  baseDelayMs: 5 * 1000,
+  maxDelayMs: 15 * 60 * 1000,
+  dedupeMinutes: 60,
+  deadKeep: 200,
+  batch: 20,
+};
+
+// sendMessage fields we forward; everything else in a request body is ignored
+const MESSAGE_KEYS = [
+  "chat_id",
+  "message_thread_id",
+  "text",
+  "parse_mode",
+  "disable_web_page_preview",
+  "disable_notification",
+  "reply_markup",
+  "reply_to_message_id",
+];
+
+export function outboxConfig(env) {
+  return {
+    maxAttempts: positiveInt(env.OUTBOX_MAX_ATTEMPTS, OUTBOX_DEFAULTS.maxAttempts),
+    baseDelayMs: positiveInt(env.OUTBOX_BASE_DELAY_SECONDS, OUTBOX_DEFAULTS.baseDelayMs / 1000) * 1000,
+    maxDelayMs: positiveInt(env.OUTBOX_MAX_DELAY_SECONDS, OUTBOX_DEFAULTS.maxDelayMs / 1000) * 1000,
+    dedupeMinutes: positiveInt(env.OUTBOX_DEDUPE_MINUTES, OUTBOX_DEFAULTS.dedupeMinutes),
+    deadKeep: OUTBOX_DEFAULTS.deadKeep,
+    batch: OUTBOX_DEFAULTS.batch,
+  };
+}
+
+/**
+ * /telegram/internal/send body => { ok, message, dedupe_key } | { ok: false, error, detail? }
+ *   { message: { chat_id, text, … }, dedupe_key }   (lib/telegram.js telegramEnqueue, payments-worker)
+ *   { chat_id, text, message_thread_id, … }         (admin-worker telegramInternalSend)
+ *   { flow: "membership" | "confirm" | …, … }        (formatted here, thread from TG_THREAD_*)
+ */
+export function normalizeOutboxRequest(body, env) {
+  let message;
+  if (body?.message && typeof body.message === "object") {
+    message = pickMessage(body.message);
+  } else if (body?.flow) {
+    const built = buildNotifyMessage(body, env);
+    if (!built.ok) return built;
+    message = built.message;
+  } else {
+    message = pickMessage(body || {});
+  }
+
+  if (!message.chat_id) message.chat_id = str(env.TELEGRAM_CHAT_ID);
+  if (!message.chat_id) return { ok: false, error: "missing_chat_id" };
+  if (!str(message.text)) return { ok: false, error: "missing_text" };
+  if (!message.parse_mode) message.parse_mode = "HTML";
+  if (message.disable_web_page_preview === undefined) message.disable_web_page_preview = true;
+
+  return { ok: true, message, dedupe_key: str(body?.dedupe_key).slice(0, 200) };
+}
+
+// Callers that pass no dedupe_key still collapse exact repeats (same chat, thread and text) within the window.
+export async function autoDedupeKey(message) {
+  const raw = [message.chat_id, message.message_thread_id || "", message.text].join("|");
+  const buf = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(raw));
+  return "auto:" + Array.from(new Uint8Array(buf).slice(0, 12), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// r = telegramSendMessage() result
+export function classifySendResult(r) {
+  if (r?.ok) return "delivered";
+  if (r?.status === 429) return "rate_limited";
+  if (!r?.status || r.status >= 500) return "retry";
+  return "permanent";
+}
+
+export function backoffMs(attempts, cfg = OUTBOX_DEFAULTS) {
+  const n = Math.max(1, attempts);
+  return Math.min(cfg.maxDelayMs, cfg.baseDelayMs * 2 ** (n - 1));
+}
+
+/**
+ * msg = { attempts, … } after a failed send =>
+ *   { action: "retry", next_at, attempts, pause_until? } | { action: "dead", attempts, reason }
+ */
+export function planAfterFailure(msg, result, now, cfg = OUTBOX_DEFAULTS) {
+  const kind = classifySendResult(result);
+  const reason = str(result?.error) || `http_${result?.status || 0}`;
+
+  if (kind === "rate_limited") {
+    const waitMs = Math.max(1, Number(result.retry_after) || 1) * 1000;
+    return { action: "retry", next_at: now + waitMs, attempts: msg.attempts || 0, pause_until: now + waitMs, reason };
+  }
+  if (kind === "permanent") return { action: "dead", attempts: (msg.attempts || 0) + 1, reason };
+
+  const attempts = (msg.attempts || 0) + 1;
+  if (attempts >= cfg.maxAttempts) return { action: "dead", attempts, reason };
+  return { action: "retry", next_at: now + backoffMs(attempts, cfg), attempts, reason };
+}
+
+function pickMessage(src) {
+  const out = {};
+  for (const key of MESSAGE_KEYS) {
+    if (src[key] !== undefined && src[key] !== null && src[key] !== "") out[key] = src[key];
+  }
+  return out;
+}
+
+function positiveInt(v, fallback) {
+  const n = Math.floor(Number(v));
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
@@ -11,10 +11,9 @@ export const TG_THREADS = (env) => ({
   points_threshold: int(env.TG_THREAD_POINTS) || 17,
 });
 
-export async function telegramNotify(payload, env) {
-  if (!env.TELEGRAM_BOT_TOKEN || !env.TELEGRAM_CHAT_ID) {
-    return { ok: false, skipped: true, reason: "missing_telegram_env" };
-  }
+// Flow payload => sendMessage body for the locked thread of that flow.
+export function buildNotifyMessage(payload, env) {
+  if (!env.TELEGRAM_CHAT_ID) return { ok: false, skipped: true, reason: "missing_telegram_env" };
 
   const threads = TG_THREADS(env);
   const flow = String(payload.flow || "").toLowerCase().trim();
@@ -23,23 +22,71 @@ export async function telegramNotify(payload, env) {
     return { ok: false, error: "thread_lock_missing", detail: `missing thread for flow=${flow}` };
   }
 
-  const text = formatTelegramMessage(payload);
-
-  const res = await fetch(`https://api.telegram.org/bot${env.TELEGRAM_BOT_TOKEN}/sendMessage`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({
+  return {
+    ok: true,
+    thread_id: threadId,
+    message: {
       chat_id: env.TELEGRAM_CHAT_ID,
       message_thread_id: threadId,
-      text,
+      text: formatTelegramMessage(payload),
       parse_mode: "HTML",
       disable_web_page_preview: true,
-    }),
-  });
+    },
+  };
+}
 
-  const data = await res.json().catch(() => null);
-  if (!res.ok || (data && data.ok === false)) return { ok: false, status: res.status, error: data || null };
-  return { ok: true, thread_id: threadId };
+// With TELEGRAM_OUTBOX_URL set the message goes through telegram-worker's outbox (dedupe, 429 back-off,
+// retries, dead letters); without it, or if the outbox is unreachable, it is sent once directly.
+export async function telegramNotify(payload, env, { dedupeKey = "" } = {}) {
+  const built = buildNotifyMessage(payload, env);
+  if (!built.ok) return built;
+
+  if (env.TELEGRAM_OUTBOX_URL) {
+    const queued = await telegramEnqueue(built.message, env, dedupeKey || payload.dedupe_key);
+    if (queued.ok) return { ...queued, thread_id: built.thread_id };
+  }
+
+  if (!env.TELEGRAM_BOT_TOKEN) return { ok: false, skipped: true, reason: "missing_telegram_env" };
+  const sent = await telegramSendMessage(env, built.message);
+  return sent.ok ? { ok: true, thread_id: built.thread_id } : sent;
+}
+
+export async function telegramEnqueue(message, env, dedupeKey = "") {
+  try {
+    const res = await fetch(env.TELEGRAM_OUTBOX_URL, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "X-Internal-Token": env.INTERNAL_TOKEN || "" },
+      body: JSON.stringify({ message, dedupe_key: dedupeKey || "" }),
+    });
+    const data = await res.json().catch(() => null);
+    if (!res.ok || !data?.ok) return { ok: false, status: res.status, error: data?.error || `outbox_http_${res.status}` };
+    return { ok: true, queued: Boolean(data.queued), duplicate: Boolean(data.duplicate), outbox_id: data.id || null };
+  } catch (err) {
+    return { ok: false, error: String(err?.message || err) };
+  }
+}
+
+// One Bot API sendMessage => { ok, status, retry_after?, error? }
+export async function telegramSendMessage(env, message) {
+  try {
+    const res = await fetch(`https://api.telegram.org/bot${env.TELEGRAM_BOT_TOKEN}/sendMessage`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(message),
+    });
+    const data = await res.json().catch(() => null);
+    if (!res.ok || (data && data.ok === false)) {
+      return {
+        ok: false,
+        status: res.status,
+        retry_after: data?.parameters?.retry_after || 0,
+        error: data?.description || `telegram_http_${res.status}`,
+      };
+    }
+    return { ok: true, status: res.status, message_id: data?.result?.message_id || null };
+  } catch (err) {
+    return { ok: false, status: 0, error: String(err?.message || err) };
+  }
 }
 
 export function formatTelegramMessage(p) {
@@ -114,3 +161,27 @@ export function formatTelegramMessage(p) {
   lines.push(`<b>TS:</b> ${escapeHtml(p.ts || new Date().toISOString())}`);
   return lines.join("\n");
 }
+
+// Answer a message in the same chat / forum topic (operator commands).
+export async function telegramReply(message, text, env) {
+  if (!env.TELEGRAM_BOT_TOKEN) return { ok: false, skipped: true, reason: "missing_telegram_env" };
+
+  const body = {
+    chat_id: message.chat?.id,
+    text,
+    parse_mode: "HTML",
+    disable_web_page_preview: true,
+    reply_to_message_id: message.message_id,
+    allow_sending_without_reply: true,
+  };
+  if (message.is_topic_message && message.message_thread_id) body.message_thread_id = message.message_thread_id;
+
+  const res = await fetch(`https://api.telegram.org/bot${env.TELEGRAM_BOT_TOKEN}/sendMessage`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  const data = await res.json().catch(() => null);
+  if (!res.ok || (data && data.ok === false)) return { ok: false, status: res.status, error: data || null };
+  return { ok: true };
+}
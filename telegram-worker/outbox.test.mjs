@@ -0,0 +1,98 @@
+import assert from "node:assert/strict";
+import {
+  OUTBOX_DEFAULTS,
+  autoDedupeKey,
+  backoffMs,
+  classifySendResult,
+  normalizeOutboxRequest,
+  outboxConfig,
+  planAfterFailure,
+} from "./lib/outbox.js";
+import { requireInternalToken } from "./lib/guard.js";
+
+const env = { TELEGRAM_CHAT_ID: "-100", TG_THREAD_CONFIRM: "61" };
+
+// { message, dedupe_key } from telegramEnqueue
+let r = normalizeOutboxRequest(
+  { message: { chat_id: "-200", text: "hi", reply_markup: { inline_keyboard: [] }, junk: 1 }, dedupe_key: "paid:p1" },
+  env
+);
+assert.equal(r.ok, true);
+assert.equal(r.dedupe_key, "paid:p1");
+assert.deepEqual(r.message, {
+  chat_id: "-200",
+  text: "hi",
+  reply_markup: { inline_keyboard: [] },
+  parse_mode: "HTML",
+  disable_web_page_preview: true,
+});
+
+// raw body from admin-worker falls back to TELEGRAM_CHAT_ID
+r = normalizeOutboxRequest({ text: "<b>x</b>", message_thread_id: 61, chat_id: "" }, env);
+assert.equal(r.message.chat_id, "-100");
+assert.equal(r.message.message_thread_id, 61);
+assert.equal(r.dedupe_key, "");
+
+// flow payloads are formatted into the flow's thread
+r = normalizeOutboxRequest({ flow: "confirm", amount_thb: 1000 }, env);
+assert.equal(r.ok, true);
+assert.equal(r.message.message_thread_id, 61);
+assert.equal(normalizeOutboxRequest({ flow: "nope" }, env).error, "thread_lock_missing");
+
+assert.equal(normalizeOutboxRequest({ text: "x" }, {}).error, "missing_chat_id");
+assert.equal(normalizeOutboxRequest({ chat_id: "1" }, env).error, "missing_text");
+
+// same chat/thread/text => same key
+const a = await autoDedupeKey({ chat_id: "-1", message_thread_id: 61, text: "hello" });
+assert.match(a, /^auto:[0-9a-f]{24}$/);
+assert.equal(a, await autoDedupeKey({ chat_id: "-1", message_thread_id: 61, text: "hello" }));
+assert.notEqual(a, await autoDedupeKey({ chat_id: "-1", message_thread_id: 17, text: "hello" }));
+
+assert.equal(classifySendResult({ ok: true, status: 200 }), "delivered");
+assert.equal(classifySendResult({ ok: false, status: 429, retry_after: 3 }), "rate_limited");
+assert.equal(classifySendResult({ ok: false, status: 0, error: "fetch failed" }), "retry");
+assert.equal(classifySendResult({ ok: false, status: 502 }), "retry");
+assert.equal(classifySendResult({ ok: false, status: 400, error: "Bad Request: chat not found" }), "permanent");
+
+assert.equal(backoffMs(1), 5000);
+assert.equal(backoffMs(3), 20000);
+assert.equal(backoffMs(20), OUTBOX_DEFAULTS.maxDelayMs);
+
+const cfg = outboxConfig({ OUTBOX_MAX_ATTEMPTS: "3", OUTBOX_BASE_DELAY_SECONDS: "2", OUTBOX_DEDUPE_MINUTES: "x" });
+assert.equal(cfg.maxAttempts, 3);
+assert.equal(cfg.baseDelayMs, 2000);
+assert.equal(cfg.dedupeMinutes, OUTBOX_DEFAULTS.dedupeMinutes);
+
+const now = 1_000_000;
+
+// 429 pauses for retry_after and does not use up an attempt
+let plan = planAfterFailure({ attempts: 2 }, { ok: false, status: 429, retry_after: 7, error: "Too Many Requests" }, now, cfg);
+assert.deepEqual(plan, {
+  action: "retry",
+  next_at: now + 7000,
+  attempts: 2,
+  pause_until: now + 7000,
+  reason: "Too Many Requests",
+});
+
+plan = planAfterFailure({ attempts: 0 }, { ok: false, status: 503 }, now, cfg);
+assert.equal(plan.action, "retry");
+assert.equal(plan.attempts, 1);
+assert.equal(plan.next_at, now + 2000);
+assert.equal(plan.reason, "http_503");
+
+plan = planAfterFailure({ attempts: 2 }, { ok: false, status: 0, error: "timeout" }, now, cfg);
+assert.deepEqual(plan, { action: "dead", attempts: 3, reason: "timeout" });
+
+plan = planAfterFailure({ attempts: 0 }, { ok: false, status: 400, error: "Bad Request: message thread not found" }, now, cfg);
+assert.equal(plan.action, "dead");
+assert.equal(plan.attempts, 1);
+
+// internal routes fail closed without INTERNAL_API_TOKEN
+const internalReq = (headers = {}) => new Request("https://tg.example/telegram/internal/outbox", { headers });
+assert.throws(() => requireInternalToken(internalReq({ "X-Internal-Token": "" }), {}), (err) => err.status === 500 && err.body.error === "missing_internal_token");
+assert.throws(() => requireInternalToken(internalReq({ "X-Internal-Token": "nope" }), { INTERNAL_API_TOKEN: "t" }), (err) => err.status === 403);
+assert.doesNotThrow(() => requireInternalToken(internalReq({ "X-Internal-Token": "t" }), { INTERNAL_API_TOKEN: "t" }));
+assert.doesNotThrow(() => requireInternalToken(internalReq({ Authorization: "Bearer t" }), { INTERNAL_API_TOKEN: "t" }));
+
+console.log("outbox tests passed");
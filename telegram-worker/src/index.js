@@ -1,6 +1,12 @@
 import { json, safeJson, HttpError } from "../lib/http.js";
-import { requireInternalToken } from "../lib/guard.js";
-import { telegramNotify } from "../lib/telegram.js";
+import { forwardCallbackQuery } from "../lib/admin.js";
+import { parseCommand, runCommand } from "../lib/commands.js";
+import { requireInternalToken, requireTelegramWebhookSecret } from "../lib/guard.js";
+import { operatorByTelegramId } from "../lib/operators.js";
+import { normalizeOutboxRequest } from "../lib/outbox.js";
+import { telegramReply, telegramSendMessage } from "../lib/telegram.js";
+
+export { OutboxDO } from "./outbox.js";
 
 export default {
   async fetch(req, env) {
@@ -12,20 +18,61 @@ export default {
         return json({ ok: true, lock: "v2026-LOCK-01i", worker: "telegram" }, 200);
       }
 
-      // Telegram webhook (ถ้าจะใช้จริง ค่อยทำ parser/commands เพิ่ม)
+      // Telegram webhook (setWebhook with secret_token = TELEGRAM_WEBHOOK_SECRET)
+      // Always 200 once authenticated, so Telegram does not redeliver an update we already acted on.
       if (path === "/telegram/webhook" && req.method === "POST") {
+        requireTelegramWebhookSecret(req, env);
         const update = await safeJson(req);
         if (!update) return json({ ok: false, error: "invalid_json" }, 400);
+
+        if (update.callback_query) {
+          const callback = await forwardCallbackQuery(update.callback_query, env);
+          return json({ ok: true, received: true, callback }, 200);
+        }
+
+        // operator slash commands (TELEGRAM_OPERATORS + pricing approvers; others are ignored silently)
+        const message = update.message;
+        const cmd = message?.text ? parseCommand(message.text, env.TELEGRAM_BOT_USERNAME) : null;
+        if (cmd) {
+          if (!operatorByTelegramId(env, message.from?.id)) {
+            return json({ ok: true, received: true, command: cmd.name, ignored: "not_operator" }, 200);
+          }
+          const reply = await telegramReply(message, await runCommand(cmd, env), env);
+          return json({ ok: true, received: true, command: cmd.name, replied: reply.ok }, 200);
+        }
         return json({ ok: true, received: true }, 200);
       }
 
-      // Optional: internal send (ให้ worker อื่นเรียกผ่านตัวนี้)
+      // Internal send (ให้ worker อื่นเรียกผ่านตัวนี้): queued in the outbox (OutboxDO) with a dedupe key;
+      // delivery, 429 back-off, retries and dead letters happen there.
       if (path === "/telegram/internal/send" && req.method === "POST") {
         requireInternalToken(req, env);
         const body = await safeJson(req);
         if (!body) return json({ ok: false, error: "invalid_json" }, 400);
-        const tg = await telegramNotify(body, env);
-        return json({ ok: true, telegram: tg }, 200);
+
+        const normalized = normalizeOutboxRequest(body, env);
+        if (!normalized.ok) return json({ ok: false, error: normalized.error || normalized.reason, detail: normalized.detail || null }, 400);
+
+        if (!env.OUTBOX) {
+          // no outbox bound (local dev): send once, the old way
+          const tg = await telegramSendMessage(env, normalized.message);
+          return json({ ok: tg.ok, queued: false, telegram: tg }, tg.ok ? 200 : 502);
+        }
+
+        const res = await outboxStub(env).fetch("https://do.local/enqueue", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ message: normalized.message, dedupe_key: normalized.dedupe_key }),
+        });
+        return json(await res.json(), res.status);
+      }
+
+      // Outbox stats for the control room
+      if (path === "/telegram/internal/outbox" && req.method === "GET") {
+        requireInternalToken(req, env);
+        if (!env.OUTBOX) return json({ ok: false, error: "outbox_not_bound" }, 500);
+        const res = await outboxStub(env).fetch("https://do.local/stats");
+        return json(await res.json(), res.status);
       }
 
       return json({ ok: false, error: "not_found" }, 404);
@@ -35,3 +82,7 @@ export default {
     }
   },
 };
+
+function outboxStub(env) {
+  return env.OUTBOX.get(env.OUTBOX.idFromName("outbox"));
+}
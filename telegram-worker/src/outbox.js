@@ -0,0 +1,203 @@
+// telegram-worker — OutboxDO
+// One instance ("outbox") holds every outbound Telegram message so 429s and outages no longer drop
+// confirm-thread alerts. Policy lives in ../lib/outbox.js; this class stores and schedules.
+//
+// Storage:
+//   m:<id>         queued  { id, dedupe_key, message, attempts, rate_limited, next_at, created_at, last_error }
+//   d:<id>         dead    { …, dead_at, reason }  (newest OUTBOX_DEFAULTS.deadKeep kept)
+//   k:<dedupe key> { id, expires_at }
+//   paused_until   ms; set from retry_after, no send happens before it
+//   stats          counters for GET /telegram/internal/outbox
+//
+// Delivery runs in alarm(): due messages oldest first, batch at a time, then re-arms for the next due one.
+
+import { autoDedupeKey, classifySendResult, outboxConfig, planAfterFailure } from "../lib/outbox.js";
+import { telegramSendMessage } from "../lib/telegram.js";
+
+const EMPTY_STATS = {
+  enqueued: 0,
+  duplicates: 0,
+  delivered: 0,
+  retried: 0,
+  rate_limited: 0,
+  dead: 0,
+  last_delivered_at: null,
+  last_error: null,
+  last_error_at: null,
+};
+
+export class OutboxDO {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    this.cfg = outboxConfig(env);
+  }
+
+  async fetch(req) {
+    const url = new URL(req.url);
+
+    if (url.pathname === "/enqueue" && req.method === "POST") {
+      const data = await req.json().catch(() => null);
+      if (!data?.message) return reply({ ok: false, error: "bad_request" }, 400);
+      return reply(await this._enqueue(data.message, data.dedupe_key));
+    }
+
+    if (url.pathname === "/stats" && req.method === "GET") {
+      return reply(await this._stats());
+    }
+
+    return reply({ ok: false, error: "not_found" }, 404);
+  }
+
+  async alarm() {
+    const now = Date.now();
+    const pausedUntil = (await this.state.storage.get("paused_until")) || 0;
+    if (pausedUntil > now) {
+      await this.state.storage.setAlarm(pausedUntil);
+      return;
+    }
+
+    const due = (await this._queued()).filter((m) => m.next_at <= now).slice(0, this.cfg.batch);
+
+    for (const msg of due) {
+      const result = await telegramSendMessage(this.env, msg.message);
+
+      if (classifySendResult(result) === "delivered") {
+        await this.state.storage.delete(`m:${msg.id}`);
+        await this._bump({ delivered: 1 }, { last_delivered_at: new Date().toISOString() });
+        continue;
+      }
+
+      const plan = planAfterFailure(msg, result, Date.now(), this.cfg);
+      const lastError = { last_error: plan.reason, last_error_at: new Date().toISOString() };
+
+      if (plan.action === "dead") {
+        await this._deadLetter({ ...msg, attempts: plan.attempts, last_error: plan.reason }, plan.reason);
+        await this._bump({ dead: 1 }, lastError);
+        continue;
+      }
+
+      await this.state.storage.put(`m:${msg.id}`, {
+        ...msg,
+        attempts: plan.attempts,
+        rate_limited: (msg.rate_limited || 0) + (plan.pause_until ? 1 : 0),
+        next_at: plan.next_at,
+        last_error: plan.reason,
+      });
+
+      if (plan.pause_until) {
+        // Telegram's flood limit applies to the bot, not just this message: hold everything
+        await this.state.storage.put("paused_until", plan.pause_until);
+        await this._bump({ rate_limited: 1 }, lastError);
+        break;
+      }
+      await this._bump({ retried: 1 }, lastError);
+    }
+
+    await this._pruneDedupe(now);
+    await this._arm();
+  }
+
+  async _enqueue(message, dedupeKey) {
+    const now = Date.now();
+    const key = String(dedupeKey || "") || (await autoDedupeKey(message));
+
+    const seen = await this.state.storage.get(`k:${key}`);
+    if (seen && seen.expires_at > now) {
+      await this._bump({ duplicates: 1 });
+      return { ok: true, queued: false, duplicate: true, id: seen.id, dedupe_key: key };
+    }
+
+    const id = crypto.randomUUID();
+    await this.state.storage.put({
+      [`m:${id}`]: { id, dedupe_key: key, message, attempts: 0, rate_limited: 0, next_at: now, created_at: now, last_error: null },
+      [`k:${key}`]: { id, expires_at: now + this.cfg.dedupeMinutes * 60 * 1000 },
+    });
+    await this._bump({ enqueued: 1 });
+    await this._arm();
+
+    return { ok: true, queued: true, duplicate: false, id, dedupe_key: key };
+  }
+
+  async _stats() {
+    const now = Date.now();
+    const queued = await this._queued();
+    const dead = [...(await this.state.storage.list({ prefix: "d:" })).values()].sort((a, b) => b.dead_at - a.dead_at);
+    const pausedUntil = (await this.state.storage.get("paused_until")) || 0;
+    const oldest = queued.reduce((min, m) => Math.min(min, m.created_at), Infinity);
+
+    return {
+      ok: true,
+      queue: {
+        queued: queued.length,
+        due: queued.filter((m) => m.next_at <= now).length,
+        retrying: queued.filter((m) => m.attempts > 0).length,
+        oldest_age_seconds: Number.isFinite(oldest) ? Math.round((now - oldest) / 1000) : 0,
+        paused_until: pausedUntil > now ? new Date(pausedUntil).toISOString() : null,
+      },
+      dead_letters: dead.length,
+      totals: await this._loadStats(),
+      policy: this.cfg,
+      recent_dead: dead.slice(0, 20).map((d) => ({
+        id: d.id,
+        dedupe_key: d.dedupe_key,
+        attempts: d.attempts,
+        reason: d.reason,
+        dead_at: new Date(d.dead_at).toISOString(),
+        chat_id: d.message?.chat_id || null,
+        thread_id: d.message?.message_thread_id || null,
+        preview: String(d.message?.text || "").replace(/<[^>]+>/g, "").slice(0, 120),
+      })),
+    };
+  }
+
+  async _queued() {
+    return [...(await this.state.storage.list({ prefix: "m:" })).values()].sort(
+      (a, b) => a.next_at - b.next_at || a.created_at - b.created_at
+    );
+  }
+
+  async _deadLetter(msg, reason) {
+    await this.state.storage.delete(`m:${msg.id}`);
+    await this.state.storage.put(`d:${msg.id}`, { ...msg, reason, dead_at: Date.now() });
+
+    const dead = [...(await this.state.storage.list({ prefix: "d:" })).values()].sort((a, b) => b.dead_at - a.dead_at);
+    const drop = dead.slice(this.cfg.deadKeep).map((d) => `d:${d.id}`);
+    if (drop.length) await this.state.storage.delete(drop);
+  }
+
+  async _pruneDedupe(now) {
+    const keys = await this.state.storage.list({ prefix: "k:", limit: 500 });
+    const expired = [...keys.entries()].filter(([, v]) => !v || v.expires_at <= now).map(([k]) => k);
+    if (expired.length) await this.state.storage.delete(expired.slice(0, 128));
+  }
+
+  // next alarm = earliest next_at (never before paused_until); none when the queue is empty
+  async _arm() {
+    const queued = await this._queued();
+    if (!queued.length) return;
+
+    const pausedUntil = (await this.state.storage.get("paused_until")) || 0;
+    const at = Math.max(queued[0].next_at, pausedUntil, Date.now());
+    const current = await this.state.storage.getAlarm();
+    if (!current || current > at) await this.state.storage.setAlarm(at);
+  }
+
+  // read-modify-write with no I/O in between, so a send in flight cannot clobber an enqueue's count
+  async _bump(counts, fields = {}) {
+    const stats = await this._loadStats();
+    for (const [k, n] of Object.entries(counts)) stats[k] = (stats[k] || 0) + n;
+    await this.state.storage.put("stats", { ...stats, ...fields });
+  }
+
+  async _loadStats() {
+    return { ...EMPTY_STATS, ...((await this.state.storage.get("stats")) || {}) };
+  }
+}
+
+function reply(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}